@@ -25,6 +25,13 @@ export class ChordManager {
      * @private
      */
     this._authorizedProvider = null;
+
+    /**
+     * Unauthorized callers already warned about, until the next
+     * authorizeProvider(). A muted provider keeps trying every cycle.
+     * @private
+     */
+    this._warnedCallers = new Set();
   }
 
   /**
@@ -35,6 +42,15 @@ export class ChordManager {
    */
   authorizeProvider(providerId) {
     this._authorizedProvider = providerId;
+    this._warnedCallers.clear();
+  }
+
+  /**
+   * The ID of the provider allowed to set chords, or null.
+   * @returns {string|number|null}
+   */
+  getAuthorizedProvider() {
+    return this._authorizedProvider;
   }
 
   /**
@@ -48,9 +64,7 @@ export class ChordManager {
    */
   setCurrentChord(callerId, rootNote, chordNotes = []) {
     if (callerId !== this._authorizedProvider) {
-      console.warn(
-        `ChordManager: Unauthorized provider (${callerId}) tried to set chord. Ignoring.`
-      );
+      this._warnUnauthorized(callerId, "set");
       return;
     }
 
@@ -79,12 +93,22 @@ export class ChordManager {
    */
   clearChord(callerId) {
     if (callerId !== this._authorizedProvider) {
-      console.warn(
-        `ChordManager: Unauthorized provider (${callerId}) tried to clear chord. Ignoring.`
-      );
+      this._warnUnauthorized(callerId, "clear");
       return;
     }
     this.rootNote = null;
     this.chordNotes = [];
   }
+
+  /**
+   * Warn once per caller (until the authorization changes).
+   * @private
+   */
+  _warnUnauthorized(callerId, action) {
+    if (this._warnedCallers.has(callerId)) return;
+    this._warnedCallers.add(callerId);
+    console.warn(
+      `ChordManager: Unauthorized provider (${callerId}) tried to ${action} chord. Ignoring.`
+    );
+  }
 }
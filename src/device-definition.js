@@ -42,7 +42,9 @@ export class DeviceDefinition {
     /**
      * Global CC parameters for the device, applying to all engines or no engine in particular.
      * Each entry can be a number or an object { cc: number, isStandard: boolean }.
-     * @type {Record<string, number | { cc: number; isStandard?: boolean }>}
+     * High-resolution parameters use { cc14: number } (MSB controller 0-31,
+     * LSB on cc14 + 32), { nrpn: number | [msb, lsb] } or { rpn: ... } instead of cc.
+     * @type {Record<string, number | { cc?: number; cc14?: number; nrpn?: number | number[]; rpn?: number | number[]; isStandard?: boolean }>}
      */
     this.ccMap = {};
 
@@ -55,7 +57,8 @@ export class DeviceDefinition {
      *     FAT: { fatness: 27, filterCutoff: 74 },
      *   }
      *
-     * @type {Record<string, Record<string, number | { cc: number; isStandard?: boolean }>>}
+     * Entries take the same forms as in ccMap, including cc14/nrpn/rpn.
+     * @type {Record<string, Record<string, number | { cc?: number; cc14?: number; nrpn?: number | number[]; rpn?: number | number[]; isStandard?: boolean }>>}
      */
     this.engineCCMaps = {};
 
@@ -83,6 +86,8 @@ export class DeviceDefinition {
 
   /**
    * Internal helper to turn each param entry into { cc, isStandard } form.
+   * High-resolution entries keep their cc14/nrpn/rpn; a cc14 entry also gets
+   * its MSB controller as `cc`, for 7-bit use.
    * @private
    */
   _normalizeOneMap(mapObj) {
@@ -91,7 +96,8 @@ export class DeviceDefinition {
         const isStd = this.STANDARD_CC_NAMES.has(paramName);
         mapObj[paramName] = { cc: val, isStandard: isStd };
       } else if (val && typeof val === "object") {
-        if (typeof val.cc !== "number") {
+        const highRes = this._normalizeHighResEntry(paramName, val);
+        if (!highRes && typeof val.cc !== "number") {
           console.warn(
             `DeviceDefinition: ccMap[${paramName}] has invalid cc. Setting to 0.`
           );
@@ -109,6 +115,38 @@ export class DeviceDefinition {
     }
   }
 
+  /**
+   * Validate an entry's cc14/nrpn/rpn. Invalid ones are dropped with a warning.
+   * @private
+   * @returns {boolean} true if the entry is a high-resolution parameter
+   */
+  _normalizeHighResEntry(paramName, entry) {
+    if (entry.cc14 !== undefined) {
+      const { cc14 } = entry;
+      if (Number.isInteger(cc14) && cc14 >= 0 && cc14 <= 31) {
+        entry.cc = cc14;
+        return true;
+      }
+      console.warn(
+        `DeviceDefinition: ccMap[${paramName}] has invalid cc14. Ignoring it.`
+      );
+      delete entry.cc14;
+    }
+    for (const key of ["nrpn", "rpn"]) {
+      if (entry[key] === undefined) continue;
+      const number = toParameterNumber(entry[key]);
+      if (number !== null) {
+        entry[key] = number;
+        return true;
+      }
+      console.warn(
+        `DeviceDefinition: ccMap[${paramName}] has invalid ${key}. Ignoring it.`
+      );
+      delete entry[key];
+    }
+    return false;
+  }
+
   // --------------------------------------------------------------------------
   // DRUM FUNCTIONS (restored)
   // --------------------------------------------------------------------------
@@ -147,20 +185,51 @@ export class DeviceDefinition {
    * @returns {number|null}
    */
   getCC(paramName, channel) {
+    const rec = this._findParam(paramName, channel);
+    if (typeof rec === "number") return rec;
+    return rec?.cc ?? null;
+  }
+
+  /**
+   * How to send a param: as a plain CC, a 14-bit CC pair, an NRPN or an RPN.
+   * Looks in the channel's engine map first, like getCC().
+   *
+   * @param {string} paramName
+   * @param {number} [channel] - optional (1..16)
+   * @returns {{ type: "cc"|"cc14"|"nrpn"|"rpn", number: number }|null}
+   *   `number` is the controller (the MSB controller for cc14) or the
+   *   parameter number.
+   */
+  getParamMapping(paramName, channel) {
+    const rec = this._findParam(paramName, channel);
+    if (typeof rec === "number") return { type: "cc", number: rec };
+    if (!rec) return null;
+    if (rec.cc14 !== undefined) return { type: "cc14", number: rec.cc14 };
+    for (const type of ["nrpn", "rpn"]) {
+      const number = toParameterNumber(rec[type]);
+      if (number !== null) return { type, number };
+    }
+    return typeof rec.cc === "number" ? { type: "cc", number: rec.cc } : null;
+  }
+
+  /**
+   * The map entry for a param: engine-specific first, then device-wide.
+   * @private
+   */
+  _findParam(paramName, channel) {
     if (typeof channel === "number") {
       // see if this channel has an assigned engine
       const engineInfo = this.enginesByChannel[channel];
       if (engineInfo && engineInfo.name) {
         const engineMap = this.engineCCMaps[engineInfo.name];
         if (engineMap && engineMap[paramName]) {
-          return engineMap[paramName].cc;
+          return engineMap[paramName];
         }
       }
     }
 
     // fallback to the device-wide map
-    const rec = this.ccMap[paramName];
-    return rec ? rec.cc : null;
+    return this.ccMap[paramName] ?? null;
   }
 
   /**
@@ -168,15 +237,14 @@ export class DeviceDefinition {
    *
    * @param {number} [channel] - if provided, returns the union of engine + global
    * @returns {Array<{ name: string; cc: number; isStandard: boolean }>}
+   *   High-resolution params also carry their cc14, nrpn or rpn.
    */
   listCCParams(channel) {
     if (typeof channel !== "number") {
       // Only global
-      return Object.entries(this.ccMap).map(([name, obj]) => ({
-        name,
-        cc: obj.cc,
-        isStandard: obj.isStandard,
-      }));
+      return Object.entries(this.ccMap).map(([name, obj]) =>
+        describeParam(name, obj)
+      );
     } else {
       const result = [];
       // engine portion
@@ -185,22 +253,14 @@ export class DeviceDefinition {
         const engMap = this.engineCCMaps[engineInfo.name];
         if (engMap) {
           for (const [paramName, rec] of Object.entries(engMap)) {
-            result.push({
-              name: paramName,
-              cc: rec.cc,
-              isStandard: rec.isStandard,
-            });
+            result.push(describeParam(paramName, rec));
           }
         }
       }
       // then add any global params not already included
       for (const [paramName, rec] of Object.entries(this.ccMap)) {
         if (!result.some((r) => r.name === paramName)) {
-          result.push({
-            name: paramName,
-            cc: rec.cc,
-            isStandard: rec.isStandard,
-          });
+          result.push(describeParam(paramName, rec));
         }
       }
       return result;
@@ -231,3 +291,29 @@ export class DeviceDefinition {
 
   // etc...
 }
+
+/**
+ * A parameter number given as 0-16383 or [msb, lsb], or null if invalid.
+ * @private
+ */
+function toParameterNumber(value) {
+  if (Number.isInteger(value) && value >= 0 && value <= 16383) return value;
+  if (Array.isArray(value) && value.length === 2) {
+    const [msb, lsb] = value;
+    const valid = (byte) => Number.isInteger(byte) && byte >= 0 && byte <= 127;
+    if (valid(msb) && valid(lsb)) return msb * 128 + lsb;
+  }
+  return null;
+}
+
+/**
+ * A listCCParams() entry.
+ * @private
+ */
+function describeParam(name, rec) {
+  const param = { name, cc: rec.cc, isStandard: rec.isStandard };
+  for (const key of ["cc14", "nrpn", "rpn"]) {
+    if (rec[key] !== undefined) param[key] = rec[key];
+  }
+  return param;
+}
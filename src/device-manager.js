@@ -1,12 +1,25 @@
 // device-manager.js
 /**
  * A simple manager that maps each "midiOutputId" to a DeviceDefinition instance.
+ *
+ * It also keeps per-output (and optionally per-channel) latency offsets, which
+ * playback engines add to each message's send time. Positive values delay an
+ * output, negative values send earlier (within the transport's lookahead
+ * window), e.g. to line up a slow-responding device with a fast one.
  */
 
+import { measureRoundTripLatency } from "./latency-calibration.js";
+
 export class DeviceManager {
   constructor() {
     /** @type {Map<string, import('./device-definition.js').DeviceDefinition>} */
     this.outputToDeviceMap = new Map();
+
+    /**
+     * outputId -> { offsetMs, channels: Map<channel, offsetMs> }
+     * @private
+     */
+    this._latencyOffsets = new Map();
   }
 
   /**
@@ -27,6 +40,82 @@ export class DeviceManager {
     return this.outputToDeviceMap.get(midiOutputId) || null;
   }
 
+  /**
+   * Set the latency offset for an output, or for one channel of it.
+   * A channel offset replaces (does not add to) the output offset.
+   *
+   * @param {string} midiOutputId
+   * @param {number} offsetMs - added to the send time; negative = send earlier
+   * @param {number|null} [channel=null] - 1-based MIDI channel, or null for the whole output
+   */
+  setLatencyOffset(midiOutputId, offsetMs, channel = null) {
+    if (typeof offsetMs !== "number" || !Number.isFinite(offsetMs)) {
+      console.warn(
+        `DeviceManager: Invalid latency offset "${offsetMs}" for output "${midiOutputId}". Ignoring.`
+      );
+      return;
+    }
+    if (!this._latencyOffsets.has(midiOutputId)) {
+      this._latencyOffsets.set(midiOutputId, {
+        offsetMs: 0,
+        channels: new Map(),
+      });
+    }
+    const entry = this._latencyOffsets.get(midiOutputId);
+    if (channel === null) {
+      entry.offsetMs = offsetMs;
+    } else {
+      entry.channels.set(channel, offsetMs);
+    }
+  }
+
+  /**
+   * The latency offset to apply for an output/channel (0 if none is set).
+   * @param {string} midiOutputId
+   * @param {number|null} [channel=null]
+   * @returns {number}
+   */
+  getLatencyOffset(midiOutputId, channel = null) {
+    const entry = this._latencyOffsets.get(midiOutputId);
+    if (!entry) return 0;
+    if (channel !== null && entry.channels.has(channel)) {
+      return entry.channels.get(channel);
+    }
+    return entry.offsetMs;
+  }
+
+  /**
+   * Remove the offsets of an output (or of one of its channels).
+   * @param {string} midiOutputId
+   * @param {number|null} [channel=null]
+   */
+  clearLatencyOffset(midiOutputId, channel = null) {
+    if (channel === null) {
+      this._latencyOffsets.delete(midiOutputId);
+    } else {
+      this._latencyOffsets.get(midiOutputId)?.channels.delete(channel);
+    }
+  }
+
+  /**
+   * Measure an output's round trip through a loopback input and set its
+   * offset to minus the one-way latency (half the round trip), so its
+   * messages are sent that much earlier.
+   *
+   * @param {MIDIOutput} output - Web MIDI output (its id is used as outputId)
+   * @param {MIDIInput} input - input receiving the loopback
+   * @param {Object} [options] - see measureRoundTripLatency()
+   * @returns {Promise<number|null>} the offset that was set, or null if the measurement failed
+   */
+  async calibrateLatency(output, input, options = {}) {
+    const result = await measureRoundTripLatency(output, input, options);
+    if (!result) return null;
+
+    const offsetMs = -result.roundTripMs / 2;
+    this.setLatencyOffset(output.id, offsetMs);
+    return offsetMs;
+  }
+
   /**
    * List all connected outputs and their assigned device + channel listing.
    * @returns {Array<{outputId: string, deviceName: string, channels: {channel: number, engineName: string}[]}>}
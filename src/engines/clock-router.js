@@ -0,0 +1,261 @@
+/**
+ * src/engines/clock-router.js
+ *
+ * ClockRouter:
+ * - Passes the TransportManager's clock on to selected outputs, e.g. OP-XY as
+ *   master -> TonicMIDI -> OP-Z as follower.
+ * - Clock is regenerated from the transport's position rather than copied
+ *   byte for byte, so it works with any clock source (external clock,
+ *   internal, MTC) and stays aligned through SPP jumps and free-running.
+ * - Per route: rate (2 = double-time clock, 1/2 = half-time), a time offset
+ *   in ms, and whether Start/Stop/Continue and Song Position Pointer are sent.
+ * - Messages go out through midiBus.sendRealtime() / midiBus.songPosition(),
+ *   so the playback engine adds each output's latency offset as usual.
+ *
+ * Like the internal clock, Start is followed by the downbeat clock; every
+ * transport pulse then sends `rate` clocks, spread over the pulse.
+ *
+ * While it has routes, the router turns the transport's own clock broadcast
+ * (`sendClock`, internal mode) off, so routed outputs don't get two clock
+ * streams. Route every output that should follow; removing the last route
+ * or dispose() turns the broadcast back on.
+ *
+ * Usage:
+ *   const router = new ClockRouter(midiBus, transport);
+ *   router.addRoute({ outputId: opzOutput.id });
+ *   router.addRoute({ outputId: tr8Output.id, rate: 1 / 2, offsetMs: 4 });
+ */
+
+/** Standard MIDI clock resolution (pulses per quarter note). */
+const PULSES_PER_QUARTER = 24;
+
+/** MIDI clocks per Song Position Pointer unit (a 16th note). */
+const PULSES_PER_SPP_UNIT = 6;
+
+export class ClockRouter {
+  /**
+   * @param {import('../midi-bus.js').MidiBus} midiBus
+   * @param {import('../transport/transport-manager.js').TransportManager} transport
+   * @param {Object} [options]
+   * @param {Object[]} [options.routes=[]] - passed to addRoute()
+   */
+  constructor(midiBus, transport, { routes = [] } = {}) {
+    this.midiBus = midiBus;
+    this.transport = transport;
+
+    /** @private outputId -> route */
+    this._routes = new Map();
+    /** @private transport.sendClock before the first route, while routing */
+    this._savedSendClock = null;
+    routes.forEach((route) => this.addRoute(route));
+
+    /** @private Transport event name -> handler, for dispose() */
+    this._handlers = {
+      start: () => this._onStart(),
+      stop: () => this._onStop(),
+      continue: () => this._onContinue(),
+      locate: ({ pulse }) => this._onLocate(pulse),
+      pulse: ({ pulse }) => this._sendClocks(pulse),
+    };
+    Object.entries(this._handlers).forEach(([eventName, handler]) =>
+      this.transport.on(eventName, handler)
+    );
+  }
+
+  /**
+   * Send clock to an output (replacing an existing route to it).
+   *
+   * @param {Object} route
+   * @param {string} route.outputId - Web MIDI output id
+   * @param {number} [route.rate=1] - clock multiplier/divider, e.g. 2 or 1/2
+   * @param {number} [route.offsetMs=0] - shift this output's clock in time;
+   *   negative values only help with lookahead scheduling
+   * @param {boolean} [route.sendTransport=true] - send Start/Stop/Continue
+   * @param {boolean} [route.sendPosition=true] - send Song Position Pointer
+   */
+  addRoute({
+    outputId,
+    rate = 1,
+    offsetMs = 0,
+    sendTransport = true,
+    sendPosition = true,
+  } = {}) {
+    if (!outputId) {
+      console.warn("ClockRouter: A route needs an outputId. Ignoring.");
+      return;
+    }
+    if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+      console.warn(`ClockRouter: Invalid rate "${rate}". Using 1.`);
+      rate = 1;
+    }
+    if (typeof offsetMs !== "number" || !Number.isFinite(offsetMs)) {
+      console.warn(`ClockRouter: Invalid offset "${offsetMs}". Using 0.`);
+      offsetMs = 0;
+    }
+    this._routes.set(outputId, {
+      outputId,
+      rate,
+      offsetMs,
+      sendTransport,
+      sendPosition,
+    });
+    if (this._savedSendClock === null) {
+      this._savedSendClock = this.transport.sendClock;
+      this.transport.sendClock = false;
+    }
+  }
+
+  /**
+   * Stop sending clock to an output.
+   * @param {string} outputId
+   */
+  removeRoute(outputId) {
+    this._routes.delete(outputId);
+    if (!this._routes.size) this._restoreSendClock();
+  }
+
+  /**
+   * @returns {Object[]} copies of the current routes
+   */
+  getRoutes() {
+    return [...this._routes.values()].map((route) => ({ ...route }));
+  }
+
+  /**
+   * Unsubscribe from the transport.
+   */
+  dispose() {
+    Object.entries(this._handlers).forEach(([eventName, handler]) =>
+      this.transport.off(eventName, handler)
+    );
+    this._restoreSendClock();
+  }
+
+  /**
+   * Hand the clock broadcast back to the transport.
+   * @private
+   */
+  _restoreSendClock() {
+    if (this._savedSendClock === null) return;
+    this.transport.sendClock = this._savedSendClock;
+    this._savedSendClock = null;
+  }
+
+  /**
+   * @private
+   */
+  _onStart() {
+    this._forEachRoute((route) => {
+      if (route.sendTransport) this._send(route, 0xfa);
+    });
+    this._sendClocks(0);
+  }
+
+  /**
+   * @private
+   */
+  _onStop() {
+    this._forEachRoute((route) => {
+      if (route.sendTransport) this._send(route, 0xfc);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _onContinue() {
+    this._forEachRoute((route) => {
+      if (route.sendTransport) this._send(route, 0xfb);
+    });
+  }
+
+  /**
+   * The transport jumped. Followers only accept SPP while stopped, so a
+   * running transport is stopped and continued around it.
+   * @private
+   */
+  _onLocate(pulse) {
+    const running = this.transport.isRunning;
+    this._forEachRoute((route) => {
+      if (running && route.sendTransport) this._send(route, 0xfc);
+      if (route.sendPosition) {
+        const position = Math.floor(
+          (pulse * route.rate) / PULSES_PER_SPP_UNIT
+        );
+        this.midiBus.songPosition({
+          position,
+          outputId: route.outputId,
+          time: this._getTime(route, 0),
+        });
+      }
+      if (running && route.sendTransport) this._send(route, 0xfb);
+    });
+  }
+
+  /**
+   * Send the clocks of every route that fall within transport pulse `pulse`:
+   * output clock k is due at k / rate pulses.
+   * @private
+   */
+  _sendClocks(pulse) {
+    const intervalMs = this._getPulseIntervalMs();
+    this._forEachRoute((route) => {
+      const first = Math.ceil(pulse * route.rate);
+      const end = Math.ceil((pulse + 1) * route.rate);
+      for (let k = first; k < end; k++) {
+        const delayMs = (k / route.rate - pulse) * intervalMs;
+        this._send(route, 0xf8, delayMs);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _send(route, status, delayMs = 0) {
+    this.midiBus.sendRealtime({
+      status,
+      outputId: route.outputId,
+      time: this._getTime(route, delayMs),
+    });
+  }
+
+  /**
+   * Target time for a message `delayMs` after the current pulse, with the
+   * route's offset. null = at the pulse's own (scheduled) time.
+   * @private
+   */
+  _getTime(route, delayMs) {
+    const totalMs = delayMs + route.offsetMs;
+    if (!totalMs) return null;
+    const base = this.midiBus.scheduledTime ?? now();
+    return Math.max(0, base + totalMs);
+  }
+
+  /**
+   * @private
+   */
+  _getPulseIntervalMs() {
+    const bpm = this.transport.getBpm?.() ?? this.transport.bpm ?? 120;
+    return 60000 / (bpm * PULSES_PER_QUARTER);
+  }
+
+  /**
+   * Visit every route, unless the transport is rendering offline.
+   * @private
+   */
+  _forEachRoute(fn) {
+    if (this.transport.isRendering?.()) return;
+    this._routes.forEach(fn);
+  }
+}
+
+/**
+ * @private
+ */
+function now() {
+  if (typeof performance !== "undefined" && performance.now) {
+    return performance.now();
+  }
+  return Date.now();
+}
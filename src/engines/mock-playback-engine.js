@@ -27,6 +27,17 @@ export class MockPlaybackEngine {
     this.midiBus.on("pitchBend", (data) => this.handlePitchBend(data));
     this.midiBus.on("programChange", (data) => this.handleProgramChange(data));
     this.midiBus.on("aftertouch", (data) => this.handleAftertouch(data));
+    this.midiBus.on("polyAftertouch", (data) =>
+      this.handlePolyAftertouch(data)
+    );
+    this.midiBus.on("realtime", (data) => this.handleRealtime(data));
+    this.midiBus.on("songPosition", (data) => this.handleSongPosition(data));
+    this.midiBus.on("controlChange14", (data) =>
+      this.handleControlChange14(data)
+    );
+    this.midiBus.on("nrpn", (data) => this.handleParameterNumber("nrpn", data));
+    this.midiBus.on("rpn", (data) => this.handleParameterNumber("rpn", data));
+    this.midiBus.on("sysex", (data) => this.handleSysex(data));
   }
 
   /**
@@ -115,6 +126,89 @@ export class MockPlaybackEngine {
     });
   }
 
+  /**
+   * @param {Object} data
+   * @param {number} data.channel
+   * @param {number} data.note
+   * @param {number} data.pressure
+   * @param {string|null} [data.outputId=null]
+   */
+  handlePolyAftertouch({ channel, note, pressure, outputId = null, step }) {
+    this.events.push({
+      type: "polyAftertouch",
+      data: { channel, note, pressure, outputId, step },
+    });
+  }
+
+  /**
+   * @param {Object} data
+   * @param {number} data.status - realtime status byte (0xFA, 0xF8, 0xFC, ...)
+   * @param {string|null} [data.outputId=null]
+   */
+  handleRealtime({ status, outputId = null }) {
+    this.events.push({
+      type: "realtime",
+      data: { status, outputId },
+    });
+  }
+
+  /**
+   * @param {Object} data
+   * @param {number} data.position - Song Position Pointer in MIDI beats
+   * @param {string|null} [data.outputId=null]
+   */
+  handleSongPosition({ position, outputId = null }) {
+    this.events.push({
+      type: "songPosition",
+      data: { position, outputId },
+    });
+  }
+
+  /**
+   * @param {Object} data
+   * @param {number} data.channel
+   * @param {number} data.cc - MSB controller (0-31)
+   * @param {number} data.value - 0-16383
+   * @param {string|null} [data.outputId=null]
+   */
+  handleControlChange14({ channel, cc, value, outputId = null, step }) {
+    this.events.push({
+      type: "controlChange14",
+      data: { channel, cc, value, outputId, step },
+    });
+  }
+
+  /**
+   * @param {string} type - "nrpn" or "rpn"
+   * @param {Object} data
+   * @param {number} data.channel
+   * @param {number} data.param
+   * @param {number} data.value
+   * @param {boolean} data.highRes
+   * @param {string|null} [data.outputId=null]
+   */
+  handleParameterNumber(
+    type,
+    { channel, param, value, highRes, outputId = null, step }
+  ) {
+    this.events.push({
+      type,
+      data: { channel, param, value, highRes, outputId, step },
+    });
+  }
+
+  /**
+   * @param {Object} data
+   * @param {number[]} data.data - complete message including F0 and F7
+   * @param {string|null} [data.outputId=null]
+   */
+  handleSysex({ data, outputId = null }) {
+    this.events.push({
+      type: "sysex",
+      data: { data, outputId },
+    });
+  }
+
   /**
    * Clears the internal event log.
    * Useful to reset state in tests.
@@ -4,16 +4,40 @@
  * RealPlaybackEngine (Web MIDI version):
  * - Subscribes to MIDI Bus for noteOn, noteOff, controlChange, etc.
  * - Sends these messages to connected MIDI output devices via the Web MIDI API.
+ * - Events carrying a `time` (set by the TransportManager's lookahead) are
+ *   passed to output.send() as a timestamp, so the browser delivers them on
+ *   time regardless of main-thread jitter. Events without one go out now.
+ * - With a DeviceManager, each output's (or channel's) latency offset is added
+ *   to the send time. Negative offsets send earlier, eating into the lookahead.
+ * - 14-bit CCs and NRPN/RPN are encoded as their CC sequences. SysEx needs
+ *   `sysex: true`, which makes init() ask the browser for SysEx access.
+ * - On a bus "panic" the resets are sent again once everything already
+ *   handed to send() is due (the panic's `scheduledUntil` plus latency
+ *   offset), so notes scheduled before the panic can't start after it and
+ *   hang.
  *
  * Usage (in a browser context):
- *   const engine = new RealPlaybackEngine(midiBus);
+ *   const engine = new RealPlaybackEngine(midiBus, { deviceManager });
  *   await engine.init(); // request MIDI access and store outputs
  *   // ... domain logic calls midiBus.noteOn(...), etc.
  */
 
+/** Parameter select controllers (MSB, LSB) for NRPN and RPN. */
+const NRPN = { msb: 99, lsb: 98 };
+const RPN = { msb: 101, lsb: 100 };
+
 export class RealPlaybackEngine {
-  constructor(midiBus) {
+  /**
+   * @param {import('../midi-bus.js').MidiBus} midiBus
+   * @param {Object} [options]
+   * @param {import('../device-manager.js').DeviceManager|null} [options.deviceManager=null]
+   *   Source of per-output / per-channel latency offsets.
+   * @param {boolean} [options.sysex=false] - Request SysEx access and send SysEx.
+   */
+  constructor(midiBus, { deviceManager = null, sysex = false } = {}) {
     this.midiBus = midiBus;
+    this.deviceManager = deviceManager;
+    this.sysex = sysex;
     this.midiOutputs = []; // array of Web MIDI output devices
 
     // Subscribe to the MIDI Bus events:
@@ -23,11 +47,23 @@ export class RealPlaybackEngine {
     this.midiBus.on("pitchBend", (data) => this.handlePitchBend(data));
     this.midiBus.on("programChange", (data) => this.handleProgramChange(data));
     this.midiBus.on("aftertouch", (data) => this.handleAftertouch(data));
+    this.midiBus.on("polyAftertouch", (data) =>
+      this.handlePolyAftertouch(data)
+    );
+    this.midiBus.on("realtime", (data) => this.handleRealtime(data));
+    this.midiBus.on("songPosition", (data) => this.handleSongPosition(data));
+    this.midiBus.on("controlChange14", (data) =>
+      this.handleControlChange14(data)
+    );
+    this.midiBus.on("nrpn", (data) => this.handleParameterNumber(data, NRPN));
+    this.midiBus.on("rpn", (data) => this.handleParameterNumber(data, RPN));
+    this.midiBus.on("sysex", (data) => this.handleSysex(data));
+    this.midiBus.on("panic", (data) => this.handlePanic(data));
   }
 
   /**
    * Initialize the Web MIDI outputs.
-   * - Requests MIDI access (sysex disabled by default).
+   * - Requests MIDI access (sysex only if enabled in the constructor).
    * - Gathers all available MIDI output ports.
    * - You might want to prompt the user to select a specific device later.
    * @returns {Promise<void>}
@@ -35,7 +71,9 @@ export class RealPlaybackEngine {
   async init() {
     try {
       // Request MIDI access from the browser
-      const midiAccess = await navigator.requestMIDIAccess({ sysex: false });
+      const midiAccess = await navigator.requestMIDIAccess({
+        sysex: this.sysex,
+      });
 
       // Get all outputs
       const outputs = Array.from(midiAccess.outputs.values());
@@ -60,27 +98,16 @@ export class RealPlaybackEngine {
    * @param {number} data.note - 0-127
    * @param {number} data.velocity - 0-127
    * @param {string|null} [data.outputId=null] - which output device to use
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
    */
-  handleNoteOn({ channel, note, velocity = 100, outputId = null }) {
+  handleNoteOn({ channel, note, velocity = 100, outputId = null, time = null }) {
     // <-- added outputId
     if (!this.midiOutputs.length) return; // no outputs available
 
     const statusByte = 0x90 + (channel - 1); // 0x90 = Note On, channel offset
     const message = [statusByte, note, velocity];
 
-    if (outputId) {
-      // <-- added
-      // Send only to matching device
-      const out = this.midiOutputs.find((o) => o.id === outputId);
-      if (out) {
-        out.send(message, 0);
-      }
-    } else {
-      // If no outputId, send to all
-      this.midiOutputs.forEach((output) => {
-        output.send(message, 0);
-      });
-    }
+    this._send(message, outputId, time);
   }
 
   /**
@@ -89,25 +116,16 @@ export class RealPlaybackEngine {
    * @param {number} data.channel - 1-based MIDI channel
    * @param {number} data.note - 0-127
    * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
    */
-  handleNoteOff({ channel, note, outputId = null }) {
+  handleNoteOff({ channel, note, outputId = null, time = null }) {
     // <-- added outputId
     if (!this.midiOutputs.length) return;
 
     const statusByte = 0x80 + (channel - 1); // 0x80 = Note Off, channel offset
     const message = [statusByte, note, 0];
 
-    if (outputId) {
-      // <-- added
-      const out = this.midiOutputs.find((o) => o.id === outputId);
-      if (out) {
-        out.send(message, 0);
-      }
-    } else {
-      this.midiOutputs.forEach((output) => {
-        output.send(message, 0);
-      });
-    }
+    this._send(message, outputId, time);
   }
 
   /**
@@ -117,8 +135,9 @@ export class RealPlaybackEngine {
    * @param {number} data.cc - 0-127
    * @param {number} data.value - 0-127
    * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
    */
-  handleControlChange({ channel, cc, value, outputId = null }) {
+  handleControlChange({ channel, cc, value, outputId = null, time = null }) {
     // <-- added outputId
     if (!this.midiOutputs.length) return;
 
@@ -126,17 +145,79 @@ export class RealPlaybackEngine {
     const statusByte = 0xb0 + (channel - 1);
     const message = [statusByte, cc, value];
 
-    if (outputId) {
-      // <-- added
-      const out = this.midiOutputs.find((o) => o.id === outputId);
-      if (out) {
-        out.send(message, 0);
-      }
+    this._send(message, outputId, time);
+  }
+
+  /**
+   * Send a 14-bit CC: MSB on `cc`, then LSB on `cc + 32`.
+   * @param {Object} data
+   * @param {number} data.channel
+   * @param {number} data.cc - 0-31
+   * @param {number} data.value - 0-16383
+   * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
+   */
+  handleControlChange14({ channel, cc, value, outputId = null, time = null }) {
+    if (!this.midiOutputs.length) return;
+
+    const statusByte = 0xb0 + (channel - 1);
+    this._send([statusByte, cc, (value >> 7) & 0x7f], outputId, time);
+    this._send([statusByte, cc + 32, value & 0x7f], outputId, time);
+  }
+
+  /**
+   * Send an NRPN or RPN as its data-entry sequence: parameter MSB and LSB,
+   * data entry MSB (CC6) and, for high-resolution values, LSB (CC38), then
+   * the RPN null (CC101/100 = 127) so stray data entry can't change it.
+   * @param {Object} data
+   * @param {number} data.channel
+   * @param {number} data.param - 0-16383
+   * @param {number} data.value - 0-16383, or 0-127 without highRes
+   * @param {boolean} [data.highRes=true]
+   * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
+   * @param {{ msb: number, lsb: number }} selectControllers - NRPN or RPN
+   */
+  handleParameterNumber(
+    { channel, param, value, highRes = true, outputId = null, time = null },
+    selectControllers
+  ) {
+    if (!this.midiOutputs.length) return;
+
+    const statusByte = 0xb0 + (channel - 1);
+    const messages = [
+      [statusByte, selectControllers.msb, (param >> 7) & 0x7f],
+      [statusByte, selectControllers.lsb, param & 0x7f],
+    ];
+    if (highRes) {
+      messages.push(
+        [statusByte, 6, (value >> 7) & 0x7f],
+        [statusByte, 38, value & 0x7f]
+      );
     } else {
-      this.midiOutputs.forEach((output) => {
-        output.send(message, 0);
-      });
+      messages.push([statusByte, 6, value & 0x7f]);
+    }
+    messages.push([statusByte, RPN.msb, 127], [statusByte, RPN.lsb, 127]);
+    messages.forEach((message) => this._send(message, outputId, time));
+  }
+
+  /**
+   * Send a SysEx message (F0 ... F7). Dropped with a warning unless the
+   * engine was created with `sysex: true`.
+   * @param {Object} data
+   * @param {number[]} data.data - complete message including F0 and F7
+   * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
+   */
+  handleSysex({ data, outputId = null, time = null }) {
+    if (!this.midiOutputs.length) return;
+    if (!this.sysex) {
+      console.warn(
+        "RealPlaybackEngine: SysEx is disabled. Create the engine with { sysex: true }."
+      );
+      return;
     }
+    this._send(data, outputId, time);
   }
 
   /**
@@ -148,8 +229,9 @@ export class RealPlaybackEngine {
    * @param {number} data.channel
    * @param {number} data.value  - typical range: -8192..8191
    * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
    */
-  handlePitchBend({ channel, value, outputId = null }) {
+  handlePitchBend({ channel, value, outputId = null, time = null }) {
     // <-- added outputId
     if (!this.midiOutputs.length) return;
 
@@ -166,17 +248,7 @@ export class RealPlaybackEngine {
 
     const message = [statusByte, lsb, msb];
 
-    if (outputId) {
-      // <-- added
-      const out = this.midiOutputs.find((o) => o.id === outputId);
-      if (out) {
-        out.send(message, 0);
-      }
-    } else {
-      this.midiOutputs.forEach((output) => {
-        output.send(message, 0);
-      });
-    }
+    this._send(message, outputId, time);
   }
 
   /**
@@ -185,25 +257,16 @@ export class RealPlaybackEngine {
    * @param {number} data.channel
    * @param {number} data.program - 0-127
    * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
    */
-  handleProgramChange({ channel, program, outputId = null }) {
+  handleProgramChange({ channel, program, outputId = null, time = null }) {
     // <-- added outputId
     if (!this.midiOutputs.length) return;
 
     const statusByte = 0xc0 + (channel - 1);
     const message = [statusByte, program];
 
-    if (outputId) {
-      // <-- added
-      const out = this.midiOutputs.find((o) => o.id === outputId);
-      if (out) {
-        out.send(message, 0);
-      }
-    } else {
-      this.midiOutputs.forEach((output) => {
-        output.send(message, 0);
-      });
-    }
+    this._send(message, outputId, time);
   }
 
   /**
@@ -212,8 +275,9 @@ export class RealPlaybackEngine {
    * @param {number} data.channel
    * @param {number} data.pressure - 0-127
    * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
    */
-  handleAftertouch({ channel, pressure, outputId = null }) {
+  handleAftertouch({ channel, pressure, outputId = null, time = null }) {
     // <-- added outputId
     if (!this.midiOutputs.length) return;
 
@@ -221,16 +285,119 @@ export class RealPlaybackEngine {
     const statusByte = 0xd0 + (channel - 1);
     const message = [statusByte, pressure];
 
+    this._send(message, outputId, time);
+  }
+
+  /**
+   * Polyphonic key pressure for one note.
+   * @param {Object} data
+   * @param {number} data.channel
+   * @param {number} data.note
+   * @param {number} data.pressure - 0-127
+   * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
+   */
+  handlePolyAftertouch({
+    channel,
+    note,
+    pressure,
+    outputId = null,
+    time = null,
+  }) {
+    if (!this.midiOutputs.length) return;
+
+    // 0xA0 = Polyphonic Key Pressure
+    const statusByte = 0xa0 + (channel - 1);
+    this._send([statusByte, note, pressure], outputId, time);
+  }
+
+  /**
+   * System realtime message (Start/Clock/Stop), a single status byte.
+   * @param {Object} data
+   * @param {number} data.status - e.g. 0xF8
+   * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
+   */
+  handleRealtime({ status, outputId = null, time = null }) {
+    if (!this.midiOutputs.length) return;
+
+    const message = [status];
+    this._send(message, outputId, time);
+  }
+
+  /**
+   * Song Position Pointer (0xF2), 14-bit position in MIDI beats.
+   * @param {Object} data
+   * @param {number} data.position - 0-16383
+   * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.time=null] - target DOMHighResTimeStamp (ms), null = now
+   */
+  handleSongPosition({ position, outputId = null, time = null }) {
+    if (!this.midiOutputs.length) return;
+
+    const message = [0xf2, position & 0x7f, (position >> 7) & 0x7f];
+    this._send(message, outputId, time);
+  }
+
+  /**
+   * Repeat a bus panic's resets (sustain off, pitch bend centred, All Sound
+   * Off, All Notes Off) at `scheduledUntil`, plus each channel's latency
+   * offset. Notes already scheduled with send() are due by then; the first
+   * resets went out right away, ahead of them. MIDIOutput.clear() would drop
+   * them instead, but most browsers don't implement it.
+   * @param {Object} data
+   * @param {number[]} data.channels - 1-16
+   * @param {string|null} [data.outputId=null]
+   * @param {number|null} [data.scheduledUntil=null] - latest scheduled event
+   *   time (ms); the repeat goes out now if that has passed
+   */
+  handlePanic({ channels, outputId = null, scheduledUntil = null }) {
+    if (!this.midiOutputs.length) return;
+
+    const time = Math.max(performance.now(), scheduledUntil ?? 0);
+    channels.forEach((channel) => {
+      const status = 0xb0 + (channel - 1);
+      this._send([status, 64, 0], outputId, time);
+      this._send([0xe0 + (channel - 1), 0x00, 0x40], outputId, time);
+      this._send([status, 120, 0], outputId, time);
+      this._send([status, 123, 0], outputId, time);
+    });
+  }
+
+  /**
+   * Send a message to one output (by id) or to all outputs.
+   * @private
+   * @param {number[]} message - raw MIDI bytes
+   * @param {string|null} outputId
+   * @param {number|null} time - DOMHighResTimeStamp (ms); null/0 sends immediately
+   */
+  _send(message, outputId, time) {
     if (outputId) {
-      // <-- added
+      // Send only to matching device
       const out = this.midiOutputs.find((o) => o.id === outputId);
       if (out) {
-        out.send(message, 0);
+        out.send(message, this._getTimestamp(message, out.id, time));
       }
     } else {
+      // If no outputId, send to all
       this.midiOutputs.forEach((output) => {
-        output.send(message, 0);
+        output.send(message, this._getTimestamp(message, output.id, time));
       });
     }
   }
+
+  /**
+   * The send() timestamp for a message on one output, including its latency
+   * offset. A target already in the past is sent immediately by the browser.
+   * @private
+   */
+  _getTimestamp(message, outputId, time) {
+    // Channel messages carry the channel in the low nibble of the status byte
+    const channel = message[0] < 0xf0 ? (message[0] & 0x0f) + 1 : null;
+    const offset = this.deviceManager
+      ? this.deviceManager.getLatencyOffset(outputId, channel)
+      : 0;
+    if (!offset) return time ?? 0;
+    return Math.max(0, (time ?? performance.now()) + offset);
+  }
 }
@@ -16,21 +16,28 @@ export class GlobalContext {
    * @param {ChordManager} [options.chordManager] - The chord manager instance
    * @param {RhythmManager} [options.rhythmManager] - The rhythm manager instance
    * @param {EnergyManager} [options.energyManager] - The energy manager instance
+   * @param {Object} [options.transport] - The TransportManager, so patterns can read tempo (getBpm, getStepDurationMs)
    * @param {Object} [options.additionalContext={}] - Any additional shared context
    */
   constructor({
     chordManager = new ChordManager(),
     rhythmManager = new RhythmManager(),
     energyManager = null, // EnergyManager is now an optional parameter
+    transport = null,
     additionalContext = {},
   } = {}) {
     this.chordManager = chordManager;
     this.rhythmManager = rhythmManager;
     this.energyManager = energyManager; // Store the energy manager instance
+    this.transport = transport;
 
     // Store any additional context (e.g., global key, scale, etc.)
     this.additionalContext = additionalContext;
 
+    // Values loops publish for each other (e.g. a bass loop's "root"), see
+    // the LiveLoop `provides` / `consumes` options
+    this.shared = new Map();
+
     // For tracking energy and tension levels globally
     this.energyState = {
       hypeLevel: "low",
@@ -107,6 +114,8 @@ export class GlobalContext {
       chordManager: this.chordManager,
       rhythmManager: this.rhythmManager,
       energyManager: this.energyManager, // Include energyManager in the pattern context
+      transport: this.transport,
+      shared: this.shared,
       energyState: this.getEnergyState(),
       ...this.additionalContext,
       ...patternContext,
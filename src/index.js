@@ -1,19 +1,67 @@
 // Exporting public API
-export { MidiBus } from "./midi-bus.js";
+export { MidiBus, NOTE_POLICIES } from "./midi-bus.js";
+export {
+  remapChannel,
+  velocityCurve,
+  noteRange,
+  quantizeToScale,
+  thinControlChanges,
+  delay,
+} from "./midi-middleware.js";
+export { MpeZone, MPE_ZONES } from "./mpe-zone.js";
+export {
+  MidiInputRouter,
+  INPUT_EVENT_TYPES,
+} from "./input/midi-input-router.js";
+export {
+  thru,
+  thruToLoop,
+  armRecorder,
+  toParam,
+} from "./input/input-targets.js";
+export {
+  KeyboardChordProvider,
+  CHORD_INPUT_MODES,
+} from "./input/keyboard-chord-provider.js";
+export {
+  MidiLearn,
+  MIDI_LEARN_MODES,
+  TARGET_TYPES,
+} from "./input/midi-learn.js";
+export {
+  loopTargets,
+  lfoTargets,
+  energyTargets,
+  patternOptionTarget,
+  deviceParamTargets,
+  deviceParamTarget,
+} from "./input/learn-targets.js";
 export { RealPlaybackEngine } from "./engines/real-playback-engine.js";
 export { MockPlaybackEngine } from "./engines/mock-playback-engine.js";
+export { ClockRouter } from "./engines/clock-router.js";
 export { LiveLoop } from "./live-loop.js";
 export { EnergyManager } from "./energy-manager.js";
-export { TransportManager } from "./transport/transport-manager.js";
+export {
+  TransportManager,
+  LAUNCH_QUANTIZE_VALUES,
+} from "./transport/transport-manager.js";
+export { Groove, MPC_SWING_AMOUNTS } from "./transport/groove.js";
+export { MtcDecoder, MTC_FRAME_RATES } from "./transport/mtc-decoder.js";
+export {
+  getLoopDependencies,
+  resolveTickOrder,
+} from "./transport/tick-order.js";
 export {
   findProfileClassForMidiName,
   KNOWN_DEVICE_PROFILES,
 } from "./device-profiles.js";
 export { DeviceManager } from "./device-manager.js";
+export { measureRoundTripLatency } from "./latency-calibration.js";
 
 // New exports for harmonic and rhythmic context
 export { ChordManager } from "./chord-manager.js";
 export { RhythmManager } from "./rhythm-manager.js";
+export { TimeSignature } from "./time-signature.js";
 export { GlobalContext } from "./global-context.js";
 
 // Correcting the export statement for patterns
@@ -27,8 +75,12 @@ export * from "./patterns/chord-pattern.js";
 export * from "./patterns/colorful-chord-swell-pattern.js";
 export * from "./patterns/evolving-locked-drum-pattern.js";
 export * from "./patterns/phrase-contour-melody.js";
+export * from "./patterns/midi-file-pattern.js";
 
 // Exporting LFO module
 export { LFO } from "./lfo.js";
 
+// Session recording / Standard MIDI File export
+export { SessionRecorder } from "./recording/session-recorder.js";
+
 // These exports will be implemented as the project progresses
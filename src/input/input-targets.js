@@ -0,0 +1,143 @@
+/**
+ * src/input/input-targets.js
+ *
+ * Ready-made MidiInputRouter targets (see MidiInputRouter.route()). Each
+ * factory returns a target function:
+ *
+ *   router.route(armRecorder(recorder));         // punch in on the first note
+ *   router.route(thruToLoop(leadLoop, { transpose: 12 }));
+ *   router.route(toParam((value) => bassLoop.setTranspose(Math.round(value)), {
+ *     cc: 74, min: -12, max: 12,
+ *   }));
+ */
+
+/**
+ * Play input through to an output and channel. Notes keep the destination
+ * they started on, so their noteOffs land there even if it changes
+ * meanwhile. Notes still held when the route is removed are released.
+ *
+ * @param {MidiBus} midiBus
+ * @param {Object} [options]
+ * @param {string|null|Function} [options.outputId=null] - or a function
+ *   returning it, read for each event
+ * @param {number|null|Function} [options.channel=null] - or a function; null
+ *   keeps the input channel
+ * @param {number} [options.transpose=0] - semitones
+ * @returns {Function} target
+ */
+export function thru(
+  midiBus,
+  { outputId = null, channel = null, transpose = 0 } = {}
+) {
+  const resolve = (option) =>
+    typeof option === "function" ? option() : option;
+  // "inputId_channel_note" -> { outputId, channel, note } of sounding notes
+  const heldNotes = new Map();
+
+  const target = (event) => {
+    const destination = {
+      outputId: resolve(outputId) ?? null,
+      channel: resolve(channel) ?? event.channel,
+    };
+    const key = `${event.inputId}_${event.channel}_${event.note}`;
+    const note = Math.max(0, Math.min(127, event.note + transpose));
+
+    switch (event.type) {
+      case "noteOn": {
+        if (heldNotes.has(key)) release(key);
+        const played = { ...destination, note };
+        heldNotes.set(key, played);
+        midiBus.noteOn({ ...played, velocity: event.velocity, owner: target });
+        break;
+      }
+      case "noteOff":
+        release(key);
+        break;
+      case "controlChange":
+        midiBus.controlChange({
+          ...destination,
+          cc: event.cc,
+          value: event.value,
+        });
+        break;
+      case "pitchBend":
+        midiBus.pitchBend({ ...destination, value: event.value });
+        break;
+      case "aftertouch":
+        midiBus.aftertouch({ ...destination, pressure: event.pressure });
+        break;
+      case "polyAftertouch":
+        midiBus.polyAftertouch({
+          ...(heldNotes.get(key) ?? { ...destination, note }),
+          pressure: event.pressure,
+        });
+        break;
+      case "programChange":
+        midiBus.programChange({ ...destination, program: event.program });
+        break;
+    }
+  };
+
+  const release = (key) => {
+    const played = heldNotes.get(key);
+    if (!played) return;
+    heldNotes.delete(key);
+    midiBus.noteOff({ ...played, owner: target });
+  };
+
+  target.release = () => [...heldNotes.keys()].forEach(release);
+  return target;
+}
+
+/**
+ * Play input through to a LiveLoop's current output and channel.
+ *
+ * @param {LiveLoop} liveLoop
+ * @param {Object} [options]
+ * @param {number} [options.transpose=0] - semitones
+ * @returns {Function} target
+ */
+export function thruToLoop(liveLoop, { transpose = 0 } = {}) {
+  return thru(liveLoop.midiBus, {
+    outputId: () => liveLoop.midiOutputId,
+    channel: () => liveLoop.midiChannel,
+    transpose,
+  });
+}
+
+/**
+ * Start a SessionRecorder on the first note played. Fires once; route a new
+ * one to arm again. Route it before a thru target so that note is recorded.
+ *
+ * @param {SessionRecorder} recorder
+ * @returns {Function} target
+ */
+export function armRecorder(recorder) {
+  let armed = true;
+  return (event) => {
+    if (!armed || event.type !== "noteOn") return;
+    armed = false;
+    if (!recorder.isRecording) recorder.start();
+  };
+}
+
+/**
+ * Drive a parameter from a controller, scaled to a range.
+ *
+ * @param {Function} apply - (value, event) => void
+ * @param {Object} options
+ * @param {number} options.cc - controller number
+ * @param {number} [options.min=0] - value at CC 0
+ * @param {number} [options.max=127] - value at CC 127
+ * @returns {Function} target
+ */
+export function toParam(apply, { cc, min = 0, max = 127 } = {}) {
+  if (!Number.isInteger(cc) || cc < 0 || cc > 127) {
+    console.warn(`toParam: Invalid cc "${cc}". Ignoring.`);
+    return () => {};
+  }
+  return (event) => {
+    if (event.type !== "controlChange" || event.cc !== cc) return;
+    apply(min + (event.value / 127) * (max - min), event);
+  };
+}
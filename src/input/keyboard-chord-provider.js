@@ -0,0 +1,288 @@
+/**
+ * src/input/keyboard-chord-provider.js
+ *
+ * KeyboardChordProvider:
+ * - Listens to the notes played on a MIDI keyboard (through a
+ *   MidiInputRouter), detects the chord held (root, quality, inversion) with
+ *   @tonaljs/tonal Chord.detect, and publishes it to the ChordManager,
+ *   taking over as the authorized chord provider with the first chord
+ *   played. ChanceStepArp, SyncopatedBass and the melody patterns then
+ *   follow the player. dispose() hands the chord back.
+ * - Modes:
+ *     "hold"  - each key pressed makes the keys held the chord; it stays
+ *               after they are released, until the next key is pressed.
+ *     "latch" - every note pressed since all keys were up belongs to the
+ *               chord, even after its key is released.
+ * - Fewer than `minPitchClasses` (3) different notes are not a chord yet, so
+ *   rolling into one doesn't publish its first note and dyad on the way.
+ * - Changes can be quantized to the next step, beat, bar, phrase or N bars
+ *   through TransportManager.launch(); when the transport is stopped they
+ *   apply right away.
+ *
+ * Usage:
+ *   const keys = new KeyboardChordProvider(inputRouter, chordManager, {
+ *     transport,
+ *     channel: 1,
+ *     quantize: "bar",
+ *   });
+ *   keys.onChordChange((chord) => console.log(chord.name)); // "CM/E"
+ */
+
+import { Chord, Note } from "@tonaljs/tonal";
+import { LAUNCH_QUANTIZE_VALUES } from "../transport/transport-manager.js";
+
+export const CHORD_INPUT_MODES = ["hold", "latch"];
+
+/**
+ * Preferred chord qualities when Chord.detect() finds several readings of
+ * the same notes (e.g. E-G-C is "CM/E" rather than "Em#5").
+ */
+const QUALITY_RANK = { Major: 0, Minor: 0, Diminished: 1, Augmented: 3 };
+const UNKNOWN_QUALITY_RANK = 2;
+
+export class KeyboardChordProvider {
+  /**
+   * @param {import('./midi-input-router.js').MidiInputRouter} inputRouter
+   * @param {import('../chord-manager.js').ChordManager} chordManager
+   * @param {Object} [options]
+   * @param {Object|null} [options.transport=null] - TransportManager, for
+   *   quantized changes
+   * @param {string} [options.mode="hold"] - see CHORD_INPUT_MODES
+   * @param {string|number} [options.quantize="immediate"] - "immediate",
+   *   "step", "beat", "bar", "phrase" or N bars
+   * @param {string|null} [options.inputId=null] - only this input
+   * @param {number|null} [options.channel=null] - only this channel
+   * @param {string} [options.providerId="KeyboardChordProvider"]
+   * @param {number} [options.minPitchClasses=3] - different notes (octaves
+   *   aside) needed before the keys held replace the chord
+   */
+  constructor(
+    inputRouter,
+    chordManager,
+    {
+      transport = null,
+      mode = "hold",
+      quantize = "immediate",
+      inputId = null,
+      channel = null,
+      providerId = "KeyboardChordProvider",
+      minPitchClasses = 3,
+    } = {}
+  ) {
+    this.inputRouter = inputRouter;
+    this.chordManager = chordManager;
+    this.transport = transport;
+    this.providerId = providerId;
+    this.minPitchClasses = minPitchClasses;
+
+    this.mode = "hold";
+    this.setMode(mode);
+    this.quantize = "immediate";
+    this.setQuantize(quantize);
+
+    /**
+     * The chord last published, or null.
+     * @type {{ name: string|null, root: string, quality: string|null,
+     *   inversion: number|null, notes: string[] }|null}
+     */
+    this.currentChord = null;
+
+    /** @private "inputId_channel_note" -> note number of keys held down */
+    this._heldKeys = new Map();
+    /** @private Notes pressed since all keys were up (latch mode) */
+    this._gestureNotes = new Set();
+    /** @private Notes waiting for their quantized launch */
+    this._pendingNotes = null;
+    /** @private Callbacks registered with onChordChange() */
+    this._chordChangeCallbacks = [];
+    /** @private Set by dispose(), so a launch still queued does nothing */
+    this._disposed = false;
+    /**
+     * @private The provider authorized before the first chord played, given
+     * back by dispose(); undefined until then
+     */
+    this._previousProvider = undefined;
+
+    this._onInputEvent = this._onInputEvent.bind(this);
+    this.inputRouter.route(this._onInputEvent, {
+      inputId,
+      channel,
+      types: ["noteOn", "noteOff"],
+    });
+  }
+
+  /**
+   * @param {string} mode - "hold" or "latch"
+   */
+  setMode(mode) {
+    if (!CHORD_INPUT_MODES.includes(mode)) {
+      console.warn(
+        `KeyboardChordProvider: Unknown mode "${mode}". Keeping "${this.mode}".`
+      );
+      return;
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * @param {string|number} quantize - see the constructor; other values are
+   *   ignored with a warning
+   */
+  setQuantize(quantize) {
+    const valid =
+      LAUNCH_QUANTIZE_VALUES.includes(quantize) ||
+      (Number.isInteger(quantize) && quantize > 0);
+    if (!valid) {
+      console.warn(
+        `KeyboardChordProvider: Invalid quantize "${quantize}". Keeping "${this.quantize}".`
+      );
+      return;
+    }
+    this.quantize = quantize;
+  }
+
+  /**
+   * Register a callback for each published chord (see currentChord).
+   * @param {Function} callback
+   * @returns {KeyboardChordProvider} this, for chaining
+   */
+  onChordChange(callback) {
+    if (typeof callback === "function") {
+      this._chordChangeCallbacks.push(callback);
+    }
+    return this;
+  }
+
+  /**
+   * Stop listening to the keyboard. The last chord stays in the ChordManager,
+   * but the provider authorized before the keyboard took over (e.g. a chord
+   * pattern) is authorized again. A change still waiting for its quantized
+   * launch is dropped.
+   */
+  dispose() {
+    this._disposed = true;
+    this.inputRouter.removeRoute(this._onInputEvent);
+    this._heldKeys.clear();
+    this._gestureNotes.clear();
+    this._pendingNotes = null;
+
+    const stillAuthorized =
+      this.chordManager.getAuthorizedProvider() === this.providerId;
+    if (this._previousProvider !== undefined && stillAuthorized) {
+      this.chordManager.authorizeProvider(this._previousProvider);
+    }
+    this._previousProvider = undefined;
+  }
+
+  /**
+   * @private
+   */
+  _onInputEvent({ type, inputId, channel, note }) {
+    const key = `${inputId}_${channel}_${note}`;
+    // Releasing keys never changes the chord, so rolling off it keeps it
+    if (type !== "noteOn") {
+      this._heldKeys.delete(key);
+      return;
+    }
+    if (!this._heldKeys.size) this._gestureNotes.clear();
+    this._heldKeys.set(key, note);
+    this._gestureNotes.add(note);
+
+    const notes =
+      this.mode === "latch" ? this._gestureNotes : this._heldKeys.values();
+    const midiNotes = [...new Set(notes)].sort((a, b) => a - b);
+    // Keys still going down: keep the chord until there are enough of them
+    const pitchClasses = new Set(midiNotes.map((midi) => midi % 12));
+    if (pitchClasses.size < this.minPitchClasses) return;
+    this._queueChord(midiNotes);
+  }
+
+  /**
+   * Publish the notes now or at the next quantization boundary. Only the
+   * latest notes are published when several changes wait for one boundary.
+   * @private
+   */
+  _queueChord(midiNotes) {
+    const waiting = this._pendingNotes !== null;
+    this._pendingNotes = midiNotes;
+    if (waiting) return;
+
+    const publish = () => {
+      if (this._disposed) return;
+      const notes = this._pendingNotes;
+      this._pendingNotes = null;
+      this._publish(notes);
+    };
+    if (this.transport && this.quantize !== "immediate") {
+      this.transport.launch(publish, { quantize: this.quantize });
+    } else {
+      publish();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _publish(midiNotes) {
+    const notes = midiNotes.map((midi) => Note.fromMidiSharps(midi));
+    if (this.currentChord?.notes.join(",") === notes.join(",")) return;
+
+    const chord = detectChord(notes);
+    this.currentChord = chord;
+    const authorized = this.chordManager.getAuthorizedProvider();
+    if (authorized !== this.providerId) {
+      if (this._previousProvider === undefined) {
+        this._previousProvider = authorized;
+      }
+      this.chordManager.authorizeProvider(this.providerId);
+    }
+    this.chordManager.setCurrentChord(this.providerId, chord.root, notes);
+    this._chordChangeCallbacks.forEach((callback) => callback({ ...chord }));
+  }
+}
+
+/**
+ * Name the chord formed by notes (with octaves, lowest first). Without a
+ * recognized chord the lowest note is the root and the rest is null.
+ * @private
+ */
+function detectChord(notes) {
+  const pitchClasses = [...new Set(notes.map((n) => Note.pitchClass(n)))];
+  const readings = Chord.detect(pitchClasses).map((name) => {
+    const [symbol] = name.split("/");
+    return { name, chord: Chord.get(symbol) };
+  });
+  const rank = ({ chord }) =>
+    QUALITY_RANK[chord.quality] ?? UNKNOWN_QUALITY_RANK;
+  // Ties keep Chord.detect()'s order
+  const best = readings
+    .filter(({ chord }) => chord.tonic)
+    .reduce(
+      (found, reading) =>
+        found && rank(found) <= rank(reading) ? found : reading,
+      null
+    );
+  if (!best) {
+    return {
+      name: null,
+      root: notes[0],
+      quality: null,
+      inversion: null,
+      notes,
+    };
+  }
+
+  const { name, chord } = best;
+  const rootChroma = Note.chroma(chord.tonic);
+  const bassChroma = Note.chroma(notes[0]);
+  const inversion = chord.notes.findIndex(
+    (n) => Note.chroma(n) === bassChroma
+  );
+  return {
+    name,
+    root: notes.find((n) => Note.chroma(n) === rootChroma),
+    quality: chord.quality,
+    inversion: inversion >= 0 ? inversion : null,
+    notes,
+  };
+}
@@ -0,0 +1,220 @@
+/**
+ * src/input/learn-targets.js
+ *
+ * Parameters a MidiLearn can bind hardware controls to. Each factory returns
+ * learn targets, to pass to midiLearn.addTargets():
+ *
+ *   {
+ *     id: "Bass.transpose",    // what saved mappings refer to
+ *     type: "integer",         // "number", "integer", "toggle" or "choice"
+ *     min: -24, max: 24,       // "number" / "integer"
+ *     choices: [...],          // "choice"
+ *     get: () => value,        // current value, or null when unknown
+ *     set: (value) => {},
+ *   }
+ *
+ * Example:
+ *   midiLearn.addTargets([
+ *     ...loopTargets(bassLoop),         // Bass.mute, .transpose, .lfo0.*
+ *     ...energyTargets(energyManager),  // energy.hype, energy.tension
+ *     patternOptionTarget(bassLoop, "density"),
+ *     ...deviceParamTargets(bassLoop),  // Bass.device.cutoff, ...
+ *   ]);
+ */
+
+/**
+ * Mute, transpose and the LFOs of a LiveLoop.
+ *
+ * @param {LiveLoop} liveLoop
+ * @param {Object} [options]
+ * @param {string} [options.prefix=liveLoop.name]
+ * @param {number} [options.transposeRange=24] - semitones either way
+ * @param {number} [options.maxLfoFrequency=8]
+ * @returns {Array<Object>} targets "<prefix>.mute", "<prefix>.transpose" and
+ *   "<prefix>.lfo<index>.frequency" / ".amplitude"
+ */
+export function loopTargets(
+  liveLoop,
+  { prefix = liveLoop.name, transposeRange = 24, maxLfoFrequency = 8 } = {}
+) {
+  const lfoTargetList = (liveLoop.lfos || []).flatMap((lfo, index) =>
+    // Loops also take plain { update() } objects, which have no settings
+    typeof lfo.setFrequency === "function"
+      ? lfoTargets(lfo, {
+          prefix: `${prefix}.lfo${index}`,
+          maxFrequency: maxLfoFrequency,
+        })
+      : []
+  );
+  return [
+    {
+      id: `${prefix}.mute`,
+      type: "toggle",
+      get: () => liveLoop.muted,
+      set: (muted) => liveLoop.setMuted(muted),
+    },
+    {
+      id: `${prefix}.transpose`,
+      type: "integer",
+      min: -transposeRange,
+      max: transposeRange,
+      get: () => liveLoop.transpose,
+      set: (semitones) => liveLoop.setTranspose(semitones),
+    },
+    ...lfoTargetList,
+  ];
+}
+
+/**
+ * Frequency and amplitude of an LFO.
+ *
+ * @param {LFO} lfo
+ * @param {Object} [options]
+ * @param {string} [options.prefix="lfo"]
+ * @param {number} [options.maxFrequency=8]
+ * @returns {Array<Object>} targets "<prefix>.frequency", "<prefix>.amplitude"
+ */
+export function lfoTargets(lfo, { prefix = "lfo", maxFrequency = 8 } = {}) {
+  return [
+    {
+      id: `${prefix}.frequency`,
+      type: "number",
+      min: 0,
+      max: maxFrequency,
+      get: () => lfo.getFrequency(),
+      set: (frequency) => lfo.setFrequency(frequency),
+    },
+    {
+      id: `${prefix}.amplitude`,
+      type: "number",
+      min: 0,
+      max: 1,
+      get: () => lfo.getAmplitude(),
+      set: (amplitude) => lfo.setAmplitude(amplitude),
+    },
+  ];
+}
+
+/**
+ * Hype and tension levels of an EnergyManager.
+ *
+ * @param {EnergyManager} energyManager
+ * @param {Object} [options]
+ * @param {string} [options.prefix="energy"]
+ * @returns {Array<Object>} targets "<prefix>.hype", "<prefix>.tension"
+ */
+export function energyTargets(energyManager, { prefix = "energy" } = {}) {
+  return [
+    {
+      id: `${prefix}.hype`,
+      type: "choice",
+      choices: ["low", "medium", "high"],
+      get: () => energyManager.getHypeLevel(),
+      set: (level) => energyManager.setHypeLevel(level),
+    },
+    {
+      id: `${prefix}.tension`,
+      type: "choice",
+      choices: ["none", "low", "mid", "high"],
+      get: () => energyManager.getTensionLevel(),
+      set: (level) => energyManager.setTensionLevel(level),
+    },
+  ];
+}
+
+/**
+ * An option of a LiveLoop's pattern, e.g. SyncopatedBass "density". A change
+ * builds a new pattern from the current one's options (see toConfig()) and
+ * swaps it in right away, like the pattern config UIs do.
+ *
+ * @param {LiveLoop} liveLoop
+ * @param {string} option
+ * @param {Object} [options]
+ * @param {string} [options.id="<loop name>.pattern.<option>"]
+ * @param {string} [options.type="number"] - "number", "integer" or "choice"
+ * @param {number} [options.min=0]
+ * @param {number} [options.max=1]
+ * @param {Array} [options.choices] - for "choice"
+ * @returns {Object} target
+ */
+export function patternOptionTarget(
+  liveLoop,
+  option,
+  {
+    id = `${liveLoop.name}.pattern.${option}`,
+    type = "number",
+    min = 0,
+    max = 1,
+    choices,
+  } = {}
+) {
+  return {
+    id,
+    type,
+    min,
+    max,
+    choices,
+    get: () => liveLoop.pattern?.options?.[option] ?? null,
+    set: (value) => {
+      const pattern = liveLoop.pattern;
+      const PatternClass = pattern.constructor;
+      // Seeded patterns keep randomFn outside their options
+      const rebuilt = new PatternClass({
+        randomFn: pattern.randomFn,
+        ...pattern.options,
+        [option]: value,
+      });
+      liveLoop.setPattern(rebuilt, true);
+    },
+  };
+}
+
+/**
+ * Every param the LiveLoop's device knows on its channel (see
+ * DeviceDefinition.listCCParams()), as 0..127 values sent with
+ * liveLoop.setParam(). Devices don't report their values, so these start
+ * out unknown.
+ *
+ * @param {LiveLoop} liveLoop
+ * @param {Object} [options]
+ * @param {string} [options.prefix="<loop name>.device"]
+ * @returns {Array<Object>} targets "<prefix>.<param>"
+ */
+export function deviceParamTargets(
+  liveLoop,
+  { prefix = `${liveLoop.name}.device` } = {}
+) {
+  const device = liveLoop.device;
+  if (!device) return [];
+  return device
+    .listCCParams(liveLoop.midiChannel)
+    .map(({ name }) => deviceParamTarget(liveLoop, name, { prefix }));
+}
+
+/**
+ * One device param, sent with liveLoop.setParam().
+ *
+ * @param {LiveLoop} liveLoop
+ * @param {string} paramName - e.g. "cutoff"
+ * @param {Object} [options]
+ * @param {string} [options.prefix="<loop name>.device"]
+ * @returns {Object} target "<prefix>.<paramName>"
+ */
+export function deviceParamTarget(
+  liveLoop,
+  paramName,
+  { prefix = `${liveLoop.name}.device` } = {}
+) {
+  let lastSent = null;
+  return {
+    id: `${prefix}.${paramName}`,
+    type: "integer",
+    min: 0,
+    max: 127,
+    get: () => lastSent,
+    set: (value) => {
+      lastSent = value;
+      liveLoop.setParam(paramName, value);
+    },
+  };
+}
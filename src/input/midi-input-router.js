@@ -0,0 +1,235 @@
+/**
+ * src/input/midi-input-router.js
+ *
+ * Turns incoming MIDI (the "midiMessage" events relayed from inputs onto the
+ * MidiBus) into typed input events and routes them to targets, so a keyboard
+ * player can steer the generative parts live.
+ *
+ * Input events look like the bus payloads, plus where they came from:
+ *   { type: "noteOn", channel, note, velocity, inputId, time }
+ *   { type: "noteOff", channel, note, velocity, inputId, time }
+ *   { type: "controlChange", channel, cc, value, inputId, time }
+ *   { type: "pitchBend", channel, value, inputId, time }   // -8192..8191
+ *   { type: "aftertouch", channel, pressure, inputId, time }
+ *   { type: "polyAftertouch", channel, note, pressure, inputId, time }
+ *   { type: "programChange", channel, program, inputId, time }
+ * A noteOn with velocity 0 arrives as a noteOff. Clock and other system
+ * messages are left to the TransportManager.
+ *
+ * Example:
+ *   const router = new MidiInputRouter(midiBus, { inputIds: [keys.id] });
+ *   router.route(thruToLoop(leadLoop), { types: ["noteOn", "noteOff"] });
+ *   router.on("controlChange", (event) => console.log(event.cc, event.value));
+ *
+ * Ready-made targets are in input-targets.js.
+ */
+
+/** Channel voice message types by status nibble. */
+const STATUS_TYPES = {
+  0x80: "noteOff",
+  0x90: "noteOn",
+  0xa0: "polyAftertouch",
+  0xb0: "controlChange",
+  0xc0: "programChange",
+  0xd0: "aftertouch",
+  0xe0: "pitchBend",
+};
+
+export const INPUT_EVENT_TYPES = Object.values(STATUS_TYPES);
+
+export class MidiInputRouter {
+  /**
+   * @param {MidiBus} midiBus - carries the "midiMessage" events from inputs
+   * @param {Object} [options]
+   * @param {string[]|null} [options.inputIds=null] - inputs to listen to;
+   *   null for all of them
+   */
+  constructor(midiBus, { inputIds = null } = {}) {
+    /** @private */
+    this.midiBus = midiBus;
+
+    /** @private Selected input ids, or null for all */
+    this._inputIds = null;
+    this.setInputs(inputIds);
+
+    /**
+     * { target, inputId, channel, types }, in the order they were added.
+     * @private
+     */
+    this._routes = [];
+
+    /** @private Subscribers by input event type, see on() */
+    this._listeners = {};
+
+    this._onMidiMessage = this._onMidiMessage.bind(this);
+    this.midiBus.on("midiMessage", this._onMidiMessage);
+  }
+
+  /**
+   * Choose which inputs are listened to. Messages relayed without an
+   * `inputId` are only accepted when listening to all inputs.
+   * @param {string[]|null} inputIds - null for all inputs
+   */
+  setInputs(inputIds) {
+    if (inputIds !== null && !Array.isArray(inputIds)) {
+      console.warn("MidiInputRouter: inputIds must be an array or null.");
+      return;
+    }
+    this._inputIds = inputIds ? [...inputIds] : null;
+  }
+
+  /**
+   * @returns {string[]|null} the selected input ids, null for all
+   */
+  getInputs() {
+    return this._inputIds ? [...this._inputIds] : null;
+  }
+
+  /**
+   * Send matching input events to a target. Targets are called in the order
+   * they were routed.
+   *
+   * @param {Function} target - (inputEvent) => void, e.g. from
+   *   input-targets.js. An optional `target.release()` is called when the
+   *   route is removed (e.g. to end notes played through).
+   * @param {Object} [scope] - only events matching all of these
+   * @param {string|null} [scope.inputId=null]
+   * @param {number|null} [scope.channel=null]
+   * @param {string[]|null} [scope.types=null] - e.g. ["noteOn", "noteOff"]
+   * @returns {Function} the target, for removeRoute()
+   */
+  route(target, { inputId = null, channel = null, types = null } = {}) {
+    if (typeof target !== "function") {
+      console.warn("MidiInputRouter: A route target must be a function.");
+      return target;
+    }
+    this._routes.push({ target, inputId, channel, types });
+    return target;
+  }
+
+  /**
+   * Remove a target added with route().
+   * @param {Function} target
+   */
+  removeRoute(target) {
+    const removed = this._routes.filter((route) => route.target === target);
+    this._routes = this._routes.filter((route) => route.target !== target);
+    if (removed.length) target.release?.();
+  }
+
+  /**
+   * Remove every route.
+   */
+  clearRoutes() {
+    const targets = new Set(this._routes.map(({ target }) => target));
+    this._routes = [];
+    targets.forEach((target) => target.release?.());
+  }
+
+  /**
+   * @returns {Array<Object>} copies of { target, inputId, channel, types }
+   */
+  getRoutes() {
+    return this._routes.map((route) => ({ ...route }));
+  }
+
+  /**
+   * Subscribe to one type of input event (see INPUT_EVENT_TYPES), from the
+   * selected inputs.
+   * @param {string} eventName
+   * @param {Function} callback
+   */
+  on(eventName, callback) {
+    if (!this._listeners[eventName]) {
+      this._listeners[eventName] = [];
+    }
+    this._listeners[eventName].push(callback);
+  }
+
+  /**
+   * @param {string} eventName
+   * @param {Function} callback
+   */
+  off(eventName, callback) {
+    if (!this._listeners[eventName]) return;
+    this._listeners[eventName] = this._listeners[eventName].filter(
+      (cb) => cb !== callback
+    );
+  }
+
+  /**
+   * Stop listening and remove every route.
+   */
+  dispose() {
+    this.midiBus.off("midiMessage", this._onMidiMessage);
+    this.clearRoutes();
+    this._listeners = {};
+  }
+
+  /**
+   * @private
+   */
+  _onMidiMessage(message) {
+    const inputId = message?.inputId ?? null;
+    if (this._inputIds && !this._inputIds.includes(inputId)) return;
+
+    const event = parseMessage(message?.data);
+    if (!event) return;
+    event.inputId = inputId;
+    event.time = message.timeStamp ?? null;
+
+    (this._listeners[event.type] || []).forEach((cb) => cb({ ...event }));
+    for (const route of this._routes) {
+      if (!routeMatches(route, event)) continue;
+      try {
+        route.target({ ...event });
+      } catch (error) {
+        console.warn("MidiInputRouter: Route target failed.", error);
+      }
+    }
+  }
+}
+
+/**
+ * Parse a channel voice message, or null for anything else.
+ * @private
+ */
+function parseMessage(data) {
+  if (!data || data.length < 2) return null;
+  const type = STATUS_TYPES[data[0] & 0xf0];
+  if (!type) return null;
+
+  const channel = (data[0] & 0x0f) + 1;
+  const [, data1, data2 = 0] = data;
+  switch (type) {
+    case "noteOn":
+      if (data2 === 0) {
+        return { type: "noteOff", channel, note: data1, velocity: 0 };
+      }
+      return { type, channel, note: data1, velocity: data2 };
+    case "noteOff":
+      return { type, channel, note: data1, velocity: data2 };
+    case "polyAftertouch":
+      return { type, channel, note: data1, pressure: data2 };
+    case "controlChange":
+      return { type, channel, cc: data1, value: data2 };
+    case "programChange":
+      return { type, channel, program: data1 };
+    case "aftertouch":
+      return { type, channel, pressure: data1 };
+    default:
+      // pitchBend: 14-bit, centred on 0
+      return { type, channel, value: ((data2 << 7) | data1) - 8192 };
+  }
+}
+
+/**
+ * @private
+ */
+function routeMatches({ inputId, channel, types }, event) {
+  return (
+    (inputId === null || event.inputId === inputId) &&
+    (channel === null || event.channel === channel) &&
+    (types === null || types.includes(event.type))
+  );
+}
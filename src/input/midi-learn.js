@@ -0,0 +1,526 @@
+/**
+ * src/input/midi-learn.js
+ *
+ * MIDI Learn: bind hardware knobs, faders and buttons to TonicMIDI
+ * parameters. Targets (see learn-targets.js) are registered by id; a mapping
+ * ties one controller (input, channel, CC) to a target id, so mappings can be
+ * saved to a file and loaded in the next session.
+ *
+ * Mapping modes:
+ *   "absolute"       - the control sets the value directly (knobs, faders)
+ *   "pickup"         - soft takeover: the control takes over only once it
+ *                      reaches the current value, so nothing jumps when the
+ *                      knob and the parameter disagree
+ *   "toggle"         - each press (value > 0) flips between min and max,
+ *                      e.g. a momentary button muting a loop
+ *   "relative"       - endless encoder, two's complement (1 = +1, 127 = -1)
+ *   "relativeOffset" - endless encoder, binary offset (65 = +1, 63 = -1)
+ *   "relativeSigned" - endless encoder, sign bit (1 = +1, 65 = -1)
+ *
+ * Values are scaled into the mapping's min..max (the target's range by
+ * default); `invert` flips the control.
+ *
+ * Example:
+ *   const learn = new MidiLearn(inputRouter);
+ *   learn.addTargets(loopTargets(bassLoop));
+ *   learn.learn("Bass.transpose", { mode: "pickup", min: -12, max: 12 });
+ *   // ... turn a knob: it now transposes the bass
+ *   localStorage.midiLearn = JSON.stringify(learn);
+ *   learn.loadMappings(localStorage.midiLearn); // next session
+ */
+
+export const MIDI_LEARN_MODES = [
+  "absolute",
+  "pickup",
+  "toggle",
+  "relative",
+  "relativeOffset",
+  "relativeSigned",
+];
+
+export const TARGET_TYPES = ["number", "integer", "toggle", "choice"];
+
+/** Version written to mapping files. */
+const MAPPING_FILE_VERSION = 1;
+
+/** How close (0..1) a "pickup" control must get to take over. */
+const PICKUP_TOLERANCE = 2 / 127;
+
+export class MidiLearn {
+  /**
+   * @param {MidiInputRouter} inputRouter - controllers arrive from here
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.targets=[]] - see learn-targets.js
+   * @param {Object} [options.scope] - route scope, e.g. { inputId }
+   */
+  constructor(inputRouter, { targets = [], scope = {} } = {}) {
+    /** @private */
+    this.inputRouter = inputRouter;
+
+    /** @private Targets by id */
+    this._targets = new Map();
+    /** @private { mapping, state } in the order they were made */
+    this._entries = [];
+    /** @private { targetId, options } while learning, else null */
+    this._learning = null;
+    /** @private Subscribers by event name, see on() */
+    this._listeners = {};
+
+    this.addTargets(targets);
+
+    this._onInputEvent = this._onInputEvent.bind(this);
+    this.inputRouter.route(this._onInputEvent, {
+      ...scope,
+      types: ["controlChange"],
+    });
+  }
+
+  // ----------------------------------------------------------------------
+  // Targets
+  // ----------------------------------------------------------------------
+
+  /**
+   * Register a learnable parameter. A target with the same id is replaced.
+   * @param {Object} target - see learn-targets.js
+   */
+  addTarget(target) {
+    const { id, type, get, set } = target || {};
+    if (typeof id !== "string" || !TARGET_TYPES.includes(type)) {
+      console.warn(
+        `MidiLearn: Invalid target "${id}" of type "${type}". Ignoring.`
+      );
+      return;
+    }
+    if (typeof get !== "function" || typeof set !== "function") {
+      console.warn(`MidiLearn: Target "${id}" needs get() and set().`);
+      return;
+    }
+    this._targets.set(id, target);
+  }
+
+  /**
+   * @param {Array<Object>} targets
+   */
+  addTargets(targets) {
+    targets.forEach((target) => this.addTarget(target));
+  }
+
+  /**
+   * Unregister a target. Its mappings are kept for when it comes back.
+   * @param {string} id
+   */
+  removeTarget(id) {
+    this._targets.delete(id);
+  }
+
+  /**
+   * @returns {string[]} registered target ids
+   */
+  getTargetIds() {
+    return [...this._targets.keys()];
+  }
+
+  // ----------------------------------------------------------------------
+  // Learning and mappings
+  // ----------------------------------------------------------------------
+
+  /**
+   * Bind the next controller moved to a target. Any mapping of that
+   * controller is replaced.
+   *
+   * @param {string} targetId
+   * @param {Object} [options] - mapping options, see map()
+   */
+  learn(targetId, options = {}) {
+    if (!this._targets.has(targetId)) {
+      console.warn(`MidiLearn: Unknown target "${targetId}".`);
+      return;
+    }
+    this._learning = { targetId, options };
+  }
+
+  /**
+   * Stop waiting for a controller.
+   */
+  cancelLearn() {
+    this._learning = null;
+  }
+
+  /**
+   * @returns {string|null} the target waiting for a controller
+   */
+  getLearningTarget() {
+    return this._learning?.targetId ?? null;
+  }
+
+  /**
+   * Bind a controller to a target. The target doesn't have to be registered
+   * yet; the mapping is used once it is.
+   *
+   * @param {string} targetId
+   * @param {Object} options
+   * @param {number} options.cc - controller number
+   * @param {number|null} [options.channel=null] - null for any channel
+   * @param {string|null} [options.inputId=null] - null for any input
+   * @param {string} [options.mode="absolute"] - see MIDI_LEARN_MODES
+   * @param {number|null} [options.min=null] - lowest value, in the target's
+   *   units; null for the target's min ("number"/"integer" targets)
+   * @param {number|null} [options.max=null] - highest value, likewise
+   * @param {boolean} [options.invert=false] - flip the control
+   * @param {number} [options.sensitivity=1] - relative modes: a full sweep
+   *   takes 127 / sensitivity encoder steps
+   * @returns {Object|null} a copy of the mapping, or null if invalid
+   */
+  map(
+    targetId,
+    {
+      cc,
+      channel = null,
+      inputId = null,
+      mode = "absolute",
+      min = null,
+      max = null,
+      invert = false,
+      sensitivity = 1,
+    } = {}
+  ) {
+    if (typeof targetId !== "string") {
+      console.warn(`MidiLearn: Invalid target id "${targetId}".`);
+      return null;
+    }
+    if (!Number.isInteger(cc) || cc < 0 || cc > 127) {
+      console.warn(`MidiLearn: Invalid cc "${cc}" for "${targetId}".`);
+      return null;
+    }
+    if (!MIDI_LEARN_MODES.includes(mode)) {
+      console.warn(`MidiLearn: Unknown mode "${mode}" for "${targetId}".`);
+      return null;
+    }
+    const mapping = {
+      targetId,
+      inputId,
+      channel,
+      cc,
+      mode,
+      min,
+      max,
+      invert,
+      sensitivity,
+    };
+    this._entries = this._entries.filter(
+      ({ mapping: other }) =>
+        other.cc !== cc ||
+        other.channel !== channel ||
+        other.inputId !== inputId
+    );
+    this._entries.push({ mapping, state: newState() });
+    return { ...mapping };
+  }
+
+  /**
+   * Remove every mapping of a target.
+   * @param {string} targetId
+   */
+  unmap(targetId) {
+    this._entries = this._entries.filter(
+      ({ mapping }) => mapping.targetId !== targetId
+    );
+  }
+
+  /**
+   * Remove every mapping.
+   */
+  clearMappings() {
+    this._entries = [];
+  }
+
+  /**
+   * @returns {Array<Object>} copies of the mappings, see map()
+   */
+  getMappings() {
+    return this._entries.map(({ mapping }) => ({ ...mapping }));
+  }
+
+  // ----------------------------------------------------------------------
+  // Mapping files
+  // ----------------------------------------------------------------------
+
+  /**
+   * The mappings as a plain object, for JSON.stringify(midiLearn).
+   * @returns {{ version: number, mappings: Array<Object> }}
+   */
+  toJSON() {
+    return { version: MAPPING_FILE_VERSION, mappings: this.getMappings() };
+  }
+
+  /**
+   * Load mappings saved with toJSON(), replacing the current ones. Invalid
+   * entries are skipped with a warning.
+   * @param {string|Object} file - JSON text or the parsed object
+   * @returns {number} mappings loaded
+   */
+  loadMappings(file) {
+    let data = file;
+    if (typeof file === "string") {
+      try {
+        data = JSON.parse(file);
+      } catch (error) {
+        console.warn("MidiLearn: Mapping file is not valid JSON.", error);
+        return 0;
+      }
+    }
+    if (!Array.isArray(data?.mappings)) {
+      console.warn("MidiLearn: Mapping file has no mappings. Ignoring.");
+      return 0;
+    }
+    this.clearMappings();
+    return data.mappings.filter((entry) =>
+      this.map(entry?.targetId, entry ?? {})
+    ).length;
+  }
+
+  /**
+   * Browser helper: save the mappings as a .json file.
+   * @param {string} [filename="midi-learn.json"]
+   */
+  download(filename = "midi-learn.json") {
+    if (typeof document === "undefined") {
+      console.warn("MidiLearn: download() is only available in a browser.");
+      return;
+    }
+    const blob = new Blob([JSON.stringify(this, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // ----------------------------------------------------------------------
+  // Events
+  // ----------------------------------------------------------------------
+
+  /**
+   * Subscribe to "learn" ({ mapping }) when a controller is bound, or
+   * "change" ({ targetId, value, mapping }) when a control sets a target.
+   * @param {string} eventName
+   * @param {Function} callback
+   */
+  on(eventName, callback) {
+    if (!this._listeners[eventName]) {
+      this._listeners[eventName] = [];
+    }
+    this._listeners[eventName].push(callback);
+  }
+
+  /**
+   * @param {string} eventName
+   * @param {Function} callback
+   */
+  off(eventName, callback) {
+    if (!this._listeners[eventName]) return;
+    this._listeners[eventName] = this._listeners[eventName].filter(
+      (cb) => cb !== callback
+    );
+  }
+
+  /**
+   * Stop listening to the input router.
+   */
+  dispose() {
+    this.inputRouter.removeRoute(this._onInputEvent);
+    this._learning = null;
+    this._listeners = {};
+  }
+
+  /**
+   * @private
+   */
+  _emit(eventName, data) {
+    (this._listeners[eventName] || []).forEach((cb) => cb(data));
+  }
+
+  // ----------------------------------------------------------------------
+  // Incoming controllers
+  // ----------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  _onInputEvent({ inputId, channel, cc, value }) {
+    if (this._learning) {
+      const { targetId, options } = this._learning;
+      this._learning = null;
+      const mapping = this.map(targetId, {
+        ...options,
+        inputId,
+        channel,
+        cc,
+      });
+      if (mapping) this._emit("learn", { mapping });
+      return;
+    }
+
+    for (const entry of this._entries) {
+      const { mapping } = entry;
+      if (
+        mapping.cc !== cc ||
+        (mapping.channel !== null && mapping.channel !== channel) ||
+        (mapping.inputId !== null && mapping.inputId !== inputId)
+      ) {
+        continue;
+      }
+      const target = this._targets.get(mapping.targetId);
+      if (target) this._apply(target, entry, value);
+    }
+  }
+
+  /**
+   * Move a target from one controller value.
+   * @private
+   */
+  _apply(target, { mapping, state }, ccValue) {
+    const current = target.get();
+    // Someone else changed the target since we last set it
+    const changedElsewhere = current !== state.lastValue;
+    const knob = knobPosition(target, mapping, current);
+
+    let position;
+    switch (mapping.mode) {
+      case "absolute":
+      case "pickup": {
+        position = ccValue / 127;
+        if (mapping.invert) position = 1 - position;
+        if (mapping.mode === "pickup") {
+          if (changedElsewhere) state.pickedUp = false;
+          const previous = state.lastPosition;
+          state.lastPosition = position;
+          if (!state.pickedUp && knob !== null) {
+            const crossed =
+              previous !== null && (previous - knob) * (position - knob) <= 0;
+            const reached =
+              crossed || Math.abs(position - knob) <= PICKUP_TOLERANCE;
+            if (!reached) return;
+          }
+          state.pickedUp = true;
+        }
+        break;
+      }
+      case "toggle":
+        if (ccValue === 0) return;
+        position = (knob ?? 0) >= 0.5 ? 0 : 1;
+        break;
+      default: {
+        let steps = decodeRelative(mapping.mode, ccValue);
+        if (mapping.invert) steps = -steps;
+        if (changedElsewhere || state.position === null) {
+          state.position = knob ?? 0;
+        }
+        position =
+          target.type === "toggle"
+            ? Number(steps > 0)
+            : state.position + (steps * mapping.sensitivity) / 127;
+        position = Math.max(0, Math.min(1, position));
+        state.position = position;
+      }
+    }
+
+    const value = targetValue(target, mapping, position);
+    if (value !== current) target.set(value);
+    state.lastValue = target.get();
+    this._emit("change", {
+      targetId: mapping.targetId,
+      value: state.lastValue,
+      mapping: { ...mapping },
+    });
+  }
+}
+
+/**
+ * Per-mapping memory of what the control last did.
+ * @private
+ */
+function newState() {
+  return {
+    lastValue: undefined, // target value after we last set it
+    lastPosition: null, // pickup: previous control position
+    pickedUp: false,
+    position: null, // relative: unrounded control position
+  };
+}
+
+/**
+ * The target's range as [low, high] in 0..1 of its full range, narrowed by
+ * the mapping's min/max.
+ * @private
+ */
+function mappingSpan(target, mapping) {
+  if (target.type !== "number" && target.type !== "integer") return [0, 1];
+  const range = target.max - target.min;
+  const toUnit = (value, fallback) =>
+    value === null || value === undefined || range === 0
+      ? fallback
+      : (value - target.min) / range;
+  return [toUnit(mapping.min, 0), toUnit(mapping.max, 1)];
+}
+
+/**
+ * Where a value sits on the control (0..1), or null when it is unknown.
+ * @private
+ */
+function knobPosition(target, mapping, value) {
+  let unit;
+  if (value === null || value === undefined) return null;
+  if (target.type === "toggle") {
+    unit = value ? 1 : 0;
+  } else if (target.type === "choice") {
+    const index = target.choices.indexOf(value);
+    if (index < 0) return null;
+    unit = target.choices.length > 1 ? index / (target.choices.length - 1) : 0;
+  } else {
+    const range = target.max - target.min;
+    unit = range === 0 ? 0 : (value - target.min) / range;
+  }
+  const [low, high] = mappingSpan(target, mapping);
+  if (high === low) return 0;
+  return Math.max(0, Math.min(1, (unit - low) / (high - low)));
+}
+
+/**
+ * The target value at a control position (0..1).
+ * @private
+ */
+function targetValue(target, mapping, position) {
+  const [low, high] = mappingSpan(target, mapping);
+  const unit = low + position * (high - low);
+  switch (target.type) {
+    case "toggle":
+      return unit >= 0.5;
+    case "choice":
+      return target.choices[Math.round(unit * (target.choices.length - 1))];
+    case "integer":
+      // + 0 turns a rounded -0 into 0
+      return Math.round(target.min + unit * (target.max - target.min)) + 0;
+    default:
+      return target.min + unit * (target.max - target.min);
+  }
+}
+
+/**
+ * Encoder steps (+/-) from a relative controller value.
+ * @private
+ */
+function decodeRelative(mode, value) {
+  switch (mode) {
+    case "relativeOffset":
+      return value - 64;
+    case "relativeSigned":
+      return value & 0x40 ? -(value & 0x3f) : value & 0x3f;
+    default:
+      // Two's complement
+      return value < 64 ? value : value - 128;
+  }
+}
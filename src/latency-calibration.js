@@ -0,0 +1,111 @@
+// latency-calibration.js
+/**
+ * Measures MIDI round-trip time through a loopback: a message sent on a Web
+ * MIDI output is expected to come back on an input (a cable from the
+ * device's MIDI out back to the computer, or a device that echoes / thrus).
+ *
+ * Usage:
+ *   const result = await measureRoundTripLatency(output, input);
+ *   // => { roundTripMs: 9.8, samples: [9.6, 9.8, 10.1, ...] } or null
+ *
+ * DeviceManager.calibrateLatency() uses this to set an output's offset.
+ */
+
+/**
+ * Ping the loopback a few times with a quiet note and return the median
+ * round-trip time. Samples that never come back (timeout) are skipped.
+ *
+ * @param {MIDIOutput} output - must support send(data, timestamp)
+ * @param {MIDIInput} input - must support add/removeEventListener("midimessage")
+ * @param {Object} [options]
+ * @param {number} [options.channel=16] - 1-based channel used for the ping
+ * @param {number} [options.note=0] - note number used for the ping
+ * @param {number} [options.samples=5] - how many pings to send
+ * @param {number} [options.timeoutMs=500] - give up on a ping after this long
+ * @returns {Promise<{roundTripMs: number, samples: number[]}|null>}
+ *   null if no ping came back at all.
+ */
+export async function measureRoundTripLatency(
+  output,
+  input,
+  { channel = 16, note = 0, samples = 5, timeoutMs = 500 } = {}
+) {
+  const results = [];
+  for (let i = 0; i < samples; i++) {
+    const roundTrip = await pingOnce(output, input, {
+      channel,
+      note,
+      timeoutMs,
+    });
+    if (roundTrip !== null) {
+      results.push(roundTrip);
+    }
+  }
+
+  if (!results.length) {
+    console.warn(
+      "measureRoundTripLatency: No response on the loopback input. Check the cable/thru."
+    );
+    return null;
+  }
+
+  const sorted = [...results].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const roundTripMs =
+    sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return { roundTripMs, samples: results };
+}
+
+/**
+ * Send one Note On + Note Off and resolve with the time until the Note On
+ * shows up on the input, or null on timeout.
+ * @private
+ */
+function pingOnce(output, input, { channel, note, timeoutMs }) {
+  const channelBits = (channel - 1) & 0x0f;
+
+  return new Promise((resolve) => {
+    let sentAt = null;
+    let timer = null;
+
+    const onMessage = (evt) => {
+      const [status, data1] = evt.data || [];
+      if (
+        sentAt === null ||
+        (status & 0xf0) !== 0x90 ||
+        (status & 0x0f) !== channelBits ||
+        data1 !== note
+      ) {
+        return;
+      }
+      const receivedAt = evt.timeStamp ?? now();
+      cleanup();
+      resolve(receivedAt - sentAt);
+    };
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      input.removeEventListener("midimessage", onMessage);
+    };
+
+    input.addEventListener("midimessage", onMessage);
+    timer = setTimeout(() => {
+      cleanup();
+      resolve(null);
+    }, timeoutMs);
+
+    sentAt = now();
+    output.send([0x90 | channelBits, note, 1], 0);
+    output.send([0x80 | channelBits, note, 0], 0);
+  });
+}
+
+/**
+ * @private
+ */
+function now() {
+  if (typeof performance !== "undefined" && performance.now) {
+    return performance.now();
+  }
+  return Date.now();
+}
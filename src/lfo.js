@@ -50,7 +50,9 @@ export class LFO {
    * @property {string|null} [targetParam=null]
    *   If this LFO is used with a deviceDefinition or LiveLoop that interprets
    *   `targetParam`, the wave can be mapped to a specific CC parameter name, e.g.,
-   *   "filterCutoff". If null, the LFO output is purely numeric.
+   *   "filterCutoff". If null, the LFO output is purely numeric. A LiveLoop
+   *   also knows "notePitchBend", "notePressure" and "noteTimbre", which
+   *   modulate each of its sounding notes (per-note expression, e.g. MPE).
    * @property {number} [minCcValue=0]
    *   When `targetParam` is set, the wave's minimum will map to this CC value.
    * @property {number} [maxCcValue=127]
@@ -99,6 +101,13 @@ export class LFO {
      */
     this.phase = phase;
 
+    /**
+     * @private
+     * The phase at absoluteTime = 0, so `syncToTime()` can re-derive the phase
+     * for any position on the timeline.
+     */
+    this._initialPhase = phase;
+
     /**
      * @private
      * Tracks the previous absolute time (in whatever units) used in
@@ -179,6 +188,26 @@ export class LFO {
     return this.update(deltaTime);
   }
 
+  /**
+   * Jump the oscillator to where it would be at `absoluteTime` had it been
+   * running continuously from time 0 (e.g. after a Song Position Pointer).
+   * The next `updateContinuousTime()` call continues from here without a jump.
+   *
+   * @param {number} absoluteTime
+   *   Position on the timeline, in the same units as `frequency` (e.g. beats).
+   */
+  syncToTime(absoluteTime) {
+    const cycles = this.frequency * absoluteTime;
+    if (this.useRadians) {
+      this.phase = (this._initialPhase + cycles * 2 * Math.PI) % (2 * Math.PI);
+      if (this.phase < 0) this.phase += 2 * Math.PI;
+    } else {
+      this.phase = (this._initialPhase + cycles) % 1.0;
+      if (this.phase < 0) this.phase += 1.0;
+    }
+    this.lastAbsoluteTime = absoluteTime;
+  }
+
   /**
    * Reset the oscillator's phase (and clears any memory of absolute time).
    *
@@ -56,7 +56,10 @@
  * myLoop.setTranspose(2); // shift up by 2 semitones
  * myLoop.setPattern(someOtherPattern, false); // queue new pattern for next cycle
  *
- * // 7) Chaining Mode Example:
+ * // 7) Half-speed pad (one step per 8th) against 16th hats:
+ * const pad = new LiveLoop(midiBus, { pattern: padPattern, rate: 1 / 2 });
+ *
+ * // 8) Chaining Mode Example:
  * //    Provide 'cycles' to the constructor, then chain more sub-loops.
  * const chainLoop = new LiveLoop(midiBus, {
  *   pattern: patternA,
@@ -70,6 +73,19 @@
  * ```
  */
 
+/** Tolerance when mapping fractional transport positions to local steps. */
+const RATE_EPSILON = 1e-9;
+
+/**
+ * LFO targetParams that modulate each of the loop's sounding notes (see
+ * MidiBus.noteExpression()), mapped to the expression they set.
+ */
+const NOTE_EXPRESSION_TARGETS = {
+  notePitchBend: "pitchBend",
+  notePressure: "pressure",
+  noteTimbre: "timbre",
+};
+
 export class LiveLoop {
   /**
    * @typedef {Object} LiveLoopOptions
@@ -105,6 +121,21 @@ export class LiveLoop {
    *   "chordProvider" for the pattern that sets the chord
    *   "kickProvider" for the pattern that sets the kick
    *   null (or some other string) for all other patterns
+   * @property {number} [rate=1]
+   *   Clock divider/multiplier relative to the transport's steps, e.g. 1/4
+   *   (one step per beat with 16th-note transport steps), 1/2, 2 or 3/2.
+   *   With a rate other than 1 the loop keeps its own local step counter,
+   *   which its pattern, note durations, queued changes and chain see.
+   * @property {boolean|object} [groove=true]
+   *   true follows the TransportManager's groove/swing, false plays straight,
+   *   a Groove instance swings this loop with its own template.
+   * @property {string[]} [provides=[]]
+   *   What this loop's pattern publishes for others, e.g. ["root"]. The
+   *   TransportManager ticks providers before their consumers. The roles
+   *   "chordProvider" and "kickProvider" provide "chord" and "kick".
+   * @property {string[]|null} [consumes=null]
+   *   What this loop's pattern reads from others, e.g. ["chord", "root"].
+   *   null reads the built-in "kick" and "chord".
    */
 
   /**
@@ -158,6 +189,10 @@ export class LiveLoop {
       // Chain mode
       cycles = null,
       role = null,
+      rate = 1,
+      groove = true,
+      provides = [],
+      consumes = null,
     } = {}
   ) {
     /** @private */
@@ -194,6 +229,24 @@ export class LiveLoop {
     /** @type {string|null} */
     this.role = role;
 
+    /** @type {number} */
+    this.rate = 1;
+    this.setRate(rate);
+
+    /** @type {boolean|object} */
+    this.groove = groove;
+
+    /** @type {string[]} */
+    this.provides = provides;
+
+    /** @type {string[]|null} */
+    this.consumes = consumes;
+
+    /** @private Last local step ticked through tickAtPosition() */
+    this._localStep = -1;
+    /** @private Transport position (in steps) of the last tickAtPosition() */
+    this._lastPosition = null;
+
     /** @private */
     this.changeQueue = [];
 
@@ -231,6 +284,8 @@ export class LiveLoop {
     this._cyclesSoFar = 0;
     /** @private */
     this._onChainComplete = null;
+    /** @private True if the loop was muted because its chain finished */
+    this._chainMuted = false;
 
     // If constructor had cycles, start chaining with the initial pattern
     if (typeof cycles === "number" && cycles > 0) {
@@ -292,6 +347,8 @@ export class LiveLoop {
   // ----------------------------------------------------------------------
   /**
    * Sends a CC for the given paramName if the device supports it.
+   * Params the device maps to a 14-bit CC, NRPN or RPN are sent at full
+   * resolution, scaled from 0..127.
    * @param {string} paramName
    * @param {number} value - 0..127
    */
@@ -299,14 +356,9 @@ export class LiveLoop {
     const dev = this.device; // from the new getter
     if (!dev) return;
 
-    const ccNum = dev.getCC(paramName);
-    if (ccNum !== null) {
-      this.midiBus.controlChange({
-        outputId: this._midiOutputId, // <-- added
-        channel: this.midiChannel,
-        cc: ccNum,
-        value,
-      });
+    const mapping = this._getParamMapping(dev, paramName);
+    if (mapping) {
+      this._sendParam(mapping, value);
     }
   }
 
@@ -440,69 +492,8 @@ export class LiveLoop {
       ? this.pattern.getNotes(stepIndex, effectiveContext)
       : [];
 
-    // 4) Start new notes (noteOn)
-    if (notes && notes.length) {
-      for (const noteObj of notes) {
-        let midiNote = this._convertNoteNameToMidi(noteObj.note);
-        midiNote += this.transpose; // semitone shift
-        midiNote = Math.max(0, Math.min(127, midiNote)); // clamp
-
-        const duration = noteObj.durationSteps ?? 1;
-        const endStep = stepIndex + duration;
-        const velocity = noteObj.velocity ?? 100;
-
-        // If a note is re-triggered, noteOff the old one first
-        const existingIdx = this.activeNotes.findIndex(
-          (n) => n.channel === this.midiChannel && n.note === midiNote
-        );
-        if (existingIdx >= 0) {
-          const existing = this.activeNotes[existingIdx];
-          this.midiBus.noteOff({
-            outputId: this._midiOutputId, // <-- added
-            channel: existing.channel,
-            note: existing.note,
-          });
-          this.activeNotes.splice(existingIdx, 1);
-        }
-
-        // Send noteOn unless muted
-        if (!this.muted) {
-          this.midiBus.noteOn({
-            outputId: this._midiOutputId, // <-- added
-            channel: this.midiChannel,
-            note: midiNote,
-            velocity,
-          });
-        }
-
-        // Store in activeNotes
-        this.activeNotes.push({
-          note: midiNote,
-          velocity,
-          endStep,
-          channel: this.midiChannel,
-        });
-
-        // 5) Update pitch tracking
-        this._pitchAccumulator += midiNote;
-        this._pitchCount += 1;
-      }
-    }
-
-    // 6) Turn off notes that ended
-    const stillActive = [];
-    for (const noteObj of this.activeNotes) {
-      if (stepIndex >= noteObj.endStep) {
-        this.midiBus.noteOff({
-          outputId: this._midiOutputId, // <-- added
-          channel: noteObj.channel,
-          note: noteObj.note,
-        });
-      } else {
-        stillActive.push(noteObj);
-      }
-    }
-    this.activeNotes = stillActive;
+    // 4-6) Play the notes, as this loop's notes on the bus
+    this._asNoteOwner(() => this._playNotes(notes, stepIndex));
 
     // 7) Update LFOs
     this._updateLFOs(deltaTime, absoluteTime);
@@ -512,7 +503,7 @@ export class LiveLoop {
       const currentItem = this._chainItems[this._currentChainIndex];
       const length =
         currentItem.pattern.getLength && currentItem.pattern.getLength();
-      if (length && stepIndex === length - 1) {
+      if (length && stepIndex % length === length - 1) {
         // We completed one cycle of the current pattern
         this._cyclesSoFar++;
         if (this._cyclesSoFar >= currentItem.cycles) {
@@ -522,6 +513,113 @@ export class LiveLoop {
     }
   }
 
+  /**
+   * Advances a loop with a `rate` other than 1. The TransportManager calls
+   * this on every clock pulse with its position in (fractional) transport
+   * steps; each local step boundary crossed since the last call is played
+   * through tick(localStep, ...).
+   *
+   * Going backwards, repeating a position or skipping ahead more than one
+   * transport step (Start, SPP, a rate change) re-aligns the local counter
+   * to the position instead of catching up.
+   *
+   * @param {number} position - transport position in steps (stepIndex + pulse fraction)
+   * @param {number} [absoluteTime=null] - the same position in beats
+   */
+  tickAtPosition(position, absoluteTime = null) {
+    const localPosition = position * this.rate;
+    if (
+      this._lastPosition === null ||
+      position <= this._lastPosition ||
+      position - this._lastPosition > 1
+    ) {
+      this._localStep = Math.ceil(localPosition - RATE_EPSILON) - 1;
+    }
+    this._lastPosition = position;
+
+    const target = Math.floor(localPosition + RATE_EPSILON);
+    while (this._localStep < target) {
+      this._localStep++;
+      this.tick(this._localStep, 0, absoluteTime);
+    }
+  }
+
+  /**
+   * The loop's own step counter: the last step it played. Equals the
+   * transport step for rate 1 loops, which are ticked directly.
+   * @returns {number}
+   */
+  getLocalStep() {
+    return this._localStep;
+  }
+
+  /**
+   * Jump to an arbitrary position, e.g. after a Song Position Pointer or
+   * Continue from the TransportManager. Re-syncs everything that normally
+   * depends on having played every step from the start:
+   *   1) Held notes are released (their endSteps no longer apply)
+   *   2) Queued changes are applied (we crossed a pattern boundary)
+   *   3) In chain mode, the chain item and cycle count are recomputed,
+   *      assuming the chain started at step 0
+   *   4) LFO phases are re-derived from `absoluteTime`
+   *
+   * With a `rate` other than 1, `stepIndex` is the transport step and is
+   * converted to the next local step.
+   *
+   * @param {number} stepIndex - the step we're about to play from
+   * @param {number} [absoluteTime=null] - the same position in beats
+   */
+  seek(stepIndex, absoluteTime = null) {
+    this.releaseAllNotes();
+
+    if (this.changeQueue.length) {
+      this._applyQueuedChanges();
+    }
+
+    let localStep = stepIndex;
+    if (this.rate !== 1) {
+      localStep = Math.ceil(stepIndex * this.rate - RATE_EPSILON);
+      this._localStep = localStep - 1;
+      this._lastPosition = stepIndex;
+    }
+
+    if (this._chainItems.length > 0) {
+      this._seekChain(localStep);
+    }
+
+    if (absoluteTime !== null) {
+      for (const lfo of this.lfos) {
+        if (typeof lfo.syncToTime === "function") {
+          lfo.syncToTime(absoluteTime);
+        }
+      }
+    }
+  }
+
+  /**
+   * Sends noteOff for every note this loop is still holding and forgets them.
+   */
+  releaseAllNotes() {
+    this._asNoteOwner(() => {
+      for (const noteObj of this.activeNotes) {
+        this.midiBus.noteOff({
+          outputId: this._midiOutputId,
+          channel: noteObj.channel,
+          note: noteObj.note,
+        });
+      }
+    });
+    this.activeNotes = [];
+  }
+
+  /**
+   * Forgets every held note without sending noteOff, e.g. after a panic
+   * already silenced them, so no stray noteOffs follow later.
+   */
+  clearActiveNotes() {
+    this.activeNotes = [];
+  }
+
   /**
    * If called at a higher resolution (e.g. every audio callback),
    * updates LFOs alone. Optional feature for smoother parameter automation.
@@ -551,6 +649,7 @@ export class LiveLoop {
         this._onChainComplete();
       }
       this.setMuted(true);
+      this._chainMuted = true;
       return;
     }
 
@@ -559,6 +658,46 @@ export class LiveLoop {
     this.midiChannel = nextItem.midiChannel;
   }
 
+  /**
+   * Walks the chain from step 0 to find which item (and which cycle of it)
+   * `stepIndex` falls into. Seeking back into the chain after it completed
+   * un-mutes the loop again; seeking past the end mutes it (without firing
+   * onChainComplete a second time).
+   * @private
+   * @param {number} stepIndex
+   */
+  _seekChain(stepIndex) {
+    let remaining = stepIndex;
+
+    for (let i = 0; i < this._chainItems.length; i++) {
+      const item = this._chainItems[i];
+      const length = item.pattern?.getLength?.() || 0;
+      if (length <= 0) continue;
+
+      const itemSteps = length * item.cycles;
+      if (remaining < itemSteps) {
+        this._currentChainIndex = i;
+        this._cyclesSoFar = Math.floor(remaining / length);
+        this.pattern = item.pattern;
+        this.midiChannel = item.midiChannel;
+        if (this._chainMuted) {
+          this._chainMuted = false;
+          this.setMuted(false);
+        }
+        return;
+      }
+      remaining -= itemSteps;
+    }
+
+    // Past the end of the chain
+    this._currentChainIndex = this._chainItems.length;
+    this._cyclesSoFar = 0;
+    if (!this._chainMuted) {
+      this._chainMuted = true;
+      this.setMuted(true);
+    }
+  }
+
   // ----------------------------------------------------------------------
   // Standard Methods
   // ----------------------------------------------------------------------
@@ -637,6 +776,44 @@ export class LiveLoop {
     this.transpose = semitones;
   }
 
+  /**
+   * Sets the clock divider/multiplier. The local step counter is re-aligned
+   * to the transport position on the next pulse.
+   * @param {number} rate - e.g. 1/4, 1/2, 1, 3/2, 2
+   */
+  setRate(rate) {
+    if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+      console.warn(`LiveLoop: Invalid rate "${rate}". Keeping ${this.rate}.`);
+      return;
+    }
+    this.rate = rate;
+    this._lastPosition = null;
+  }
+
+  /**
+   * Choose how the transport's groove applies to this loop.
+   * @param {boolean|object} groove - true (follow), false (straight) or a Groove
+   */
+  setGroove(groove) {
+    this.groove = groove;
+  }
+
+  /**
+   * Declare what this loop publishes for other loops (tick ordering).
+   * @param {string[]} provides - e.g. ["root"]
+   */
+  setProvides(provides) {
+    this.provides = provides;
+  }
+
+  /**
+   * Declare what this loop reads from other loops (tick ordering).
+   * @param {string[]|null} consumes - e.g. ["chord", "root"], null for the default
+   */
+  setConsumes(consumes) {
+    this.consumes = consumes;
+  }
+
   /**
    * Assign a descriptive name.
    * @param {string} name
@@ -666,17 +843,25 @@ export class LiveLoop {
     if (!length || length <= 0) return;
 
     if (stepIndex % length === 0) {
-      for (const change of this.changeQueue) {
-        if (change.type === "setPattern") {
-          this.pattern = change.pattern;
-        } else if (change.type === "updateLFO") {
-          Object.assign(this.lfos[change.index], change.newProps);
-        } else if (change.type === "setContext") {
-          this.context = change.context;
-        }
+      this._applyQueuedChanges();
+    }
+  }
+
+  /**
+   * Applies every queued change right away and empties the queue.
+   * @private
+   */
+  _applyQueuedChanges() {
+    for (const change of this.changeQueue) {
+      if (change.type === "setPattern") {
+        this.pattern = change.pattern;
+      } else if (change.type === "updateLFO") {
+        Object.assign(this.lfos[change.index], change.newProps);
+      } else if (change.type === "setContext") {
+        this.context = change.context;
       }
-      this.changeQueue = [];
     }
+    this.changeQueue = [];
   }
 
   /**
@@ -701,6 +886,12 @@ export class LiveLoop {
       if (this.globalContext.energyManager) {
         effectiveContext.energyManager = this.globalContext.energyManager;
       }
+      if (this.globalContext.transport) {
+        effectiveContext.transport = this.globalContext.transport;
+      }
+      if (this.globalContext.shared) {
+        effectiveContext.shared = this.globalContext.shared;
+      }
     }
 
     // Also directly add deviceDefinition for convenience
@@ -708,9 +899,105 @@ export class LiveLoop {
       effectiveContext.deviceDefinition = this.deviceDefinition;
     }
 
+    // Let patterns know their loop's role and transpose (e.g. so a chord
+    // provider publishes the chords that are actually heard)
+    if (this.role) {
+      effectiveContext.role = this.role;
+    }
+    if (this.transpose) {
+      effectiveContext.transpose = this.transpose;
+    }
+
     return effectiveContext;
   }
 
+  /**
+   * Sends noteOn for the step's notes and noteOff for notes that ended.
+   * @private
+   */
+  _playNotes(notes, stepIndex) {
+    // 4) Start new notes (noteOn)
+    if (notes && notes.length) {
+      for (const noteObj of notes) {
+        let midiNote = this._convertNoteNameToMidi(noteObj.note);
+        midiNote += this.transpose; // semitone shift
+        midiNote = Math.max(0, Math.min(127, midiNote)); // clamp
+
+        const duration = noteObj.durationSteps ?? 1;
+        const endStep = stepIndex + duration;
+        const velocity = noteObj.velocity ?? 100;
+
+        // If a note is re-triggered, noteOff the old one first
+        const existingIdx = this.activeNotes.findIndex(
+          (n) => n.channel === this.midiChannel && n.note === midiNote
+        );
+        if (existingIdx >= 0) {
+          const existing = this.activeNotes[existingIdx];
+          this.midiBus.noteOff({
+            outputId: this._midiOutputId, // <-- added
+            channel: existing.channel,
+            note: existing.note,
+          });
+          this.activeNotes.splice(existingIdx, 1);
+        }
+
+        // Send noteOn unless muted
+        if (!this.muted) {
+          this.midiBus.noteOn({
+            outputId: this._midiOutputId, // <-- added
+            channel: this.midiChannel,
+            note: midiNote,
+            velocity,
+            // Per-note pitch bend / pressure / timbre, e.g. for MPE synths
+            expression: noteObj.expression,
+          });
+        }
+
+        // Store in activeNotes
+        this.activeNotes.push({
+          note: midiNote,
+          velocity,
+          endStep,
+          channel: this.midiChannel,
+        });
+
+        // 5) Update pitch tracking
+        this._pitchAccumulator += midiNote;
+        this._pitchCount += 1;
+      }
+    }
+
+    // 6) Turn off notes that ended
+    const stillActive = [];
+    for (const noteObj of this.activeNotes) {
+      if (stepIndex >= noteObj.endStep) {
+        this.midiBus.noteOff({
+          outputId: this._midiOutputId, // <-- added
+          channel: noteObj.channel,
+          note: noteObj.note,
+        });
+      } else {
+        stillActive.push(noteObj);
+      }
+    }
+    this.activeNotes = stillActive;
+  }
+
+  /**
+   * Runs `fn` with this loop as the midiBus's current owner, so the bus can
+   * tell this loop's notes from other loops' playing the same note.
+   * @private
+   */
+  _asNoteOwner(fn) {
+    const previousOwner = this.midiBus.currentOwner ?? null;
+    this.midiBus.currentOwner = this;
+    try {
+      fn();
+    } finally {
+      this.midiBus.currentOwner = previousOwner;
+    }
+  }
+
   /**
    * Perform LFO updates, sending CC messages if deviceDefinition is available.
    * @private
@@ -727,25 +1014,86 @@ export class LiveLoop {
         waveValue = lfo.update(deltaTime);
       }
 
+      const expression = NOTE_EXPRESSION_TARGETS[lfo.targetParam];
+      if (expression) {
+        this._sendNoteExpression(expression, waveValue);
+        continue;
+      }
+
       const ccValue = Math.max(0, Math.min(127, Math.floor(waveValue)));
-      let ccNum = 74; // fallback CC if no deviceDefinition
+      // fallback CC if no deviceDefinition
+      let mapping = { type: "cc", number: 74 };
 
       if (lfo.targetParam && this.deviceDefinition) {
-        const mapped = this.deviceDefinition.getCC(lfo.targetParam);
-        if (mapped !== null && mapped !== undefined) {
-          ccNum = mapped;
+        const mapped = this._getParamMapping(
+          this.deviceDefinition,
+          lfo.targetParam
+        );
+        if (mapped) {
+          mapping = mapped;
         }
       }
 
-      this.midiBus.controlChange({
-        outputId: this._midiOutputId, // <-- added
-        channel: this.midiChannel,
-        cc: ccNum,
-        value: ccValue,
+      // Hi-res targets get the unrounded wave, for smooth sweeps
+      this._sendParam(mapping, mapping.type === "cc" ? ccValue : waveValue);
+    }
+  }
+
+  /**
+   * Apply an LFO's 0..127 wave to every note this loop is holding. Pitch bend
+   * is centred on 63.5.
+   * @private
+   */
+  _sendNoteExpression(expression, waveValue) {
+    if (this.muted) return; // the notes aren't sounding
+    const clamped = Math.max(0, Math.min(127, waveValue));
+    const value =
+      expression === "pitchBend"
+        ? Math.round((clamped / 127) * 16383) - 8192
+        : Math.floor(clamped);
+    for (const { channel, note } of this.activeNotes) {
+      this.midiBus.noteExpression?.({
+        outputId: this._midiOutputId,
+        channel,
+        note,
+        [expression]: value,
       });
     }
   }
 
+  /**
+   * How the device wants a param sent, or null if it doesn't know it.
+   * Devices without getParamMapping() only have plain CCs.
+   * @private
+   */
+  _getParamMapping(device, paramName) {
+    if (typeof device.getParamMapping === "function") {
+      return device.getParamMapping(paramName, this.midiChannel);
+    }
+    const cc = device.getCC(paramName, this.midiChannel);
+    return cc === null || cc === undefined ? null : { type: "cc", number: cc };
+  }
+
+  /**
+   * Send a 0..127 param value as a CC, or scaled to 14 bits as a 14-bit CC,
+   * NRPN or RPN.
+   * @private
+   */
+  _sendParam({ type, number }, value) {
+    const target = { outputId: this._midiOutputId, channel: this.midiChannel };
+    if (type === "cc") {
+      this.midiBus.controlChange({ ...target, cc: number, value });
+      return;
+    }
+    const clamped = Math.max(0, Math.min(127, value));
+    const value14 = Math.round((clamped / 127) * 16383);
+    if (type === "cc14") {
+      this.midiBus.controlChange14({ ...target, cc: number, value: value14 });
+    } else {
+      this.midiBus[type]({ ...target, param: number, value: value14 });
+    }
+  }
+
   /**
    * Build a note name -> semitone map
    * @private
@@ -6,8 +6,44 @@
 // and a key like "1_60" instead of "null_1_60".
 // --------------------------------------------------------------
 
+import { MpeZone, MPE_ZONES } from "./mpe-zone.js";
+
+/**
+ * Events that skip the middleware chain: incoming MIDI (relayed from inputs)
+ * and bus notifications.
+ */
+const BYPASS_EVENTS = ["midiMessage", "panic"];
+
+/** MIDI channels 1-16, the default for panic(). */
+const ALL_CHANNELS = Array.from({ length: 16 }, (_, index) => index + 1);
+
+/** Controllers reset by panic(). */
+const CC_SUSTAIN = 64;
+const CC_ALL_SOUND_OFF = 120;
+const CC_ALL_NOTES_OFF = 123;
+
+/** MPE: per-note timbre controller, and the RPNs set by enableMpe(). */
+const CC_TIMBRE = 74;
+const RPN_PITCH_BEND_RANGE = 0;
+const RPN_MPE_CONFIGURATION = 6;
+
+/**
+ * What happens when a second owner plays a note that is already sounding:
+ * - "retrigger": restart it (noteOff + noteOn); it ends when the last owner
+ *   releases it.
+ * - "merge": keep it sounding as is; it ends when the last owner releases it.
+ * - "steal": restart it for the new owner alone; earlier owners' noteOffs
+ *   are ignored.
+ */
+export const NOTE_POLICIES = ["retrigger", "merge", "steal"];
+
 export class MidiBus {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.notePolicy="retrigger"] - see NOTE_POLICIES
+   * @param {Object|null} [options.panicTrigger=null] - see setPanicTrigger()
+   */
+  constructor({ notePolicy = "retrigger", panicTrigger = null } = {}) {
     // Map event names to arrays of subscriber callback functions.
     this.subscribers = {
       noteOn: [],
@@ -16,7 +52,15 @@ export class MidiBus {
       pitchBend: [],
       programChange: [],
       aftertouch: [],
+      polyAftertouch: [],
+      realtime: [],
+      songPosition: [],
+      sysex: [],
+      controlChange14: [],
+      nrpn: [],
+      rpn: [],
       midiMessage: [],
+      panic: [],
     };
 
     /**
@@ -34,6 +78,70 @@ export class MidiBus {
      * (useful in testing to see which step the event was fired on).
      */
     this.currentStep = 0;
+
+    /**
+     * Who is sending the notes being emitted, e.g. the LiveLoop that is
+     * ticking. LiveLoops set it while they play so that notes are tracked per
+     * owner; null for notes sent directly.
+     */
+    this.currentOwner = null;
+
+    /**
+     * Owners holding each active note, oldest first. Same keys as activeNotes.
+     * @private
+     */
+    this._noteOwners = new Map();
+
+    /**
+     * Owners whose note was stolen and whose noteOff is still to come, so it
+     * can be ignored. Same keys as activeNotes.
+     * @private
+     */
+    this._stolenNotes = new Map();
+
+    /** @private */
+    this._notePolicy = "retrigger";
+    this.setNotePolicy(notePolicy);
+
+    /** @private Input control that fires panic(), see setPanicTrigger() */
+    this._panicTrigger = null;
+    this._onPanicTriggerMessage = this._onPanicTriggerMessage.bind(this);
+    this.setPanicTrigger(panicTrigger);
+
+    /**
+     * Target time (DOMHighResTimeStamp, ms) for the events being emitted, or
+     * null for "now". The TransportManager sets this while it runs pattern
+     * logic with lookahead, so engines can schedule sends precisely.
+     * When set, it is added to every event payload as `time`.
+     */
+    this.scheduledTime = null;
+
+    /**
+     * Latest scheduledTime stamped on an event, i.e. when everything handed
+     * to the engines so far is due. Passed on with "panic".
+     * @private
+     */
+    this._scheduledUntil = null;
+
+    /**
+     * Ordered middleware stages, see use().
+     * @private
+     */
+    this._middleware = [];
+
+    /**
+     * MPE zones by "outputId_masterChannel" (see enableMpe()).
+     * @private
+     * @type {Map<string, MpeZone>}
+     */
+    this._mpeZones = new Map();
+
+    /**
+     * Collector that takes every dispatched event instead of the
+     * subscribers, see setCapture().
+     * @private
+     */
+    this._capture = null;
   }
 
   /**
@@ -62,29 +170,184 @@ export class MidiBus {
 
   /**
    * Internal helper to emit an event to all subscribers.
+   * Outgoing events run through the middleware chain first.
    * @param {string} eventName - event type name
    * @param {Object} data - payload for the event
    */
   emit(eventName, data) {
+    if (!this._middleware.length || BYPASS_EVENTS.includes(eventName)) {
+      this._dispatch(eventName, data);
+      return;
+    }
+    this._applyMiddleware({ type: eventName, ...data }).forEach(
+      ({ type, ...payload }) => this._dispatch(type, payload)
+    );
+  }
+
+  /**
+   * Add a middleware stage to the end of the chain. Every outgoing event
+   * (noteOn, noteOff, controlChange, realtime, ...) passes through the stages
+   * in order before subscribers such as playback engines see it.
+   *
+   * A stage is called with a copy of the event, `{ type, ...payload }`, and
+   * returns:
+   * - an event (the same one, modified, or a new one) to pass it on,
+   * - an array of events to duplicate it (or `[]` to drop it),
+   * - null to drop it,
+   * - undefined to pass the event on unchanged.
+   * Set `time` (ms) to delay an event; engines schedule it.
+   *
+   * Active notes are tracked before the chain, so stages must treat a
+   * noteOff like the noteOn it ends (same remap, same filter).
+   *
+   * @param {Function} middleware - (event) => event | event[] | null | undefined
+   * @param {Object} [scope] - only run for matching events, others pass by
+   * @param {string|null} [scope.outputId=null] - events sent to this output
+   * @param {number|null} [scope.channel=null] - events on this channel
+   * @param {string[]|null} [scope.types=null] - e.g. ["noteOn", "noteOff"]
+   * @returns {Function} the middleware, for removeMiddleware()
+   */
+  use(middleware, { outputId = null, channel = null, types = null } = {}) {
+    if (typeof middleware !== "function") {
+      console.warn("MidiBus: Middleware must be a function. Ignoring.");
+      return middleware;
+    }
+    this._middleware.push({ middleware, outputId, channel, types });
+    return middleware;
+  }
+
+  /**
+   * Remove a middleware stage added with use().
+   * @param {Function} middleware
+   */
+  removeMiddleware(middleware) {
+    this._middleware = this._middleware.filter(
+      (stage) => stage.middleware !== middleware
+    );
+  }
+
+  /**
+   * Remove all middleware stages.
+   */
+  clearMiddleware() {
+    this._middleware = [];
+  }
+
+  /**
+   * Send every outgoing event (after middleware) to a collector instead of
+   * the subscribers, so nothing reaches the playback engines. The
+   * TransportManager captures its offline renders this way.
+   * @param {Function|null} collector - (eventName, data) => void; null to
+   *   deliver to the subscribers again
+   */
+  setCapture(collector) {
+    this._capture = typeof collector === "function" ? collector : null;
+  }
+
+  /**
+   * @private
+   */
+  _dispatch(eventName, data) {
+    if (this._capture) {
+      this._capture(eventName, data);
+      return;
+    }
     const callbacks = this.subscribers[eventName] || [];
     callbacks.forEach((cb) => cb(data));
   }
 
+  /**
+   * Run an event through every stage. Returns the resulting events.
+   * @private
+   */
+  _applyMiddleware(event) {
+    let events = [event];
+    for (const stage of this._middleware) {
+      events = events.flatMap((current) =>
+        stageMatches(stage, current) ? runStage(stage, current) : [current]
+      );
+    }
+    return events;
+  }
+
+  /**
+   * Adds `time` to an event payload when a scheduledTime is set.
+   * Omitted otherwise, like outputId.
+   * @private
+   */
+  _addScheduledTime(eventData) {
+    if (this.scheduledTime !== null && this.scheduledTime !== undefined) {
+      eventData.time = this.scheduledTime;
+      this._scheduledUntil = Math.max(
+        this._scheduledUntil ?? this.scheduledTime,
+        this.scheduledTime
+      );
+    }
+  }
+
   /**
    * Turn a note on.
+   *
+   * A note that another owner is already holding is handled according to the
+   * note policy (see setNotePolicy()). The same owner playing it again just
+   * sends another noteOn.
+   *
+   * On an MPE zone's master channel (see enableMpe()), the note is sent on
+   * a member channel of its own instead.
+   *
+   * An `expression` (see noteExpression()) is sent before the noteOn, so the
+   * note starts with it. Only poly aftertouch, used for pressure without
+   * MPE, follows the noteOn: it needs a sounding note.
+   *
    * @param {Object} params
    * @param {number} params.channel  - MIDI channel (1 - 16)
    * @param {number} params.note     - MIDI note number (0 - 127)
    * @param {number} [params.velocity=100] - MIDI velocity (0 - 127)
    * @param {string|null} [params.outputId=null] - Which MIDI output device to use (if any)
+   * @param {*} [params.owner=this.currentOwner] - Who holds the note
+   * @param {{ pitchBend?: number, pressure?: number, timbre?: number }}
+   *   [params.expression] - the note's initial expression
    */
-  noteOn({ channel, note, velocity = 100, outputId = null }) {
-    // Build the key for activeNotes.
-    // If outputId is provided, key is "outputId_channel_note".
-    // Otherwise just "channel_note".
-    let key = `${channel}_${note}`;
-    if (outputId) {
-      key = `${outputId}_${key}`;
+  noteOn({
+    channel,
+    note,
+    velocity = 100,
+    outputId = null,
+    owner = this.currentOwner,
+    expression = null,
+  }) {
+    const zone = this._mpeZones.get(this._getZoneKey(channel, outputId));
+    if (zone) {
+      // MPE: play the note on a member channel of its own
+      channel = zone.allocate(note);
+      if (zone.isBent(channel) && expression?.pitchBend === undefined) {
+        this.pitchBend({ channel, value: 0, outputId });
+        zone.setPitchBend(channel, 0);
+      }
+    }
+
+    const key = this._getNoteKey(channel, note, outputId);
+    this._stolenNotes.get(key)?.delete(owner);
+    const owners = this._noteOwners.get(key) || [];
+    const sharedWithOthers = owners.some((held) => held !== owner);
+
+    if (sharedWithOthers && this._notePolicy === "merge") {
+      if (!owners.includes(owner)) owners.push(owner);
+      return;
+    }
+    if (sharedWithOthers) {
+      // Restart the note for the new owner
+      this._emitNoteOff(channel, note, outputId);
+    }
+
+    if (sharedWithOthers && this._notePolicy === "steal") {
+      const stolen = this._stolenNotes.get(key) || new Set();
+      owners.forEach((held) => held !== owner && stolen.add(held));
+      this._stolenNotes.set(key, stolen);
+      this._noteOwners.set(key, [owner]);
+    } else {
+      if (!owners.includes(owner)) owners.push(owner);
+      this._noteOwners.set(key, owners);
     }
 
     // Store active note
@@ -96,35 +359,120 @@ export class MidiBus {
       eventData.outputId = outputId;
     }
 
+    this._addScheduledTime(eventData);
+
+    const { pressure, ...startExpression } = expression ?? {};
+    if (zone) startExpression.pressure = pressure;
+    this._sendExpression(zone, channel, note, outputId, startExpression);
+
     // Emit event so subscribers (e.g., a playback engine) can handle it.
     this.emit("noteOn", eventData);
+
+    if (!zone) {
+      this._sendExpression(null, channel, note, outputId, { pressure });
+    }
   }
 
   /**
-   * Turn a note off.
+   * Turn a note off. While other owners still hold the note, only this
+   * owner's claim is released and nothing is sent. A noteOff from an owner
+   * who doesn't hold the note (e.g. after it was stolen) is ignored. Without
+   * an owner (UI or manual calls), it ends the note for everyone holding it.
+   *
    * @param {Object} params
    * @param {number} params.channel
    * @param {number} params.note
    * @param {string|null} [params.outputId=null]
+   * @param {*} [params.owner=this.currentOwner] - Who releases the note
    */
-  noteOff({ channel, note, outputId = null }) {
-    // Same key logic as noteOn.
-    let key = `${channel}_${note}`;
-    if (outputId) {
-      key = `${outputId}_${key}`;
+  noteOff({ channel, note, outputId = null, owner = this.currentOwner }) {
+    const zone = this._mpeZones.get(this._getZoneKey(channel, outputId));
+    channel = zone?.getChannel(note) ?? channel;
+
+    const key = this._getNoteKey(channel, note, outputId);
+    const stolen = this._stolenNotes.get(key);
+    if (stolen?.has(owner)) {
+      stolen.delete(owner);
+      if (!stolen.size) this._stolenNotes.delete(key);
+      return;
+    }
+    const owners = this._noteOwners.get(key);
+    if (owners && !owners.includes(owner)) {
+      // Without an owner (UI, manual calls) the note ends for everyone
+      if (owner !== null && owner !== undefined) return;
+    } else if (owners) {
+      const remaining = owners.filter((held) => held !== owner);
+      if (remaining.length) {
+        this._noteOwners.set(key, remaining);
+        return;
+      }
     }
 
     // Remove note from active list if present
-    if (this.activeNotes.has(key)) {
-      this.activeNotes.delete(key);
+    this._noteOwners.delete(key);
+    this.activeNotes.delete(key);
+    zone?.release(note);
+
+    this._emitNoteOff(channel, note, outputId);
+  }
+
+  /**
+   * Set what happens when several owners play the same note on the same
+   * channel and output.
+   * @param {string} policy - "retrigger", "merge" or "steal"
+   */
+  setNotePolicy(policy) {
+    if (!NOTE_POLICIES.includes(policy)) {
+      console.warn(
+        `MidiBus: Unknown note policy "${policy}". Keeping "${this._notePolicy}".`
+      );
+      return;
     }
+    this._notePolicy = policy;
+  }
+
+  /**
+   * @returns {string}
+   */
+  getNotePolicy() {
+    return this._notePolicy;
+  }
 
+  /**
+   * Who holds a note, oldest first. Empty if it isn't sounding.
+   * @param {Object} params
+   * @param {number} params.channel
+   * @param {number} params.note
+   * @param {string|null} [params.outputId=null]
+   * @returns {Array}
+   */
+  getNoteOwners({ channel, note, outputId = null }) {
+    const key = this._getNoteKey(channel, note, outputId);
+    return [...(this._noteOwners.get(key) || [])];
+  }
+
+  /**
+   * Key for activeNotes: "outputId_channel_note", or "channel_note" when
+   * there is no outputId.
+   * @private
+   */
+  _getNoteKey(channel, note, outputId) {
+    const key = `${channel}_${note}`;
+    return outputId ? `${outputId}_${key}` : key;
+  }
+
+  /**
+   * @private
+   */
+  _emitNoteOff(channel, note, outputId) {
     // Build event object
     const eventData = { channel, note, step: this.currentStep };
     if (outputId) {
       eventData.outputId = outputId;
     }
 
+    this._addScheduledTime(eventData);
+
     // Emit event
     this.emit("noteOff", eventData);
   }
@@ -142,11 +490,144 @@ export class MidiBus {
     if (outputId) {
       eventData.outputId = outputId;
     }
+    this._addScheduledTime(eventData);
     this.emit("controlChange", eventData);
   }
 
   /**
-   * Force all currently active notes to stop.
+   * Send a 14-bit control change as an MSB/LSB pair: controller `cc` (0-31)
+   * carries the MSB, `cc + 32` the LSB.
+   * @param {Object} params
+   * @param {number} params.channel
+   * @param {number} params.cc - MSB controller number (0 - 31)
+   * @param {number} params.value - 0 - 16383
+   * @param {string|null} [params.outputId=null]
+   */
+  controlChange14({ channel, cc, value, outputId = null }) {
+    if (!Number.isInteger(cc) || cc < 0 || cc > 31) {
+      console.warn(`MidiBus: 14-bit CC needs a controller 0-31, got "${cc}".`);
+      return;
+    }
+    const eventData = { channel, cc, value: clamp14(value) };
+    if (outputId) {
+      eventData.outputId = outputId;
+    }
+    this._addScheduledTime(eventData);
+    this.emit("controlChange14", eventData);
+  }
+
+  /**
+   * Set a Non-Registered Parameter Number. Engines send the whole
+   * data-entry sequence: parameter select (CC99/98), data (CC6, CC38) and a
+   * null (CC101/100 = 127) so later data entry can't change it by accident.
+   * @param {Object} params
+   * @param {number} params.channel
+   * @param {number} params.param - 0 - 16383
+   * @param {number} params.value - 0 - 16383, or 0 - 127 without highRes
+   * @param {boolean} [params.highRes=true] - false sends the data MSB only
+   * @param {string|null} [params.outputId=null]
+   */
+  nrpn(params) {
+    this._parameterNumber("nrpn", params);
+  }
+
+  /**
+   * Set a Registered Parameter Number, e.g. 0 = pitch bend range. Like
+   * nrpn(), with CC101/100 selecting the parameter.
+   * @param {Object} params - same as nrpn()
+   */
+  rpn(params) {
+    this._parameterNumber("rpn", params);
+  }
+
+  /**
+   * @private
+   */
+  _parameterNumber(
+    eventName,
+    { channel, param, value, highRes = true, outputId = null }
+  ) {
+    const eventData = {
+      channel,
+      param: clamp14(param),
+      value: highRes ? clamp14(value) : clamp7(value),
+      highRes,
+    };
+    if (outputId) {
+      eventData.outputId = outputId;
+    }
+    this._addScheduledTime(eventData);
+    this.emit(eventName, eventData);
+  }
+
+  /**
+   * Send a System Exclusive message. The F0 ... F7 framing is added if
+   * missing. Engines only pass SysEx on when they were given SysEx access.
+   * @param {Object} params
+   * @param {number[]|Uint8Array} params.data - e.g. [0x43, 0x10, 0x4c, ...]
+   * @param {string|null} [params.outputId=null]
+   */
+  sysex({ data, outputId = null }) {
+    const bytes = Array.from(data ?? []);
+    if (bytes[0] === 0xf0) bytes.shift();
+    if (bytes[bytes.length - 1] === 0xf7) bytes.pop();
+    if (
+      !bytes.length ||
+      bytes.some((byte) => !Number.isInteger(byte) || byte < 0 || byte > 0x7f)
+    ) {
+      console.warn("MidiBus: Invalid SysEx data. Ignoring.", data);
+      return;
+    }
+    const eventData = { data: [0xf0, ...bytes, 0xf7] };
+    if (outputId) {
+      eventData.outputId = outputId;
+    }
+    this._addScheduledTime(eventData);
+    this.emit("sysex", eventData);
+  }
+
+  /**
+   * Send a single-byte system realtime message, e.g. Start (0xFA),
+   * Clock (0xF8), Continue (0xFB) or Stop (0xFC). Used when TonicMIDI is the
+   * clock master or routes clock to other outputs.
+   * @param {Object} params
+   * @param {number} params.status - realtime status byte (0xF8 - 0xFF)
+   * @param {string|null} [params.outputId=null] - omit to send to all outputs
+   * @param {number|null} [params.time=null] - target time (ms), overrides scheduledTime
+   */
+  sendRealtime({ status, outputId = null, time = null }) {
+    const eventData = { status };
+    if (outputId) {
+      eventData.outputId = outputId;
+    }
+    this._addScheduledTime(eventData);
+    if (time !== null) {
+      eventData.time = time;
+    }
+    this.emit("realtime", eventData);
+  }
+
+  /**
+   * Send a Song Position Pointer (0xF2): where followers continue from.
+   * @param {Object} params
+   * @param {number} params.position - in MIDI beats (16th notes, 6 clocks), 0 - 16383
+   * @param {string|null} [params.outputId=null] - omit to send to all outputs
+   * @param {number|null} [params.time=null] - target time (ms), overrides scheduledTime
+   */
+  songPosition({ position, outputId = null, time = null }) {
+    const eventData = { position: Math.max(0, Math.min(16383, position)) };
+    if (outputId) {
+      eventData.outputId = outputId;
+    }
+    this._addScheduledTime(eventData);
+    if (time !== null) {
+      eventData.time = time;
+    }
+    this.emit("songPosition", eventData);
+  }
+
+  /**
+   * Force all currently active notes to stop, whoever holds them.
    * Useful when the external device sends a Stop, or in emergency to avoid stuck notes.
    */
   stopAllNotes() {
@@ -160,9 +641,116 @@ export class MidiBus {
         eventData.outputId = noteData.outputId;
       }
 
+      this._addScheduledTime(eventData);
       this.emit("noteOff", eventData);
     }
     this.activeNotes.clear();
+    this._noteOwners.clear();
+    this._stolenNotes.clear();
+    this._mpeZones.forEach((zone) => zone.clear());
+  }
+
+  /**
+   * Emergency stop. Releases every tracked note, then on each channel resets
+   * sustain (CC64) and pitch bend and sends All Sound Off (CC120) and All
+   * Notes Off (CC123), which also catches notes the bus never saw. Finally
+   * emits "panic" ({ channels, outputId, scheduledUntil }) so LiveLoops' note
+   * state can be cleared (the TransportManager does this for its loops) and
+   * playback engines can repeat the resets once the notes they already
+   * scheduled are due. `scheduledUntil` is the latest `time` stamped on an
+   * event, omitted if there was none.
+   *
+   * The channel messages go out immediately and skip the middleware chain,
+   * so no stage can delay or drop them.
+   *
+   * @param {Object} [options]
+   * @param {string|null} [options.outputId=null] - one output, or all outputs
+   * @param {number[]} [options.channels] - defaults to 1-16
+   */
+  panic({ outputId = null, channels = ALL_CHANNELS } = {}) {
+    this._releaseTrackedNotes(
+      (noteData) => !outputId || noteData.outputId === outputId
+    );
+    this._mpeZones.forEach((zone, key) => {
+      if (!outputId || key.startsWith(`${outputId}_`)) zone.clear();
+    });
+
+    const target = outputId ? { outputId } : {};
+    channels.forEach((channel) => {
+      const reset = (cc) =>
+        this._dispatch("controlChange", { channel, cc, value: 0, ...target });
+      reset(CC_SUSTAIN);
+      this._dispatch("pitchBend", { channel, value: 0, ...target });
+      reset(CC_ALL_SOUND_OFF);
+      reset(CC_ALL_NOTES_OFF);
+    });
+
+    const scheduled =
+      this._scheduledUntil !== null
+        ? { scheduledUntil: this._scheduledUntil }
+        : {};
+    this.emit("panic", { channels, ...target, ...scheduled });
+  }
+
+  /**
+   * Send noteOff for the tracked notes matching `predicate`, whoever holds
+   * them.
+   * @private
+   */
+  _releaseTrackedNotes(predicate) {
+    for (const [key, noteData] of [...this.activeNotes.entries()]) {
+      if (!predicate(noteData)) continue;
+      this.activeNotes.delete(key);
+      this._noteOwners.delete(key);
+      this._stolenNotes.delete(key);
+      this._emitNoteOff(noteData.channel, noteData.note, noteData.outputId);
+    }
+  }
+
+  /**
+   * Trigger panic() from a MIDI input, e.g. a spare pad or button. Listens
+   * to the "midiMessage" events relayed from the inputs.
+   *
+   * @param {Object|null} trigger - null to remove the trigger
+   * @param {number} trigger.channel - 1-16
+   * @param {number} [trigger.cc] - a controller; fires on values >= 64
+   * @param {number} [trigger.note] - or a note; fires on noteOn
+   */
+  setPanicTrigger(trigger) {
+    this.off("midiMessage", this._onPanicTriggerMessage);
+    this._panicTrigger = null;
+    if (!trigger) return;
+
+    const { channel, cc, note } = trigger;
+    const validNumber = (value) =>
+      Number.isInteger(value) && value >= 0 && value <= 127;
+    if (
+      !Number.isInteger(channel) ||
+      channel < 1 ||
+      channel > 16 ||
+      !(validNumber(cc) || validNumber(note))
+    ) {
+      console.warn("MidiBus: Invalid panic trigger. Ignoring.", trigger);
+      return;
+    }
+    this._panicTrigger = { channel, cc, note };
+    this.on("midiMessage", this._onPanicTriggerMessage);
+  }
+
+  /**
+   * @private
+   */
+  _onPanicTriggerMessage({ data } = {}) {
+    if (!data || data.length < 3) return;
+    const { channel, cc, note } = this._panicTrigger;
+    const status = data[0] & 0xf0;
+    if ((data[0] & 0x0f) + 1 !== channel) return;
+
+    const ccPressed = status === 0xb0 && data[1] === cc && data[2] >= 64;
+    const notePressed = status === 0x90 && data[1] === note && data[2] > 0;
+    if (ccPressed || notePressed) {
+      this.panic();
+    }
   }
 
   /**
@@ -177,6 +765,7 @@ export class MidiBus {
     if (outputId) {
       eventData.outputId = outputId;
     }
+    this._addScheduledTime(eventData);
     this.emit("programChange", eventData);
   }
 
@@ -193,6 +782,7 @@ export class MidiBus {
     if (outputId) {
       eventData.outputId = outputId;
     }
+    this._addScheduledTime(eventData);
     this.emit("pitchBend", eventData);
   }
 
@@ -208,6 +798,246 @@ export class MidiBus {
     if (outputId) {
       eventData.outputId = outputId;
     }
+    this._addScheduledTime(eventData);
     this.emit("aftertouch", eventData);
   }
+
+  /**
+   * Send polyphonic key pressure for one note.
+   * @param {Object} params
+   * @param {number} params.channel
+   * @param {number} params.note - MIDI note number (0 - 127)
+   * @param {number} params.pressure - 0 - 127
+   * @param {string|null} [params.outputId=null]
+   */
+  polyAftertouch({ channel, note, pressure, outputId = null }) {
+    const eventData = { channel, note, pressure: clamp7(pressure) };
+    if (outputId) {
+      eventData.outputId = outputId;
+    }
+    this._addScheduledTime(eventData);
+    this.emit("polyAftertouch", eventData);
+  }
+
+  // --------------------------------------------------------------------------
+  // MPE
+  // --------------------------------------------------------------------------
+
+  /**
+   * Turn on MPE for an output. Notes sent on the zone's master channel then
+   * each get a member channel of their own, so noteExpression() can bend,
+   * press and shape them one by one. Sends the MPE Configuration Message
+   * (RPN 6 on the master channel) and the member channels' pitch bend range
+   * (RPN 0).
+   *
+   * @param {Object} [options]
+   * @param {string|null} [options.outputId=null]
+   * @param {string} [options.zone="lower"] - "lower" (master channel 1) or
+   *   "upper" (master channel 16)
+   * @param {number} [options.memberChannels=15] - 1-15
+   * @param {number|null} [options.pitchBendRange=48] - semitones; null to
+   *   leave the synth's setting alone
+   */
+  enableMpe({
+    outputId = null,
+    zone = "lower",
+    memberChannels = 15,
+    pitchBendRange = 48,
+  } = {}) {
+    if (!MPE_ZONES.includes(zone)) {
+      console.warn(`MidiBus: Unknown MPE zone "${zone}". Ignoring.`);
+      return;
+    }
+    if (
+      !Number.isInteger(memberChannels) ||
+      memberChannels < 1 ||
+      memberChannels > 15
+    ) {
+      console.warn(
+        `MidiBus: MPE needs 1-15 member channels, got "${memberChannels}". Ignoring.`
+      );
+      return;
+    }
+
+    const mpeZone = new MpeZone({ zone, memberChannels });
+    this.disableMpe({ outputId, zone, sendConfiguration: false });
+    this._mpeZones.set(
+      this._getZoneKey(mpeZone.masterChannel, outputId),
+      mpeZone
+    );
+
+    this.rpn({
+      channel: mpeZone.masterChannel,
+      param: RPN_MPE_CONFIGURATION,
+      value: memberChannels,
+      highRes: false,
+      outputId,
+    });
+    if (pitchBendRange !== null) {
+      mpeZone.memberChannels.forEach((channel) =>
+        this.rpn({
+          channel,
+          param: RPN_PITCH_BEND_RANGE,
+          value: pitchBendRange,
+          highRes: false,
+          outputId,
+        })
+      );
+    }
+  }
+
+  /**
+   * Turn MPE off again. The zone's sounding notes are released first.
+   *
+   * @param {Object} [options]
+   * @param {string|null} [options.outputId=null]
+   * @param {string} [options.zone="lower"]
+   * @param {boolean} [options.sendConfiguration=true] - tell the synth, with
+   *   an MPE Configuration Message for 0 member channels
+   */
+  disableMpe({
+    outputId = null,
+    zone = "lower",
+    sendConfiguration = true,
+  } = {}) {
+    const masterChannel = zone === "upper" ? 16 : 1;
+    const key = this._getZoneKey(masterChannel, outputId);
+    const mpeZone = this._mpeZones.get(key);
+    if (!mpeZone) return;
+
+    this._releaseTrackedNotes(
+      (noteData) =>
+        (noteData.outputId ?? null) === outputId &&
+        mpeZone.memberChannels.includes(noteData.channel)
+    );
+    this._mpeZones.delete(key);
+    if (sendConfiguration) {
+      this.rpn({
+        channel: masterChannel,
+        param: RPN_MPE_CONFIGURATION,
+        value: 0,
+        highRes: false,
+        outputId,
+      });
+    }
+  }
+
+  /**
+   * The MPE zone whose master channel is `channel`, or null.
+   * @param {number} channel
+   * @param {string|null} [outputId=null]
+   * @returns {MpeZone|null}
+   */
+  getMpeZone(channel, outputId = null) {
+    return this._mpeZones.get(this._getZoneKey(channel, outputId)) ?? null;
+  }
+
+  /**
+   * Modulate one sounding note. In an MPE zone (see enableMpe()) this goes to
+   * the note's member channel as pitch bend, channel pressure and CC74.
+   * Without MPE, pressure becomes poly aftertouch, while pitch bend and
+   * timbre (CC74) apply to the whole channel.
+   *
+   * @param {Object} params
+   * @param {number} params.channel - the channel the note was played on
+   * @param {number} params.note
+   * @param {string|null} [params.outputId=null]
+   * @param {number} [params.pitchBend] - -8192 - 8191
+   * @param {number} [params.pressure] - 0 - 127
+   * @param {number} [params.timbre] - 0 - 127
+   */
+  noteExpression({
+    channel,
+    note,
+    outputId = null,
+    pitchBend,
+    pressure,
+    timbre,
+  }) {
+    const zone = this._mpeZones.get(this._getZoneKey(channel, outputId));
+    const memberChannel = zone ? zone.getChannel(note) : channel;
+    if (memberChannel === null) return; // not sounding
+
+    this._sendExpression(zone, memberChannel, note, outputId, {
+      pitchBend,
+      pressure,
+      timbre,
+    });
+  }
+
+  /**
+   * Send the given parts of a note's expression on its (member) channel.
+   * @private
+   */
+  _sendExpression(zone, channel, note, outputId, expression) {
+    const { pitchBend, pressure, timbre } = expression;
+    const target = { channel, outputId };
+    if (pitchBend !== undefined) {
+      const value = Math.max(-8192, Math.min(8191, Math.round(pitchBend)));
+      this.pitchBend({ ...target, value });
+      zone?.setPitchBend(channel, value);
+    }
+    if (pressure !== undefined) {
+      if (zone) {
+        this.aftertouch({ ...target, pressure: clamp7(pressure) });
+      } else {
+        this.polyAftertouch({ ...target, note, pressure });
+      }
+    }
+    if (timbre !== undefined) {
+      this.controlChange({ ...target, cc: CC_TIMBRE, value: clamp7(timbre) });
+    }
+  }
+
+  /**
+   * Key for _mpeZones, like _getNoteKey().
+   * @private
+   */
+  _getZoneKey(masterChannel, outputId) {
+    return `${outputId ?? ""}_${masterChannel}`;
+  }
+}
+
+/**
+ * @private
+ */
+function clamp7(value) {
+  return Math.max(0, Math.min(127, Math.round(value)));
+}
+
+/**
+ * @private
+ */
+function clamp14(value) {
+  return Math.max(0, Math.min(16383, Math.round(value)));
+}
+
+/**
+ * @private
+ */
+function stageMatches({ outputId, channel, types }, event) {
+  return (
+    (outputId === null || event.outputId === outputId) &&
+    (channel === null || event.channel === channel) &&
+    (types === null || types.includes(event.type))
+  );
+}
+
+/**
+ * Call a stage and normalize its result to an array of events.
+ * A stage that throws is skipped for this event.
+ * @private
+ */
+function runStage({ middleware }, event) {
+  let result;
+  try {
+    result = middleware({ ...event });
+  } catch (error) {
+    console.warn("MidiBus: Middleware failed, passing the event on.", error);
+    return [event];
+  }
+  if (result === undefined) return [event];
+  if (result === null) return [];
+  const events = Array.isArray(result) ? result : [result];
+  return events.filter((out) => out && typeof out.type === "string");
 }
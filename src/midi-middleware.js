@@ -0,0 +1,155 @@
+/**
+ * src/midi-middleware.js
+ *
+ * Ready-made MidiBus middleware stages (see MidiBus.use()). Each factory
+ * returns a stage function; install it globally or scoped to an output or
+ * channel:
+ *
+ *   midiBus.use(remapChannel({ 1: 10 }), { outputId: opzOutput.id });
+ *   midiBus.use(velocityCurve(0.6));
+ *   midiBus.use(noteRange({ min: 36, max: 84 }), { channel: 2 });
+ *   midiBus.use(quantizeToScale("D dorian"), { channel: 3 });
+ *   midiBus.use(thinControlChanges({ minIntervalMs: 20 }));
+ *   midiBus.use(delay(12), { outputId: slowSynth.id });
+ *
+ * Stages handle a noteOff like the noteOn it ends, so notes never hang.
+ */
+
+import { Note, Scale } from "@tonaljs/tonal";
+
+/**
+ * Move events to other channels.
+ *
+ * @param {Object|Function} mapping - { fromChannel: toChannel }, or
+ *   (channel, event) => newChannel
+ * @returns {Function} middleware
+ */
+export function remapChannel(mapping) {
+  const map =
+    typeof mapping === "function"
+      ? mapping
+      : (channel) => mapping?.[channel] ?? channel;
+  return (event) => {
+    if (event.channel === undefined) return undefined;
+    return { ...event, channel: map(event.channel, event) };
+  };
+}
+
+/**
+ * Reshape noteOn velocities.
+ *
+ * @param {number|Function} curve - exponent (< 1 louder, > 1 softer), or
+ *   (velocity, event) => newVelocity
+ * @returns {Function} middleware
+ */
+export function velocityCurve(curve) {
+  let map = curve;
+  if (typeof curve !== "function") {
+    let exponent = curve;
+    if (typeof exponent !== "number" || !(exponent > 0)) {
+      console.warn(`velocityCurve: Invalid curve "${curve}". Using 1.`);
+      exponent = 1;
+    }
+    map = (velocity) => 127 * Math.pow(velocity / 127, exponent);
+  }
+  return (event) => {
+    if (event.type !== "noteOn") return undefined;
+    // Velocity 0 would turn the noteOn into a noteOff
+    const velocity = Math.round(map(event.velocity, event));
+    return { ...event, velocity: Math.max(1, Math.min(127, velocity)) };
+  };
+}
+
+/**
+ * Drop notes outside a range.
+ *
+ * @param {Object} range
+ * @param {number} [range.min=0] - lowest note kept
+ * @param {number} [range.max=127] - highest note kept
+ * @returns {Function} middleware
+ */
+export function noteRange({ min = 0, max = 127 } = {}) {
+  return (event) => {
+    if (event.type !== "noteOn" && event.type !== "noteOff") return undefined;
+    return event.note < min || event.note > max ? null : event;
+  };
+}
+
+/**
+ * Snap notes to the nearest note of a scale (downwards on a tie).
+ *
+ * @param {string} scaleName - e.g. "C major", "D dorian", "A minor pentatonic"
+ * @returns {Function} middleware
+ */
+export function quantizeToScale(scaleName) {
+  const chromas = Scale.get(scaleName).notes.map((name) => Note.chroma(name));
+  if (!chromas.length) {
+    console.warn(`quantizeToScale: Unknown scale "${scaleName}". Ignoring.`);
+    return () => undefined;
+  }
+  const nearest = (note) => {
+    for (let distance = 0; distance < 12; distance++) {
+      for (const candidate of [note - distance, note + distance]) {
+        if (candidate >= 0 && candidate <= 127) {
+          if (chromas.includes(candidate % 12)) return candidate;
+        }
+      }
+    }
+    return note;
+  };
+  return (event) => {
+    if (event.type !== "noteOn" && event.type !== "noteOff") return undefined;
+    return { ...event, note: nearest(event.note) };
+  };
+}
+
+/**
+ * Drop control changes that barely change the value or follow the previous
+ * one too closely, per output, channel and controller. Handy for LFOs and
+ * XY pads flooding slow devices. A sweep's last value may be dropped if it
+ * arrives within `minIntervalMs`.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.minIntervalMs=0] - minimum time between values
+ * @param {number} [options.minDelta=1] - minimum change of value
+ * @returns {Function} middleware
+ */
+export function thinControlChanges({ minIntervalMs = 0, minDelta = 1 } = {}) {
+  // "outputId_channel_cc" -> { value, time } of the last value passed on
+  const lastSent = new Map();
+  return (event) => {
+    if (event.type !== "controlChange") return undefined;
+    const key = `${event.outputId ?? ""}_${event.channel}_${event.cc}`;
+    const time = event.time ?? now();
+    const last = lastSent.get(key);
+    if (
+      last &&
+      (Math.abs(event.value - last.value) < minDelta ||
+        time - last.time < minIntervalMs)
+    ) {
+      return null;
+    }
+    lastSent.set(key, { value: event.value, time });
+    return event;
+  };
+}
+
+/**
+ * Delay events by setting a later target `time`.
+ *
+ * @param {number} ms
+ * @returns {Function} middleware
+ */
+export function delay(ms) {
+  return (event) => ({ ...event, time: (event.time ?? now()) + ms });
+}
+
+/**
+ * @private
+ */
+function now() {
+  if (typeof performance !== "undefined" && performance.now) {
+    return performance.now();
+  }
+  return Date.now();
+}
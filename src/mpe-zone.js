@@ -0,0 +1,133 @@
+// mpe-zone.js
+/**
+ * One MPE (MIDI Polyphonic Expression) zone: a master channel for zone-wide
+ * messages and a range of member channels, one per sounding note, so each
+ * note can have its own pitch bend, pressure and timbre (CC74).
+ *
+ * The MidiBus keeps a zone per output and master channel (see
+ * MidiBus.enableMpe()) and asks it which member channel a note plays on.
+ */
+
+/** Master channel and the direction member channels are counted in. */
+const ZONE_LAYOUTS = {
+  lower: { masterChannel: 1, step: 1 },
+  upper: { masterChannel: 16, step: -1 },
+};
+
+export const MPE_ZONES = Object.keys(ZONE_LAYOUTS);
+
+export class MpeZone {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.zone="lower"] - "lower" (master 1, members from
+   *   2 up) or "upper" (master 16, members from 15 down)
+   * @param {number} [options.memberChannels=15] - 1-15
+   */
+  constructor({ zone = "lower", memberChannels = 15 } = {}) {
+    const { masterChannel, step } = ZONE_LAYOUTS[zone];
+    this.zone = zone;
+    this.masterChannel = masterChannel;
+
+    /** Member channels, in allocation preference order. */
+    this.memberChannels = Array.from(
+      { length: memberChannels },
+      (_, index) => masterChannel + step * (index + 1)
+    );
+
+    /**
+     * note -> member channel, for notes sounding in this zone.
+     * @private
+     */
+    this._voices = new Map();
+
+    /**
+     * member channel -> allocation counter, to reuse the longest idle one.
+     * @private
+     */
+    this._lastUsed = new Map();
+    this._allocations = 0;
+
+    /**
+     * Member channels left with a non-zero pitch bend.
+     * @private
+     */
+    this._bentChannels = new Set();
+  }
+
+  /**
+   * The member channel for a note. A sounding note keeps its channel;
+   * otherwise the channel with the fewest notes is used, longest idle first.
+   * When there are more notes than channels, channels are shared.
+   *
+   * @param {number} note
+   * @returns {number} member channel
+   */
+  allocate(note) {
+    const current = this._voices.get(note);
+    if (current !== undefined) return current;
+
+    const notesPerChannel = new Map(
+      this.memberChannels.map((channel) => [channel, 0])
+    );
+    this._voices.forEach((channel) =>
+      notesPerChannel.set(channel, notesPerChannel.get(channel) + 1)
+    );
+    let best = this.memberChannels[0];
+    for (const channel of this.memberChannels) {
+      const fewer = notesPerChannel.get(channel) < notesPerChannel.get(best);
+      const sameButIdler =
+        notesPerChannel.get(channel) === notesPerChannel.get(best) &&
+        (this._lastUsed.get(channel) ?? -1) < (this._lastUsed.get(best) ?? -1);
+      if (fewer || sameButIdler) best = channel;
+    }
+
+    this._voices.set(note, best);
+    this._lastUsed.set(best, this._allocations++);
+    return best;
+  }
+
+  /**
+   * @param {number} note
+   * @returns {number|null} the member channel a sounding note plays on
+   */
+  getChannel(note) {
+    return this._voices.get(note) ?? null;
+  }
+
+  /**
+   * Free a note's member channel.
+   * @param {number} note
+   */
+  release(note) {
+    this._voices.delete(note);
+  }
+
+  /**
+   * Free every member channel.
+   */
+  clear() {
+    this._voices.clear();
+  }
+
+  /**
+   * Remember a member channel's pitch bend, so it can be centred before the
+   * channel plays its next note.
+   * @param {number} channel
+   * @param {number} value
+   */
+  setPitchBend(channel, value) {
+    if (value) {
+      this._bentChannels.add(channel);
+    } else {
+      this._bentChannels.delete(channel);
+    }
+  }
+
+  /**
+   * @param {number} channel
+   * @returns {boolean} true if the channel was left bent
+   */
+  isBent(channel) {
+    return this._bentChannels.has(channel);
+  }
+}
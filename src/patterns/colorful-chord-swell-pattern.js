@@ -113,7 +113,7 @@ export class ColorfulChordSwellPattern extends BasePattern {
     if (!ev) {
       // If there's a gap (e.g. overlap < 0), we might clear chord
       if (context.chordManager) {
-        context.chordManager.clearChord(this._getProviderId());
+        context.chordManager.clearChord(this.getProviderId());
       }
       return [];
     }
@@ -125,7 +125,7 @@ export class ColorfulChordSwellPattern extends BasePattern {
       // Post chord to chordManager
       if (context.chordManager) {
         context.chordManager.setCurrentChord(
-          this._getProviderId(),
+          this.getProviderId(),
           ev.rootNote, // e.g. "C4"
           ev.chordNotes // e.g. ["C4","E4","G4","B4"]
         );
@@ -549,8 +549,10 @@ export class ColorfulChordSwellPattern extends BasePattern {
 
   /**
    * The ID used when calling chordManager (so it knows who sets the chord).
+   * The TransportManager authorizes it while this pattern's loop is the
+   * unmuted chord provider.
    */
-  _getProviderId() {
+  getProviderId() {
     return "ColorfulChordSwellPattern";
   }
 }
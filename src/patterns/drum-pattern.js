@@ -1,5 +1,6 @@
 // File: src/patterns/drum-pattern.js
 import { BasePattern } from "./base-pattern.js";
+import { TimeSignature } from "../time-signature.js";
 
 /**
  * DrumPattern is a Pattern class that automatically generates "low", "medium",
@@ -36,6 +37,15 @@ import { BasePattern } from "./base-pattern.js";
  *   patternLength: 16
  * });
  *
+ * // Odd meters: pass the time signature so the "low" variant keeps the
+ * // right strong beats (here the 1, 3 and 5 eighths of a 2+2+3 bar).
+ * const sevenEight = new DrumPattern({
+ *   mediumPattern: mediumDrums78,
+ *   drumMap,
+ *   patternLength: 14,
+ *   timeSignature: "7/8",
+ * });
+ *
  * // In a LiveLoop:
  * const loop = new LiveLoop(midiBus, {
  *   pattern: drumPattern,
@@ -63,14 +73,28 @@ export class DrumPattern extends BasePattern {
    * @param {number} [options.patternLength=16]
    *   The total number of steps in each of the pattern arrays. Must match the length
    *   of the arrays in `mediumPattern`.
+   * @param {TimeSignature|string|number[]|null} [options.timeSignature=null]
+   *   The meter the pattern is written in (16th-note steps). Its beats are the
+   *   strong steps kept by the "low" variant. Defaults to a beat every 4 steps.
    */
-  constructor({ mediumPattern, drumMap = {}, patternLength = 16 } = {}) {
+  constructor({
+    mediumPattern,
+    drumMap = {},
+    patternLength = 16,
+    timeSignature = null,
+  } = {}) {
     super({
       mediumPattern,
       drumMap,
       patternLength,
+      timeSignature,
     });
 
+    /** @private */
+    this.timeSignature = timeSignature
+      ? TimeSignature.from(timeSignature)
+      : null;
+
     /** @private */
     this.drumMap = drumMap;
 
@@ -106,11 +130,11 @@ export class DrumPattern extends BasePattern {
     for (const drumName in mediumPattern) {
       const medArray = mediumPattern[drumName];
 
-      // "Low" pattern tries to keep strong beats (multiple of 4) if originally a hit,
+      // "Low" pattern tries to keep strong beats if originally a hit,
       // and occasionally keeps others.
       const lowArray = medArray.map((val, idx) => {
         // Keep if it's a strong beat & originally a hit
-        if (idx % 4 === 0 && val === 1) return 1;
+        if (this._isStrongStep(idx) && val === 1) return 1;
         // Else keep rarely
         if (val === 1 && Math.random() < 0.3) return 1;
         return 0;
@@ -135,6 +159,26 @@ export class DrumPattern extends BasePattern {
     };
   }
 
+  /**
+   * True on the steps that start a beat: every 4th step, or the beats of
+   * the time signature (e.g. steps 0, 4 and 8 of a 7/8 bar).
+   *
+   * @private
+   * @param {number} idx - step within the pattern
+   * @returns {boolean}
+   */
+  _isStrongStep(idx) {
+    if (!this.timeSignature) {
+      return idx % 4 === 0;
+    }
+    let position = idx % this.timeSignature.getStepsPerBar();
+    for (const length of this.timeSignature.getBeatLengths()) {
+      if (position === 0) return true;
+      position -= length;
+    }
+    return false;
+  }
+
   /**
    * Called on each step by the LiveLoop. Determines which variant ("low","medium","high")
    * to use based on hype level from `energyManager` or from `context.energyState`.
@@ -0,0 +1,282 @@
+/**
+ * src/patterns/midi-file-pattern.js
+ *
+ * A pattern that plays a track from an imported .mid file, quantized to the
+ * step grid, so it runs inside a LiveLoop like any other pattern: clock-synced
+ * through the TransportManager, with the loop's transpose and mute applied.
+ *
+ * **Key Features:**
+ * 1. **Quantizing**: note starts and lengths are rounded to the nearest step.
+ *    `stepsPerBeat` sets the resolution (4 = 16ths, matching pulsesPerStep=6).
+ * 2. **Loop region**: `loopStartStep` / `loopEndStep` pick the part of the
+ *    track that repeats. Notes running past the loop end are shortened.
+ * 3. **Chord publishing** (optional): when the LiveLoop has the
+ *    "chordProvider" role (or `publishChords: true`), the notes sounding on
+ *    each step are detected as a chord and sent to the ChordManager, so other
+ *    loops can follow the file's harmony. Authorize "MidiFilePattern" as the
+ *    provider.
+ *
+ * ### Example Usage
+ * ```js
+ * import tonejsMidi from "@tonejs/midi";
+ * const { Midi } = tonejsMidi;
+ *
+ * const midi = new Midi(arrayBuffer);
+ * const pattern = MidiFilePattern.fromMidi(midi, 0, {
+ *   loopStartStep: 0,
+ *   loopEndStep: 64, // first 4 bars
+ * });
+ * const loop = new LiveLoop(midiBus, { pattern, midiChannel: 2 });
+ * transport.addLiveLoop(loop);
+ * ```
+ */
+
+import { BasePattern } from "./base-pattern.js";
+import { Chord, Note } from "@tonaljs/tonal";
+import { TimeSignature } from "../time-signature.js";
+
+export class MidiFilePattern extends BasePattern {
+  /**
+   * @param {Object} options
+   * @param {Object} options.track
+   *   A parsed track, e.g. `midi.tracks[0]` from @tonejs/midi. Only
+   *   `track.notes[]` with `{ midi, ticks, durationTicks, velocity (0..1) }` is used.
+   * @param {number} [options.ppq=480]
+   *   Ticks per quarter note of the file (`midi.header.ppq`).
+   * @param {number} [options.stepsPerBeat=4]
+   *   Quantize resolution in steps per quarter note.
+   * @param {number} [options.loopStartStep=0]
+   *   First step (in file steps) of the loop region.
+   * @param {number|null} [options.loopEndStep=null]
+   *   End of the loop region (exclusive). Defaults to the end of the last
+   *   note, rounded up to a whole bar.
+   * @param {TimeSignature|string|number[]|null} [options.timeSignature=null]
+   *   Meter used for that rounding. fromMidi() takes it from the file; 4/4
+   *   when unknown.
+   * @param {boolean} [options.publishChords=false]
+   *   Publish chords even when the loop's role isn't "chordProvider".
+   * @param {string} [options.name]
+   *   Optional display name.
+   */
+  constructor({
+    track,
+    ppq = 480,
+    stepsPerBeat = 4,
+    loopStartStep = 0,
+    loopEndStep = null,
+    publishChords = false,
+    timeSignature = null,
+    name,
+  } = {}) {
+    super({
+      ppq,
+      stepsPerBeat,
+      loopStartStep,
+      loopEndStep,
+      publishChords,
+      timeSignature,
+      name,
+    });
+
+    this.ppq = ppq;
+    this.stepsPerBeat = stepsPerBeat;
+    this.publishChords = publishChords;
+    this.timeSignature = timeSignature
+      ? TimeSignature.from(timeSignature)
+      : null;
+
+    const quantized = this._quantize(track?.notes || []);
+
+    this.loopStartStep = Math.max(0, Math.floor(loopStartStep));
+    this.loopEndStep =
+      loopEndStep ?? this._defaultLoopEnd(quantized, this.stepsPerBeat);
+    if (this.loopEndStep <= this.loopStartStep) {
+      console.warn(
+        `[MidiFilePattern] Empty loop region (${this.loopStartStep}..${this.loopEndStep}). Using one step.`
+      );
+      this.loopEndStep = this.loopStartStep + 1;
+    }
+
+    /**
+     * @private
+     * `this.steps[i]` => note objects starting on step (loopStartStep + i),
+     * each with midi, velocity and durationSteps.
+     */
+    this.steps = this._buildSteps(quantized);
+
+    /** @private Signature of the chord last sent to the ChordManager */
+    this._lastChordSig = null;
+  }
+
+  /**
+   * Convenience factory for a @tonejs/midi `Midi` object.
+   *
+   * @param {Object} midi - Parsed file (`new Midi(arrayBuffer)`)
+   * @param {number} [trackIndex=0]
+   * @param {Object} [options] - Same as the constructor (track/ppq are filled in)
+   * @returns {MidiFilePattern}
+   */
+  static fromMidi(midi, trackIndex = 0, options = {}) {
+    const track = midi?.tracks?.[trackIndex];
+    if (!track) {
+      console.warn(`[MidiFilePattern] No track at index ${trackIndex}.`);
+    }
+    return new MidiFilePattern({
+      name: track?.name || undefined,
+      timeSignature: midi?.header?.timeSignatures?.[0]?.timeSignature ?? null,
+      ...options,
+      track,
+      ppq: midi?.header?.ppq ?? 480,
+    });
+  }
+
+  /**
+   * Returns the notes starting on this step of the loop region.
+   *
+   * @param {number} stepIndex
+   * @param {object} [context] - chordManager, role and transpose are used for chord publishing
+   * @returns {Array<{ note: string, velocity: number, durationSteps: number }>}
+   */
+  getNotes(stepIndex, context = {}) {
+    const index = Math.floor(stepIndex) % this.getLength();
+
+    if (
+      context.chordManager &&
+      (this.publishChords || context.role === "chordProvider")
+    ) {
+      this._publishChord(index, context);
+    }
+
+    return this.steps[index].map(({ midi, velocity, durationSteps }) => ({
+      note: Note.fromMidiSharps(midi),
+      velocity,
+      durationSteps,
+    }));
+  }
+
+  /**
+   * The length of the loop region in steps.
+   * @returns {number}
+   */
+  getLength() {
+    return this.loopEndStep - this.loopStartStep;
+  }
+
+  /**
+   * Includes the quantized steps, like ExplicitNotePattern.
+   * @returns {Object}
+   */
+  toConfig() {
+    const base = super.toConfig();
+    return {
+      ...base,
+      steps: this.steps,
+    };
+  }
+
+  /**
+   * The ID used when calling chordManager.
+   */
+  getProviderId() {
+    return "MidiFilePattern";
+  }
+
+  /**
+   * Ticks -> steps for every note, dropping anything that can't be played.
+   * @private
+   */
+  _quantize(notes) {
+    const ticksPerStep = this.ppq / this.stepsPerBeat;
+    return notes
+      .filter((n) => Number.isFinite(n.midi) && Number.isFinite(n.ticks))
+      .map((n) => ({
+        midi: n.midi,
+        step: Math.round(n.ticks / ticksPerStep),
+        durationSteps: Math.max(
+          1,
+          Math.round((n.durationTicks || 0) / ticksPerStep)
+        ),
+        velocity: Math.max(1, Math.min(127, Math.round((n.velocity ?? 0.8) * 127))),
+      }));
+  }
+
+  /**
+   * @private
+   */
+  _defaultLoopEnd(quantized, stepsPerBeat) {
+    const stepsPerBar = this.timeSignature
+      ? this.timeSignature.getStepsPerBar(stepsPerBeat)
+      : stepsPerBeat * 4;
+    const lastEnd = quantized.reduce(
+      (max, n) => Math.max(max, n.step + n.durationSteps),
+      0
+    );
+    return Math.max(stepsPerBar, Math.ceil(lastEnd / stepsPerBar) * stepsPerBar);
+  }
+
+  /**
+   * @private
+   */
+  _buildSteps(quantized) {
+    const steps = Array.from({ length: this.getLength() }, () => []);
+    quantized.forEach((n) => {
+      if (n.step < this.loopStartStep || n.step >= this.loopEndStep) return;
+      const stepNotes = steps[n.step - this.loopStartStep];
+      // Two notes quantized onto the same step/pitch: keep the first
+      if (stepNotes.some((existing) => existing.midi === n.midi)) return;
+      stepNotes.push({
+        midi: n.midi,
+        velocity: n.velocity,
+        durationSteps: Math.min(n.durationSteps, this.loopEndStep - n.step),
+      });
+    });
+    return steps;
+  }
+
+  /**
+   * Detect the chord sounding on this step and send it to the ChordManager
+   * when it changes. Steps where nothing sounds keep the previous chord.
+   * @private
+   */
+  _publishChord(index, context) {
+    const transpose = context.transpose || 0;
+    const sounding = new Set();
+    this.steps.forEach((stepNotes, start) => {
+      stepNotes.forEach(({ midi, durationSteps }) => {
+        if (index >= start && index < start + durationSteps) {
+          sounding.add(Math.max(0, Math.min(127, midi + transpose)));
+        }
+      });
+    });
+    if (!sounding.size) return;
+
+    const midiNotes = [...sounding].sort((a, b) => a - b);
+    const chordNotes = midiNotes.map((m) => Note.fromMidiSharps(m));
+    const sig = chordNotes.join(",");
+    if (sig === this._lastChordSig) return;
+    this._lastChordSig = sig;
+
+    context.chordManager.setCurrentChord(
+      this.getProviderId(),
+      this._detectRoot(chordNotes),
+      chordNotes
+    );
+  }
+
+  /**
+   * Root of the detected chord (with the octave of its lowest occurrence),
+   * or the bass note when no chord is recognized.
+   * @private
+   */
+  _detectRoot(chordNotes) {
+    const pitchClasses = [...new Set(chordNotes.map((n) => Note.pitchClass(n)))];
+    const [chordName] = Chord.detect(pitchClasses);
+    const tonic = chordName ? Chord.get(chordName).tonic : null;
+    if (tonic) {
+      const chroma = Note.chroma(tonic);
+      const rootNote = chordNotes.find((n) => Note.chroma(n) === chroma);
+      if (rootNote) return rootNote;
+    }
+    return chordNotes[0];
+  }
+}
@@ -1,4 +1,5 @@
 import { BasePattern } from "./base-pattern.js";
+import { TimeSignature } from "../time-signature.js";
 
 /**
  * PhraseContourMelody
@@ -23,6 +24,10 @@ export class PhraseContourMelody extends BasePattern {
    *    Examples: ["intro","build","peak","resolve","cadence"], etc.
    * @param {number} [options.stepsPerBar=16]
    *    How many steps your system uses per bar (16 is common in 4/4 if each step is a 16th note).
+   * @param {TimeSignature|string|number[]|null} [options.timeSignature=null]
+   *    The meter (with 16th-note steps), e.g. "3/4" or "7/8". When given, stepsPerBar comes
+   *    from it and note/cadence "beats" are quarter notes (4 steps).
+   *    Without it, a bar is assumed to be 4 beats of stepsPerBar / 4 steps.
    * @param {number} [options.cadenceBeats=2]
    *    Beats (or step fraction) to hold or rest at the phrase end as a cadence. If your bar is 4 beats, 2 means half a bar, etc.
    * @param {number} [options.melodicDensity=0.7]
@@ -45,6 +50,7 @@ export class PhraseContourMelody extends BasePattern {
     phraseBars = 4,
     subSections = ["build", "peak", "resolve"],
     stepsPerBar = 16,
+    timeSignature = null,
     cadenceBeats = 2,
     melodicDensity = 0.7,
     baseVelocity = 90,
@@ -54,7 +60,14 @@ export class PhraseContourMelody extends BasePattern {
     super();
     this.phraseBars = phraseBars;
     this.subSections = subSections;
-    this.stepsPerBar = stepsPerBar;
+    this.timeSignature = timeSignature
+      ? TimeSignature.from(timeSignature)
+      : null;
+    this.stepsPerBar = this.timeSignature
+      ? this.timeSignature.getStepsPerBar()
+      : stepsPerBar;
+    // Steps per (quarter-note) beat, for note durations and the cadence
+    this.stepsPerBeat = this.timeSignature ? 4 : this.stepsPerBar / 4;
     this.cadenceBeats = cadenceBeats;
     this.melodicDensity = melodicDensity;
     this.baseVelocity = baseVelocity;
@@ -204,9 +217,9 @@ export class PhraseContourMelody extends BasePattern {
     // We'll see if subSec prescribes a typical length in beats (like 0.5 or 1.0).
     // We'll convert beats -> steps. Then clamp to the end of subSec or phrase.
     const durationBeats = this._pickDurationBeats(subSecCfg);
-    let durationSteps = Math.floor(durationBeats * (this.stepsPerBar / 4.0));
-    // If your bar is 4 beats, stepsPerBar/4 => steps per beat. For 16 spb => 4 steps per beat.
-    // This is one example approach.
+    let durationSteps = Math.floor(durationBeats * this.stepsPerBeat);
+    // stepsPerBeat is stepsPerBar/4 (a 4-beat bar) unless a timeSignature was given.
+    // For 16 spb => 4 steps per beat.
 
     // If we're near the phrase end or in cadence, we might override for a hold
     if (isCadenceZone) {
@@ -254,9 +267,7 @@ export class PhraseContourMelody extends BasePattern {
     // If user wants a "cadenceBeats=2," we subtract those steps from the last subSection or treat it as a separate subSection (like "cadence").
     const totalSteps = this.getLength();
     // Convert 'cadenceBeats' into steps:
-    const beatsPerBar = 4; // If you define your bar as 4 beats
-    const stepsPerBeat = this.stepsPerBar / beatsPerBar;
-    const cadenceSteps = Math.floor(this.cadenceBeats * stepsPerBeat);
+    const cadenceSteps = Math.floor(this.cadenceBeats * this.stepsPerBeat);
 
     const subSectionCount = this.subSections.length;
     const mainSteps = Math.max(0, totalSteps - cadenceSteps);
@@ -0,0 +1,367 @@
+/**
+ * src/recording/session-recorder.js
+ *
+ * Records everything that goes over the MidiBus (notes, CC, pitch bend,
+ * program changes) and exports it as a multi-track Standard MIDI File,
+ * ready to drop into a DAW.
+ *
+ * Key Points:
+ * - Event positions are musical (quarter-note beats). With a transport they
+ *   come from transport.timeInBeats, otherwise from the wall clock at `bpm`.
+ *   A transport restart (Start) continues the recording where the transport
+ *   was, rather than jumping back to beat 0.
+ * - One track per channel/outputId; tracks are named after the LiveLoop(s)
+ *   playing on them when the loops are known.
+ * - The tempo (including "tempoChange" events from the transport) and the
+ *   time signature are written into the file header.
+ * - toMidi() also accepts the event list returned by transport.renderSteps(),
+ *   so offline renders can be exported the same way.
+ *
+ * Example:
+ *   const recorder = new SessionRecorder(midiBus, { transport });
+ *   recorder.start();
+ *   // ... jam ...
+ *   recorder.stop();
+ *   const bytes = recorder.toArray(); // Uint8Array of a .mid file
+ */
+
+// @tonejs/midi is CommonJS; the default import works in both Node and the browser build
+import tonejsMidi from "@tonejs/midi";
+
+const { Midi } = tonejsMidi;
+
+/** midiBus events captured while recording. */
+const RECORDED_EVENT_TYPES = [
+  "noteOn",
+  "noteOff",
+  "controlChange",
+  "pitchBend",
+  "programChange",
+];
+
+export class SessionRecorder {
+  /**
+   * @param {MidiBus} midiBus - The shared MIDI Bus to listen to.
+   * @param {Object} [options]
+   * @param {TransportManager} [options.transport=null] - Provides beat positions, tempo and LiveLoops.
+   * @param {Array<LiveLoop>} [options.liveLoops] - Loops used for track names (defaults to transport.liveLoops).
+   * @param {number} [options.bpm=120] - Tempo when the transport can't tell us one.
+   * @param {number[]|null} [options.timeSignature=null] - Written into the file header. Defaults to the transport's time signature, else [4, 4].
+   * @param {string} [options.name="TonicMIDI Session"] - Name stored in the file.
+   */
+  constructor(
+    midiBus,
+    {
+      transport = null,
+      liveLoops = null,
+      bpm = 120,
+      timeSignature = null,
+      name = "TonicMIDI Session",
+    } = {}
+  ) {
+    /** @private */
+    this.midiBus = midiBus;
+    /** @private */
+    this.transport = transport;
+    /** @private */
+    this._liveLoops = liveLoops;
+
+    this.bpm = bpm;
+    this.timeSignature =
+      timeSignature ?? transport?.getTimeSignature?.()?.toArray() ?? [4, 4];
+    this.name = name;
+
+    /**
+     * Recorded events, in order: { type, beat, data }
+     * @type {Array<Object>}
+     */
+    this.events = [];
+
+    /**
+     * Tempo map: { beat, bpm }
+     * @type {Array<Object>}
+     */
+    this.tempos = [];
+
+    this.isRecording = false;
+
+    /** @private Transport position / wall-clock time at start() */
+    this._startBeat = 0;
+    this._startTime = 0;
+    /** @private Recording position that _startBeat maps to */
+    this._beatOffset = 0;
+    /** @private Recording position at the last transport pulse */
+    this._lastBeat = 0;
+    /** @private Position at stop(), where held notes are closed */
+    this._stopBeat = null;
+    /** @private [eventName, callback] pairs subscribed on the midiBus */
+    this._busListeners = [];
+
+    this._onTempoChange = this._onTempoChange.bind(this);
+    this._onTransportPulse = this._onTransportPulse.bind(this);
+    this._onTransportStart = this._onTransportStart.bind(this);
+  }
+
+  /**
+   * Start a fresh recording. Previously recorded events are discarded.
+   */
+  start() {
+    if (this.isRecording) return;
+
+    this.events = [];
+    this._stopBeat = null;
+    this._startBeat = this.transport?.timeInBeats ?? 0;
+    this._startTime = this._now();
+    this._beatOffset = 0;
+    this._lastBeat = 0;
+    this.tempos = [{ beat: 0, bpm: this._currentBpm() }];
+
+    this._busListeners = RECORDED_EVENT_TYPES.map((type) => {
+      const listener = (data) => this._record(type, data);
+      this.midiBus.on(type, listener);
+      return [type, listener];
+    });
+    this.transport?.on?.("tempoChange", this._onTempoChange);
+    this.transport?.on?.("pulse", this._onTransportPulse);
+    this.transport?.on?.("start", this._onTransportStart);
+
+    this.isRecording = true;
+  }
+
+  /**
+   * Stop recording. Notes still held are closed at this position on export.
+   */
+  stop() {
+    if (!this.isRecording) return;
+
+    this._busListeners.forEach(([type, listener]) =>
+      this.midiBus.off(type, listener)
+    );
+    this._busListeners = [];
+    this.transport?.off?.("tempoChange", this._onTempoChange);
+    this.transport?.off?.("pulse", this._onTransportPulse);
+    this.transport?.off?.("start", this._onTransportStart);
+
+    this._stopBeat = this._currentBeat();
+    this.isRecording = false;
+  }
+
+  /**
+   * Build a @tonejs/midi Midi object from the recorded events.
+   *
+   * @param {Array<Object>} [events=this.events] - { type, beat, data } list,
+   *   e.g. the result of transport.renderSteps()
+   * @returns {Midi}
+   */
+  toMidi(events = this.events) {
+    const midi = new Midi();
+    const ppq = midi.header.ppq;
+    const toTicks = (beat) => Math.max(0, Math.round(beat * ppq));
+
+    midi.header.name = this.name;
+    const tempos = this.tempos.length
+      ? this.tempos
+      : [{ beat: 0, bpm: this._currentBpm() }];
+    midi.header.tempos = tempos.map(({ beat, bpm }) => ({
+      ticks: toTicks(beat),
+      bpm,
+    }));
+    midi.header.timeSignatures = [
+      { ticks: 0, timeSignature: [...this.timeSignature] },
+    ];
+    midi.header.update();
+
+    const tracks = new Map(); // trackKey -> { track, openNotes }
+    const getTrack = ({ channel, outputId }) => {
+      const key = this._trackKey(channel, outputId);
+      if (!tracks.has(key)) {
+        const track = midi.addTrack();
+        track.name = this._trackName(channel, outputId);
+        track.channel = channel - 1;
+        tracks.set(key, { track, openNotes: new Map(), hasProgram: false });
+      }
+      return tracks.get(key);
+    };
+
+    let lastBeat = 0;
+    for (const { type, beat, data } of events) {
+      lastBeat = Math.max(lastBeat, beat);
+      const entry = getTrack(data);
+
+      if (type === "noteOn" && data.velocity > 0) {
+        // Re-triggering a held note closes the previous one first
+        this._closeNote(entry, data.note, beat, toTicks);
+        entry.openNotes.set(data.note, { beat, velocity: data.velocity });
+      } else if (type === "noteOn" || type === "noteOff") {
+        this._closeNote(entry, data.note, beat, toTicks);
+      } else if (type === "controlChange") {
+        entry.track.addCC({
+          number: data.cc,
+          value: toUnit(data.value),
+          ticks: toTicks(beat),
+        });
+      } else if (type === "pitchBend") {
+        // Stored as the raw signed 14-bit value (-8192..8191)
+        entry.track.addPitchBend({ value: data.value, ticks: toTicks(beat) });
+      } else if (type === "programChange" && !entry.hasProgram) {
+        // A .mid track carries a single instrument; the first program wins
+        entry.track.instrument.number = data.program;
+        entry.hasProgram = true;
+      }
+    }
+
+    // Close anything still sounding at the end of the recording
+    const endBeat = Math.max(lastBeat, this._stopBeat ?? lastBeat);
+    tracks.forEach((entry) => {
+      [...entry.openNotes.keys()].forEach((note) =>
+        this._closeNote(entry, note, endBeat, toTicks)
+      );
+    });
+
+    return midi;
+  }
+
+  /**
+   * The recording as Standard MIDI File bytes.
+   * @param {Array<Object>} [events=this.events]
+   * @returns {Uint8Array}
+   */
+  toArray(events = this.events) {
+    return this.toMidi(events).toArray();
+  }
+
+  /**
+   * Browser helper: save the recording as a .mid file.
+   * @param {string} [filename="session.mid"]
+   */
+  download(filename = "session.mid") {
+    if (typeof document === "undefined") {
+      console.warn("SessionRecorder: download() is only available in a browser.");
+      return;
+    }
+    const blob = new Blob([this.toArray()], { type: "audio/midi" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * @private
+   */
+  _record(type, data) {
+    this.events.push({ type, beat: this._currentBeat(), data: { ...data } });
+  }
+
+  /**
+   * @private
+   */
+  _onTempoChange({ bpm }) {
+    this.tempos.push({ beat: this._currentBeat(), bpm });
+  }
+
+  /**
+   * @private
+   */
+  _onTransportPulse() {
+    this._lastBeat = this._currentBeat();
+  }
+
+  /**
+   * The transport went back to beat 0: carry on from the last pulse instead
+   * of recording over the start of the file.
+   * @private
+   */
+  _onTransportStart({ timeInBeats }) {
+    this._beatOffset = this._lastBeat;
+    this._startBeat = timeInBeats;
+  }
+
+  /**
+   * Position in beats since start(). Uses the transport when available so the
+   * file lines up with the musical grid.
+   * @private
+   */
+  _currentBeat() {
+    if (this.transport) {
+      return (
+        this._beatOffset +
+        Math.max(0, this.transport.timeInBeats - this._startBeat)
+      );
+    }
+    const msPerBeat = 60000 / this.bpm;
+    return (this._now() - this._startTime) / msPerBeat;
+  }
+
+  /**
+   * @private
+   */
+  _currentBpm() {
+    return this.transport?.getBpm?.() ?? this.bpm;
+  }
+
+  /**
+   * @private
+   */
+  _closeNote(entry, note, beat, toTicks) {
+    const open = entry.openNotes.get(note);
+    if (!open) return;
+    entry.openNotes.delete(note);
+
+    const ticks = toTicks(open.beat);
+    entry.track.addNote({
+      midi: note,
+      ticks,
+      // Zero-length notes get dropped by some DAWs
+      durationTicks: Math.max(1, toTicks(beat) - ticks),
+      velocity: toUnit(open.velocity),
+    });
+  }
+
+  /**
+   * @private
+   */
+  _trackKey(channel, outputId) {
+    return outputId ? `${outputId}_${channel}` : `${channel}`;
+  }
+
+  /**
+   * Name a track after the LiveLoop(s) on that channel/output, falling back
+   * to the channel number.
+   * @private
+   */
+  _trackName(channel, outputId) {
+    const loops = this._liveLoops ?? this.transport?.liveLoops ?? [];
+    const names = loops
+      .filter(
+        (loop) =>
+          loop.midiChannel === channel &&
+          (loop.midiOutputId ?? null) === (outputId ?? null)
+      )
+      .map((loop) => loop.name || loop.getPatternName?.())
+      .filter(Boolean);
+    if (names.length) return names.join(" / ");
+    return outputId ? `Ch ${channel} (${outputId})` : `Ch ${channel}`;
+  }
+
+  /**
+   * @private
+   */
+  _now() {
+    if (typeof performance !== "undefined" && performance.now) {
+      return performance.now();
+    }
+    return Date.now();
+  }
+}
+
+/**
+ * 0..127 -> 0..1 for @tonejs/midi, which floors value * 127 when encoding.
+ * The half-step offset makes that round-trip exact.
+ * @private
+ */
+function toUnit(value) {
+  return Math.min(127, value + 0.5) / 127;
+}
@@ -10,8 +10,18 @@
  * Other patterns can read it if they want to coordinate with the kick.
  *
  * Now hardened so only the authorized kick provider can set the kick.
+ *
+ * It also exposes the active groove (swing template) set on the
+ * TransportManager, so patterns can tell whether their steps are being swung.
+ *
+ * Meters other than 4/4 are set with a TimeSignature (`timeSignature` option or
+ * setTimeSignature()). Bars then follow the meter and beats follow its
+ * grouping, e.g. 7/8 as 2+2+3. Without one, the plain stepsPerBar /
+ * stepsPerBeat grid (4/4 by default) is used.
  */
 
+import { TimeSignature } from "./time-signature.js";
+
 export class RhythmManager {
   /**
    * @param {Object} options
@@ -21,11 +31,16 @@ export class RhythmManager {
    *   Number of steps per quarter note under "normal" subdivision.
    * @param {string} [options.subdivision="normal"]
    *   Which subdivision is active: "normal", "doubleTime", "halfTime", etc.
+   * @param {TimeSignature|string|number[]|null} [options.timeSignature=null]
+   *   The meter, e.g. "3/4" or new TimeSignature(7, 8, { grouping: [2, 2, 3] }).
+   *   stepsPerBeat is then read as steps per quarter note and stepsPerBar is
+   *   derived from the meter.
    */
   constructor({
     stepsPerBar = 16,
     stepsPerBeat = 4,
     subdivision = "normal",
+    timeSignature = null,
   } = {}) {
     /**
      * The user’s "base" steps-per-bar in normal mode.
@@ -33,6 +48,12 @@ export class RhythmManager {
      */
     this._baseStepsPerBar = stepsPerBar;
 
+    /**
+     * stepsPerBar as given, restored when the meter is cleared.
+     * @private
+     */
+    this._gridStepsPerBar = stepsPerBar;
+
     /**
      * The user’s "base" steps-per-beat in normal mode.
      * @private
@@ -57,6 +78,37 @@ export class RhythmManager {
      */
     this._authorizedKickProvider = null;
 
+    /**
+     * The groove the TransportManager is applying, or null (straight).
+     * @private
+     */
+    this._groove = null;
+
+    /**
+     * The active meter, or null for the plain stepsPerBar/stepsPerBeat grid.
+     * @type {TimeSignature|null}
+     */
+    this.timeSignature = null;
+
+    /**
+     * Step on which bar counting starts (a meter change mid-song).
+     * @private
+     */
+    this._anchorStep = 0;
+
+    /**
+     * Beat lengths (in steps) of one bar under the current meter and
+     * subdivision, or null on the plain grid.
+     * @private
+     */
+    this._beatLengths = null;
+
+    /**
+     * Steps per denominator note under the current meter and subdivision.
+     * @private
+     */
+    this._stepsPerUnit = null;
+
     /**
      * Actual steps per bar/beat/offbeat, recalculated in _updateStepCounts().
      */
@@ -64,10 +116,78 @@ export class RhythmManager {
     this.stepsPerBeat = this._baseStepsPerBeat;
     this.stepsPerOffbeat = Math.floor(this.stepsPerBeat / 2);
 
-    // Initialize based on the current subdivision
+    if (timeSignature) {
+      this.setTimeSignature(timeSignature);
+    } else {
+      // Initialize based on the current subdivision
+      this._updateStepCounts();
+    }
+  }
+
+  /**
+   * Switch to another meter. stepsPerBar, stepsPerBeat and all bar/beat
+   * queries follow it from `anchorStep` on (the TransportManager passes the
+   * bar line where the change happens).
+   *
+   * @param {TimeSignature|string|number[]|null} timeSignature - null returns to the plain grid
+   * @param {Object} [options]
+   * @param {number} [options.anchorStep=0] - step where the first bar of the new meter starts
+   */
+  setTimeSignature(timeSignature, { anchorStep = 0 } = {}) {
+    if (timeSignature === null) {
+      this.timeSignature = null;
+      this._baseStepsPerBar = this._gridStepsPerBar;
+      this._beatLengths = null;
+      this._stepsPerUnit = null;
+    } else {
+      this.timeSignature = TimeSignature.from(timeSignature);
+      this._baseStepsPerBar = this.timeSignature.getStepsPerBar(
+        this._baseStepsPerBeat
+      );
+    }
+    this._anchorStep = anchorStep;
     this._updateStepCounts();
   }
 
+  /**
+   * The active meter, or null on the plain stepsPerBar/stepsPerBeat grid.
+   * @returns {TimeSignature|null}
+   */
+  getTimeSignature() {
+    return this.timeSignature;
+  }
+
+  /**
+   * Start step (within the bar) of every beat, e.g. [0, 4, 8] for 7/8 (2+2+3).
+   * @returns {number[]}
+   */
+  getBeatStarts() {
+    if (!this._beatLengths) {
+      const starts = [];
+      for (let i = 0; i < this.stepsPerBar; i += this.stepsPerBeat) {
+        starts.push(i);
+      }
+      return starts;
+    }
+    const starts = [];
+    let position = 0;
+    for (const length of this._beatLengths) {
+      starts.push(position);
+      position += length;
+    }
+    return starts;
+  }
+
+  /**
+   * Position of a step within its bar (0 = downbeat).
+   * @param {number} stepIndex
+   * @returns {number}
+   */
+  getStepInBar(stepIndex) {
+    const offset = stepIndex - this._anchorStep;
+    return ((offset % this.stepsPerBar) + this.stepsPerBar) % this.stepsPerBar;
+  }
+
   /**
    * Authorizes a single pattern or loop ID to set the kick.
    * @param {string|number} providerId
@@ -101,6 +221,23 @@ export class RhythmManager {
     return this.kickThisBeat;
   }
 
+  /**
+   * Called by the TransportManager when its groove changes.
+   * @param {import('./transport/groove.js').Groove|null} groove
+   */
+  setGroove(groove) {
+    this._groove = groove || null;
+  }
+
+  /**
+   * The active groove, or null when the transport plays straight.
+   * Patterns can use `getGroove()?.getOffset(stepIndex)` to see how late a step lands.
+   * @returns {import('./transport/groove.js').Groove|null}
+   */
+  getGroove() {
+    return this._groove;
+  }
+
   /**
    * Checks if the given step is the downbeat (stepIndex % stepsPerBar === 0).
    * e.g. in 16-step bars, step 0,16,32,... are downbeats.
@@ -108,6 +245,9 @@ export class RhythmManager {
    * @returns {boolean}
    */
   isDownbeat(stepIndex) {
+    if (this._beatLengths) {
+      return this.getStepInBar(stepIndex) === 0;
+    }
     return stepIndex % this.stepsPerBar === 0;
   }
 
@@ -117,16 +257,31 @@ export class RhythmManager {
    * @returns {boolean}
    */
   isBeat(stepIndex) {
+    if (this._beatLengths) {
+      return this._locateBeat(stepIndex).positionInBeat === 0;
+    }
     return stepIndex % this.stepsPerBeat === 0;
   }
 
   /**
    * Checks if the given step is an offbeat (e.g., stepIndex % stepsPerBeat === stepsPerOffbeat).
    * In default 4/4, that's stepIndex % 4 === 2 for offbeats.
+   * With a time signature, beats made of several notes (6/8, the 2s and 3s
+   * of 7/8) have their other eighths as offbeats instead.
    * @param {number} stepIndex
    * @returns {boolean}
    */
   isOffbeat(stepIndex) {
+    if (this._beatLengths) {
+      const { positionInBeat, length } = this._locateBeat(stepIndex);
+      if (length > this._stepsPerUnit) {
+        return (
+          positionInBeat > 0 &&
+          Number.isInteger(positionInBeat / this._stepsPerUnit)
+        );
+      }
+      return length > 1 && positionInBeat === Math.floor(length / 2);
+    }
     return stepIndex % this.stepsPerBeat === this.stepsPerOffbeat;
   }
 
@@ -154,9 +309,21 @@ export class RhythmManager {
    * @returns {number}
    */
   getBeatNumber(stepIndex) {
+    if (this._beatLengths) {
+      return this._locateBeat(stepIndex).index + 1;
+    }
     return Math.floor((stepIndex % this.stepsPerBar) / this.stepsPerBeat) + 1;
   }
 
+  /**
+   * Bar number (0-based) of a step, counted from the meter's anchor step.
+   * @param {number} stepIndex
+   * @returns {number}
+   */
+  getBarIndex(stepIndex) {
+    return Math.floor((stepIndex - this._anchorStep) / this.stepsPerBar);
+  }
+
   /**
    * Allows external code (EnergyManager, etc.) to set the subdivision:
    * "normal", "doubleTime", or "halfTime". Then we recalc stepsPerBar/Beat.
@@ -178,6 +345,10 @@ export class RhythmManager {
    * @private
    */
   _updateStepCounts() {
+    if (this.timeSignature) {
+      this._updateMeterStepCounts();
+      return;
+    }
     switch (this.subdivision) {
       case "doubleTime":
         // If base is 16 steps, doubleTime => 32 steps
@@ -201,12 +372,58 @@ export class RhythmManager {
     this.stepsPerOffbeat = Math.floor(this.stepsPerBeat / 2);
   }
 
+  /**
+   * _updateStepCounts() under a time signature: the meter's beat lengths,
+   * scaled by the subdivision (doubleTime = twice the steps per beat).
+   * @private
+   */
+  _updateMeterStepCounts() {
+    let factor = 1;
+    if (this.subdivision === "doubleTime") factor = 2;
+    else if (this.subdivision === "halfTime") factor = 0.5;
+
+    const stepsPerQuarter = this._baseStepsPerBeat * factor;
+    this._stepsPerUnit = this.timeSignature.getStepsPerUnit(stepsPerQuarter);
+    this._beatLengths = this.timeSignature.getBeatLengths(stepsPerQuarter);
+    this.stepsPerBar = this.timeSignature.getStepsPerBar(stepsPerQuarter);
+    this.stepsPerBeat = this._beatLengths[0];
+    this.stepsPerOffbeat = Math.floor(this.stepsPerBeat / 2);
+  }
+
+  /**
+   * Which beat of the bar a step falls in, and where within that beat.
+   * @private
+   * @returns {{ index: number, positionInBeat: number, length: number }}
+   */
+  _locateBeat(stepIndex) {
+    let position = this.getStepInBar(stepIndex);
+    for (let index = 0; index < this._beatLengths.length; index++) {
+      const length = this._beatLengths[index];
+      if (position < length) {
+        return { index, positionInBeat: position, length };
+      }
+      position -= length;
+    }
+    // Only reachable with fractional step lengths (e.g. halfTime in 7/8)
+    const last = this._beatLengths.length - 1;
+    return {
+      index: last,
+      positionInBeat: position,
+      length: this._beatLengths[last],
+    };
+  }
+
   /**
    * OPTIONAL: Returns an array of accent velocities for each step in the bar,
    * if you want to program dynamic accent patterns.
+   * With a time signature: 120 on the downbeat, 100 on a beat in the middle
+   * of the bar, 90 on other beats and 70 on offbeats.
    * @returns {number[]} An array of length stepsPerBar with accent values
    */
   getAccentPattern() {
+    if (this.timeSignature) {
+      return this._getMeterAccentPattern();
+    }
     const accentPattern = new Array(this.stepsPerBar).fill(0);
 
     // Simple example for "normal", "doubleTime", and "halfTime"
@@ -254,4 +471,24 @@ export class RhythmManager {
 
     return accentPattern;
   }
+
+  /**
+   * @private
+   */
+  _getMeterAccentPattern() {
+    const stepsPerBar = Math.round(this.stepsPerBar);
+    const accentPattern = new Array(stepsPerBar).fill(0);
+    const beatStarts = new Set(this.getBeatStarts());
+    for (let i = 0; i < stepsPerBar; i++) {
+      const step = this._anchorStep + i;
+      if (i === 0) {
+        accentPattern[i] = 120; // downbeat
+      } else if (beatStarts.has(i)) {
+        accentPattern[i] = i === stepsPerBar / 2 ? 100 : 90; // mid-bar / other beats
+      } else if (this.isOffbeat(step)) {
+        accentPattern[i] = 70;
+      }
+    }
+    return accentPattern;
+  }
 }
@@ -9,6 +9,10 @@ import {
   EnergyManager,
   ChordManager,
   GlobalContext,
+  RhythmManager,
+  MidiInputRouter,
+  MidiLearn,
+  energyTargets,
 } from "../index.js"; // Adjust the relative path to your library's root
 
 /**
@@ -17,35 +21,56 @@ import {
  * A helper that does the standard “bootstrap” tasks:
  *   1. Request Web MIDI Access
  *   2. Create a MidiBus, DeviceManager, PlaybackEngine
- *   3. Hook the first input for external clock
+ *   3. Relay all inputs (the first one is the external clock)
  *   4. Provide all MIDI outputs to the playback engine
  *   5. For each MIDI output, auto-match a device profile
- *   6. Build a TransportManager (pulsesPerStep=6 or as passed)
+ *   6. Build a TransportManager (pulsesPerStep=6 or as passed, with lookahead scheduling)
  *   7. Create optional global context (chordManager, energyManager, etc.)
+ *      and a MidiInputRouter for playing keyboards into the system, with
+ *      MidiLearn for binding knobs to parameters
  *
  * Returns an object containing references to all these so you can build LiveLoops.
+ *
+ * Pass `panicTrigger` (e.g. `{ channel: 16, cc: 119 }`) to fire midiBus.panic()
+ * from a control on the input, and `sysex: true` to send SysEx (the browser
+ * asks the user for SysEx access).
  */
-export async function createDefaultSystem({ pulsesPerStep = 6 } = {}) {
+export async function createDefaultSystem({
+  pulsesPerStep = 6,
+  lookaheadMs = 25,
+  panicTrigger = null,
+  sysex = false,
+} = {}) {
   // 1) Create the core objects:
-  const midiBus = new MidiBus();
+  const midiBus = new MidiBus({ panicTrigger });
   const deviceManager = new DeviceManager();
-  const playbackEngine = new RealPlaybackEngine(midiBus);
+  const playbackEngine = new RealPlaybackEngine(midiBus, {
+    deviceManager,
+    sysex,
+  });
 
   // 2) Initialize the playback engine (requests MIDI access in the browser)
   await playbackEngine.init();
 
   // 3) Now get the raw MIDIAccess so we can hook up inputs/outputs manually
-  const midiAccess = await navigator.requestMIDIAccess({ sysex: false });
+  const midiAccess = await navigator.requestMIDIAccess({ sysex });
   const inputs = Array.from(midiAccess.inputs.values());
   const outputs = Array.from(midiAccess.outputs.values());
 
-  // 4) Use the first MIDI input (if any) for external clock
+  // 4) Relay every MIDI input; the first one (if any) is the external clock
+  for (const input of inputs) {
+    input.onmidimessage = (evt) => {
+      // Relay the MIDI message to our midiBus as "midiMessage".
+      // The timestamp lets the TransportManager estimate tempo.
+      midiBus.emit("midiMessage", {
+        data: evt.data,
+        timeStamp: evt.timeStamp,
+        inputId: input.id,
+      });
+    };
+  }
   if (inputs.length > 0) {
     console.log("Using external MIDI clock from:", inputs[0].name);
-    inputs[0].onmidimessage = (evt) => {
-      // Relay the MIDI message to our midiBus as "midiMessage"
-      midiBus.emit("midiMessage", { data: evt.data });
-    };
   } else {
     console.warn("No MIDI inputs found -> no external clock available.");
   }
@@ -77,18 +102,36 @@ export async function createDefaultSystem({ pulsesPerStep = 6 } = {}) {
   }
 
   // 7) Create the TransportManager that listens for clock pulses and manages steps
-  const transport = new TransportManager(midiBus, { pulsesPerStep });
+  //    It shares the RhythmManager with the patterns so they can see the groove.
+  const rhythmManager = new RhythmManager();
+  const transport = new TransportManager(midiBus, {
+    pulsesPerStep,
+    lookaheadMs,
+    rhythmManager,
+    clockInputId: inputs[0]?.id ?? null,
+  });
 
   // 8) Create some optional managers: energyManager, chordManager, globalContext
   const energyManager = new EnergyManager();
   const chordManager = new ChordManager();
   // chordManager.authorizeProvider("ColorfulChordSwellPattern"); // optionally do now
 
-  const globalContext = new GlobalContext({ chordManager });
+  const globalContext = new GlobalContext({
+    chordManager,
+    rhythmManager,
+    transport,
+  });
 
   // Let the energyManager see the globalContext, if it needs to
   energyManager.globalContext = globalContext;
 
+  // Parses notes/CCs from all inputs; route them with inputRouter.route()
+  const inputRouter = new MidiInputRouter(midiBus);
+  // Add your loops with midiLearn.addTargets(loopTargets(loop)), etc.
+  const midiLearn = new MidiLearn(inputRouter, {
+    targets: energyTargets(energyManager),
+  });
+
   // 9) Return an object with references to all components
   return {
     midiBus,
@@ -98,8 +141,11 @@ export async function createDefaultSystem({ pulsesPerStep = 6 } = {}) {
     energyManager,
     chordManager,
     globalContext,
+    inputRouter,
+    midiLearn,
 
-    // Also expose the raw outputs array so your UI can list them, etc.
+    // Also expose the raw inputs and outputs so your UI can list them, etc.
+    midiInputs: inputs,
     midiOutputs: outputs,
   };
 }
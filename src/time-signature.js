@@ -0,0 +1,196 @@
+/**
+ * src/time-signature.js
+ *
+ * A TimeSignature describes the meter: how many steps a bar has and where its
+ * beats fall. Steps are 16th notes by default (4 steps per quarter note, the
+ * transport's pulsesPerStep=6 at 24 PPQN).
+ *
+ * Beats are built from a grouping of the denominator's note value:
+ *   - 4/4, 3/4, 5/4 => one quarter per beat
+ *   - 6/8, 9/8, 12/8 (compound) => three eighths per beat (3+3, ...)
+ *   - 5/8, 7/8 (odd) => 2+3, 2+2+3 unless another grouping is given
+ *
+ * ### Example Usage
+ * ```js
+ * const waltz = new TimeSignature(3, 4);
+ * waltz.getStepsPerBar(); // 12
+ *
+ * const seven = TimeSignature.from("7/8", { grouping: "3+2+2" });
+ * seven.getBeatLengths(); // [6, 4, 4] steps
+ * ```
+ */
+
+export class TimeSignature {
+  /**
+   * @param {number} [numerator=4] - beats (denominator notes) per bar
+   * @param {number} [denominator=4] - note value: 2, 4, 8 or 16
+   * @param {Object} [options]
+   * @param {number[]|string|null} [options.grouping=null]
+   *   Denominator notes per beat, e.g. [2, 2, 3] or "2+2+3". Must add up to
+   *   the numerator. Defaults depend on the meter (see above).
+   */
+  constructor(numerator = 4, denominator = 4, { grouping = null } = {}) {
+    if (!Number.isInteger(numerator) || numerator < 1) {
+      console.warn(
+        `TimeSignature: Invalid numerator "${numerator}". Using 4/4.`
+      );
+      numerator = 4;
+      denominator = 4;
+    }
+    if (![2, 4, 8, 16].includes(denominator)) {
+      console.warn(
+        `TimeSignature: Invalid denominator "${denominator}". Using ${numerator}/4.`
+      );
+      denominator = 4;
+    }
+
+    /** @type {number} */
+    this.numerator = numerator;
+
+    /** @type {number} */
+    this.denominator = denominator;
+
+    /** @type {number[]} Denominator notes per beat */
+    this.grouping = this._resolveGrouping(grouping);
+  }
+
+  /**
+   * Build a TimeSignature from a TimeSignature, "7/8", [7, 8] or
+   * { numerator, denominator, grouping }.
+   *
+   * @param {TimeSignature|string|number[]|Object} value
+   * @param {Object} [options] - { grouping }, overrides a grouping in `value`
+   * @returns {TimeSignature}
+   */
+  static from(value, options = {}) {
+    if (value instanceof TimeSignature && options.grouping === undefined) {
+      return value;
+    }
+    let numerator;
+    let denominator;
+    let grouping = options.grouping ?? null;
+
+    if (value instanceof TimeSignature) {
+      ({ numerator, denominator } = value);
+    } else if (typeof value === "string") {
+      const match = value.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+      if (match) {
+        numerator = parseInt(match[1], 10);
+        denominator = parseInt(match[2], 10);
+      }
+    } else if (Array.isArray(value)) {
+      [numerator, denominator] = value;
+    } else if (value && typeof value === "object") {
+      ({ numerator, denominator } = value);
+      grouping = grouping ?? value.grouping ?? null;
+    }
+
+    if (numerator === undefined) {
+      console.warn(`TimeSignature: Cannot parse "${value}". Using 4/4.`);
+      return new TimeSignature();
+    }
+    return new TimeSignature(numerator, denominator, { grouping });
+  }
+
+  /**
+   * Compound meters (6/8, 9/8, 12/8, ...) count dotted beats of three.
+   * @returns {boolean}
+   */
+  isCompound() {
+    return (
+      this.denominator >= 8 && this.numerator > 3 && this.numerator % 3 === 0
+    );
+  }
+
+  /**
+   * Steps per denominator note.
+   * @param {number} [stepsPerQuarter=4]
+   * @returns {number}
+   */
+  getStepsPerUnit(stepsPerQuarter = 4) {
+    return (stepsPerQuarter * 4) / this.denominator;
+  }
+
+  /**
+   * @param {number} [stepsPerQuarter=4]
+   * @returns {number}
+   */
+  getStepsPerBar(stepsPerQuarter = 4) {
+    return this.numerator * this.getStepsPerUnit(stepsPerQuarter);
+  }
+
+  /**
+   * Length of each beat of the bar in steps, e.g. [4, 4, 6] for 7/8 (2+2+3).
+   * @param {number} [stepsPerQuarter=4]
+   * @returns {number[]}
+   */
+  getBeatLengths(stepsPerQuarter = 4) {
+    const unit = this.getStepsPerUnit(stepsPerQuarter);
+    return this.grouping.map((units) => units * unit);
+  }
+
+  /**
+   * Bar length in quarter notes (4/4 => 4, 6/8 => 3, 7/8 => 3.5).
+   * @returns {number}
+   */
+  getQuarterNotesPerBar() {
+    return (this.numerator * 4) / this.denominator;
+  }
+
+  /**
+   * [numerator, denominator], as used in Standard MIDI Files.
+   * @returns {number[]}
+   */
+  toArray() {
+    return [this.numerator, this.denominator];
+  }
+
+  /**
+   * "4/4", or "7/8 (2+2+3)" when the grouping isn't one unit per beat.
+   * @returns {string}
+   */
+  toString() {
+    const base = `${this.numerator}/${this.denominator}`;
+    return this.grouping.every((units) => units === 1)
+      ? base
+      : `${base} (${this.grouping.join("+")})`;
+  }
+
+  /**
+   * @private
+   */
+  _resolveGrouping(grouping) {
+    if (typeof grouping === "string") {
+      grouping = grouping.split("+").map((part) => Number(part.trim()));
+    }
+    if (grouping !== null) {
+      const valid =
+        Array.isArray(grouping) &&
+        grouping.length > 0 &&
+        grouping.every((units) => Number.isInteger(units) && units > 0) &&
+        grouping.reduce((sum, units) => sum + units, 0) === this.numerator;
+      if (valid) return [...grouping];
+      console.warn(
+        `TimeSignature: Grouping "${grouping}" doesn't add up to ${this.numerator}. Using the default.`
+      );
+    }
+    return this._defaultGrouping();
+  }
+
+  /**
+   * @private
+   */
+  _defaultGrouping() {
+    const { numerator, denominator } = this;
+    if (this.isCompound()) {
+      return new Array(numerator / 3).fill(3);
+    }
+    if (denominator < 8 || numerator < 4) {
+      return new Array(numerator).fill(1);
+    }
+    // 4/8, 5/8, 7/8, ...: pairs, with a group of three at the end if odd
+    const grouping = new Array(Math.floor(numerator / 2)).fill(2);
+    if (numerator % 2) grouping[grouping.length - 1] = 3;
+    return grouping;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * src/transport/groove.js
+ *
+ * A Groove is a repeating template of per-step delays that the
+ * TransportManager applies when it fires pattern logic: a step with a delay
+ * of 2 pulses is played 2 clock pulses after its grid position.
+ *
+ * - Offsets are given per step (the template repeats), either in MIDI clock
+ *   pulses (24 PPQN) or in milliseconds.
+ * - Whole pulses are applied at pulse resolution. With lookahead scheduling
+ *   the fractional remainder is added to the event timestamps as well;
+ *   without it delays are rounded to the nearest pulse.
+ * - Delays can't reach the next step (at most pulsesPerStep - 1 pulses) and
+ *   can't be negative.
+ *
+ * ### Example Usage
+ * ```js
+ * // MPC-style 16th swing
+ * transport.setGroove(Groove.swing(58));
+ *
+ * // Custom template: lay back the 2 and 4 backbeat by 5 ms
+ * transport.setGroove(
+ *   new Groove({ name: "Lazy snare", offsets: [0, 0, 0, 0, 5, 0, 0, 0], unit: "ms" })
+ * );
+ * ```
+ */
+
+/** Swing amounts found on MPC-style drum machines (percent). 50 = straight. */
+export const MPC_SWING_AMOUNTS = [50, 54, 58, 62, 66, 71];
+
+export class Groove {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name="Groove"] - display name
+   * @param {number[]} [options.offsets=[0]] - per-step delays, repeating
+   * @param {string} [options.unit="pulses"] - "pulses" (24 PPQN) or "ms"
+   */
+  constructor({ name = "Groove", offsets = [0], unit = "pulses" } = {}) {
+    if (unit !== "pulses" && unit !== "ms") {
+      console.warn(`Groove: Unknown unit "${unit}". Using "pulses".`);
+      unit = "pulses";
+    }
+    if (!Array.isArray(offsets) || !offsets.length) {
+      console.warn("Groove: offsets must be a non-empty array. Using [0].");
+      offsets = [0];
+    }
+
+    /** @type {string} */
+    this.name = name;
+
+    /** @type {string} */
+    this.unit = unit;
+
+    /** @type {number[]} */
+    this.offsets = offsets.map((offset) => {
+      if (typeof offset !== "number" || !Number.isFinite(offset)) {
+        console.warn(`Groove: Invalid offset "${offset}". Using 0.`);
+        return 0;
+      }
+      if (offset < 0) {
+        console.warn(
+          `Groove: Negative offset ${offset} can't be played early. Using 0.`
+        );
+        return 0;
+      }
+      return offset;
+    });
+  }
+
+  /**
+   * MPC-style swing: the second note of each pair is pushed back so it lands
+   * at `percent` of the pair instead of halfway (50 = straight, 66 ≈ triplet).
+   *
+   * @param {number} percent - 50..75, see MPC_SWING_AMOUNTS
+   * @param {Object} [options]
+   * @param {number} [options.resolution=16] - swing 16ths (16) or 8ths (8)
+   * @param {number} [options.pulsesPerStep=6] - the transport's pulsesPerStep
+   * @returns {Groove}
+   */
+  static swing(percent, { resolution = 16, pulsesPerStep = 6 } = {}) {
+    if (typeof percent !== "number" || !Number.isFinite(percent)) {
+      console.warn(`Groove: Invalid swing amount "${percent}". Using 50.`);
+      percent = 50;
+    }
+    const clamped = Math.max(50, Math.min(75, percent));
+    if (clamped !== percent) {
+      console.warn(`Groove: Swing ${percent}% out of range. Using ${clamped}%.`);
+    }
+    if (resolution !== 16 && resolution !== 8) {
+      console.warn(`Groove: Unknown swing resolution "${resolution}". Using 16.`);
+      resolution = 16;
+    }
+
+    const stepsPerHalf = resolution === 8 ? 2 : 1;
+    const pairPulses = 2 * stepsPerHalf * pulsesPerStep;
+    const delay = (clamped / 100) * pairPulses - pairPulses / 2;
+
+    const offsets = new Array(2 * stepsPerHalf).fill(0);
+    offsets[stepsPerHalf] = delay;
+    return new Groove({
+      name: `Swing ${clamped}% (${resolution}ths)`,
+      offsets,
+    });
+  }
+
+  /**
+   * The template offset for a step, in this groove's unit.
+   * @param {number} stepIndex
+   * @returns {number}
+   */
+  getOffset(stepIndex) {
+    const length = this.offsets.length;
+    return this.offsets[((stepIndex % length) + length) % length];
+  }
+
+  /**
+   * The delay of a step in (possibly fractional) clock pulses.
+   * @param {number} stepIndex
+   * @param {number} pulseIntervalMs - current ms per pulse, for "ms" grooves
+   * @returns {number}
+   */
+  getDelayPulses(stepIndex, pulseIntervalMs) {
+    const offset = this.getOffset(stepIndex);
+    if (this.unit === "ms") {
+      return pulseIntervalMs > 0 ? offset / pulseIntervalMs : 0;
+    }
+    return offset;
+  }
+}
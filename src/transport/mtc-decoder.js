@@ -0,0 +1,206 @@
+/**
+ * src/transport/mtc-decoder.js
+ *
+ * Decodes MIDI Time Code into a position in seconds:
+ * - Quarter-frame messages (0xF1 0nnn dddd) carry the timecode in 8 pieces,
+ *   spread over two frames. Once a full run of pieces 0..7 has arrived the
+ *   decoder is locked; every further quarter frame advances the position by
+ *   a quarter frame, and each completed run re-syncs it.
+ * - Full-frame SysEx (F0 7F <device> 01 01 hh mm ss ff F7) locates directly,
+ *   as masters do while stopped or after a jump.
+ * - Frame rates 24, 25, 29.97 drop-frame and 30 are supported; positions are
+ *   real seconds, so 29.97 drop-frame timecode maps onto wall-clock time.
+ *
+ * Quarter frames arriving out of order (rewinding, dropouts) unlock the
+ * decoder until the next full run.
+ *
+ * ### Example Usage
+ * ```js
+ * const decoder = new MtcDecoder();
+ * input.onmidimessage = ({ data }) => {
+ *   if (data[0] === 0xf1) decoder.quarterFrame(data[1]); // seconds or null
+ * };
+ * decoder.getTimecode(); // { hours, minutes, seconds, frames, frameRate, dropFrame }
+ * ```
+ */
+
+/** Frame rates by MTC rate code (0-3). 29.97 is drop-frame. */
+export const MTC_FRAME_RATES = [24, 25, 29.97, 30];
+
+/** Rate code of 29.97 fps drop-frame. */
+const DROP_FRAME_RATE_CODE = 2;
+
+export class MtcDecoder {
+  constructor() {
+    /** @private Quarter-frame nibbles by piece number */
+    this._pieces = new Array(8).fill(0);
+    /** @private Piece number expected next (null = any) */
+    this._expectedPiece = null;
+    /** @private Consecutive in-order pieces received */
+    this._run = 0;
+    /** @private Current position in seconds, null while unlocked */
+    this._position = null;
+    /** @private Rate code (0-3) of the last decoded timecode */
+    this._rateCode = 3;
+    /** @private Last decoded timecode */
+    this._timecode = null;
+  }
+
+  /**
+   * Forget everything, e.g. when the master stops.
+   */
+  reset() {
+    this._expectedPiece = null;
+    this._run = 0;
+    this._position = null;
+    this._timecode = null;
+  }
+
+  /**
+   * Feed the data byte of a quarter-frame message (the byte after 0xF1).
+   * @param {number} dataByte
+   * @returns {number|null} The position in seconds, or null while unlocked.
+   */
+  quarterFrame(dataByte) {
+    const piece = (dataByte >> 4) & 0x07;
+    if (this._expectedPiece !== null && piece !== this._expectedPiece) {
+      this._position = null;
+      this._run = 0;
+    }
+    this._expectedPiece = (piece + 1) % 8;
+    this._run++;
+    this._pieces[piece] = dataByte & 0x0f;
+
+    if (this._position !== null) {
+      this._position += this._getFrameDuration() / 4;
+    }
+
+    if (piece === 7 && this._run >= 8) {
+      const p = this._pieces;
+      const hoursByte = p[6] | (p[7] << 4);
+      this._setTimecode(
+        hoursByte,
+        p[4] | (p[5] << 4),
+        p[2] | (p[3] << 4),
+        p[0] | (p[1] << 4)
+      );
+      // The timecode was current when piece 0 arrived, 7 quarter frames ago
+      this._position =
+        MtcDecoder.timecodeToSeconds(this._timecode) +
+        (7 / 4) * this._getFrameDuration();
+    }
+    return this._position;
+  }
+
+  /**
+   * Feed a full-frame SysEx message.
+   * @param {number[]|Uint8Array} data - F0 7F <device> 01 01 hh mm ss ff F7
+   * @returns {number|null} The position in seconds, or null if `data` isn't
+   *   a full-frame message.
+   */
+  fullFrame(data) {
+    if (
+      !data ||
+      data.length < 10 ||
+      data[0] !== 0xf0 ||
+      data[1] !== 0x7f ||
+      data[3] !== 0x01 ||
+      data[4] !== 0x01
+    ) {
+      return null;
+    }
+    this._setTimecode(data[5], data[6], data[7], data[8]);
+    this._position = MtcDecoder.timecodeToSeconds(this._timecode);
+    // Quarter frames may pick up at any piece after a locate
+    this._expectedPiece = null;
+    this._run = 0;
+    return this._position;
+  }
+
+  /**
+   * The current position in seconds, or null while unlocked.
+   * @returns {number|null}
+   */
+  getPosition() {
+    return this._position;
+  }
+
+  /**
+   * The last decoded timecode, or null.
+   * @returns {{ hours: number, minutes: number, seconds: number, frames: number, frameRate: number, dropFrame: boolean }|null}
+   */
+  getTimecode() {
+    return this._timecode ? { ...this._timecode } : null;
+  }
+
+  /**
+   * Convert a timecode to real seconds. Drop-frame timecode skips frame
+   * numbers 0 and 1 every minute except each tenth minute.
+   *
+   * @param {Object} timecode
+   * @param {number} timecode.hours
+   * @param {number} timecode.minutes
+   * @param {number} timecode.seconds
+   * @param {number} timecode.frames
+   * @param {number} [timecode.frameRate=30] - 24, 25, 29.97 or 30
+   * @param {boolean} [timecode.dropFrame] - defaults to frameRate === 29.97
+   * @returns {number}
+   */
+  static timecodeToSeconds({
+    hours,
+    minutes,
+    seconds,
+    frames,
+    frameRate = 30,
+    dropFrame = frameRate === 29.97,
+  }) {
+    const nominalFps = Math.round(frameRate);
+    let frameNumber =
+      (hours * 3600 + minutes * 60 + seconds) * nominalFps + frames;
+    if (dropFrame) {
+      const totalMinutes = hours * 60 + minutes;
+      frameNumber -= 2 * (totalMinutes - Math.floor(totalMinutes / 10));
+    }
+    const realFps = dropFrame ? 30000 / 1001 : frameRate;
+    return frameNumber / realFps;
+  }
+
+  /**
+   * Parse "HH:MM:SS:FF" (or "HH:MM:SS;FF" for drop-frame) into its fields.
+   * @param {string} text
+   * @returns {{ hours: number, minutes: number, seconds: number, frames: number }|null}
+   */
+  static parseTimecode(text) {
+    const match = String(text)
+      .trim()
+      .match(/^(\d{1,2}):(\d{2}):(\d{2})[:;.](\d{2})$/);
+    if (!match) return null;
+    const [hours, minutes, seconds, frames] = match.slice(1).map(Number);
+    return { hours, minutes, seconds, frames };
+  }
+
+  /**
+   * @private
+   * @param {number} hoursByte - 0rrhhhhh: rate code and hours
+   */
+  _setTimecode(hoursByte, minutes, seconds, frames) {
+    this._rateCode = (hoursByte >> 5) & 0x03;
+    this._timecode = {
+      hours: hoursByte & 0x1f,
+      minutes: minutes & 0x3f,
+      seconds: seconds & 0x3f,
+      frames: frames & 0x1f,
+      frameRate: MTC_FRAME_RATES[this._rateCode],
+      dropFrame: this._rateCode === DROP_FRAME_RATE_CODE,
+    };
+  }
+
+  /**
+   * Real duration of one frame in seconds.
+   * @private
+   */
+  _getFrameDuration() {
+    if (this._rateCode === DROP_FRAME_RATE_CODE) return 1001 / 30000;
+    return 1 / MTC_FRAME_RATES[this._rateCode];
+  }
+}
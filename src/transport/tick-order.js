@@ -0,0 +1,135 @@
+/**
+ * src/transport/tick-order.js
+ *
+ * Works out the order in which the TransportManager ticks its LiveLoops each
+ * step, from what every loop provides and consumes (e.g. "chord", "kick",
+ * "root", "contour", or any custom name). Providers tick before their
+ * consumers; otherwise loops keep the order they were added in.
+ *
+ * - The legacy roles still count: "kickProvider" provides "kick" and
+ *   "chordProvider" provides "chord".
+ * - A loop that doesn't declare `consumes` reads the built-in resources that
+ *   tick before anything it provides, so undeclared setups keep the old
+ *   order: kick provider, chord provider, everyone else.
+ * - Cycles can't be ordered; those loops tick in the order they were added.
+ * - Several unmuted providers of one resource are a conflict (muting one is
+ *   how providers hand off).
+ *
+ * ### Example Usage
+ * ```js
+ * const bass = new LiveLoop(midiBus, { pattern: bassPattern, provides: ["root"] });
+ * const lead = new LiveLoop(midiBus, {
+ *   pattern: leadPattern,
+ *   consumes: ["chord", "root"],
+ * });
+ * resolveTickOrder([lead, bass]).order; // [bass, lead]
+ * ```
+ */
+
+/** Resources provided by the legacy roles. */
+const ROLE_RESOURCES = {
+  kickProvider: "kick",
+  chordProvider: "chord",
+};
+
+/** Built-in resources in the order they have always been ticked. */
+const BUILT_IN_RESOURCES = ["kick", "chord"];
+
+/**
+ * What a loop provides and consumes, including what its role implies.
+ *
+ * @param {Object} loop - a LiveLoop, or any object with role/provides/consumes
+ * @returns {{ provides: string[], consumes: string[] }}
+ */
+export function getLoopDependencies(loop) {
+  const provides = new Set(Array.isArray(loop.provides) ? loop.provides : []);
+  const roleResource = ROLE_RESOURCES[loop.role];
+  if (roleResource) {
+    provides.add(roleResource);
+  }
+
+  let consumes;
+  if (Array.isArray(loop.consumes)) {
+    consumes = loop.consumes;
+  } else {
+    const firstProvided = BUILT_IN_RESOURCES.findIndex((resource) =>
+      provides.has(resource)
+    );
+    consumes =
+      firstProvided === -1
+        ? BUILT_IN_RESOURCES
+        : BUILT_IN_RESOURCES.slice(0, firstProvided);
+  }
+
+  return {
+    provides: [...provides],
+    consumes: consumes.filter((resource) => !provides.has(resource)),
+  };
+}
+
+/**
+ * Order loops so that providers tick before their consumers.
+ *
+ * @param {Object[]} loops - in the order they were added
+ * @returns {{
+ *   order: Object[],
+ *   cycles: Object[][],
+ *   conflicts: { resource: string, loops: Object[] }[]
+ * }}
+ *   `cycles` holds the loops that couldn't be ordered (appended to `order` in
+ *   the order they were added); `conflicts` the resources with more than one
+ *   unmuted provider.
+ */
+export function resolveTickOrder(loops) {
+  const dependencies = loops.map(getLoopDependencies);
+
+  // resource -> indices of the loops providing it
+  const providers = new Map();
+  dependencies.forEach(({ provides }, index) => {
+    provides.forEach((resource) => {
+      if (!providers.has(resource)) providers.set(resource, []);
+      providers.get(resource).push(index);
+    });
+  });
+
+  const conflicts = [];
+  providers.forEach((indices, resource) => {
+    const active = indices.filter((index) => !loops[index].muted);
+    if (active.length > 1) {
+      conflicts.push({ resource, loops: active.map((index) => loops[index]) });
+    }
+  });
+
+  // Edges provider -> consumer, counted per consumer
+  const consumers = loops.map(() => new Set());
+  const inDegree = loops.map(() => 0);
+  dependencies.forEach(({ consumes }, consumer) => {
+    consumes.forEach((resource) => {
+      (providers.get(resource) || []).forEach((provider) => {
+        if (provider === consumer || consumers[provider].has(consumer)) return;
+        consumers[provider].add(consumer);
+        inDegree[consumer]++;
+      });
+    });
+  });
+
+  // Kahn's algorithm, always taking the earliest added loop that is ready
+  const order = [];
+  const done = loops.map(() => false);
+  let next = inDegree.findIndex((degree) => degree === 0);
+  while (next !== -1) {
+    done[next] = true;
+    order.push(loops[next]);
+    consumers[next].forEach((consumer) => inDegree[consumer]--);
+    next = inDegree.findIndex((degree, index) => degree === 0 && !done[index]);
+  }
+
+  const cycles = [];
+  if (order.length < loops.length) {
+    const stuck = loops.filter((loop, index) => !done[index]);
+    cycles.push(stuck);
+    order.push(...stuck);
+  }
+
+  return { order, cycles, conflicts };
+}
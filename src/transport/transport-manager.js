@@ -2,7 +2,7 @@
  * src/transport/transport-manager.js
  *
  * The TransportManager reacts to external MIDI clock messages and
- * coordinates LiveLoops accordingly. It does NOT initiate Start/Stop,
+ * coordinates LiveLoops accordingly. By default it does NOT initiate Start/Stop,
  * only responds to them. On Stop, it calls stopAllNotes to avoid stuck notes.
  *
  * Key Points:
@@ -12,8 +12,118 @@
  *   and call liveLoop.tick(stepIndex).
  * - Only calls liveLoop.tick on integer step boundaries (not fractional steps).
  * - Optionally handle Song Position Pointer (0xF2) to jump stepIndex if needed.
+ *
+ * Internal clock mode (clockSource: "internal"):
+ * - The transport becomes the clock master: start(), stop(), setTempo(), tapTempo().
+ * - Pulses are generated at 24 PPQN from a drift-corrected timer and drive the
+ *   LiveLoops through the exact same pulse path as external clock.
+ * - Start/Clock/Stop bytes are sent out via midiBus.sendRealtime() so attached
+ *   gear (OP-XY, OP-Z) can follow us.
+ *
+ * MIDI Time Code (clockSource: "mtc"):
+ * - Follows MTC quarter frames / full-frame SysEx instead of MIDI clock, for
+ *   video-locked rigs. Timecode is mapped to beats at the configured bpm,
+ *   starting at mtcStartTime, and the pulses in between are run through the
+ *   same pulse path as clock.
+ * - Playback starts when the decoder locks, chases jumps larger than a beat
+ *   (like a Song Position Pointer) and stops when quarter frames stop
+ *   arriving for mtcTimeoutMs.
+ *
+ * Tempo tracking (external clock):
+ * - Every incoming 0xF8 is timestamped (message.timeStamp, or now) and the pulse
+ *   interval is smoothed into a tempo estimate, available via getBpm().
+ * - "tempoChange" fires when the estimate moves noticeably; "clockDropout" fires
+ *   when a gap between pulses is far longer than expected.
+ * - Subscribe with transport.on(eventName, callback).
+ *
+ * Musical time events:
+ * - "start", "continue" and "stop" follow the transport state.
+ * - "phrase", "bar", "beat" and "step" fire when their step comes up, before
+ *   the LiveLoops play it (coarsest first), so a listener can change the
+ *   EnergyManager or a pattern in time for that step. Bars and beats follow
+ *   the meter; a phrase is phraseBars bars long.
+ * - "pulse" fires on every clock pulse and "locate" after a jump (SPP, MTC),
+ *   with the absolute `pulse` position; a ClockRouter uses them to pass clock
+ *   on to other outputs.
+ * - Every payload carries stepIndex and timeInBeats.
+ *
+ * Clock watchdog (external clock, off unless clockTimeoutPulses is set):
+ * - If no 0xF8 arrives for clockTimeoutPulses expected intervals while running,
+ *   the clock is considered lost: all notes are released and "clockLost" fires.
+ * - Without freeRunOnClockLoss the transport halts until pulses come back;
+ *   with it, playback continues on the internal scheduler at the last known
+ *   tempo. Either way "clockRestored" fires when the external clock returns.
+ *
+ * Lookahead scheduling (lookaheadMs > 0):
+ * - Pattern logic still runs when a pulse is handled, but every event it emits
+ *   is stamped (via midiBus.scheduledTime) with a target time: the pulse's
+ *   time (incoming timeStamp, or its slot on the internal tempo grid) plus
+ *   lookaheadMs. Engines pass that to Web MIDI send(), absorbing event-loop
+ *   jitter up to the lookahead window at the cost of that much latency.
+ *
+ * Offline rendering:
+ * - renderSteps(n) / renderBars(n) run the same pulse path synchronously, with
+ *   no clock at all, and return the midiBus events with their positions.
+ *
+ * Groove / swing (setGroove):
+ * - A Groove delays individual steps by a number of pulses (or ms). When a
+ *   step is due, loops following the groove are queued and ticked that many
+ *   pulses later instead; everyone else plays on the grid. Loops opt out (or
+ *   use their own groove) through their `groove` option. Loops with their
+ *   own `rate` always play straight.
+ *
+ * Launch quantization (launch(), addLiveLoop(), setLoopMuted(), ...):
+ * - While running, changes can wait for the next step, beat, bar, phrase or
+ *   N-bar line instead of applying mid-bar, like clip launching in a DAW.
+ *   Due changes apply before the LiveLoops play that step. Stop or a jump
+ *   applies whatever is still waiting.
+ *
+ * Tick order (see tick-order.js):
+ * - Each step, loops that provide something (chord, kick, root, ...) tick
+ *   before the loops consuming it. Cycles and conflicting providers are
+ *   reported once through console.warn and "dependencyIssue".
+ *
+ * Meter (setTimeSignature):
+ * - Bars are counted in the active TimeSignature (4/4 by default), see
+ *   getPosition() and renderBars(). A change while running takes effect at
+ *   the next bar line; the RhythmManager, if any, follows it.
  */
 
+import { Groove } from "./groove.js";
+import { TimeSignature } from "../time-signature.js";
+import { resolveTickOrder, getLoopDependencies } from "./tick-order.js";
+import { MtcDecoder } from "./mtc-decoder.js";
+
+/** Standard MIDI clock resolution (pulses per quarter note). */
+const PULSES_PER_QUARTER = 24;
+
+/** Tap tempo: taps further apart than this start a new measurement. */
+const TAP_RESET_MS = 2000;
+
+/** Tap tempo: how many recent tap intervals are averaged. */
+const MAX_TAP_INTERVALS = 4;
+
+/** Minimum change (in BPM) of the tempo estimate before "tempoChange" fires. */
+const TEMPO_CHANGE_THRESHOLD_BPM = 0.5;
+
+/** Named launch quantization values; a positive integer means "next N bars". */
+export const LAUNCH_QUANTIZE_VALUES = ["immediate", "step", "beat", "bar", "phrase"];
+
+/** midiBus events captured by renderSteps(). */
+const RENDERED_EVENT_TYPES = [
+  "noteOn",
+  "noteOff",
+  "controlChange",
+  "programChange",
+  "pitchBend",
+  "aftertouch",
+  "polyAftertouch",
+  "controlChange14",
+  "nrpn",
+  "rpn",
+  "sysex",
+];
+
 export class TransportManager {
   /**
    * @param {Object} midiBus - The MIDI Bus or similar object that can emit events and handle noteOff/noteOn.
@@ -21,17 +131,50 @@ export class TransportManager {
    * @param {Array} [options.liveLoops=[]] - An array of LiveLoop instances to coordinate.
    * @param {number} [options.pulsesPerStep=6] - Number of clock pulses per "step" (e.g., 6 for 16 steps/bar at 24PPQN).
    * @param {boolean} [options.highResolution=false] - DEPRECATED: No longer used. We always update LFOs per pulse but only call note logic at step boundaries.
+   * @param {string} [options.clockSource="external"] - "external" follows incoming MIDI clock, "internal" makes us the clock master, "mtc" follows MIDI Time Code.
+   * @param {string|null} [options.clockInputId=null] - Only follow clock/MTC relayed from this input (messages carrying another `inputId` are ignored). null follows every input.
+   * @param {number} [options.bpm=120] - Tempo used by the internal clock, and to map MTC to beats.
+   * @param {number|string} [options.mtcStartTime=0] - Timecode of the first downbeat in MTC mode, in seconds or "HH:MM:SS:FF".
+   * @param {number} [options.mtcTimeoutMs=200] - MTC mode: stop after this long without a quarter frame.
+   * @param {boolean} [options.sendClock=true] - In internal mode, send Start/Clock/Stop bytes to the outputs.
+   * @param {number} [options.tempoSmoothing=0.1] - Smoothing factor (0..1) for the incoming clock tempo estimate. Lower = steadier, higher = faster to follow changes.
+   * @param {number} [options.dropoutThreshold=4] - A gap longer than this many expected pulse intervals counts as a clock dropout.
+   * @param {number} [options.clockTimeoutPulses=0] - Watchdog: declare the external clock lost after this many expected pulse intervals without a pulse, e.g. 24 (one beat). 0 leaves the watchdog off.
+   * @param {boolean} [options.freeRunOnClockLoss=false] - Keep playing on the internal scheduler while the external clock is lost.
+   * @param {number} [options.lookaheadMs=0] - Schedule outgoing events this far after the pulse that triggered them. 0 sends immediately.
+   * @param {Groove|null} [options.groove=null] - Swing/groove template applied to the LiveLoops' steps.
+   * @param {Object|null} [options.rhythmManager=null] - RhythmManager that is told about the active groove and meter, so patterns can see them.
+   * @param {TimeSignature|string|number[]|null} [options.timeSignature=null] - Meter used for bar counting, e.g. "7/8". Defaults to 4/4.
+   * @param {number} [options.phraseBars=4] - Bars per phrase for the "phrase" event.
+   * @param {string|number} [options.launchQuantize="immediate"] - Default launch quantization: "immediate", "step", "beat", "bar", "phrase" or a number of bars.
    */
   constructor(
     midiBus,
-    { liveLoops = [], pulsesPerStep = 6, highResolution = false } = {}
+    {
+      liveLoops = [],
+      pulsesPerStep = 6,
+      highResolution = false,
+      clockSource = "external",
+      clockInputId = null,
+      bpm = 120,
+      sendClock = true,
+      tempoSmoothing = 0.1,
+      dropoutThreshold = 4,
+      clockTimeoutPulses = 0,
+      freeRunOnClockLoss = false,
+      lookaheadMs = 0,
+      groove = null,
+      rhythmManager = null,
+      timeSignature = null,
+      phraseBars = 4,
+      launchQuantize = "immediate",
+      mtcStartTime = 0,
+      mtcTimeoutMs = 200,
+    } = {}
   ) {
     this.midiBus = midiBus;
 
     this.liveLoops = [];
-    for (const loop of liveLoops) {
-      this.addLiveLoop(loop);
-    }
 
     this.pulsesPerStep = pulsesPerStep;
     // highResolution is deprecated - we now always update LFOs at high resolution
@@ -43,11 +186,111 @@ export class TransportManager {
     this.pulseCounter = 0;
     this.timeInBeats = 0.0; // Continuous time counter in beats (1 beat = 1 quarter note)
 
+    // Clock master settings
+    this.clockSource = clockSource;
+    /** Input whose clock is followed, null for any (see the constructor) */
+    this.clockInputId = clockInputId;
+    this.bpm = bpm;
+    this.sendClock = sendClock;
+
+    // Incoming clock tempo tracking
+    this.tempoSmoothing = tempoSmoothing;
+    this.dropoutThreshold = dropoutThreshold;
+    /** @private Timestamp (ms) of the previous incoming clock pulse */
+    this._lastPulseTimestamp = null;
+    /** @private Smoothed interval (ms) between incoming clock pulses */
+    this._pulseIntervalEstimate = null;
+    /** @private Last tempo announced through "tempoChange" */
+    this._reportedBpm = null;
+
+    // Lookahead scheduling
+    this.lookaheadMs = lookaheadMs;
+
+    // MIDI Time Code
+    this.mtcStartTime = mtcStartTime;
+    this.mtcTimeoutMs = mtcTimeoutMs;
+    /** @private */
+    this._mtcDecoder = new MtcDecoder();
+    /** @private Pending setTimeout handle that stops playback when MTC stops */
+    this._mtcWatchdog = null;
+
+    // Clock watchdog
+    this.clockTimeoutPulses = clockTimeoutPulses;
+    this.freeRunOnClockLoss = freeRunOnClockLoss;
+    this.clockLost = false;
+    /** @private Pending setTimeout handle of the clock watchdog */
+    this._clockWatchdog = null;
+    /** @private True while the internal scheduler stands in for a lost external clock */
+    this._freeRunning = false;
+    /** @private True during renderSteps(); keeps timers out of the way */
+    this._rendering = false;
+
+    /** @private Event name -> array of subscriber callbacks */
+    this._listeners = {};
+
+    // Groove
+    this.rhythmManager = rhythmManager;
+    this.groove = null;
+    /** @private Loop ticks held back by the groove: { loop, stepIndex, pulsesLeft, remainderMs } */
+    this._pendingGrooveTicks = [];
+    if (groove) {
+      this.setGroove(groove);
+    }
+
+    // Meter
+    /** @type {TimeSignature} */
+    this.timeSignature = new TimeSignature();
+    /** @private Where the active meter's first bar starts: { step, bar } */
+    this._meterAnchor = { step: 0, bar: 0 };
+    /** @private Meter change waiting for the next bar line: { timeSignature, step } */
+    this._pendingTimeSignature = null;
+    if (timeSignature) {
+      this.setTimeSignature(timeSignature);
+    }
+    this.phraseBars = 4;
+    this.setPhraseBars(phraseBars);
+
+    // Launch quantization
+    this.launchQuantize = "immediate";
+    this.setLaunchQuantize(launchQuantize);
+    /** @private Changes waiting for their step: { step, action } */
+    this._launchQueue = [];
+
+    /** @private Cached resolveTickOrder() result, refreshed every step */
+    this._tickOrder = null;
+    /** @private Summary of the last reported dependency issues */
+    this._reportedDependencyIssues = "";
+    /** @private The chord provider last authorized: { loop, providerId } */
+    this._chordProvider = null;
+
+    for (const loop of liveLoops) {
+      this.addLiveLoop(loop);
+    }
+
+    /** @private Last step passed to _callPatternLogic (null = none since the last jump) */
+    this._lastPatternStep = null;
+
+    /** @private Absolute time (ms) at which the next internal pulse is due */
+    this._nextPulseTime = null;
+    /** @private Pending setTimeout handle of the internal scheduler */
+    this._clockTimer = null;
+    /** @private Number of internal pulses emitted since start() */
+    this._internalPulseCount = 0;
+    /** @private Timestamps (ms) of recent tapTempo() calls */
+    this._tapTimes = [];
+
+    this._onInternalClockTimer = this._onInternalClockTimer.bind(this);
+    this._onClockLost = this._onClockLost.bind(this);
+
     // Bind handler for incoming MIDI messages
     this._handleIncomingClock = this._handleIncomingClock.bind(this);
     // Listen for a 'midiMessage' event on the midiBus
     // (Adjust if your bus emits a different event name.)
     this.midiBus.on("midiMessage", this._handleIncomingClock);
+
+    // After midiBus.panic(), forget the notes the loops think they hold
+    this._onPanic = this._onPanic.bind(this);
+    this.midiBus.on("panic", this._onPanic);
   }
 
   /**
@@ -55,6 +298,27 @@ export class TransportManager {
    * @param {Object} message - e.g. { data: [0xF8], ... }
    */
   _handleIncomingClock(message) {
+    // While we are the clock master, incoming transport messages are ignored
+    if (this.clockSource === "internal") return;
+    const inputId = message?.inputId;
+    if (this.clockInputId && inputId && inputId !== this.clockInputId) return;
+
+    const timestamp = message?.timeStamp ?? this._now();
+    if (this.clockSource === "mtc") {
+      this._withScheduledTime(timestamp, () => this._handleMtcMessage(message));
+      return;
+    }
+    this._withScheduledTime(timestamp, () =>
+      this._dispatchIncomingMessage(message, timestamp)
+    );
+  }
+
+  /**
+   * @private
+   * @param {Object} message - e.g. { data: [0xF8] }
+   * @param {number} timestamp - when the message arrived (ms)
+   */
+  _dispatchIncomingMessage(message, timestamp) {
     const byte0 = message?.data?.[0];
     if (byte0 === 0xfa) {
       // Start
@@ -62,16 +326,23 @@ export class TransportManager {
     } else if (byte0 === 0xfc) {
       // Stop
       this._onStop();
+    } else if (byte0 === 0xfb) {
+      // Continue (resume from the current / Song Position Pointer position)
+      this._onContinue();
     } else if (byte0 === 0xf8) {
       // Clock Pulse
+      this._trackPulseTiming(timestamp);
+      if (this.clockLost) {
+        this._onClockRestored();
+      }
       this._onClockPulse();
+      this._armClockWatchdog();
     } else if (byte0 === 0xf2) {
       // Song Position Pointer (optional)
       const lsb = message?.data?.[1] ?? 0;
       const msb = message?.data?.[2] ?? 0;
       this._onSongPositionPointer(lsb, msb);
     }
-    // No "Continue" (0xFB) handling per design
   }
 
   /**
@@ -79,13 +350,43 @@ export class TransportManager {
    * We reset counters and set isRunning = true.
    */
   _onStart() {
+    this._resetClockWatchdog();
     this.isRunning = true;
+    // The silence before Start is not a dropout
+    this._lastPulseTimestamp = null;
+    this._pendingGrooveTicks = [];
+    // A render is not a performance: queued launches wait for the real one
+    if (!this._rendering) this._flushLaunchQueue();
+    this._restartMeter();
     this.stepIndex = 0;
     this.pulseCounter = 0;
     this.timeInBeats = 0.0; // Reset the continuous time counter on start
 
+    this._emitTransportEvent("start");
+
     // Immediately call pattern logic at step 0
     this._callPatternLogic(this.stepIndex);
+    this._armClockWatchdog();
+  }
+
+  /**
+   * Called when external device sends Continue (0xFB).
+   * Unlike Start, the position is kept: playback resumes from where Stop left
+   * off, or from the last Song Position Pointer. Every LiveLoop is re-synced to
+   * that position first (chain item, cycle count, LFO phase).
+   */
+  _onContinue() {
+    this._resetClockWatchdog();
+    this.isRunning = true;
+    this._resyncLiveLoops();
+    this._emitTransportEvent("continue");
+
+    // If we're resuming exactly on a step boundary that hasn't been played yet
+    // (e.g. right after an SPP), play it now, just like Start plays step 0.
+    if (this.pulseCounter === 0 && this._lastPatternStep !== this.stepIndex) {
+      this._callPatternLogic(this.stepIndex);
+    }
+    this._armClockWatchdog();
   }
 
   /**
@@ -93,9 +394,13 @@ export class TransportManager {
    * We set isRunning = false and force noteOff for all active notes.
    */
   _onStop() {
+    this._resetClockWatchdog();
     this.isRunning = false;
+    this._pendingGrooveTicks = [];
+    this._flushLaunchQueue();
     // Force note-offs to prevent stuck notes
     this.midiBus.stopAllNotes();
+    this._emitTransportEvent("stop");
   }
 
   /**
@@ -119,6 +424,9 @@ export class TransportManager {
     // Update LFOs on every pulse for high-resolution modulation
     this._updateLFOs(deltaTime, this.timeInBeats);
 
+    // Play steps the groove held back (always before the next step is due)
+    this._firePendingGrooveTicks();
+
     // Maintain backward compatibility with the pulse counting approach
     // This ensures tests expecting the old behavior still pass
     this.pulseCounter++;
@@ -145,120 +453,1495 @@ export class TransportManager {
 
       // Now call pattern logic with integer step index (only once per step)
       this._callPatternLogic(this.stepIndex);
+    } else {
+      // Between steps only loops running at their own rate can be due
+      const position = this.stepIndex + this.pulseCounter / this.pulsesPerStep;
+      this._forEachLoopInTickOrder((loop) => {
+        if (this._hasOwnRate(loop)) {
+          loop.tickAtPosition(position, this.timeInBeats);
+        }
+      });
     }
+
+    this._emitTransportEvent("pulse");
   }
 
+  // ----------------------------------------------------------------------
+  // Events
+  // ----------------------------------------------------------------------
+
   /**
-   * Optionally handle Song Position Pointer (0xF2).
-   * Each position unit = 6 MIDI clocks per beat, but you might map to your stepIndex if desired.
+   * Subscribe to a transport event: "start", "continue", "stop", "pulse",
+   * "locate", "step", "beat", "bar", "phrase", "tempoChange", "clockDropout",
+   * "clockLost", "clockRestored" or "dependencyIssue".
+   * @param {string} eventName
+   * @param {Function} callback - receives the event payload
    */
-  _onSongPositionPointer(lsb, msb) {
-    const position = (msb << 7) | lsb; // 14-bit value
-    // position is in "MIDI beats" (1 beat = 6 clocks).
+  on(eventName, callback) {
+    if (!this._listeners[eventName]) {
+      this._listeners[eventName] = [];
+    }
+    this._listeners[eventName].push(callback);
+  }
 
-    // Calculate corresponding time in beats (each MIDI beat = 6 clock pulses, 24 PPQN)
-    const pulses = position * 6; // Total pulses from start
-    this.timeInBeats = pulses / 24.0; // Convert pulses to quarter notes
+  /**
+   * Unsubscribe a callback previously passed to on().
+   * @param {string} eventName
+   * @param {Function} callback
+   */
+  off(eventName, callback) {
+    if (!this._listeners[eventName]) return;
+    this._listeners[eventName] = this._listeners[eventName].filter(
+      (cb) => cb !== callback
+    );
+  }
 
-    // Calculate step size in beats
-    const stepSizeInBeats = this.pulsesPerStep / 24.0;
+  /**
+   * @private
+   */
+  _emit(eventName, data) {
+    // A render is not playback: listeners hear nothing of it
+    if (this._rendering) return;
+    const callbacks = this._listeners[eventName] || [];
+    callbacks.forEach((cb) => cb(data));
+  }
 
-    // Calculate new step index based on timeInBeats
-    this.stepIndex = Math.floor(this.timeInBeats / stepSizeInBeats);
+  /**
+   * Emit a transport state event with the current position. "pulse" and
+   * "locate" also carry the absolute pulse.
+   * @private
+   */
+  _emitTransportEvent(eventName) {
+    const payload = {
+      stepIndex: this.stepIndex,
+      timeInBeats: this.timeInBeats,
+    };
+    if (eventName === "pulse" || eventName === "locate") {
+      payload.pulse = this.getPulsePosition();
+    }
+    this._emit(eventName, payload);
+  }
 
-    // Update pulseCounter for compatibility, but we primarily rely on timeInBeats now
-    this.pulseCounter = pulses % this.pulsesPerStep;
+  /**
+   * The current position in clock pulses (24 PPQN) from the start.
+   * @returns {number}
+   */
+  getPulsePosition() {
+    return this.stepIndex * this.pulsesPerStep + this.pulseCounter;
   }
 
   /**
-   * Updates only the LFOs on each LiveLoop for continuous modulation.
-   * Called on every pulse for high-resolution updates.
-   *
-   * @param {number} deltaTime - Time elapsed since last update in beats
-   * @param {number} absoluteTime - Current absolute time in beats
+   * True while renderSteps() runs, i.e. nothing should go out to devices.
+   * @returns {boolean}
    */
-  _updateLFOs(deltaTime, absoluteTime) {
+  isRendering() {
+    return this._rendering;
+  }
+
+  /**
+   * Emit "phrase", "bar", "beat" and "step" for a step that is about to play,
+   * as far as it starts one of them.
+   * @private
+   */
+  _emitPositionEvents(stepIndex) {
+    const { bar, beat, stepInBar } = this.getPosition(stepIndex);
+    const payload = {
+      stepIndex,
+      timeInBeats: this.timeInBeats,
+      bar,
+      beat,
+      stepInBar,
+    };
+
+    if (stepInBar === 0) {
+      if (bar % this.phraseBars === 0) {
+        this._emit("phrase", {
+          ...payload,
+          phrase: Math.floor(bar / this.phraseBars),
+          phraseBars: this.phraseBars,
+        });
+      }
+      this._emit("bar", payload);
+    }
+    if (this._getBeatStarts().includes(stepInBar)) {
+      this._emit("beat", payload);
+    }
+    this._emit("step", payload);
+  }
+
+  // ----------------------------------------------------------------------
+  // Tempo
+  // ----------------------------------------------------------------------
+
+  /**
+   * The current tempo in BPM: the configured tempo when we're the clock master,
+   * otherwise the smoothed estimate from incoming clock (null until at least
+   * two pulses have arrived).
+   * @returns {number|null}
+   */
+  getBpm() {
+    if (this.clockSource === "internal" || this.clockSource === "mtc") {
+      return this.bpm;
+    }
+    if (this._pulseIntervalEstimate === null) return null;
+    return 60000 / (this._pulseIntervalEstimate * PULSES_PER_QUARTER);
+  }
+
+  /**
+   * Duration of one step in milliseconds at the current tempo, or null if the
+   * tempo is not known yet. Handy for ms-based gates in patterns.
+   * @returns {number|null}
+   */
+  getStepDurationMs() {
+    const bpm = this.getBpm();
+    if (!bpm) return null;
+    return (60000 / bpm) * (this.pulsesPerStep / PULSES_PER_QUARTER);
+  }
+
+  /**
+   * Feed the timestamp of an incoming clock pulse into the tempo estimate.
+   * Tracked even while stopped, since most gear keeps sending clock.
+   * @private
+   * @param {number} timestamp - ms (DOMHighResTimeStamp)
+   */
+  _trackPulseTiming(timestamp) {
+    const previous = this._lastPulseTimestamp;
+    this._lastPulseTimestamp = timestamp;
+    if (previous === null) return;
+
+    const interval = timestamp - previous;
+    if (interval <= 0) return;
+
+    const estimate = this._pulseIntervalEstimate;
+    if (estimate !== null && interval > estimate * this.dropoutThreshold) {
+      // Don't let the gap poison the average
+      this._emit("clockDropout", {
+        gapMs: interval,
+        expectedMs: estimate,
+        stepIndex: this.stepIndex,
+        timeInBeats: this.timeInBeats,
+      });
+      return;
+    }
+
+    if (estimate === null) {
+      this._pulseIntervalEstimate = interval;
+    } else {
+      // Clamp single-pulse jitter so one late message can't yank the tempo
+      const sample = Math.min(Math.max(interval, estimate * 0.5), estimate * 1.5);
+      this._pulseIntervalEstimate =
+        estimate + (sample - estimate) * this.tempoSmoothing;
+    }
+
+    this._reportTempoIfChanged();
+  }
+
+  /**
+   * Emits "tempoChange" if getBpm() moved past the reporting threshold.
+   * @private
+   */
+  _reportTempoIfChanged() {
+    const bpm = this.getBpm();
+    if (bpm === null) return;
+    if (
+      this._reportedBpm !== null &&
+      Math.abs(bpm - this._reportedBpm) < TEMPO_CHANGE_THRESHOLD_BPM
+    ) {
+      return;
+    }
+    const previousBpm = this._reportedBpm;
+    this._reportedBpm = bpm;
+    this._emit("tempoChange", {
+      bpm,
+      previousBpm,
+      stepIndex: this.stepIndex,
+      timeInBeats: this.timeInBeats,
+    });
+  }
+
+  // ----------------------------------------------------------------------
+  // Clock watchdog
+  // ----------------------------------------------------------------------
+
+  /**
+   * (Re)start the watchdog timer after Start/Continue or an external pulse.
+   * The timeout is clockTimeoutPulses expected pulse intervals, using the
+   * measured tempo when known and the configured bpm otherwise.
+   * @private
+   */
+  _armClockWatchdog() {
+    this._clearClockWatchdog();
+    if (
+      this._rendering ||
+      this.clockSource !== "external" ||
+      !this.isRunning ||
+      !(this.clockTimeoutPulses > 0)
+    ) {
+      return;
+    }
+    const interval =
+      this._pulseIntervalEstimate ?? 60000 / (this.bpm * PULSES_PER_QUARTER);
+    this._clockWatchdog = setTimeout(
+      this._onClockLost,
+      interval * this.clockTimeoutPulses
+    );
+  }
+
+  /**
+   * @private
+   */
+  _clearClockWatchdog() {
+    if (this._clockWatchdog !== null) {
+      clearTimeout(this._clockWatchdog);
+      this._clockWatchdog = null;
+    }
+  }
+
+  /**
+   * Leave any lost-clock state: clears the watchdog and stops free-running.
+   * Called on Start/Continue/Stop and when switching clock source.
+   * @private
+   */
+  _resetClockWatchdog() {
+    this._clearClockWatchdog();
+    this._stopFreeRun();
+    this.clockLost = false;
+  }
+
+  /**
+   * Watchdog fired: no external pulse for too long.
+   * @private
+   */
+  _onClockLost() {
+    this._clockWatchdog = null;
+    if (!this.isRunning || this.clockSource !== "external") return;
+
+    this.clockLost = true;
+    this._withScheduledTime(this._now(), () => this._releaseAllNotes());
+    this._emit("clockLost", {
+      stepIndex: this.stepIndex,
+      timeInBeats: this.timeInBeats,
+      freeRunning: this.freeRunOnClockLoss,
+    });
+
+    if (this.freeRunOnClockLoss) {
+      // Same scheduler as internal mode, but every pulse advances the position
+      this._freeRunning = true;
+      this._internalPulseCount = 1;
+      this._nextPulseTime = this._now();
+      this._onInternalClockTimer();
+    } else {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * First external pulse after a loss: hand control back to the external clock
+   * and resume from the current position.
+   * @private
+   */
+  _onClockRestored() {
+    const wasFreeRunning = this._freeRunning;
+    this._stopFreeRun();
+    this.clockLost = false;
+    this.isRunning = true;
+    this._emit("clockRestored", {
+      stepIndex: this.stepIndex,
+      timeInBeats: this.timeInBeats,
+      wasFreeRunning,
+    });
+  }
+
+  /**
+   * @private
+   */
+  _stopFreeRun() {
+    if (!this._freeRunning) return;
+    this._freeRunning = false;
+    this._clearClockTimer();
+  }
+
+  /**
+   * Release every held note: each LiveLoop's own notes first, then anything
+   * still tracked by the midiBus.
+   * @private
+   */
+  _releaseAllNotes() {
+    this._pendingGrooveTicks = [];
     this.liveLoops.forEach((loop) => {
-      if (typeof loop.updateLFOsOnly === "function") {
-        // If LiveLoop has a dedicated method for updating only LFOs, use it
-        loop.updateLFOsOnly(deltaTime, absoluteTime);
+      if (typeof loop.releaseAllNotes === "function") {
+        loop.releaseAllNotes();
+      }
+    });
+    if (typeof this.midiBus.stopAllNotes === "function") {
+      this.midiBus.stopAllNotes();
+    }
+  }
+
+  /**
+   * Send a panic through the midiBus (see MidiBus.panic()). The loops' note
+   * state is cleared when the bus reports it.
+   * @param {Object} [options] - { outputId, channels }, as for MidiBus.panic()
+   */
+  panic(options) {
+    if (typeof this.midiBus.panic === "function") {
+      this.midiBus.panic(options);
+    }
+  }
+
+  /**
+   * The midiBus silenced everything (on one output, or all of them): clear
+   * the held notes of the affected loops so they send no stray noteOffs.
+   * @private
+   */
+  _onPanic({ outputId } = {}) {
+    this.liveLoops.forEach((loop) => {
+      if (outputId && loop.midiOutputId !== outputId) return;
+      if (typeof loop.clearActiveNotes === "function") {
+        loop.clearActiveNotes();
       }
-      // If no dedicated method, the LFOs will be updated as part of the tick call
-      // at step boundaries
     });
   }
 
+  // ----------------------------------------------------------------------
+  // Offline rendering
+  // ----------------------------------------------------------------------
+
   /**
-   * Calls pattern logic (notes, triggers) on each LiveLoop with integer step index.
-   * Only called when crossing a step boundary.
+   * Render a number of steps from the top, synchronously and without any
+   * MIDI clock. Runs Start, then the exact same per-pulse path as live
+   * playback (_updateLFOs every pulse, _callPatternLogic on each step), then
+   * releases whatever is still held at the end.
    *
-   * @param {number} stepIndex - The current integer step index
+   * The midiBus is captured meanwhile: its subscribers (playback engines,
+   * recorders) receive nothing. Transport listeners get no events either
+   * ("start", "pulse", position events, ...), and queued launches stay
+   * queued.
+   *
+   * The LiveLoops do play the render, so their state moves on as it would
+   * live: pattern chains advance, stateful patterns (random generators,
+   * evolving drums) step, and queued loop changes due at a pattern boundary
+   * are applied. Render before playing, or on loops set aside for it.
+   *
+   * Every midiBus event emitted along the way is returned in order:
+   *   { type: "noteOn", step, beat, timeMs, data: { channel, note, velocity, ... } }
+   * where beat is the position in quarter notes and timeMs is that position
+   * at the given tempo. The transport is left stopped.
+   *
+   * @param {number} stepCount - number of steps to render
+   * @param {Object} [options]
+   * @param {number} [options.bpm] - tempo for timeMs (defaults to getBpm(), then bpm)
+   * @returns {Array<Object>} the rendered events
    */
-  _callPatternLogic(stepIndex) {
-    // Pass 0 for deltaTime to match test expectations
-    const deltaTime = 0;
+  renderSteps(stepCount, { bpm = this.getBpm() ?? this.bpm } = {}) {
+    if (!Number.isInteger(stepCount) || stepCount < 0) {
+      console.warn(
+        `TransportManager: Invalid step count "${stepCount}". Nothing rendered.`
+      );
+      return [];
+    }
+    if (this.isRunning) {
+      console.warn(
+        "TransportManager: Cannot render while the transport is running."
+      );
+      return [];
+    }
 
-    // Set the current step for MIDI events
-    this.midiBus.currentStep = stepIndex;
+    const events = [];
+    const msPerBeat = 60000 / bpm;
+    let endBeat = null; // set once we're past the last step
 
-    // 1) kick provider pattern(s) second
-    this.liveLoops
-      .filter((loop) => loop.role === "kickProvider")
-      .forEach((loop) => {
-        loop.tick(stepIndex, 0, this.timeInBeats);
+    // Capture instead of dispatching, so no engine plays the render
+    this.midiBus.setCapture((type, data) => {
+      if (!RENDERED_EVENT_TYPES.includes(type)) return;
+      const beat = endBeat ?? this.timeInBeats;
+      events.push({
+        type,
+        step: this.stepIndex,
+        beat,
+        timeMs: beat * msPerBeat,
+        data: { ...data },
       });
+    });
 
-    // 2) chord provider pattern(s) first
-    this.liveLoops
-      .filter((loop) => loop.role === "chordProvider")
-      .forEach((loop) => {
-        loop.tick(stepIndex, 0, this.timeInBeats);
-      });
+    this._rendering = true;
+    try {
+      if (stepCount > 0) {
+        this._onStart();
+        // Step 0 is played by Start; stop one pulse short of step stepCount
+        const totalPulses = stepCount * this.pulsesPerStep - 1;
+        for (let i = 0; i < totalPulses; i++) {
+          this._onClockPulse();
+        }
+        endBeat = (stepCount * this.pulsesPerStep) / PULSES_PER_QUARTER;
+        this.isRunning = false;
+        this._releaseAllNotes();
+      }
+    } finally {
+      this._rendering = false;
+      this.midiBus.setCapture(null);
+    }
 
-    // 3) all others last (those without a role or with a role that isn't chordProvider/kickProvider)
-    this.liveLoops
-      .filter(
-        (loop) => loop.role !== "chordProvider" && loop.role !== "kickProvider"
-      )
-      .forEach((loop) => {
-        loop.tick(stepIndex, 0, this.timeInBeats);
-      });
+    return events;
   }
 
   /**
-   * If we want to add another LiveLoop after creation
+   * Render whole bars of the active time signature (16 steps per 4/4 bar at
+   * the default pulsesPerStep). See renderSteps().
+   *
+   * @param {number} barCount
+   * @param {Object} [options] - same as renderSteps()
+   * @returns {Array<Object>}
    */
-  addLiveLoop(liveLoop) {
-    // Add extra logging to debug
-    console.log(`Adding LiveLoop with role: "${liveLoop.role}"`);
+  renderBars(barCount, options) {
+    return this.renderSteps(
+      Math.round(barCount * this.getStepsPerBar()),
+      options
+    );
+  }
+
+  // ----------------------------------------------------------------------
+  // Internal clock (clock master mode)
+  // ----------------------------------------------------------------------
 
-    // Check for duplicate chord providers or kick providers
-    if (liveLoop.role === "chordProvider") {
-      // Check if we already have a chord provider
-      const existingChordProviders = this.liveLoops.filter(
-        (l) => l.role === "chordProvider"
+  /**
+   * Switch between following external clock ("external"), generating our
+   * own ("internal") and following MIDI Time Code ("mtc"). Switching stops
+   * the internal clock or MTC playback if it is running.
+   * @param {string} source - "external", "internal" or "mtc"
+   */
+  setClockSource(source) {
+    if (!["external", "internal", "mtc"].includes(source)) {
+      console.warn(
+        `TransportManager: Unknown clock source "${source}". No changes made.`
       );
-      if (existingChordProviders.length > 0) {
-        console.log(
-          `Attempt to add second chordProvider denied. Existing providers: ${existingChordProviders.length}`
-        );
-        throw new Error("Only one chord provider is allowed");
-      }
+      return;
+    }
+    if (source === this.clockSource) return;
+
+    if (this.clockSource === "internal" && this.isRunning) {
+      this.stop();
+    } else if (this.clockSource === "mtc") {
+      this._clearMtcWatchdog();
+      this._mtcDecoder.reset();
+      if (this.isRunning) this._onStop();
     }
+    this._resetClockWatchdog();
+    this.clockSource = source;
+    this._lastPulseTimestamp = null;
+    this._pulseIntervalEstimate = null;
+    this._reportTempoIfChanged();
+  }
 
-    if (liveLoop.role === "kickProvider") {
-      // Check if we already have a kick provider
-      const existingKickProviders = this.liveLoops.filter(
-        (l) => l.role === "kickProvider"
+  /**
+   * Start the internal clock from the beginning. Sends Start (0xFA) followed by
+   * the first Clock (0xF8), calls pattern logic at step 0, then keeps generating
+   * pulses at the current tempo until stop() is called.
+   * Only valid when clockSource is "internal".
+   */
+  start() {
+    if (this.clockSource !== "internal") {
+      console.warn(
+        "TransportManager: start() requires clockSource 'internal'. Ignoring."
       );
-      if (existingKickProviders.length > 0) {
-        console.log(
-          `Attempt to add second kickProvider denied. Existing providers: ${existingKickProviders.length}`
-        );
-        throw new Error("Only one kick provider is allowed");
-      }
+      return;
+    }
+    if (this.isRunning) return;
+
+    const startTime = this._now();
+    this._withScheduledTime(startTime, () => {
+      this._sendRealtime(0xfa);
+      this._onStart();
+    });
+
+    // The first clock after Start marks the downbeat for followers,
+    // so it goes out together with our step 0.
+    this._internalPulseCount = 0;
+    this._nextPulseTime = startTime;
+    this._onInternalClockTimer();
+  }
+
+  /**
+   * Stop the internal clock, send Stop (0xFC) and release all notes.
+   * Only valid when clockSource is "internal".
+   */
+  stop() {
+    if (this.clockSource !== "internal") {
+      console.warn(
+        "TransportManager: stop() requires clockSource 'internal'. Ignoring."
+      );
+      return;
+    }
+    if (!this.isRunning) return;
+
+    this._clearClockTimer();
+    this._withScheduledTime(this._now(), () => {
+      this._sendRealtime(0xfc);
+      this._onStop();
+    });
+  }
+
+  /**
+   * Set the internal clock tempo. Takes effect on the next pulse without
+   * resetting the musical position. In MTC mode this is the tempo timecode
+   * is mapped with; changing it while rolling moves the mapped position.
+   * @param {number} bpm - beats (quarter notes) per minute
+   */
+  setTempo(bpm) {
+    if (typeof bpm !== "number" || !Number.isFinite(bpm) || bpm <= 0) {
+      console.warn(`TransportManager: Invalid tempo "${bpm}". Ignoring.`);
+      return;
+    }
+    const previousInterval = this._getPulseIntervalMs();
+    this.bpm = bpm;
+    if (this.clockSource !== "external") {
+      this._reportTempoIfChanged();
+    }
+
+    // Re-anchor the pending pulse so the new interval applies right away
+    if (this._clockTimer !== null && this._nextPulseTime !== null) {
+      const lastPulseTime = this._nextPulseTime - previousInterval;
+      this._nextPulseTime = lastPulseTime + this._getPulseIntervalMs();
+      this._clearClockTimer();
+      this._scheduleInternalPulse();
+    }
+  }
+
+  /**
+   * Register a tap for tap tempo. Averages the most recent tap intervals and
+   * applies the result via setTempo(). Taps more than 2 seconds apart start over.
+   *
+   * @param {number} [timestamp] - tap time in ms (defaults to now)
+   * @returns {number|null} The new tempo, or null if not enough taps yet.
+   */
+  tapTempo(timestamp = this._now()) {
+    const lastTap = this._tapTimes[this._tapTimes.length - 1];
+    if (lastTap !== undefined && timestamp - lastTap > TAP_RESET_MS) {
+      this._tapTimes = [];
+    }
+    this._tapTimes.push(timestamp);
+    if (this._tapTimes.length > MAX_TAP_INTERVALS + 1) {
+      this._tapTimes.shift();
     }
+    if (this._tapTimes.length < 2) return null;
 
-    this.liveLoops.push(liveLoop);
+    const first = this._tapTimes[0];
+    const last = this._tapTimes[this._tapTimes.length - 1];
+    const averageInterval = (last - first) / (this._tapTimes.length - 1);
+    if (averageInterval <= 0) return null;
+
+    const bpm = 60000 / averageInterval;
+    this.setTempo(bpm);
+    return bpm;
+  }
+
+  /**
+   * Timer callback for the internal clock. Emits every pulse that is due,
+   * then schedules itself for the next one. Pulse times are absolute
+   * (start time + n * interval), so timer lateness never accumulates into drift.
+   * Also drives free-running playback while the external clock is lost.
+   * @private
+   */
+  _onInternalClockTimer() {
+    this._clockTimer = null;
+    if (!this.isRunning) return;
+    if (this.clockSource !== "internal" && !this._freeRunning) return;
+
+    const now = this._now();
+    const interval = this._getPulseIntervalMs();
+
+    // If we fell far behind (e.g. a throttled background tab), skip ahead
+    // instead of firing a burst of catch-up pulses.
+    if (now - this._nextPulseTime > interval * PULSES_PER_QUARTER) {
+      this._nextPulseTime = now;
+    }
+
+    while (this._nextPulseTime <= now) {
+      // Stamp with the pulse's grid slot, not the (late) timer time
+      this._withScheduledTime(this._nextPulseTime, () => {
+        this._sendRealtime(0xf8);
+        if (this._internalPulseCount > 0) {
+          this._onClockPulse();
+        }
+      });
+      this._internalPulseCount++;
+      this._nextPulseTime += interval;
+    }
+
+    this._scheduleInternalPulse();
+  }
+
+  /**
+   * @private
+   */
+  _scheduleInternalPulse() {
+    const delay = Math.max(0, this._nextPulseTime - this._now());
+    this._clockTimer = setTimeout(this._onInternalClockTimer, delay);
+  }
+
+  /**
+   * @private
+   */
+  _clearClockTimer() {
+    if (this._clockTimer !== null) {
+      clearTimeout(this._clockTimer);
+      this._clockTimer = null;
+    }
+  }
+
+  /**
+   * Milliseconds between two MIDI clock pulses at the current tempo
+   * (the last measured external tempo while free-running).
+   * @private
+   */
+  _getPulseIntervalMs() {
+    if (this._freeRunning && this._pulseIntervalEstimate !== null) {
+      return this._pulseIntervalEstimate;
+    }
+    return 60000 / (this.bpm * PULSES_PER_QUARTER);
+  }
+
+  /**
+   * Send a single-byte realtime message (Start/Clock/Stop) if enabled.
+   * @private
+   */
+  _sendRealtime(status) {
+    // Only the clock master talks; free-running is a local stand-in
+    if (!this.sendClock || this.clockSource !== "internal") return;
+    if (typeof this.midiBus.sendRealtime === "function") {
+      this.midiBus.sendRealtime({ status });
+    }
+  }
+
+  /**
+   * Run fn with midiBus.scheduledTime set to baseTime + lookaheadMs, so every
+   * event emitted inside carries that target time. No-op without lookahead.
+   * @private
+   * @param {number} baseTime - ms (DOMHighResTimeStamp)
+   * @param {Function} fn
+   */
+  _withScheduledTime(baseTime, fn) {
+    if (!(this.lookaheadMs > 0)) {
+      fn();
+      return;
+    }
+    const previous = this.midiBus.scheduledTime ?? null;
+    this.midiBus.scheduledTime = baseTime + this.lookaheadMs;
+    try {
+      fn();
+    } finally {
+      this.midiBus.scheduledTime = previous;
+    }
+  }
+
+  /**
+   * High-resolution clock in ms (performance.now() when available).
+   * @private
+   */
+  _now() {
+    if (typeof performance !== "undefined" && performance.now) {
+      return performance.now();
+    }
+    return Date.now();
+  }
+
+  /**
+   * Optionally handle Song Position Pointer (0xF2).
+   * Each position unit = 6 MIDI clocks per beat, but you might map to your stepIndex if desired.
+   */
+  _onSongPositionPointer(lsb, msb) {
+    const position = (msb << 7) | lsb; // 14-bit value
+    // position is in "MIDI beats" (1 beat = 6 clocks).
+    this._locateToPulse(position * 6);
+  }
+
+  /**
+   * Jump to a position given in clock pulses from the start (SPP, MTC).
+   * Nothing is played; the LiveLoops are re-synced to the new position.
+   * @private
+   * @param {number} pulses - total pulses from start (24 PPQN)
+   */
+  _locateToPulse(pulses) {
+    // Calculate corresponding time in beats (each MIDI beat = 6 clock pulses, 24 PPQN)
+    this.timeInBeats = pulses / 24.0; // Convert pulses to quarter notes
+
+    // Calculate step size in beats
+    const stepSizeInBeats = this.pulsesPerStep / 24.0;
+
+    // Calculate new step index based on timeInBeats
+    this.stepIndex = Math.floor(this.timeInBeats / stepSizeInBeats);
+
+    // Update pulseCounter for compatibility, but we primarily rely on timeInBeats now
+    this.pulseCounter = pulses % this.pulsesPerStep;
+
+    // The new position hasn't been played yet
+    this._lastPatternStep = null;
+    this._pendingGrooveTicks = [];
+    this._flushLaunchQueue();
+    this._resyncLiveLoops();
+    this._emitTransportEvent("locate");
+  }
+
+  // ----------------------------------------------------------------------
+  // MIDI Time Code
+  // ----------------------------------------------------------------------
+
+  /**
+   * The last decoded MTC timecode, or null.
+   * @returns {{ hours: number, minutes: number, seconds: number, frames: number, frameRate: number, dropFrame: boolean }|null}
+   */
+  getTimecode() {
+    return this._mtcDecoder.getTimecode();
+  }
+
+  /**
+   * @private
+   */
+  _handleMtcMessage(message) {
+    const data = message?.data;
+    if (data?.[0] === 0xf1) {
+      const seconds = this._mtcDecoder.quarterFrame(data[1] ?? 0);
+      this._armMtcWatchdog();
+      if (seconds !== null) {
+        this._followMtc(seconds);
+      }
+    } else if (data?.[0] === 0xf0) {
+      const seconds = this._mtcDecoder.fullFrame(data);
+      if (seconds === null) return;
+      if (this.isRunning) {
+        this._followMtc(seconds);
+      } else {
+        // A locate while stopped: move there, play once quarter frames run
+        this._locateToPulse(Math.max(0, this._mtcSecondsToPulse(seconds)));
+      }
+    }
+  }
+
+  /**
+   * Move the transport to an MTC position: run the pulses up to it, start
+   * when it first reaches the start time, chase jumps.
+   * @private
+   * @param {number} seconds
+   */
+  _followMtc(seconds) {
+    const targetPulse = this._mtcSecondsToPulse(seconds);
+    if (targetPulse < 0) {
+      // Pre-roll before the start time
+      if (this.isRunning) this._onStop();
+      return;
+    }
+
+    if (!this.isRunning) {
+      if (targetPulse < this.pulsesPerStep) {
+        // Rolling from the top (or just past it): play step 0 first
+        this._onStart();
+      } else {
+        this._locateToPulse(targetPulse);
+        this._onContinue();
+        return;
+      }
+    }
+
+    const distance = targetPulse - this.getPulsePosition();
+    if (Math.abs(distance) > PULSES_PER_QUARTER) {
+      // Chase the jump
+      this._releaseAllNotes();
+      this._locateToPulse(targetPulse);
+      if (this.pulseCounter === 0) {
+        this._callPatternLogic(this.stepIndex);
+      }
+      return;
+    }
+    // Small steps back are timecode jitter; wait for the position to catch up
+    for (let i = 0; i < distance; i++) {
+      this._onClockPulse();
+    }
+  }
+
+  /**
+   * Clock pulses from the start time to an MTC position at the current bpm.
+   * @private
+   */
+  _mtcSecondsToPulse(seconds) {
+    const beats = ((seconds - this._getMtcStartSeconds()) * this.bpm) / 60;
+    // Tolerate float error right on a pulse
+    return Math.floor(beats * PULSES_PER_QUARTER + 1e-6);
+  }
+
+  /**
+   * mtcStartTime in seconds. Timecode strings use the incoming frame rate.
+   * @private
+   */
+  _getMtcStartSeconds() {
+    if (typeof this.mtcStartTime === "number") return this.mtcStartTime;
+    const fields = MtcDecoder.parseTimecode(this.mtcStartTime);
+    if (!fields) {
+      console.warn(
+        `TransportManager: Invalid mtcStartTime "${this.mtcStartTime}". Using 0.`
+      );
+      this.mtcStartTime = 0;
+      return 0;
+    }
+    const frameRate = this._mtcDecoder.getTimecode()?.frameRate ?? 30;
+    return MtcDecoder.timecodeToSeconds({ ...fields, frameRate });
+  }
+
+  /**
+   * (Re)start the timer that stops playback when quarter frames stop.
+   * @private
+   */
+  _armMtcWatchdog() {
+    this._clearMtcWatchdog();
+    if (!(this.mtcTimeoutMs > 0)) return;
+    this._mtcWatchdog = setTimeout(() => {
+      this._mtcWatchdog = null;
+      this._mtcDecoder.reset();
+      if (this.isRunning) {
+        this._withScheduledTime(this._now(), () => this._onStop());
+      }
+    }, this.mtcTimeoutMs);
+  }
+
+  /**
+   * @private
+   */
+  _clearMtcWatchdog() {
+    if (this._mtcWatchdog !== null) {
+      clearTimeout(this._mtcWatchdog);
+      this._mtcWatchdog = null;
+    }
+  }
+
+  /**
+   * Re-align every LiveLoop with the current position after a jump
+   * (Song Position Pointer / Continue). Loops without seek() are left alone.
+   * @private
+   */
+  _resyncLiveLoops() {
+    this.liveLoops.forEach((loop) => {
+      if (typeof loop.seek === "function") {
+        loop.seek(this.stepIndex, this.timeInBeats);
+      }
+    });
+  }
+
+  /**
+   * Updates only the LFOs on each LiveLoop for continuous modulation.
+   * Called on every pulse for high-resolution updates.
+   *
+   * @param {number} deltaTime - Time elapsed since last update in beats
+   * @param {number} absoluteTime - Current absolute time in beats
+   */
+  _updateLFOs(deltaTime, absoluteTime) {
+    this.liveLoops.forEach((loop) => {
+      if (typeof loop.updateLFOsOnly === "function") {
+        // If LiveLoop has a dedicated method for updating only LFOs, use it
+        loop.updateLFOsOnly(deltaTime, absoluteTime);
+      }
+      // If no dedicated method, the LFOs will be updated as part of the tick call
+      // at step boundaries
+    });
+  }
+
+  /**
+   * Calls pattern logic (notes, triggers) on each LiveLoop with integer step index.
+   * Only called when crossing a step boundary.
+   *
+   * @param {number} stepIndex - The current integer step index
+   */
+  _callPatternLogic(stepIndex) {
+    this._applyPendingTimeSignature(stepIndex);
+    this._applyDueLaunches(stepIndex);
+    // Mutes and declarations may have changed since the last step
+    this._tickOrder = null;
+    this._authorizeChordProvider();
+    this._emitPositionEvents(stepIndex);
+
+    // Set the current step for MIDI events
+    this.midiBus.currentStep = stepIndex;
+    this._lastPatternStep = stepIndex;
+
+    // Pass 0 for deltaTime to match test expectations
+    this._forEachLoopInTickOrder((loop) => {
+      if (this._hasOwnRate(loop)) {
+        loop.tickAtPosition(stepIndex, this.timeInBeats);
+        return;
+      }
+      const delay = this._getGrooveDelay(loop, stepIndex);
+      if (!delay) {
+        loop.tick(stepIndex, 0, this.timeInBeats);
+      } else if (delay.pulses === 0) {
+        this._tickLate(loop, stepIndex, delay.remainderMs);
+      } else {
+        this._pendingGrooveTicks.push({
+          loop,
+          stepIndex,
+          pulsesLeft: delay.pulses,
+          remainderMs: delay.remainderMs,
+        });
+      }
+    });
+  }
+
+  // ----------------------------------------------------------------------
+  // Groove
+  // ----------------------------------------------------------------------
+
+  /**
+   * Set (or clear with null) the groove applied to the LiveLoops' steps.
+   * Takes effect from the next step. The RhythmManager, if any, is updated too.
+   * @param {Groove|null} groove
+   */
+  setGroove(groove) {
+    if (groove !== null && typeof groove?.getDelayPulses !== "function") {
+      console.warn("TransportManager: setGroove() expects a Groove or null.");
+      return;
+    }
+    this.groove = groove;
+    if (typeof this.rhythmManager?.setGroove === "function") {
+      this.rhythmManager.setGroove(groove);
+    }
+  }
+
+  /**
+   * The active transport groove, or null when playing straight.
+   * @returns {Groove|null}
+   */
+  getGroove() {
+    return this.groove;
+  }
+
+  /**
+   * How late a loop plays a step: whole pulses to wait, plus a sub-pulse
+   * remainder in ms (only with lookahead, otherwise the delay is rounded).
+   * Returns null when the step is on the grid.
+   * @private
+   * @returns {{pulses: number, remainderMs: number}|null}
+   */
+  _getGrooveDelay(loop, stepIndex) {
+    let groove = this.groove;
+    if (loop.groove === false || loop.groove === null) {
+      groove = null;
+    } else if (loop.groove instanceof Groove) {
+      groove = loop.groove;
+    }
+    if (!groove) return null;
+
+    const pulseIntervalMs =
+      this._pulseIntervalEstimate ?? this._getPulseIntervalMs();
+    const delay = Math.min(
+      groove.getDelayPulses(stepIndex, pulseIntervalMs),
+      this.pulsesPerStep - 1
+    );
+    if (!(delay > 0)) return null;
+
+    if (this.midiBus.scheduledTime == null) {
+      const pulses = Math.round(delay);
+      return pulses > 0 ? { pulses, remainderMs: 0 } : null;
+    }
+    const pulses = Math.floor(delay);
+    return { pulses, remainderMs: (delay - pulses) * pulseIntervalMs };
+  }
+
+  /**
+   * Count down the held-back loop ticks and play the ones that are due.
+   * @private
+   */
+  _firePendingGrooveTicks() {
+    if (!this._pendingGrooveTicks.length) return;
+
+    const due = [];
+    this._pendingGrooveTicks = this._pendingGrooveTicks.filter((entry) => {
+      entry.pulsesLeft--;
+      if (entry.pulsesLeft > 0) return true;
+      due.push(entry);
+      return false;
+    });
+    due.forEach(({ loop, stepIndex, remainderMs }) => {
+      this._tickLate(loop, stepIndex, remainderMs);
+    });
+  }
+
+  /**
+   * Tick a loop, pushing its events' scheduled time back by remainderMs.
+   * @private
+   */
+  _tickLate(loop, stepIndex, remainderMs) {
+    const scheduledTime = this.midiBus.scheduledTime ?? null;
+    if (remainderMs > 0 && scheduledTime !== null) {
+      this.midiBus.scheduledTime = scheduledTime + remainderMs;
+    }
+    try {
+      loop.tick(stepIndex, 0, this.timeInBeats);
+    } finally {
+      if (scheduledTime !== null) {
+        this.midiBus.scheduledTime = scheduledTime;
+      }
+    }
+  }
+
+  /**
+   * Visits the LiveLoops in the order their pattern logic must run (see
+   * getTickOrder()).
+   * @private
+   * @param {Function} fn - called with each loop
+   */
+  _forEachLoopInTickOrder(fn) {
+    this._getTickOrderResult().order.forEach(fn);
+  }
+
+  /**
+   * The LiveLoops in the order they are ticked this step: providers before
+   * their consumers, otherwise in the order they were added.
+   * @returns {Object[]}
+   */
+  getTickOrder() {
+    return [...this._getTickOrderResult().order];
+  }
+
+  /**
+   * Problems with the loops' provides/consumes declarations.
+   * @returns {{ cycles: Object[][], conflicts: { resource: string, loops: Object[] }[] }}
+   *   `cycles`: loops that couldn't be ordered (they tick in the order they
+   *   were added); `conflicts`: resources with more than one unmuted provider.
+   */
+  getDependencyIssues() {
+    const { cycles, conflicts } = this._getTickOrderResult();
+    return { cycles, conflicts };
+  }
+
+  /**
+   * @private
+   */
+  _getTickOrderResult() {
+    if (!this._tickOrder) {
+      this._tickOrder = resolveTickOrder(this.liveLoops);
+      this._reportDependencyIssues(this._tickOrder);
+    }
+    return this._tickOrder;
+  }
+
+  /**
+   * Authorize the first unmuted loop providing "chord" on its ChordManager
+   * whenever that loop (or its pattern's provider ID) changes, so muting one
+   * chord provider and unmuting another hands the chord over. Patterns name
+   * themselves with getProviderId(); the ChordManager comes from the loop's
+   * context or globalContext. In between, other code (e.g. a
+   * KeyboardChordProvider) may take the chord over.
+   * @private
+   */
+  _authorizeChordProvider() {
+    const loop = this.liveLoops.find(
+      (candidate) =>
+        !candidate.muted &&
+        getLoopDependencies(candidate).provides.includes("chord")
+    );
+    const providerId = loop?.pattern?.getProviderId?.() ?? null;
+    if (
+      this._chordProvider?.loop === loop &&
+      this._chordProvider?.providerId === providerId
+    ) {
+      return;
+    }
+    this._chordProvider = { loop, providerId };
+
+    const chordManager =
+      loop?.context?.chordManager ?? loop?.globalContext?.chordManager;
+    if (chordManager && providerId !== null) {
+      chordManager.authorizeProvider(providerId);
+    }
+  }
+
+  /**
+   * Warn about cycles and conflicts once, when they first show up or change.
+   * @private
+   */
+  _reportDependencyIssues({ cycles, conflicts }) {
+    const describe = (loops) =>
+      loops.map((loop) => loop.name || loop.role || "(unnamed)").join(", ");
+    const messages = [
+      ...cycles.map(
+        (loops) =>
+          `Dependency cycle between ${describe(loops)}. They tick in the order they were added.`
+      ),
+      ...conflicts.map(
+        ({ resource, loops }) =>
+          `${describe(loops)} all provide "${resource}". They tick in the order they were added.`
+      ),
+    ];
+
+    const summary = messages.join("\n");
+    if (summary === this._reportedDependencyIssues) return;
+    this._reportedDependencyIssues = summary;
+    if (!messages.length) return;
+
+    messages.forEach((message) => console.warn(`TransportManager: ${message}`));
+    this._emit("dependencyIssue", {
+      cycles,
+      conflicts,
+      stepIndex: this.stepIndex,
+      timeInBeats: this.timeInBeats,
+    });
+  }
+
+  /**
+   * True for loops with a clock divider/multiplier: they are advanced on
+   * every pulse through tickAtPosition() instead of tick() per step.
+   * @private
+   */
+  _hasOwnRate(loop) {
+    return (
+      typeof loop.tickAtPosition === "function" &&
+      typeof loop.rate === "number" &&
+      loop.rate !== 1
+    );
+  }
+
+  // ----------------------------------------------------------------------
+  // Meter
+  // ----------------------------------------------------------------------
+
+  /**
+   * Set the meter. While stopped it applies right away, counting bars from
+   * step 0; while running it takes effect at the next bar line.
+   *
+   * @param {TimeSignature|string|number[]} timeSignature - e.g. "6/8", [7, 8] or a TimeSignature
+   * @param {Object} [options] - { grouping }, e.g. "3+2+2" for 7/8
+   */
+  setTimeSignature(timeSignature, options = {}) {
+    const resolved = TimeSignature.from(timeSignature, options);
+    if (!this.isRunning) {
+      this._pendingTimeSignature = null;
+      this.timeSignature = resolved;
+      this._meterAnchor = { step: 0, bar: 0 };
+      this._syncRhythmManagerMeter();
+      return;
+    }
+    const { bar } = this.getPosition();
+    const barsSinceAnchor = bar + 1 - this._meterAnchor.bar;
+    this._pendingTimeSignature = {
+      timeSignature: resolved,
+      step: this._meterAnchor.step + barsSinceAnchor * this.getStepsPerBar(),
+    };
+  }
+
+  /**
+   * The active time signature.
+   * @returns {TimeSignature}
+   */
+  getTimeSignature() {
+    return this.timeSignature;
+  }
+
+  /**
+   * Steps per bar in the active meter (16 for 4/4 at pulsesPerStep=6).
+   * @returns {number}
+   */
+  getStepsPerBar() {
+    return this.timeSignature.getStepsPerBar(this._getStepsPerQuarter());
+  }
+
+  /**
+   * Musical position of a step (default: the current one), all 0-based:
+   * bar, beat within the bar (following the meter's grouping) and step
+   * within the bar.
+   *
+   * @param {number} [stepIndex=this.stepIndex]
+   * @returns {{ bar: number, beat: number, stepInBar: number }}
+   */
+  getPosition(stepIndex = this.stepIndex) {
+    const stepsPerBar = this.getStepsPerBar();
+    const offset = stepIndex - this._meterAnchor.step;
+    const bar = this._meterAnchor.bar + Math.floor(offset / stepsPerBar);
+    const stepInBar = ((offset % stepsPerBar) + stepsPerBar) % stepsPerBar;
+
+    const beatStarts = this._getBeatStarts();
+    let beat = 0;
+    while (beat < beatStarts.length - 1 && stepInBar >= beatStarts[beat + 1]) {
+      beat++;
+    }
+    return { bar, beat, stepInBar };
+  }
+
+  /**
+   * Set how many bars make up a phrase (for the "phrase" event). Phrases are
+   * counted from bar 0.
+   * @param {number} bars - positive integer
+   */
+  setPhraseBars(bars) {
+    if (!Number.isInteger(bars) || bars < 1) {
+      console.warn(
+        `TransportManager: Invalid phrase length "${bars}". Ignoring.`
+      );
+      return;
+    }
+    this.phraseBars = bars;
+  }
+
+  /**
+   * Steps within the bar at which each beat of the active meter starts.
+   * @private
+   */
+  _getBeatStarts() {
+    const beatLengths = this.timeSignature.getBeatLengths(
+      this._getStepsPerQuarter()
+    );
+    let start = 0;
+    return beatLengths.map((length) => {
+      const beatStart = start;
+      start += length;
+      return beatStart;
+    });
+  }
+
+  /**
+   * Switch to a pending meter once its bar line is reached.
+   * @private
+   */
+  _applyPendingTimeSignature(stepIndex) {
+    const pending = this._pendingTimeSignature;
+    if (!pending || stepIndex < pending.step) return;
+
+    const { bar } = this.getPosition(pending.step);
+    this._pendingTimeSignature = null;
+    this.timeSignature = pending.timeSignature;
+    this._meterAnchor = { step: pending.step, bar };
+    this._syncRhythmManagerMeter();
+  }
+
+  /**
+   * Start from the top: any pending meter applies now, bars count from 0.
+   * @private
+   */
+  _restartMeter() {
+    const changed =
+      this._pendingTimeSignature !== null || this._meterAnchor.step !== 0;
+    if (this._pendingTimeSignature) {
+      this.timeSignature = this._pendingTimeSignature.timeSignature;
+      this._pendingTimeSignature = null;
+    }
+    this._meterAnchor = { step: 0, bar: 0 };
+    if (changed) {
+      this._syncRhythmManagerMeter();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getStepsPerQuarter() {
+    return PULSES_PER_QUARTER / this.pulsesPerStep;
+  }
+
+  /**
+   * @private
+   */
+  _syncRhythmManagerMeter() {
+    if (typeof this.rhythmManager?.setTimeSignature === "function") {
+      this.rhythmManager.setTimeSignature(this.timeSignature, {
+        anchorStep: this._meterAnchor.step,
+      });
+    }
+  }
+
+  // ----------------------------------------------------------------------
+  // Launch quantization
+  // ----------------------------------------------------------------------
+
+  /**
+   * Set the default quantization for launch(), addLiveLoop() and friends.
+   * @param {string|number} quantize - "immediate", "step", "beat", "bar",
+   *   "phrase" or a positive integer N (the next bar that is a multiple of N)
+   */
+  setLaunchQuantize(quantize) {
+    if (!this._isValidQuantize(quantize)) {
+      console.warn(
+        `TransportManager: Invalid launch quantize "${quantize}". Keeping "${this.launchQuantize}".`
+      );
+      return;
+    }
+    this.launchQuantize = quantize;
+  }
+
+  /**
+   * @returns {string|number}
+   */
+  getLaunchQuantize() {
+    return this.launchQuantize;
+  }
+
+  /**
+   * Run a change now or at the next quantization boundary. While stopped
+   * (or with "immediate") it runs right away.
+   *
+   * @param {Function} action - the change, e.g. () => loop.setMuted(true)
+   * @param {Object} [options]
+   * @param {string|number} [options.quantize] - defaults to launchQuantize
+   * @returns {number|null} The step the change waits for, or null if it ran now.
+   */
+  launch(action, { quantize = this.launchQuantize } = {}) {
+    return this._queueLaunch({ action }, quantize);
+  }
+
+  /**
+   * Quantized LiveLoop.setMuted().
+   * @param {Object} liveLoop
+   * @param {boolean} muted
+   * @param {Object} [options] - { quantize }
+   * @returns {number|null} see launch()
+   */
+  setLoopMuted(liveLoop, muted, options) {
+    return this.launch(() => liveLoop.setMuted(muted), options);
+  }
+
+  /**
+   * Quantized pattern swap. The new pattern is indexed by the transport step,
+   * like LiveLoop.setPattern(pattern, true).
+   * @param {Object} liveLoop
+   * @param {Object} pattern
+   * @param {Object} [options] - { quantize }
+   * @returns {number|null} see launch()
+   */
+  setLoopPattern(liveLoop, pattern, options) {
+    return this.launch(() => liveLoop.setPattern(pattern, true), options);
+  }
+
+  /**
+   * Quantized LiveLoop.setContext().
+   * @param {Object} liveLoop
+   * @param {Object} context
+   * @param {Object} [options] - { quantize }
+   * @returns {number|null} see launch()
+   */
+  setLoopContext(liveLoop, context, options) {
+    return this.launch(() => liveLoop.setContext(context, true), options);
+  }
+
+  /**
+   * Whether a launch quantization value is usable.
+   * @private
+   */
+  _isValidQuantize(quantize) {
+    return (
+      LAUNCH_QUANTIZE_VALUES.includes(quantize) ||
+      (Number.isInteger(quantize) && quantize > 0)
+    );
+  }
+
+  /**
+   * Run entry.action now, or queue it for its launch step.
+   * @private
+   * @returns {number|null}
+   */
+  _queueLaunch(entry, quantize) {
+    if (!this._isValidQuantize(quantize)) {
+      console.warn(
+        `TransportManager: Invalid launch quantize "${quantize}". Using "${this.launchQuantize}".`
+      );
+      quantize = this.launchQuantize;
+    }
+    if (!this.isRunning || quantize === "immediate") {
+      entry.action();
+      return null;
+    }
+    const step = this._getLaunchStep(quantize);
+    this._launchQueue.push({ ...entry, step });
+    return step;
+  }
+
+  /**
+   * The first step after the current one on the given boundary.
+   * @private
+   */
+  _getLaunchStep(quantize) {
+    const nextStep = this.stepIndex + 1;
+    if (quantize === "step") return nextStep;
+
+    if (quantize === "beat") {
+      const beatStarts = this._getBeatStarts();
+      let step = nextStep;
+      while (!beatStarts.includes(this.getPosition(step).stepInBar)) {
+        step++;
+      }
+      return step;
+    }
+
+    let bars = quantize;
+    if (quantize === "bar") bars = 1;
+    if (quantize === "phrase") bars = this.phraseBars;
+    const { bar } = this.getPosition();
+    const targetBar = (Math.floor(bar / bars) + 1) * bars;
+    return (
+      this._meterAnchor.step +
+      (targetBar - this._meterAnchor.bar) * this.getStepsPerBar()
+    );
+  }
+
+  /**
+   * Run queued changes whose step has come, in the order they were made.
+   * @private
+   */
+  _applyDueLaunches(stepIndex) {
+    if (!this._launchQueue.length || this._rendering) return;
+    const due = this._launchQueue.filter((entry) => entry.step <= stepIndex);
+    if (!due.length) return;
+    this._launchQueue = this._launchQueue.filter(
+      (entry) => entry.step > stepIndex
+    );
+    due.forEach((entry) => entry.action());
+  }
+
+  /**
+   * Run every queued change now (Stop, Start, Song Position Pointer).
+   * @private
+   */
+  _flushLaunchQueue() {
+    const queue = this._launchQueue;
+    this._launchQueue = [];
+    queue.forEach((entry) => entry.action());
+  }
+
+  /**
+   * If we want to add another LiveLoop after creation.
+   * Several loops may provide the same thing (e.g. two chordProviders handing
+   * off); getDependencyIssues() reports them as conflicts.
+   *
+   * @param {Object} liveLoop
+   * @param {Object} [options]
+   * @param {string|number} [options.quantize] - defaults to launchQuantize
+   * @returns {number|null} see launch()
+   */
+  addLiveLoop(liveLoop, { quantize = this.launchQuantize } = {}) {
+    return this._queueLaunch(
+      {
+        action: () => {
+          this.liveLoops.push(liveLoop);
+          this._tickOrder = null;
+        },
+      },
+      quantize
+    );
+  }
+
+  /**
+   * Remove a LiveLoop, releasing the notes it still holds.
+   *
+   * @param {Object} liveLoop
+   * @param {Object} [options]
+   * @param {string|number} [options.quantize] - defaults to launchQuantize
+   * @returns {number|null} see launch()
+   */
+  removeLiveLoop(liveLoop, { quantize = this.launchQuantize } = {}) {
+    const remove = () => {
+      this.liveLoops = this.liveLoops.filter((loop) => loop !== liveLoop);
+      this._tickOrder = null;
+      this._pendingGrooveTicks = this._pendingGrooveTicks.filter(
+        (pending) => pending.loop !== liveLoop
+      );
+      if (typeof liveLoop.releaseAllNotes === "function") {
+        liveLoop.releaseAllNotes();
+      }
+    };
+    return this.launch(remove, { quantize });
   }
 }
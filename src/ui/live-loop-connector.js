@@ -399,12 +399,16 @@ export class LiveLoopConnector extends HTMLElement {
     if (!transport || !midiBus) return;
 
     // Force noteOff on any notes from this loop (or do stopAllNotes if you prefer).
-    for (const noteObj of loop.activeNotes || []) {
-      midiBus.noteOff({
-        outputId: loop.midiOutputId,
-        channel: noteObj.channel,
-        note: noteObj.note,
-      });
+    if (typeof loop.releaseAllNotes === "function") {
+      loop.releaseAllNotes();
+    } else {
+      for (const noteObj of loop.activeNotes || []) {
+        midiBus.noteOff({
+          outputId: loop.midiOutputId,
+          channel: noteObj.channel,
+          note: noteObj.note,
+        });
+      }
     }
 
     // Remove from transport.liveLoops
@@ -50,15 +50,18 @@ export class LiveLoopMixer extends HTMLElement {
     // Sorting: "name" (asc) or "avgPitch" (desc).
     this._sortColumn = null;
 
-    // Bound event handler
+    // Bound event handlers
     this._onLiveLoopsChanged = this._onLiveLoopsChanged.bind(this);
+    this._onTempoChange = this._onTempoChange.bind(this);
   }
 
   /**
    * The system must contain at least { transport, deviceManager, midiBus }.
    */
   set system(sys) {
+    this._system?.transport?.off?.("tempoChange", this._onTempoChange);
     this._system = sys;
+    this._system?.transport?.on?.("tempoChange", this._onTempoChange);
     this.render(); // initial render
   }
   get system() {
@@ -78,6 +81,7 @@ export class LiveLoopMixer extends HTMLElement {
    */
   disconnectedCallback() {
     document.removeEventListener("liveLoopsChanged", this._onLiveLoopsChanged);
+    this._system?.transport?.off?.("tempoChange", this._onTempoChange);
   }
 
   /**
@@ -88,6 +92,24 @@ export class LiveLoopMixer extends HTMLElement {
     this.render();
   }
 
+  /**
+   * Update just the tempo readout (no full re-render, it fires often).
+   */
+  _onTempoChange() {
+    const el = this.shadowRoot?.querySelector(".tempo");
+    if (el) {
+      el.textContent = this._formatTempo();
+    }
+  }
+
+  /**
+   * e.g. "Tempo: 120.0 BPM", or "Tempo: --" until the clock is known.
+   */
+  _formatTempo() {
+    const bpm = this._system?.transport?.getBpm?.();
+    return bpm ? `Tempo: ${bpm.toFixed(1)} BPM` : "Tempo: --";
+  }
+
   /**
    * Renders the mixer UI as a table. No device/channel columns, no add/remove tracks.
    */
@@ -155,6 +177,19 @@ export class LiveLoopMixer extends HTMLElement {
         input[type="range"] {
           width: 80px;
         }
+        .tempo {
+          font-weight: bold;
+          margin-bottom: 0.3rem;
+        }
+        .panic-btn {
+          float: right;
+          background: #c62828;
+          color: #fff;
+          border: none;
+          border-radius: 3px;
+          padding: 0.2rem 0.6rem;
+          cursor: pointer;
+        }
         a[data-action="config"] {
           color: blue;
           text-decoration: underline;
@@ -280,13 +315,28 @@ export class LiveLoopMixer extends HTMLElement {
     `;
 
     // Insert everything in shadowRoot
-    this.shadowRoot.innerHTML = `${style} ${tableHTML}`;
+    const tempoHTML = `
+      <button class="panic-btn" data-action="panic"
+              title="All notes off, reset sustain and pitch bend">Panic</button>
+      <div class="tempo">${this._formatTempo()}</div>
+    `;
+    this.shadowRoot.innerHTML = `${style} ${tempoHTML} ${tableHTML}`;
 
     // Hook up events
+    this._bindPanicEvent();
     this._bindHeaderSortEvents();
     this._bindRowEvents();
   }
 
+  /**
+   * Panic button: silence every output and clear the loops' held notes.
+   */
+  _bindPanicEvent() {
+    this.shadowRoot
+      .querySelector('[data-action="panic"]')
+      ?.addEventListener("click", () => this._system?.midiBus?.panic?.());
+  }
+
   /**
    * Sorting by name or pitch
    */
@@ -3,13 +3,14 @@
  *
  * tests/integration/transport-sole-providers.test.js
  *
- * Integration test for the "only one chord provider" and "only one kick provider" rules.
+ * Integration test for the chord provider and kick provider rules.
  * We test:
- *  1) That the TransportManager enforces a single chordProvider and a single kickProvider
- *     (i.e., adding a second chordProvider or kickProvider throws an error).
+ *  1) That a second chordProvider or kickProvider can be added (to hand off),
+ *     and the TransportManager reports them as conflicting providers.
  *  2) That if a non-chord-provider pattern tries to set the chord, the ChordManager logs a warning and ignores.
  *  3) That if a non-kick-provider pattern tries to set the kick, the RhythmManager logs a warning and ignores.
  *  4) That with exactly one chordProvider and one kickProvider, everything still runs normally.
+ *  5) That muting one chordProvider and unmuting another hands the chord over.
  */
 
 import { jest } from "@jest/globals";
@@ -89,6 +90,37 @@ class LegitChordProviderPattern {
   }
 }
 
+/**
+ * A chord provider pattern that names itself with getProviderId(), so the
+ * TransportManager can authorize it, and sets its chord on every cycle.
+ */
+class HandOffChordPattern {
+  constructor({ patternId, rootNote, chordNotes }) {
+    this.id = patternId;
+    this.rootNote = rootNote;
+    this.chordNotes = chordNotes;
+  }
+
+  getNotes(stepIndex, context) {
+    if (stepIndex % this.getLength() === 0) {
+      context.chordManager.setCurrentChord(
+        this.id,
+        this.rootNote,
+        this.chordNotes
+      );
+    }
+    return [];
+  }
+
+  getLength() {
+    return 4;
+  }
+
+  getProviderId() {
+    return this.id;
+  }
+}
+
 /**
  * A minimal kick provider pattern (legitimate).
  * We'll call rhythmManager.setKickOnThisBeat with our authorized ID.
@@ -151,7 +183,9 @@ describe("TransportManager single chord provider & single kick provider rules",
     midiBus.off("midiMessage", transport._handleIncomingClock);
   });
 
-  it("throws an error if we try to add two chordProvider roles", () => {
+  it("accepts two chordProvider roles and reports the conflict", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
     // First chord provider loop
     const chordLoop1 = new LiveLoop(midiBus, {
       pattern: new LegitChordProviderPattern({
@@ -163,10 +197,7 @@ describe("TransportManager single chord provider & single kick provider rules",
       role: "chordProvider",
     });
 
-    // Add it
-    transport.addLiveLoop(chordLoop1);
-
-    // A second chord provider loop
+    // A second chord provider loop, e.g. taking over the harmony
     const chordLoop2 = new LiveLoop(midiBus, {
       pattern: new LegitChordProviderPattern({
         patternId: "ChordProviderLoop2",
@@ -174,17 +205,25 @@ describe("TransportManager single chord provider & single kick provider rules",
       context: { chordManager, rhythmManager },
       name: "ChordLoop2",
       midiChannel: 2,
-      role: "chordProvider", // same role => not allowed
+      role: "chordProvider",
     });
 
-    // Expect an error when we attempt to add a second chordProvider
-    expect(() => {
-      transport.addLiveLoop(chordLoop2);
-    }).toThrow(/Only one chord provider is allowed/);
+    transport.addLiveLoop(chordLoop1);
+    transport.addLiveLoop(chordLoop2);
+    expect(transport.liveLoops).toEqual([chordLoop1, chordLoop2]);
+
+    expect(transport.getDependencyIssues().conflicts).toEqual([
+      { resource: "chord", loops: [chordLoop1, chordLoop2] },
+    ]);
+    expect(warnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('ChordLoop1, ChordLoop2 all provide "chord"')
+    );
+    warnSpy.mockRestore();
   });
 
-  it("throws an error if we try to add two kickProvider roles", () => {
-    // First legit Kick provider
+  it("accepts two kickProvider roles and reports the conflict", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
     const kickLoop1 = new LiveLoop(midiBus, {
       pattern: new LegitKickProviderPattern({ patternId: "KickProviderLoop" }),
       context: { chordManager, rhythmManager },
@@ -193,9 +232,6 @@ describe("TransportManager single chord provider & single kick provider rules",
       role: "kickProvider",
     });
 
-    transport.addLiveLoop(kickLoop1);
-
-    // Second would-be Kick provider
     const kickLoop2 = new LiveLoop(midiBus, {
       pattern: new LegitKickProviderPattern({ patternId: "KickProviderLoop2" }),
       context: { chordManager, rhythmManager },
@@ -204,9 +240,13 @@ describe("TransportManager single chord provider & single kick provider rules",
       role: "kickProvider",
     });
 
-    expect(() => {
-      transport.addLiveLoop(kickLoop2);
-    }).toThrow(/Only one kick provider is allowed/);
+    transport.addLiveLoop(kickLoop1);
+    transport.addLiveLoop(kickLoop2);
+
+    expect(transport.getDependencyIssues().conflicts).toEqual([
+      { resource: "kick", loops: [kickLoop1, kickLoop2] },
+    ]);
+    warnSpy.mockRestore();
   });
 
   it("blocks chord set attempts from a non-chordProvider role, logs a warning instead", () => {
@@ -335,4 +375,56 @@ describe("TransportManager single chord provider & single kick provider rules",
 
     warnSpy.mockRestore();
   });
+
+  it("hands the chord over when one provider is muted and another unmuted", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const verse = new LiveLoop(midiBus, {
+      pattern: new HandOffChordPattern({
+        patternId: "Verse",
+        rootNote: "C4",
+        chordNotes: ["C4", "E4", "G4"],
+      }),
+      context: { chordManager },
+      name: "Verse",
+      role: "chordProvider",
+    });
+    const chorus = new LiveLoop(midiBus, {
+      pattern: new HandOffChordPattern({
+        patternId: "Chorus",
+        rootNote: "F4",
+        chordNotes: ["F4", "A4", "C5"],
+      }),
+      context: { chordManager },
+      name: "Chorus",
+      role: "chordProvider",
+    });
+    chorus.setMuted(true);
+    transport.addLiveLoop(verse);
+    transport.addLiveLoop(chorus);
+
+    midiBus.emit("midiMessage", { data: [0xfa] }); // Start, step 0
+    expect(chordManager.getCurrentRootNote()).toBe("C4");
+
+    verse.setMuted(true);
+    chorus.setMuted(false);
+    for (let i = 0; i < 4; i++) {
+      midiBus.emit("midiMessage", { data: [0xf8] }); // steps 1-4
+    }
+    expect(chordManager.getCurrentRootNote()).toBe("F4");
+    expect(chordManager.getCurrentChordNotes()).toEqual(["F4", "A4", "C5"]);
+    expect(transport.getDependencyIssues().conflicts).toEqual([]);
+
+    // A muted provider's attempts are ignored, with one warning each time
+    // the chord changes hands
+    for (let i = 0; i < 8; i++) {
+      midiBus.emit("midiMessage", { data: [0xf8] });
+    }
+    midiBus.emit("midiMessage", { data: [0xfc] });
+    expect(chordManager.getCurrentRootNote()).toBe("F4");
+    expect(warnSpy.mock.calls.map(([message]) => message)).toEqual([
+      expect.stringContaining("Unauthorized provider (Chorus)"),
+      expect.stringContaining("Unauthorized provider (Verse)"),
+    ]);
+    warnSpy.mockRestore();
+  });
 });
@@ -0,0 +1,200 @@
+/**
+ * tests/unit/engines/clock-router.test.js
+ *
+ * ClockRouter passing the transport's clock on to selected outputs:
+ * 1) Start/Clock/Stop/Continue go only to routed outputs, as raw bytes.
+ * 2) Per-route rate (double/half time) and offset spread the clocks in time.
+ * 3) Locating sends Song Position Pointer, wrapped in Stop/Continue while
+ *    running.
+ * 4) Nothing goes out during offline rendering; MTC is turned into clock.
+ * 5) In internal mode, routed outputs get the router's clock only.
+ */
+
+import { jest } from "@jest/globals";
+import { ClockRouter } from "../../../src/engines/clock-router.js";
+import { RealPlaybackEngine } from "../../../src/engines/real-playback-engine.js";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+describe("ClockRouter", () => {
+  let midiBus;
+  let engine;
+  let outA;
+  let outB;
+  let transport;
+  let router;
+
+  function receive(...bytes) {
+    transport._handleIncomingClock({ data: bytes });
+  }
+
+  function clock(pulseCount) {
+    for (let i = 0; i < pulseCount; i++) receive(0xf8);
+  }
+
+  function bytesSent(output) {
+    return output.send.mock.calls.map(([message]) => message);
+  }
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    engine = new RealPlaybackEngine(midiBus);
+    outA = { id: "a", send: jest.fn() };
+    outB = { id: "b", send: jest.fn() };
+    engine.midiOutputs = [outA, outB];
+    transport = new TransportManager(midiBus, { clockTimeoutPulses: 0 });
+    router = new ClockRouter(midiBus, transport);
+  });
+
+  it("forwards Start, Clock, Stop and Continue to routed outputs only", () => {
+    router.addRoute({ outputId: "b" });
+
+    receive(0xfa);
+    clock(2);
+    receive(0xfc);
+    receive(0xfb);
+
+    expect(outA.send).not.toHaveBeenCalled();
+    // Start, the downbeat clock, then one clock per further pulse
+    expect(bytesSent(outB)).toEqual([
+      [0xfa],
+      [0xf8],
+      [0xf8],
+      [0xf8],
+      [0xfc],
+      [0xfb],
+    ]);
+  });
+
+  it("can leave out Start/Stop/Continue per route", () => {
+    router.addRoute({ outputId: "a", sendTransport: false });
+    receive(0xfa);
+    clock(1);
+    receive(0xfc);
+    expect(bytesSent(outA)).toEqual([[0xf8], [0xf8]]);
+  });
+
+  it("spreads double-time clocks over each pulse", () => {
+    jest.spyOn(transport, "getBpm").mockReturnValue(125); // 20 ms per pulse
+    midiBus.scheduledTime = 1000;
+    router.addRoute({ outputId: "a", rate: 2 });
+
+    receive(0xfa);
+    expect(outA.send.mock.calls).toEqual([
+      [[0xfa], 1000],
+      [[0xf8], 1000],
+      [[0xf8], 1010],
+    ]);
+  });
+
+  it("sends every other clock at half time", () => {
+    router.addRoute({ outputId: "a", rate: 1 / 2, sendTransport: false });
+    receive(0xfa);
+    clock(23);
+    expect(bytesSent(outA)).toHaveLength(12);
+  });
+
+  it("shifts a route by its offset", () => {
+    jest.spyOn(transport, "getBpm").mockReturnValue(125);
+    midiBus.scheduledTime = 1000;
+    router.addRoute({ outputId: "a", offsetMs: 4 });
+    router.addRoute({ outputId: "b" });
+
+    receive(0xfa);
+    expect(outA.send.mock.calls).toEqual([
+      [[0xfa], 1004],
+      [[0xf8], 1004],
+    ]);
+    expect(outB.send.mock.calls).toEqual([
+      [[0xfa], 1000],
+      [[0xf8], 1000],
+    ]);
+  });
+
+  it("sends Song Position Pointer when the transport locates", () => {
+    router.addRoute({ outputId: "a" });
+    router.addRoute({ outputId: "b", rate: 2 });
+
+    // While stopped: SPP only (bar 2 = 16 MIDI beats)
+    receive(0xf2, 16, 0);
+    expect(bytesSent(outA)).toEqual([[0xf2, 16, 0]]);
+    expect(bytesSent(outB)).toEqual([[0xf2, 32, 0]]);
+
+    // While running: Stop, SPP, Continue (position 200 = 0x01 0x48)
+    receive(0xfb);
+    outA.send.mockClear();
+    receive(0xf2, 0x48, 0x01);
+    expect(bytesSent(outA)).toEqual([[0xfc], [0xf2, 0x48, 0x01], [0xfb]]);
+  });
+
+  it("stays silent while rendering offline", () => {
+    router.addRoute({ outputId: "a" });
+    transport.renderSteps(4);
+    expect(outA.send).not.toHaveBeenCalled();
+  });
+
+  it("turns MTC into MIDI clock", () => {
+    transport.setClockSource("mtc");
+    router.addRoute({ outputId: "a", sendPosition: false });
+
+    // Full frame at 00:00:00:00, then a quarter frame per 1/120 s
+    receive(0xf0, 0x7f, 0x7f, 0x01, 0x01, 0x60, 0, 0, 0, 0xf7);
+    for (let i = 0; i < 8; i++) receive(0xf1, i << 4);
+    transport._clearMtcWatchdog();
+
+    const sent = bytesSent(outA);
+    expect(sent[0]).toEqual([0xfa]);
+    // 8 quarter frames at 30 fps = 1/15 s = 3.2 pulses at 120 bpm
+    expect(sent.filter(([status]) => status === 0xf8)).toHaveLength(4);
+  });
+
+  it("warns about an invalid rate and uses 1", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    router.addRoute({ outputId: "a", rate: 0 });
+    expect(router.getRoutes()[0].rate).toBe(1);
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  it("stops forwarding after removeRoute() and dispose()", () => {
+    router.addRoute({ outputId: "a" });
+    router.addRoute({ outputId: "b" });
+    router.removeRoute("a");
+    receive(0xfa);
+    expect(outA.send).not.toHaveBeenCalled();
+
+    router.dispose();
+    outB.send.mockClear();
+    clock(6);
+    expect(outB.send).not.toHaveBeenCalled();
+  });
+
+  it("turns the internal clock broadcast off while routing", () => {
+    jest.useFakeTimers();
+    const internal = new TransportManager(midiBus, {
+      clockSource: "internal",
+      bpm: 125, // 20ms per pulse
+    });
+    const internalRouter = new ClockRouter(midiBus, internal);
+    internalRouter.addRoute({ outputId: "b" });
+    expect(internal.sendClock).toBe(false);
+
+    internal.start();
+    jest.advanceTimersByTime(50);
+    internal.stop();
+    jest.useRealTimers();
+
+    expect(outA.send).not.toHaveBeenCalled();
+    // One stream: Start, the downbeat clock and one per further pulse
+    expect(bytesSent(outB)).toEqual([
+      [0xfa],
+      [0xf8],
+      [0xf8],
+      [0xf8],
+      [0xfc],
+    ]);
+
+    internalRouter.removeRoute("b");
+    expect(internal.sendClock).toBe(true);
+  });
+});
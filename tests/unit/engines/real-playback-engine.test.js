@@ -0,0 +1,139 @@
+/**
+ * tests/unit/engines/real-playback-engine.test.js
+ *
+ * RealPlaybackEngine with fake Web MIDI outputs:
+ * 1) Encodes bus events to raw bytes and routes them by outputId.
+ * 2) Passes an event's target `time` to output.send(), 0 (= now) otherwise.
+ * 3) Applies per-output / per-channel latency offsets from a DeviceManager.
+ * 4) Repeats a panic's resets after notes already scheduled ahead.
+ */
+
+import { jest } from "@jest/globals";
+import { RealPlaybackEngine } from "../../../src/engines/real-playback-engine.js";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { DeviceManager } from "../../../src/device-manager.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+describe("RealPlaybackEngine", () => {
+  let midiBus;
+  let engine;
+  let outA;
+  let outB;
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    engine = new RealPlaybackEngine(midiBus);
+    outA = { id: "a", send: jest.fn() };
+    outB = { id: "b", send: jest.fn() };
+    engine.midiOutputs = [outA, outB];
+  });
+
+  it("sends immediately when the event has no time", () => {
+    midiBus.noteOn({ channel: 2, note: 60, velocity: 90 });
+    expect(outA.send).toHaveBeenCalledWith([0x91, 60, 90], 0);
+    expect(outB.send).toHaveBeenCalledWith([0x91, 60, 90], 0);
+  });
+
+  it("routes to a single output by outputId", () => {
+    midiBus.controlChange({ channel: 1, cc: 74, value: 64, outputId: "b" });
+    expect(outA.send).not.toHaveBeenCalled();
+    expect(outB.send).toHaveBeenCalledWith([0xb0, 74, 64], 0);
+  });
+
+  it("passes the scheduled time through as the send() timestamp", () => {
+    midiBus.scheduledTime = 5025;
+    midiBus.noteOn({ channel: 1, note: 64, velocity: 100, outputId: "a" });
+    midiBus.noteOff({ channel: 1, note: 64, outputId: "a" });
+    midiBus.pitchBend({ channel: 1, value: 0, outputId: "a" });
+    midiBus.sendRealtime({ status: 0xf8, outputId: "a" });
+
+    expect(outA.send.mock.calls).toEqual([
+      [[0x90, 64, 100], 5025],
+      [[0x80, 64, 0], 5025],
+      [[0xe0, 0x00, 0x40], 5025],
+      [[0xf8], 5025],
+    ]);
+  });
+
+  describe("latency offsets", () => {
+    let deviceManager;
+
+    beforeEach(() => {
+      deviceManager = new DeviceManager();
+      midiBus = new MidiBus();
+      engine = new RealPlaybackEngine(midiBus, { deviceManager });
+      engine.midiOutputs = [outA, outB];
+      midiBus.scheduledTime = 1000;
+    });
+
+    it("shifts each output by its own offset", () => {
+      deviceManager.setLatencyOffset("a", -12);
+      deviceManager.setLatencyOffset("b", 5);
+      midiBus.noteOn({ channel: 1, note: 60, velocity: 100 });
+
+      expect(outA.send).toHaveBeenCalledWith([0x90, 60, 100], 988);
+      expect(outB.send).toHaveBeenCalledWith([0x90, 60, 100], 1005);
+    });
+
+    it("prefers a channel offset over the output offset", () => {
+      deviceManager.setLatencyOffset("a", -10);
+      deviceManager.setLatencyOffset("a", -20, 3);
+      midiBus.noteOn({ channel: 3, note: 60, velocity: 100, outputId: "a" });
+      midiBus.noteOn({ channel: 4, note: 60, velocity: 100, outputId: "a" });
+      midiBus.sendRealtime({ status: 0xf8, outputId: "a" });
+
+      expect(outA.send.mock.calls).toEqual([
+        [[0x92, 60, 100], 980],
+        [[0x93, 60, 100], 990],
+        [[0xf8], 990],
+      ]);
+    });
+
+    it("offsets unscheduled events from now", () => {
+      midiBus.scheduledTime = null;
+      deviceManager.setLatencyOffset("a", 15);
+      jest.spyOn(performance, "now").mockReturnValue(2000);
+      midiBus.noteOff({ channel: 1, note: 60, outputId: "a" });
+      midiBus.noteOff({ channel: 1, note: 60, outputId: "b" });
+      performance.now.mockRestore();
+
+      expect(outA.send).toHaveBeenCalledWith([0x80, 60, 0], 2015);
+      expect(outB.send).toHaveBeenCalledWith([0x80, 60, 0], 0);
+    });
+  });
+
+  it("repeats the panic resets after the notes scheduled ahead", () => {
+    const deviceManager = new DeviceManager();
+    deviceManager.setLatencyOffset("a", 10);
+    midiBus = new MidiBus();
+    engine = new RealPlaybackEngine(midiBus, { deviceManager });
+    engine.midiOutputs = [outA];
+    const transport = new TransportManager(midiBus, {
+      liveLoops: [
+        { tick: () => midiBus.noteOn({ channel: 1, note: 60, outputId: "a" }) },
+      ],
+      lookaheadMs: 30,
+      clockTimeoutPulses: 0,
+    });
+    jest.spyOn(performance, "now").mockReturnValue(1000);
+
+    transport._handleIncomingClock({ data: [0xfa], timeStamp: 1000 });
+    midiBus.panic({ channels: [1] });
+    performance.now.mockRestore();
+
+    const calls = outA.send.mock.calls;
+    const noteOn = calls.find(([message]) => message[0] === 0x90);
+    expect(noteOn[1]).toBe(1040);
+    // The first resets go out ahead of the note, the repeat after it
+    expect(calls.filter(([message]) => message[1] === 123)).toEqual([
+      [[0xb0, 123, 0], 1010],
+      [[0xb0, 123, 0], 1040],
+    ]);
+    expect(calls.slice(-4)).toEqual([
+      [[0xb0, 64, 0], 1040],
+      [[0xe0, 0x00, 0x40], 1040],
+      [[0xb0, 120, 0], 1040],
+      [[0xb0, 123, 0], 1040],
+    ]);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * tests/unit/input/keyboard-chord-provider.test.js
+ *
+ * KeyboardChordProvider:
+ * 1) Detects the chord held: root, quality and inversion.
+ * 2) "hold" keeps the held chord until the next one; "latch" collects every
+ *    note of a gesture.
+ * 3) Changes can be quantized to the next beat or bar.
+ * 4) Takes the chord over with the first chord played and hands it back on
+ *    dispose().
+ */
+
+import { jest } from "@jest/globals";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { MidiInputRouter } from "../../../src/input/midi-input-router.js";
+import { KeyboardChordProvider } from "../../../src/input/keyboard-chord-provider.js";
+import { ChordManager } from "../../../src/chord-manager.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+describe("KeyboardChordProvider", () => {
+  let midiBus;
+  let router;
+  let chordManager;
+
+  function press(...notes) {
+    notes.forEach((note) =>
+      midiBus.emit("midiMessage", { data: [0x90, note, 100], inputId: "k" })
+    );
+  }
+
+  function release(...notes) {
+    notes.forEach((note) =>
+      midiBus.emit("midiMessage", { data: [0x80, note, 0], inputId: "k" })
+    );
+  }
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    router = new MidiInputRouter(midiBus);
+    chordManager = new ChordManager();
+  });
+
+  it("detects root, quality and inversion", () => {
+    const keys = new KeyboardChordProvider(router, chordManager);
+    const changes = jest.fn();
+    keys.onChordChange(changes);
+
+    press(52, 60, 67); // E3 C4 G4: C major, first inversion
+    expect(keys.currentChord).toEqual({
+      name: "CM/E",
+      root: "C4",
+      quality: "Major",
+      inversion: 1,
+      notes: ["E3", "C4", "G4"],
+    });
+    expect(chordManager.getCurrentRootNote()).toBe("C4");
+    expect(chordManager.getCurrentChordNotes()).toEqual(["E3", "C4", "G4"]);
+    expect(changes).toHaveBeenLastCalledWith(keys.currentChord);
+
+    release(52, 60, 67);
+    press(57, 60, 64);
+    expect(keys.currentChord).toMatchObject({
+      name: "Am",
+      root: "A3",
+      quality: "Minor",
+      inversion: 0,
+    });
+
+    release(57, 60, 64);
+    press(60, 61, 62);
+    expect(keys.currentChord).toMatchObject({ name: null, root: "C4" });
+  });
+
+  it("doesn't publish the first notes of a chord rolled in", () => {
+    const keys = new KeyboardChordProvider(router, chordManager);
+    const changes = jest.fn();
+    keys.onChordChange(changes);
+    press(57, 60, 64);
+    release(57, 60, 64);
+
+    press(60);
+    press(64);
+    press(72); // C again: still two pitch classes
+    expect(keys.currentChord.name).toBe("Am");
+    press(67);
+    expect(changes.mock.calls.map(([chord]) => chord.name)).toEqual([
+      "Am",
+      "CM",
+    ]);
+  });
+
+  it("holds the chord until the next one", () => {
+    const keys = new KeyboardChordProvider(router, chordManager);
+    press(60, 64, 67);
+    release(67);
+    press(69); // C E A, without the released G
+    expect(keys.currentChord).toMatchObject({ name: "Am/C", inversion: 1 });
+
+    release(60, 64, 69);
+    expect(chordManager.getCurrentChordNotes()).toEqual(["C4", "E4", "A4"]);
+
+    press(62, 65, 69);
+    expect(chordManager.getCurrentChordNotes()).toEqual(["D4", "F4", "A4"]);
+  });
+
+  it("latches every note of a gesture", () => {
+    const keys = new KeyboardChordProvider(router, chordManager, {
+      mode: "latch",
+    });
+    press(60);
+    release(60);
+    press(64); // a new gesture
+    press(67);
+    release(64); // stays in the chord
+    press(71);
+    expect(keys.currentChord).toMatchObject({
+      name: "Em",
+      notes: ["E4", "G4", "B4"],
+    });
+  });
+
+  it("takes the chord over when played and hands it back", () => {
+    chordManager.authorizeProvider("ChordPattern");
+    const keys = new KeyboardChordProvider(router, chordManager);
+    expect(chordManager.getAuthorizedProvider()).toBe("ChordPattern");
+
+    press(60, 64, 67);
+    expect(chordManager.getAuthorizedProvider()).toBe("KeyboardChordProvider");
+    expect(chordManager.getCurrentChordNotes()).toEqual(["C4", "E4", "G4"]);
+
+    keys.dispose();
+    expect(chordManager.getAuthorizedProvider()).toBe("ChordPattern");
+    chordManager.setCurrentChord("ChordPattern", "D4", ["D4", "F4", "A4"]);
+    expect(chordManager.getCurrentRootNote()).toBe("D4");
+  });
+
+  it("warns about unknown modes and quantize values", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const keys = new KeyboardChordProvider(router, chordManager, {
+      mode: "sticky",
+      quantize: "soon",
+    });
+    expect(keys.mode).toBe("hold");
+    expect(keys.quantize).toBe("immediate");
+
+    keys.setQuantize(2);
+    keys.setQuantize(0);
+    keys.setQuantize("bars");
+    expect(keys.quantize).toBe(2);
+    expect(warnSpy).toHaveBeenCalledTimes(4);
+    warnSpy.mockRestore();
+  });
+
+  describe("quantized changes", () => {
+    let transport;
+
+    function clock(pulseCount) {
+      for (let i = 0; i < pulseCount; i++) {
+        transport._handleIncomingClock({ data: [0xf8] });
+      }
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      transport = new TransportManager(midiBus, { clockTimeoutPulses: 0 });
+      transport._handleIncomingClock({ data: [0xfa] });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("waits for the next beat", () => {
+      const keys = new KeyboardChordProvider(router, chordManager, {
+        transport,
+        quantize: "beat",
+      });
+      clock(6); // step 1
+      press(60, 64, 67);
+      expect(keys.currentChord).toBeNull();
+
+      clock(6 * 3); // step 4
+      expect(keys.currentChord.name).toBe("CM");
+    });
+
+    it("publishes only the latest notes at the bar", () => {
+      const keys = new KeyboardChordProvider(router, chordManager, {
+        transport,
+        quantize: "bar",
+      });
+      const changes = jest.fn();
+      keys.onChordChange(changes);
+      clock(6 * 2);
+      press(60, 64, 67);
+      release(60, 64, 67);
+      press(57, 60, 64);
+
+      clock(6 * 13); // step 15
+      expect(changes).not.toHaveBeenCalled();
+      clock(6); // step 16
+      expect(changes).toHaveBeenCalledTimes(1);
+      expect(keys.currentChord.name).toBe("Am");
+    });
+
+    it("drops a waiting change when disposed", () => {
+      const keys = new KeyboardChordProvider(router, chordManager, {
+        transport,
+        quantize: "beat",
+      });
+      press(60, 64, 67);
+      keys.dispose();
+
+      clock(6 * 4);
+      expect(keys.currentChord).toBeNull();
+      expect(chordManager.getCurrentChordNotes()).toEqual([]);
+    });
+  });
+});
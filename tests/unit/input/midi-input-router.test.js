@@ -0,0 +1,204 @@
+/**
+ * tests/unit/input/midi-input-router.test.js
+ *
+ * MidiInputRouter:
+ * 1) Parses incoming channel messages into typed input events.
+ * 2) Listens only to the selected inputs; routes by input, channel and type.
+ * 3) Ready-made targets: thru (to a LiveLoop), recorder and param.
+ * 4) The TransportManager can follow the clock of one input only.
+ */
+
+import { jest } from "@jest/globals";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { MidiInputRouter } from "../../../src/input/midi-input-router.js";
+import {
+  thru,
+  thruToLoop,
+  armRecorder,
+  toParam,
+} from "../../../src/input/input-targets.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+describe("MidiInputRouter", () => {
+  let midiBus;
+  let router;
+
+  function receive(data, inputId = "keys") {
+    midiBus.emit("midiMessage", { data, timeStamp: 10, inputId });
+  }
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    router = new MidiInputRouter(midiBus);
+  });
+
+  it("parses channel messages into input events", () => {
+    const events = [];
+    router.route((event) => events.push(event));
+
+    receive([0x91, 60, 100]);
+    receive([0x91, 60, 0]);
+    receive([0xb0, 74, 20]);
+    receive([0xe2, 0x00, 0x40]);
+    receive([0xe2, 0x7f, 0x7f]);
+    receive([0xd0, 50]);
+    receive([0xa0, 60, 30]);
+    receive([0xc0, 5]);
+    receive([0xf8]);
+
+    expect(events[0]).toEqual({
+      type: "noteOn",
+      channel: 2,
+      note: 60,
+      velocity: 100,
+      inputId: "keys",
+      time: 10,
+    });
+    const rest = events.slice(1).map(({ inputId, time, ...event }) => event);
+    expect(rest).toEqual([
+      { type: "noteOff", channel: 2, note: 60, velocity: 0 },
+      { type: "controlChange", channel: 1, cc: 74, value: 20 },
+      { type: "pitchBend", channel: 3, value: 0 },
+      { type: "pitchBend", channel: 3, value: 8191 },
+      { type: "aftertouch", channel: 1, pressure: 50 },
+      { type: "polyAftertouch", channel: 1, note: 60, pressure: 30 },
+      { type: "programChange", channel: 1, program: 5 },
+    ]);
+  });
+
+  it("listens to the selected inputs and routes by scope", () => {
+    const notes = jest.fn();
+    const pads = jest.fn();
+    const typed = jest.fn();
+    router.setInputs(["keys", "pads"]);
+    router.route(notes, { inputId: "keys", types: ["noteOn"] });
+    router.route(pads, { channel: 10 });
+    router.on("noteOn", typed);
+
+    receive([0x90, 60, 100]);
+    receive([0x80, 60, 0]);
+    receive([0x99, 36, 100], "pads");
+    receive([0x90, 60, 100], "other");
+
+    expect(notes).toHaveBeenCalledTimes(1);
+    expect(pads).toHaveBeenCalledTimes(1);
+    expect(typed).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps routing when a target throws", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const after = jest.fn();
+    router.route(() => {
+      throw new Error("boom");
+    });
+    router.route(after);
+    receive([0x90, 60, 100]);
+    expect(after).toHaveBeenCalled();
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  describe("thru", () => {
+    let sent;
+
+    beforeEach(() => {
+      sent = [];
+      ["noteOn", "noteOff", "controlChange"].forEach((type) =>
+        midiBus.on(type, (data) => sent.push({ type, data }))
+      );
+    });
+
+    it("plays through to a LiveLoop's output and channel", () => {
+      const loop = new LiveLoop(midiBus, {
+        pattern: { getNotes: () => [], getLength: () => 16 },
+        midiChannel: 3,
+        midiOutputId: "synth",
+      });
+      router.route(thruToLoop(loop, { transpose: 12 }));
+
+      receive([0x90, 60, 100]);
+      loop.midiChannel = 4; // the held note still ends on channel 3
+      receive([0xb0, 1, 64]);
+      receive([0x80, 60, 0]);
+
+      expect(sent).toEqual([
+        {
+          type: "noteOn",
+          data: {
+            channel: 3,
+            note: 72,
+            velocity: 100,
+            step: 0,
+            outputId: "synth",
+          },
+        },
+        {
+          type: "controlChange",
+          data: { channel: 4, cc: 1, value: 64, outputId: "synth" },
+        },
+        {
+          type: "noteOff",
+          data: { channel: 3, note: 72, step: 0, outputId: "synth" },
+        },
+      ]);
+    });
+
+    it("releases held notes when the route is removed", () => {
+      const target = router.route(thru(midiBus));
+      receive([0x90, 60, 100]);
+      receive([0x90, 64, 100]);
+      router.removeRoute(target);
+
+      expect(sent.map(({ type, data }) => `${type} ${data.note}`)).toEqual([
+        "noteOn 60",
+        "noteOn 64",
+        "noteOff 60",
+        "noteOff 64",
+      ]);
+      expect(midiBus.activeNotes.size).toBe(0);
+    });
+  });
+
+  it("starts a recorder on the first note, once", () => {
+    const recorder = { isRecording: false, start: jest.fn() };
+    router.route(armRecorder(recorder));
+
+    receive([0xb0, 1, 64]);
+    expect(recorder.start).not.toHaveBeenCalled();
+    receive([0x90, 60, 100]);
+    receive([0x90, 62, 100]);
+    expect(recorder.start).toHaveBeenCalledTimes(1);
+  });
+
+  it("drives a parameter from a controller", () => {
+    const loop = new LiveLoop(midiBus, {
+      pattern: { getNotes: () => [], getLength: () => 16 },
+    });
+    router.route(
+      toParam((value) => loop.setTranspose(Math.round(value)), {
+        cc: 74,
+        min: -12,
+        max: 12,
+      })
+    );
+
+    receive([0xb0, 74, 127]);
+    expect(loop.transpose).toBe(12);
+    receive([0xb0, 71, 0]);
+    expect(loop.transpose).toBe(12);
+    receive([0xb0, 74, 0]);
+    expect(loop.transpose).toBe(-12);
+  });
+
+  it("lets the transport follow one input's clock", () => {
+    const transport = new TransportManager(midiBus, {
+      clockInputId: "clock",
+      clockTimeoutPulses: 0,
+    });
+    receive([0xfa], "keys");
+    expect(transport.isRunning).toBe(false);
+    receive([0xfa], "clock");
+    expect(transport.isRunning).toBe(true);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * tests/unit/input/midi-learn.test.js
+ *
+ * MidiLearn:
+ * 1) Binds the next controller moved to a target, scaled to a range.
+ * 2) Pickup (soft takeover), toggle and relative encoder modes.
+ * 3) Targets for loops, LFOs, energy, pattern options and device params.
+ * 4) Mappings round-trip through a JSON mapping file.
+ */
+
+import { jest } from "@jest/globals";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { MidiInputRouter } from "../../../src/input/midi-input-router.js";
+import { MidiLearn } from "../../../src/input/midi-learn.js";
+import {
+  loopTargets,
+  energyTargets,
+  patternOptionTarget,
+  deviceParamTargets,
+} from "../../../src/input/learn-targets.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { LFO } from "../../../src/lfo.js";
+import { EnergyManager } from "../../../src/energy-manager.js";
+import { SyncopatedBass } from "../../../src/patterns/syncopated-bass.js";
+import { DeviceDefinition } from "../../../src/device-definition.js";
+import { DeviceManager } from "../../../src/device-manager.js";
+
+describe("MidiLearn", () => {
+  let midiBus;
+  let router;
+  let learn;
+  let loop;
+
+  function turn(cc, value, channel = 1) {
+    midiBus.emit("midiMessage", {
+      data: [0xb0 + channel - 1, cc, value],
+      inputId: "knobs",
+    });
+  }
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    router = new MidiInputRouter(midiBus);
+    loop = new LiveLoop(midiBus, {
+      pattern: { getNotes: () => [], getLength: () => 16 },
+      name: "Bass",
+      lfos: [new LFO({ frequency: 1, amplitude: 0.5 })],
+    });
+    learn = new MidiLearn(router, { targets: loopTargets(loop) });
+  });
+
+  it("learns the next controller and scales its values", () => {
+    const learned = jest.fn();
+    const changes = jest.fn();
+    learn.on("learn", learned);
+    learn.on("change", changes);
+
+    learn.learn("Bass.transpose", { min: -12, max: 12 });
+    expect(learn.getLearningTarget()).toBe("Bass.transpose");
+    turn(21, 90, 3); // binds, without changing anything
+    expect(loop.transpose).toBe(0);
+    expect(learn.getLearningTarget()).toBeNull();
+    expect(learned.mock.calls[0][0].mapping).toMatchObject({
+      targetId: "Bass.transpose",
+      inputId: "knobs",
+      channel: 3,
+      cc: 21,
+      mode: "absolute",
+    });
+
+    turn(21, 127, 3);
+    expect(loop.transpose).toBe(12);
+    turn(21, 0, 3);
+    expect(loop.transpose).toBe(-12);
+    turn(21, 127, 1); // other channel
+    expect(loop.transpose).toBe(-12);
+    expect(changes).toHaveBeenLastCalledWith(
+      expect.objectContaining({ targetId: "Bass.transpose", value: -12 })
+    );
+  });
+
+  it("picks up the current value before taking over", () => {
+    learn.map("Bass.transpose", { cc: 1, mode: "pickup" });
+
+    turn(1, 10); // transpose 0 sits mid-way; the knob is far below
+    expect(loop.transpose).toBe(0);
+    turn(1, 100); // crossed it
+    expect(loop.transpose).toBe(14);
+
+    loop.setTranspose(-24); // changed elsewhere: pick up again
+    turn(1, 101);
+    expect(loop.transpose).toBe(-24);
+    turn(1, 1);
+    turn(1, 127);
+    expect(loop.transpose).toBe(24);
+  });
+
+  it("mutes a loop from a button", () => {
+    learn.map("Bass.mute", { cc: 20, mode: "toggle" });
+    learn.map("Bass.mute", { cc: 21 });
+
+    turn(20, 127);
+    expect(loop.muted).toBe(true);
+    turn(20, 0); // button released
+    expect(loop.muted).toBe(true);
+    turn(20, 127);
+    expect(loop.muted).toBe(false);
+
+    turn(21, 64);
+    expect(loop.muted).toBe(true);
+    turn(21, 63);
+    expect(loop.muted).toBe(false);
+  });
+
+  it("follows relative encoders", () => {
+    const oneSemitone = 127 / 48;
+    ["relative", "relativeOffset", "relativeSigned"].forEach((mode, i) =>
+      learn.map("Bass.transpose", {
+        cc: 30 + i,
+        mode,
+        sensitivity: oneSemitone,
+      })
+    );
+
+    turn(30, 1);
+    expect(loop.transpose).toBe(1);
+    turn(30, 126);
+    expect(loop.transpose).toBe(-1);
+    turn(31, 67);
+    expect(loop.transpose).toBe(2);
+    turn(32, 66);
+    expect(loop.transpose).toBe(0);
+
+    // Small steps add up
+    learn.map("Bass.transpose", { cc: 33, mode: "relative" });
+    turn(33, 1);
+    expect(loop.transpose).toBe(0);
+    turn(33, 1);
+    expect(loop.transpose).toBe(1);
+  });
+
+  it("drives LFOs and energy levels", () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const energyManager = new EnergyManager();
+    learn.addTargets(energyTargets(energyManager));
+    learn.map("Bass.lfo0.frequency", { cc: 1, max: 4 });
+    learn.map("Bass.lfo0.amplitude", { cc: 2, invert: true });
+    learn.map("energy.hype", { cc: 3 });
+    learn.map("energy.tension", { cc: 4 });
+
+    turn(1, 127);
+    turn(2, 127);
+    turn(3, 64);
+    turn(4, 127);
+    expect(loop.lfos[0].getFrequency()).toBe(4);
+    expect(loop.lfos[0].getAmplitude()).toBe(0);
+    expect(energyManager.getHypeLevel()).toBe("medium");
+    expect(energyManager.getTensionLevel()).toBe("high");
+    jest.restoreAllMocks();
+  });
+
+  it("changes pattern options", () => {
+    const randomFn = () => 0.3;
+    const pattern = new SyncopatedBass({ genre: "latin", randomFn });
+    loop.setPattern(pattern, true);
+    learn.addTarget(patternOptionTarget(loop, "density"));
+    learn.map("Bass.pattern.density", { cc: 5 });
+
+    turn(5, 127);
+    expect(loop.pattern).not.toBe(pattern);
+    expect(loop.pattern).toBeInstanceOf(SyncopatedBass);
+    expect(loop.pattern.density).toBe(1);
+    expect(loop.pattern.genre).toBe("latin");
+    expect(loop.pattern.randomFn).toBe(randomFn);
+  });
+
+  it("sends device params", () => {
+    const device = new DeviceDefinition();
+    device.ccMap = { resonance: 71 };
+    device.normalizeCCMap();
+    const deviceManager = new DeviceManager();
+    deviceManager.setDeviceForOutput("synth", device);
+    const synthLoop = new LiveLoop(midiBus, {
+      pattern: { getNotes: () => [], getLength: () => 16 },
+      name: "Lead",
+      deviceManager,
+      midiOutputId: "synth",
+    });
+    const sent = [];
+    midiBus.on("controlChange", (data) => sent.push(data));
+
+    learn.addTargets(deviceParamTargets(synthLoop));
+    expect(learn.getTargetIds()).toContain("Lead.device.resonance");
+    learn.map("Lead.device.resonance", { cc: 7, mode: "pickup" });
+    turn(7, 90); // the synth's value is unknown: no pickup needed
+
+    expect(sent).toEqual([
+      { channel: 1, cc: 71, value: 90, outputId: "synth" },
+    ]);
+  });
+
+  it("saves and loads a mapping file", () => {
+    learn.map("Bass.transpose", { cc: 1, channel: 2, mode: "pickup", min: -7 });
+    learn.map("Bass.mute", { cc: 2, mode: "toggle" });
+    const file = JSON.stringify(learn);
+    expect(JSON.parse(file).version).toBe(1);
+
+    const restored = new MidiLearn(router);
+    expect(restored.loadMappings(file)).toBe(2);
+    expect(restored.getMappings()).toEqual(learn.getMappings());
+
+    // Mappings wait for their targets
+    learn.dispose();
+    turn(2, 127);
+    expect(loop.muted).toBe(false);
+    restored.addTargets(loopTargets(loop));
+    turn(2, 127);
+    expect(loop.muted).toBe(true);
+  });
+
+  it("warns about invalid mappings, files and targets", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(learn.map("Bass.mute", { cc: 128 })).toBeNull();
+    expect(learn.map("Bass.mute", { cc: 1, mode: "spin" })).toBeNull();
+    learn.addTarget({ id: "broken", type: "number" });
+    learn.learn("missing");
+    expect(learn.getLearningTarget()).toBeNull();
+    expect(learn.loadMappings("{not json")).toBe(0);
+    expect(
+      learn.loadMappings({ mappings: [{ targetId: "Bass.mute" }, null] })
+    ).toBe(0);
+
+    expect(learn.getTargetIds()).not.toContain("broken");
+    expect(warnSpy).toHaveBeenCalledTimes(7);
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * tests/unit/live-loop/loop-rate.test.js
+ *
+ * Per-loop clock divider/multiplier (`rate`):
+ * 1) Loops advance their own local step counter at rate x the transport steps,
+ *    including between transport steps for rates above 1.
+ * 2) Patterns, note durations, queued changes and chains use the local counter.
+ * 3) Jumps (Start, seek) re-align the local counter instead of catching up.
+ */
+
+import { jest } from "@jest/globals";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { ExplicitNotePattern } from "../../../src/patterns/explicit-note-pattern.js";
+
+describe("LiveLoop rate", () => {
+  let midiBus;
+  let transport;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    midiBus = new MidiBus();
+    transport = new TransportManager(midiBus);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  function noteOns(events, channel) {
+    return events.filter(
+      (e) => e.type === "noteOn" && e.data.channel === channel
+    );
+  }
+
+  it("runs divided and multiplied loops against the same transport", () => {
+    const pattern = new ExplicitNotePattern(["C4", "D4", "E4", "F4"]);
+    transport.addLiveLoop(new LiveLoop(midiBus, { pattern, midiChannel: 1 }));
+    transport.addLiveLoop(
+      new LiveLoop(midiBus, { pattern, midiChannel: 2, rate: 1 / 4 })
+    );
+    transport.addLiveLoop(
+      new LiveLoop(midiBus, { pattern, midiChannel: 3, rate: 2 })
+    );
+
+    const events = transport.renderSteps(8);
+
+    expect(noteOns(events, 1)).toHaveLength(8);
+    // One step per beat
+    expect(noteOns(events, 2).map((e) => [e.data.note, e.beat])).toEqual([
+      [60, 0],
+      [62, expect.closeTo(1, 9)],
+    ]);
+    // Two steps per transport step, the odd ones halfway between
+    const doubled = noteOns(events, 3);
+    expect(doubled).toHaveLength(16);
+    expect(doubled.slice(0, 3).map((e) => [e.data.note, e.beat])).toEqual([
+      [60, 0],
+      [62, expect.closeTo(0.125, 9)],
+      [64, expect.closeTo(0.25, 9)],
+    ]);
+  });
+
+  it("supports fractional multipliers like 3/2", () => {
+    const pattern = new ExplicitNotePattern(["C4"]);
+    transport.addLiveLoop(new LiveLoop(midiBus, { pattern, rate: 3 / 2 }));
+
+    const beats = noteOns(transport.renderSteps(4), 1).map((e) => e.beat);
+
+    // 4 transport steps => 6 local steps, every 4 pulses
+    expect(beats).toHaveLength(6);
+    beats.forEach((beat, i) => expect(beat).toBeCloseTo((i * 4) / 24, 9));
+  });
+
+  it("passes the local step to the pattern and measures durations in it", () => {
+    const pattern = {
+      getNotes: jest.fn((step) =>
+        step === 0 ? [{ note: "C4", durationSteps: 2 }] : []
+      ),
+      getLength: () => 4,
+    };
+    transport.addLiveLoop(new LiveLoop(midiBus, { pattern, rate: 1 / 2 }));
+
+    const events = transport
+      .renderSteps(8)
+      .filter((e) => e.type !== "controlChange");
+
+    expect(pattern.getNotes.mock.calls.map(([step]) => step)).toEqual([
+      0, 1, 2, 3,
+    ]);
+    // Two local steps = four transport steps = one beat
+    expect(events.map((e) => [e.type, e.beat])).toEqual([
+      ["noteOn", 0],
+      ["noteOff", expect.closeTo(1, 9)],
+    ]);
+  });
+
+  it("applies queued changes and chains on local pattern boundaries", () => {
+    const patA = new ExplicitNotePattern(["C4", "C4"]);
+    const patB = new ExplicitNotePattern(["G4"]);
+    const patC = new ExplicitNotePattern(["A4"]);
+    const loop = new LiveLoop(midiBus, {
+      pattern: patA,
+      cycles: 1,
+      rate: 1 / 2,
+    }).chainLiveLoop({ pattern: patB, cycles: 1 });
+    transport.addLiveLoop(loop);
+
+    const chained = noteOns(transport.renderSteps(6), 1);
+    // patA covers local steps 0-1 (transport steps 0-3), then patB
+    expect(chained.map((e) => [e.data.note, e.step])).toEqual([
+      [60, 0],
+      [60, 2],
+      [67, 4],
+    ]);
+
+    const queued = new LiveLoop(midiBus, { pattern: patA, rate: 1 / 2 });
+    queued.tickAtPosition(0);
+    queued.setPattern(patC);
+    queued.tickAtPosition(2); // local step 1: not a boundary yet
+    expect(queued.pattern).toBe(patA);
+    queued.tickAtPosition(4); // local step 2: patA boundary
+    expect(queued.pattern).toBe(patC);
+  });
+
+  it("re-aligns after jumps instead of catching up", () => {
+    const pattern = { getNotes: jest.fn(() => []), getLength: () => 8 };
+    const loop = new LiveLoop(midiBus, { pattern, rate: 1 / 2 });
+
+    loop.tickAtPosition(0);
+    loop.tickAtPosition(10); // skipped ahead: play local step 5 only
+    expect(pattern.getNotes.mock.calls.map(([step]) => step)).toEqual([0, 5]);
+
+    loop.tickAtPosition(0); // restarted
+    expect(loop.getLocalStep()).toBe(0);
+
+    // Seeking converts the transport step; step 5 falls mid local step 2
+    loop.seek(5);
+    loop.tickAtPosition(5.5);
+    expect(loop.getLocalStep()).toBe(2);
+    loop.tickAtPosition(6);
+    expect(loop.getLocalStep()).toBe(3);
+    expect(pattern.getNotes).toHaveBeenLastCalledWith(3, {});
+  });
+
+  it("rejects invalid rates", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const loop = new LiveLoop(midiBus, { pattern: null, rate: 0 });
+    expect(loop.rate).toBe(1);
+    loop.setRate(-2);
+    loop.setRate("fast");
+    expect(loop.rate).toBe(1);
+    expect(warnSpy).toHaveBeenCalledTimes(3);
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * tests/unit/midi/high-res-params.test.js
+ *
+ * SysEx, NRPN/RPN and 14-bit CC:
+ * 1) The MidiBus validates and clamps them.
+ * 2) RealPlaybackEngine sends the right byte sequences; SysEx only when
+ *    enabled.
+ * 3) DeviceDefinition maps params to cc14/nrpn/rpn.
+ * 4) LiveLoop.setParam() and LFOs send hi-res params at full resolution.
+ */
+
+import { jest } from "@jest/globals";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { RealPlaybackEngine } from "../../../src/engines/real-playback-engine.js";
+import { MockPlaybackEngine } from "../../../src/engines/mock-playback-engine.js";
+import { DeviceDefinition } from "../../../src/device-definition.js";
+import { DeviceManager } from "../../../src/device-manager.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+
+describe("High-resolution parameters and SysEx", () => {
+  let midiBus;
+  let warnSpy;
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  describe("MidiBus", () => {
+    it("validates and clamps the new messages", () => {
+      const events = [];
+      ["controlChange14", "nrpn", "rpn", "sysex"].forEach((type) =>
+        midiBus.on(type, (data) => events.push({ type, data }))
+      );
+
+      midiBus.controlChange14({ channel: 1, cc: 1, value: 20000 });
+      midiBus.controlChange14({ channel: 1, cc: 33, value: 0 });
+      midiBus.nrpn({ channel: 2, param: 300, value: 8192, outputId: "a" });
+      midiBus.rpn({ channel: 2, param: 0, value: 200, highRes: false });
+      midiBus.sysex({ data: [0x43, 0x10] });
+      midiBus.sysex({ data: [0xf0, 0x7e, 0xf7] });
+      midiBus.sysex({ data: [0x43, 0x80] });
+
+      expect(events).toEqual([
+        {
+          type: "controlChange14",
+          data: { channel: 1, cc: 1, value: 16383 },
+        },
+        {
+          type: "nrpn",
+          data: {
+            channel: 2,
+            param: 300,
+            value: 8192,
+            highRes: true,
+            outputId: "a",
+          },
+        },
+        {
+          type: "rpn",
+          data: { channel: 2, param: 0, value: 127, highRes: false },
+        },
+        { type: "sysex", data: { data: [0xf0, 0x43, 0x10, 0xf7] } },
+        { type: "sysex", data: { data: [0xf0, 0x7e, 0xf7] } },
+      ]);
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("RealPlaybackEngine", () => {
+    let out;
+
+    function createEngine(options) {
+      const engine = new RealPlaybackEngine(midiBus, options);
+      out = { id: "a", send: jest.fn() };
+      engine.midiOutputs = [out];
+      return engine;
+    }
+
+    function sent() {
+      return out.send.mock.calls.map(([bytes]) => bytes);
+    }
+
+    it("sends 14-bit CCs as MSB then LSB", () => {
+      createEngine();
+      midiBus.controlChange14({ channel: 2, cc: 7, value: 0x2345 });
+      expect(sent()).toEqual([
+        [0xb1, 7, 0x46],
+        [0xb1, 39, 0x45],
+      ]);
+    });
+
+    it("sends NRPN and RPN data-entry sequences ending in a null", () => {
+      createEngine();
+      midiBus.nrpn({ channel: 1, param: 0x81, value: 0x2001 });
+      midiBus.rpn({ channel: 1, param: 0, value: 12, highRes: false });
+      expect(sent()).toEqual([
+        [0xb0, 99, 1],
+        [0xb0, 98, 1],
+        [0xb0, 6, 0x40],
+        [0xb0, 38, 1],
+        [0xb0, 101, 127],
+        [0xb0, 100, 127],
+
+        [0xb0, 101, 0],
+        [0xb0, 100, 0],
+        [0xb0, 6, 12],
+        [0xb0, 101, 127],
+        [0xb0, 100, 127],
+      ]);
+    });
+
+    it("sends SysEx only when enabled", () => {
+      createEngine();
+      midiBus.sysex({ data: [0x43, 0x10] });
+      expect(sent()).toEqual([]);
+      expect(warnSpy).toHaveBeenCalled();
+
+      midiBus = new MidiBus();
+      createEngine({ sysex: true });
+      midiBus.scheduledTime = 250;
+      midiBus.sysex({ data: [0x43, 0x10] });
+      expect(out.send).toHaveBeenCalledWith([0xf0, 0x43, 0x10, 0xf7], 250);
+    });
+  });
+
+  it("records the new messages in the MockPlaybackEngine", () => {
+    const engine = new MockPlaybackEngine(midiBus);
+    midiBus.controlChange14({ channel: 1, cc: 1, value: 100 });
+    midiBus.rpn({ channel: 1, param: 0, value: 2 });
+    midiBus.sysex({ data: [0x7e] });
+    expect(engine.events.map(({ type }) => type)).toEqual([
+      "controlChange14",
+      "rpn",
+      "sysex",
+    ]);
+  });
+
+  describe("DeviceDefinition", () => {
+    let device;
+
+    beforeEach(() => {
+      device = new DeviceDefinition();
+      device.ccMap = {
+        filterCutoff: { cc14: 16 },
+        waveShape: { nrpn: [1, 2] },
+        bendRange: { rpn: 0 },
+        resonance: 71,
+        broken: { cc14: 40 },
+      };
+      device.engineCCMaps = { FM: { filterCutoff: { nrpn: 500 } } };
+      device.setSynthEngine(3, { name: "FM", type: "synth" });
+      device.normalizeCCMap();
+    });
+
+    it("normalizes hi-res entries and warns about invalid ones", () => {
+      expect(device.ccMap.filterCutoff).toEqual({
+        cc14: 16,
+        cc: 16,
+        isStandard: true,
+      });
+      expect(device.ccMap.waveShape.nrpn).toBe(130);
+      expect(device.ccMap.broken).toEqual({ cc: 0, isStandard: false });
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+      expect(device.listCCParams()[1]).toEqual({
+        name: "waveShape",
+        isStandard: false,
+        nrpn: 130,
+      });
+    });
+
+    it("tells how each param is sent, per channel", () => {
+      expect(device.getParamMapping("filterCutoff")).toEqual({
+        type: "cc14",
+        number: 16,
+      });
+      expect(device.getParamMapping("filterCutoff", 3)).toEqual({
+        type: "nrpn",
+        number: 500,
+      });
+      expect(device.getParamMapping("bendRange")).toEqual({
+        type: "rpn",
+        number: 0,
+      });
+      expect(device.getParamMapping("resonance", 3)).toEqual({
+        type: "cc",
+        number: 71,
+      });
+      expect(device.getParamMapping("missing")).toBeNull();
+      expect(device.getCC("filterCutoff")).toBe(16);
+    });
+  });
+
+  describe("LiveLoop", () => {
+    let events;
+    let loop;
+
+    beforeEach(() => {
+      events = [];
+      ["controlChange", "controlChange14", "nrpn"].forEach((type) =>
+        midiBus.on(type, (data) => events.push({ type, data }))
+      );
+      const device = new DeviceDefinition();
+      device.ccMap = { filterCutoff: { cc14: 16 }, resonance: 71 };
+      device.engineCCMaps = { FM: { filterCutoff: { nrpn: 500 } } };
+      device.setSynthEngine(2, { name: "FM", type: "synth" });
+      device.normalizeCCMap();
+      const deviceManager = new DeviceManager();
+      deviceManager.setDeviceForOutput("synth", device);
+
+      loop = new LiveLoop(midiBus, {
+        pattern: { getNotes: () => [], getLength: () => 16 },
+        deviceManager,
+        midiOutputId: "synth",
+      });
+    });
+
+    it("scales setParam() values to 14 bits for hi-res params", () => {
+      loop.setParam("filterCutoff", 127);
+      loop.setParam("resonance", 64);
+      loop.midiChannel = 2; // the FM engine's channel
+      loop.setParam("filterCutoff", 63.5);
+
+      expect(events).toEqual([
+        {
+          type: "controlChange14",
+          data: { channel: 1, cc: 16, value: 16383, outputId: "synth" },
+        },
+        {
+          type: "controlChange",
+          data: { channel: 1, cc: 71, value: 64, outputId: "synth" },
+        },
+        {
+          type: "nrpn",
+          data: {
+            channel: 2,
+            param: 500,
+            value: 8192,
+            highRes: true,
+            outputId: "synth",
+          },
+        },
+      ]);
+    });
+
+    it("sends the unrounded LFO wave to hi-res targets", () => {
+      loop.lfos = [
+        { targetParam: "filterCutoff", update: () => 31.75 },
+        { targetParam: "resonance", update: () => 31.75 },
+      ];
+      loop.tick(0, 0.1);
+
+      expect(events.map(({ type, data }) => [type, data.value])).toEqual([
+        ["controlChange14", 4096],
+        ["controlChange", 31],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * tests/unit/midi/latency-calibration.test.js
+ *
+ * Latency compensation:
+ * 1) DeviceManager stores per-output and per-channel offsets.
+ * 2) measureRoundTripLatency() pings a loopback and returns the median round trip.
+ * 3) DeviceManager.calibrateLatency() turns a measurement into a negative offset.
+ */
+
+import { jest } from "@jest/globals";
+import { DeviceManager } from "../../../src/device-manager.js";
+import { measureRoundTripLatency } from "../../../src/latency-calibration.js";
+
+/**
+ * A fake output/input pair where every message sent on the output comes
+ * back on the input after the next delay from `delays` (null = lost).
+ */
+function createLoopback(delays) {
+  const listeners = new Set();
+  const input = {
+    addEventListener: jest.fn((type, fn) => listeners.add(fn)),
+    removeEventListener: jest.fn((type, fn) => listeners.delete(fn)),
+  };
+  let pingIndex = 0;
+  const output = {
+    id: "opz",
+    send: jest.fn((data) => {
+      if ((data[0] & 0xf0) !== 0x90) return;
+      const delay = delays[pingIndex++];
+      if (delay === null) return;
+      const sentAt = performance.now();
+      setTimeout(() => {
+        listeners.forEach((fn) => fn({ data, timeStamp: sentAt + delay }));
+      }, delay);
+    }),
+  };
+  return { output, input, listeners };
+}
+
+/** Let the pings run to completion under fake timers. */
+async function settle(promise) {
+  let done = false;
+  promise.then(() => (done = true));
+  while (!done) {
+    await jest.advanceTimersByTimeAsync(10);
+  }
+  return promise;
+}
+
+describe("DeviceManager latency offsets", () => {
+  it("defaults to 0 and falls back from channel to output", () => {
+    const dm = new DeviceManager();
+    expect(dm.getLatencyOffset("opz")).toBe(0);
+
+    dm.setLatencyOffset("opz", 8);
+    dm.setLatencyOffset("opz", -4, 10);
+    expect(dm.getLatencyOffset("opz")).toBe(8);
+    expect(dm.getLatencyOffset("opz", 1)).toBe(8);
+    expect(dm.getLatencyOffset("opz", 10)).toBe(-4);
+
+    dm.clearLatencyOffset("opz", 10);
+    expect(dm.getLatencyOffset("opz", 10)).toBe(8);
+    dm.clearLatencyOffset("opz");
+    expect(dm.getLatencyOffset("opz")).toBe(0);
+  });
+
+  it("ignores invalid offsets with a warning", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const dm = new DeviceManager();
+    dm.setLatencyOffset("opz", NaN);
+    dm.setLatencyOffset("opz", "10");
+    expect(dm.getLatencyOffset("opz")).toBe(0);
+    expect(warnSpy).toHaveBeenCalledTimes(2);
+    warnSpy.mockRestore();
+  });
+});
+
+describe("Loopback calibration", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("returns the median round trip and cleans up its listeners", async () => {
+    const { output, input, listeners } = createLoopback([12, 10, 30, 11, 10]);
+    const result = await settle(measureRoundTripLatency(output, input));
+
+    expect(result.samples).toEqual([12, 10, 30, 11, 10]);
+    expect(result.roundTripMs).toBe(11);
+    expect(output.send).toHaveBeenCalledWith([0x9f, 0, 1], 0);
+    expect(output.send).toHaveBeenCalledWith([0x8f, 0, 0], 0);
+    expect(listeners.size).toBe(0);
+  });
+
+  it("skips lost pings and returns null when nothing comes back", async () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const lossy = createLoopback([null, 20, null]);
+    const partial = await settle(
+      measureRoundTripLatency(lossy.output, lossy.input, {
+        samples: 3,
+        timeoutMs: 100,
+      })
+    );
+    expect(partial).toEqual({ roundTripMs: 20, samples: [20] });
+
+    const dead = createLoopback([null, null]);
+    const none = await settle(
+      measureRoundTripLatency(dead.output, dead.input, {
+        samples: 2,
+        timeoutMs: 100,
+      })
+    );
+    expect(none).toBeNull();
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  it("sets the output's offset to minus half the round trip", async () => {
+    const dm = new DeviceManager();
+    const { output, input } = createLoopback([24, 24, 24]);
+    const offset = await settle(
+      dm.calibrateLatency(output, input, { samples: 3 })
+    );
+
+    expect(offset).toBe(-12);
+    expect(dm.getLatencyOffset("opz")).toBe(-12);
+  });
+});
@@ -183,4 +183,22 @@ describe("MidiBus (Unit Tests)", () => {
     const noteOnEvents = events.filter(e => e.type === "noteOn");
     expect(noteOnEvents).toHaveLength(2);
   });
+
+  it("adds the scheduledTime to event payloads only while it is set", () => {
+    midiBus.scheduledTime = 1234.5;
+    midiBus.noteOn({ channel: 1, note: 60, velocity: 80 });
+    midiBus.controlChange({ channel: 1, cc: 74, value: 10 });
+    midiBus.stopAllNotes();
+
+    midiBus.scheduledTime = null;
+    midiBus.noteOn({ channel: 1, note: 62 });
+
+    expect(events.map((e) => e.data.time)).toEqual([
+      1234.5,
+      1234.5,
+      1234.5,
+      undefined,
+    ]);
+    expect(events[3].data).not.toHaveProperty("time");
+  });
 });
@@ -0,0 +1,162 @@
+/**
+ * tests/unit/midi/midi-middleware.test.js
+ *
+ * MidiBus middleware:
+ * 1) Stages run in order and can rewrite, drop, duplicate or delay events.
+ * 2) Stages can be scoped to an output, a channel or event types.
+ * 3) The ready-made stages: channel remap, velocity curve, note range,
+ *    scale quantize, CC thinning and delay.
+ */
+
+import { jest } from "@jest/globals";
+import { MidiBus } from "../../../src/midi-bus.js";
+import {
+  remapChannel,
+  velocityCurve,
+  noteRange,
+  quantizeToScale,
+  thinControlChanges,
+  delay,
+} from "../../../src/midi-middleware.js";
+
+describe("MidiBus middleware", () => {
+  let midiBus;
+  let events;
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    events = [];
+    ["noteOn", "noteOff", "controlChange", "midiMessage"].forEach((type) =>
+      midiBus.on(type, (data) => events.push({ type, data }))
+    );
+  });
+
+  it("runs stages in order before subscribers", () => {
+    midiBus.use((event) => ({ ...event, note: event.note + 12 }));
+    midiBus.use((event) => ({ ...event, velocity: event.note }));
+
+    midiBus.noteOn({ channel: 1, note: 60, velocity: 100 });
+    expect(events).toEqual([
+      {
+        type: "noteOn",
+        data: { channel: 1, note: 72, velocity: 72, step: 0 },
+      },
+    ]);
+    // Active notes keep the note as it was played
+    expect(midiBus.activeNotes.has("1_60")).toBe(true);
+  });
+
+  it("drops, duplicates and passes events on", () => {
+    midiBus.use((event) => (event.cc === 1 ? null : undefined));
+    midiBus.use((event) => [event, { ...event, outputId: "b" }], {
+      types: ["noteOn"],
+    });
+
+    midiBus.controlChange({ channel: 1, cc: 1, value: 10 });
+    midiBus.controlChange({ channel: 1, cc: 74, value: 10 });
+    midiBus.noteOn({ channel: 1, note: 60, velocity: 100, outputId: "a" });
+
+    expect(events.map(({ type, data }) => [type, data.outputId])).toEqual([
+      ["controlChange", undefined],
+      ["noteOn", "a"],
+      ["noteOn", "b"],
+    ]);
+  });
+
+  it("scopes stages to an output or a channel", () => {
+    const transpose = (event) => ({ ...event, note: event.note + 1 });
+    midiBus.use(transpose, { outputId: "a" });
+    midiBus.use(transpose, { channel: 2 });
+
+    midiBus.noteOn({ channel: 1, note: 60, outputId: "a" });
+    midiBus.noteOn({ channel: 2, note: 60, outputId: "a" });
+    midiBus.noteOn({ channel: 2, note: 60, outputId: "b" });
+    midiBus.noteOn({ channel: 1, note: 60 });
+
+    expect(events.map(({ data }) => data.note)).toEqual([61, 62, 61, 60]);
+  });
+
+  it("can be removed, and leaves incoming messages alone", () => {
+    const drop = () => null;
+    midiBus.use(drop);
+    midiBus.emit("midiMessage", { data: [0xf8] });
+    midiBus.noteOn({ channel: 1, note: 60 });
+    expect(events.map(({ type }) => type)).toEqual(["midiMessage"]);
+
+    midiBus.removeMiddleware(drop);
+    midiBus.noteOn({ channel: 1, note: 60 });
+    expect(events).toHaveLength(2);
+  });
+
+  it("passes the event on when a stage throws", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    midiBus.use(() => {
+      throw new Error("boom");
+    });
+    midiBus.noteOn({ channel: 1, note: 60 });
+    expect(events).toHaveLength(1);
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  it("remaps channels and applies velocity curves", () => {
+    midiBus.use(remapChannel({ 1: 10 }));
+    midiBus.use(velocityCurve(2));
+
+    midiBus.noteOn({ channel: 1, note: 36, velocity: 64 });
+    midiBus.noteOn({ channel: 2, note: 36, velocity: 5 });
+    midiBus.noteOff({ channel: 1, note: 36 });
+
+    expect(events.map(({ data }) => [data.channel, data.velocity])).toEqual([
+      [10, 32],
+      [2, 1], // never 0, which would be a noteOff
+      [10, undefined],
+    ]);
+  });
+
+  it("filters note ranges and quantizes to a scale", () => {
+    midiBus.use(noteRange({ min: 48, max: 72 }));
+    midiBus.use(quantizeToScale("C major"));
+
+    midiBus.noteOn({ channel: 1, note: 40 });
+    midiBus.noteOn({ channel: 1, note: 61 }); // C#4 -> C4
+    midiBus.noteOn({ channel: 1, note: 66 }); // F#4 -> F4
+    midiBus.noteOff({ channel: 1, note: 61 });
+
+    expect(events.map(({ type, data }) => [type, data.note])).toEqual([
+      ["noteOn", 60],
+      ["noteOn", 65],
+      ["noteOff", 60],
+    ]);
+  });
+
+  it("thins control changes per controller", () => {
+    midiBus.use(thinControlChanges({ minIntervalMs: 10, minDelta: 2 }));
+
+    const send = (cc, value, time) => {
+      midiBus.scheduledTime = time;
+      midiBus.controlChange({ channel: 1, cc, value });
+    };
+    send(74, 10, 0);
+    send(74, 20, 5); // too soon
+    send(71, 20, 5); // other controller
+    send(74, 11, 20); // too small a change
+    send(74, 30, 40);
+
+    expect(events.map(({ data }) => [data.cc, data.value])).toEqual([
+      [74, 10],
+      [71, 20],
+      [74, 30],
+    ]);
+  });
+
+  it("delays events by moving their target time", () => {
+    midiBus.use(delay(15), { outputId: "slow" });
+    midiBus.scheduledTime = 1000;
+
+    midiBus.noteOn({ channel: 1, note: 60, outputId: "slow" });
+    midiBus.noteOn({ channel: 1, note: 60, outputId: "fast" });
+
+    expect(events.map(({ data }) => data.time)).toEqual([1015, 1000]);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * tests/unit/midi/mpe.test.js
+ *
+ * Poly aftertouch and MPE:
+ * 1) polyAftertouch() reaches the engines as 0xA0 messages.
+ * 2) enableMpe() configures the synth and gives each note on the master
+ *    channel a member channel of its own.
+ * 3) noteExpression() modulates one note: on its member channel in MPE,
+ *    with poly aftertouch otherwise. A noteOn's expression goes first.
+ * 4) LiveLoop patterns and LFOs can send per-note expression.
+ */
+
+import { jest } from "@jest/globals";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { RealPlaybackEngine } from "../../../src/engines/real-playback-engine.js";
+import { MpeZone } from "../../../src/mpe-zone.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+
+describe("Poly aftertouch and MPE", () => {
+  let midiBus;
+  let events;
+
+  function sent() {
+    return events.map(({ type, data }) => {
+      const value = data.note ?? data.value ?? data.pressure;
+      return `${type} ${data.channel} ${value}`;
+    });
+  }
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    events = [];
+    [
+      "noteOn",
+      "noteOff",
+      "pitchBend",
+      "aftertouch",
+      "polyAftertouch",
+      "controlChange",
+      "rpn",
+    ].forEach((type) =>
+      midiBus.on(type, (data) => events.push({ type, data }))
+    );
+  });
+
+  it("sends poly aftertouch", () => {
+    const engine = new RealPlaybackEngine(midiBus);
+    const out = { id: "a", send: jest.fn() };
+    engine.midiOutputs = [out];
+
+    midiBus.polyAftertouch({ channel: 3, note: 60, pressure: 200 });
+    expect(events[0].data).toEqual({ channel: 3, note: 60, pressure: 127 });
+    expect(out.send).toHaveBeenCalledWith([0xa2, 60, 127], 0);
+  });
+
+  it("falls back to poly aftertouch and channel messages without MPE", () => {
+    midiBus.noteExpression({ channel: 2, note: 60, pressure: 90 });
+    midiBus.noteExpression({ channel: 2, note: 60, pitchBend: 9000 });
+    midiBus.noteExpression({ channel: 2, note: 60, timbre: 30 });
+
+    expect(sent()).toEqual([
+      "polyAftertouch 2 60",
+      "pitchBend 2 8191",
+      "controlChange 2 30",
+    ]);
+  });
+
+  it("configures the zone when MPE is turned on and off", () => {
+    midiBus.enableMpe({ memberChannels: 2, pitchBendRange: 24 });
+    midiBus.enableMpe({ zone: "upper", memberChannels: 1, outputId: "b" });
+    expect(events.map(({ data }) => data)).toEqual([
+      { channel: 1, param: 6, value: 2, highRes: false },
+      { channel: 2, param: 0, value: 24, highRes: false },
+      { channel: 3, param: 0, value: 24, highRes: false },
+      { channel: 16, param: 6, value: 1, highRes: false, outputId: "b" },
+      { channel: 15, param: 0, value: 48, highRes: false, outputId: "b" },
+    ]);
+    expect(midiBus.getMpeZone(16, "b").memberChannels).toEqual([15]);
+
+    events = [];
+    midiBus.disableMpe();
+    expect(events.map(({ data }) => data)).toEqual([
+      { channel: 1, param: 6, value: 0, highRes: false },
+    ]);
+    expect(midiBus.getMpeZone(1)).toBeNull();
+  });
+
+  it("warns about invalid zones", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    midiBus.enableMpe({ zone: "middle" });
+    midiBus.enableMpe({ memberChannels: 16 });
+    expect(warnSpy).toHaveBeenCalledTimes(2);
+    expect(events).toEqual([]);
+    warnSpy.mockRestore();
+  });
+
+  it("gives each note its own member channel", () => {
+    midiBus.enableMpe({ memberChannels: 3, pitchBendRange: null });
+    events = [];
+
+    midiBus.noteOn({ channel: 1, note: 60 });
+    midiBus.noteOn({ channel: 1, note: 64 });
+    midiBus.noteExpression({ channel: 1, note: 64, pitchBend: 4096 });
+    midiBus.noteExpression({ channel: 1, note: 60, pressure: 80, timbre: 20 });
+    midiBus.noteExpression({ channel: 1, note: 67, pressure: 80 }); // silent
+    midiBus.noteOff({ channel: 1, note: 64 });
+    midiBus.controlChange({ channel: 1, cc: 7, value: 100 }); // zone-wide
+
+    expect(sent()).toEqual([
+      "noteOn 2 60",
+      "noteOn 3 64",
+      "pitchBend 3 4096",
+      "aftertouch 2 80",
+      "controlChange 2 20",
+      "noteOff 3 64",
+      "controlChange 1 100",
+    ]);
+  });
+
+  it("reuses the longest idle channel and centres bent channels", () => {
+    midiBus.enableMpe({ memberChannels: 2, pitchBendRange: null });
+    events = [];
+
+    midiBus.noteOn({ channel: 1, note: 60 }); // 2
+    midiBus.noteExpression({ channel: 1, note: 60, pitchBend: 100 });
+    midiBus.noteOff({ channel: 1, note: 60 });
+    midiBus.noteOn({ channel: 1, note: 62 }); // 3, never used yet
+    midiBus.noteOn({ channel: 1, note: 64 }); // 2, bent before
+    midiBus.noteOn({ channel: 1, note: 65 }); // shares 3, used longest ago
+
+    expect(sent()).toEqual([
+      "noteOn 2 60",
+      "pitchBend 2 100",
+      "noteOff 2 60",
+      "noteOn 3 62",
+      "pitchBend 2 0",
+      "noteOn 2 64",
+      "noteOn 3 65",
+    ]);
+
+    // Centred once; the channel isn't bent any more
+    events = [];
+    midiBus.noteOff({ channel: 1, note: 64 });
+    midiBus.noteOff({ channel: 1, note: 62 });
+    midiBus.noteOn({ channel: 1, note: 67 }); // 2
+    expect(sent()).toEqual(["noteOff 2 64", "noteOff 3 62", "noteOn 2 67"]);
+  });
+
+  it("sends a noteOn's expression before the note", () => {
+    midiBus.enableMpe({ memberChannels: 1, pitchBendRange: null });
+    midiBus.noteOn({ channel: 1, note: 60 });
+    midiBus.noteExpression({ channel: 1, note: 60, pitchBend: 100 });
+    midiBus.noteOff({ channel: 1, note: 60 });
+    events = [];
+
+    const expression = { pitchBend: -50, pressure: 20, timbre: 70 };
+    midiBus.noteOn({ channel: 1, note: 62, expression }); // bent, no reset
+    midiBus.noteOn({ channel: 3, note: 64, expression });
+
+    expect(sent()).toEqual([
+      "pitchBend 2 -50",
+      "aftertouch 2 20",
+      "controlChange 2 70",
+      "noteOn 2 62",
+      "pitchBend 3 -50",
+      "controlChange 3 70",
+      "noteOn 3 64",
+      "polyAftertouch 3 64",
+    ]);
+  });
+
+  it("frees member channels on stopAllNotes() and panic()", () => {
+    midiBus.enableMpe({ memberChannels: 2, pitchBendRange: null });
+    midiBus.noteOn({ channel: 1, note: 60 });
+    midiBus.stopAllNotes();
+    expect(midiBus.getMpeZone(1).getChannel(60)).toBeNull();
+
+    midiBus.noteOn({ channel: 1, note: 62 });
+    events = [];
+    midiBus.panic({ channels: [] });
+    expect(sent()).toEqual(["noteOff 3 62"]);
+    expect(midiBus.getMpeZone(1).getChannel(62)).toBeNull();
+  });
+
+  it("sends pattern and LFO expression from a LiveLoop", () => {
+    midiBus.enableMpe({ memberChannels: 4, pitchBendRange: null });
+    const loop = new LiveLoop(midiBus, {
+      pattern: {
+        getNotes: (step) =>
+          step === 0
+            ? [
+                { note: "C4", durationSteps: 2, expression: { timbre: 90 } },
+                { note: "E4", durationSteps: 2 },
+              ]
+            : [],
+        getLength: () => 4,
+      },
+      lfos: [{ targetParam: "notePitchBend", update: () => 127 }],
+    });
+    events = [];
+
+    loop.tick(0, 0.1);
+    expect(sent()).toEqual([
+      "controlChange 2 90",
+      "noteOn 2 60",
+      "noteOn 3 64",
+      "pitchBend 2 8191",
+      "pitchBend 3 8191",
+    ]);
+  });
+});
+
+describe("MpeZone", () => {
+  it("lays out lower and upper zones", () => {
+    expect(new MpeZone({ memberChannels: 3 }).memberChannels).toEqual([
+      2, 3, 4,
+    ]);
+    const upper = new MpeZone({ zone: "upper", memberChannels: 2 });
+    expect(upper.masterChannel).toBe(16);
+    expect(upper.memberChannels).toEqual([15, 14]);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * tests/unit/midi/note-ownership.test.js
+ *
+ * Notes held by several owners on the MidiBus:
+ * 1) A note ends only when its last owner releases it ("retrigger", "merge").
+ * 2) "steal" hands the note to the newest owner.
+ * 3) stopAllNotes() and ownerless noteOffs still release everything.
+ * 4) Two LiveLoops playing the same note don't cut each other off.
+ */
+
+import { jest } from "@jest/globals";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+
+describe("MidiBus note ownership", () => {
+  let midiBus;
+  let events;
+
+  function sent() {
+    return events.map(({ type, data }) => `${type} ${data.note}`);
+  }
+
+  function createBus(options) {
+    midiBus = new MidiBus(options);
+    events = [];
+    ["noteOn", "noteOff"].forEach((type) =>
+      midiBus.on(type, (data) => events.push({ type, data }))
+    );
+  }
+
+  beforeEach(() => createBus());
+
+  it("retriggers a shared note and ends it with the last owner", () => {
+    midiBus.noteOn({ channel: 1, note: 60, owner: "a" });
+    midiBus.noteOn({ channel: 1, note: 60, owner: "b" });
+    expect(midiBus.getNoteOwners({ channel: 1, note: 60 })).toEqual([
+      "a",
+      "b",
+    ]);
+
+    midiBus.noteOff({ channel: 1, note: 60, owner: "a" });
+    expect(midiBus.activeNotes.has("1_60")).toBe(true);
+    midiBus.noteOff({ channel: 1, note: 60, owner: "b" });
+
+    expect(sent()).toEqual([
+      "noteOn 60",
+      "noteOff 60",
+      "noteOn 60",
+      "noteOff 60",
+    ]);
+    expect(midiBus.activeNotes.size).toBe(0);
+  });
+
+  it("merges a shared note without restarting it", () => {
+    createBus({ notePolicy: "merge" });
+    midiBus.noteOn({ channel: 1, note: 60, owner: "a" });
+    midiBus.noteOn({ channel: 1, note: 60, owner: "b" });
+    midiBus.noteOff({ channel: 1, note: 60, owner: "b" });
+    midiBus.noteOff({ channel: 1, note: 60, owner: "a" });
+
+    expect(sent()).toEqual(["noteOn 60", "noteOff 60"]);
+  });
+
+  it("lets the newest owner steal a note", () => {
+    midiBus.setNotePolicy("steal");
+    midiBus.noteOn({ channel: 1, note: 60, owner: "a" });
+    midiBus.noteOn({ channel: 1, note: 60, owner: "b" });
+    midiBus.noteOff({ channel: 1, note: 60, owner: "b" });
+    // "a" lost the note, so its release is ignored
+    midiBus.noteOff({ channel: 1, note: 60, owner: "a" });
+
+    expect(sent()).toEqual([
+      "noteOn 60",
+      "noteOff 60",
+      "noteOn 60",
+      "noteOff 60",
+    ]);
+  });
+
+  it("keeps notes on other channels and outputs apart", () => {
+    midiBus.noteOn({ channel: 1, note: 60, owner: "a" });
+    midiBus.noteOn({ channel: 2, note: 60, owner: "b" });
+    midiBus.noteOn({ channel: 1, note: 60, owner: "b", outputId: "x" });
+    midiBus.noteOff({ channel: 1, note: 60, owner: "a" });
+
+    expect(sent()).toEqual([
+      "noteOn 60",
+      "noteOn 60",
+      "noteOn 60",
+      "noteOff 60",
+    ]);
+  });
+
+  it("releases everything on stopAllNotes()", () => {
+    midiBus.noteOn({ channel: 1, note: 60, owner: "a" });
+    midiBus.noteOn({ channel: 1, note: 60, owner: "b" });
+    events = [];
+
+    midiBus.stopAllNotes();
+    expect(sent()).toEqual(["noteOff 60"]);
+    expect(midiBus.getNoteOwners({ channel: 1, note: 60 })).toEqual([]);
+
+    // A late release from a loop sends the noteOff again, as before
+    midiBus.noteOff({ channel: 1, note: 60, owner: "a" });
+    expect(sent()).toEqual(["noteOff 60", "noteOff 60"]);
+  });
+
+  it("ends a held note on a noteOff without an owner", () => {
+    midiBus.noteOn({ channel: 1, note: 60, owner: "a" });
+    midiBus.noteOn({ channel: 1, note: 60, owner: "b" });
+    events = [];
+
+    midiBus.noteOff({ channel: 1, note: 60 });
+    expect(sent()).toEqual(["noteOff 60"]);
+    expect(midiBus.getNoteOwners({ channel: 1, note: 60 })).toEqual([]);
+    expect(midiBus.activeNotes.size).toBe(0);
+  });
+
+  it("warns about an unknown policy and keeps the current one", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    midiBus.setNotePolicy("mono");
+    expect(midiBus.getNotePolicy()).toBe("retrigger");
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  it("stops two LiveLoops on one channel from cutting each other off", () => {
+    createBus({ notePolicy: "merge" });
+    const long = new LiveLoop(midiBus, {
+      pattern: {
+        getNotes: (step) =>
+          step === 0 ? [{ note: "C4", durationSteps: 4 }] : [],
+        getLength: () => 8,
+      },
+    });
+    const short = new LiveLoop(midiBus, {
+      pattern: {
+        getNotes: (step) => (step === 1 ? [{ note: "C4" }] : []),
+        getLength: () => 8,
+      },
+    });
+
+    for (let step = 0; step < 4; step++) {
+      long.tick(step, 0);
+      short.tick(step, 0);
+    }
+    // The short loop's noteOff (step 2) left the long note sounding
+    expect(sent()).toEqual(["noteOn 60"]);
+    expect(midiBus.getNoteOwners({ channel: 1, note: 60 })).toEqual([long]);
+    expect(midiBus.currentOwner).toBeNull();
+
+    long.tick(4, 0);
+    expect(sent()).toEqual(["noteOn 60", "noteOff 60"]);
+  });
+});
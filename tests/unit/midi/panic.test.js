@@ -0,0 +1,117 @@
+/**
+ * tests/unit/midi/panic.test.js
+ *
+ * midiBus.panic():
+ * 1) Releases tracked notes, then resets sustain and pitch bend and sends
+ *    All Sound Off / All Notes Off per channel, past the middleware.
+ * 2) Can be limited to one output.
+ * 3) Clears the LiveLoops' note state via the TransportManager.
+ * 4) Can be triggered from a MIDI input control.
+ */
+
+import { jest } from "@jest/globals";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+describe("MidiBus panic", () => {
+  let midiBus;
+  let events;
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    events = [];
+    ["noteOff", "controlChange", "pitchBend", "panic"].forEach((type) =>
+      midiBus.on(type, (data) => events.push({ type, data }))
+    );
+  });
+
+  it("releases notes and resets every channel", () => {
+    midiBus.use(() => null, { types: ["controlChange", "pitchBend"] });
+    midiBus.noteOn({ channel: 2, note: 60 });
+    midiBus.scheduledTime = 500;
+
+    midiBus.panic();
+
+    expect(events[0]).toEqual({
+      type: "noteOff",
+      data: { channel: 2, note: 60, step: 0, time: 500 },
+    });
+    const resets = events.filter(({ type }) => type !== "noteOff");
+    expect(resets).toHaveLength(16 * 4 + 1);
+    expect(resets.slice(0, 4)).toEqual([
+      { type: "controlChange", data: { channel: 1, cc: 64, value: 0 } },
+      { type: "pitchBend", data: { channel: 1, value: 0 } },
+      { type: "controlChange", data: { channel: 1, cc: 120, value: 0 } },
+      { type: "controlChange", data: { channel: 1, cc: 123, value: 0 } },
+    ]);
+    expect(resets.at(-1)).toEqual({
+      type: "panic",
+      data: {
+        channels: Array.from({ length: 16 }, (_, i) => i + 1),
+        scheduledUntil: 500,
+      },
+    });
+    expect(midiBus.activeNotes.size).toBe(0);
+  });
+
+  it("can be limited to one output and some channels", () => {
+    midiBus.noteOn({ channel: 1, note: 60, outputId: "a" });
+    midiBus.noteOn({ channel: 1, note: 62, outputId: "b" });
+
+    midiBus.panic({ outputId: "a", channels: [1] });
+
+    expect(events.map(({ type, data }) => [type, data.outputId])).toEqual([
+      ["noteOff", "a"],
+      ["controlChange", "a"],
+      ["pitchBend", "a"],
+      ["controlChange", "a"],
+      ["controlChange", "a"],
+      ["panic", "a"],
+    ]);
+    expect([...midiBus.activeNotes.keys()]).toEqual(["b_1_62"]);
+  });
+
+  it("clears the loops' held notes so no stray noteOffs follow", () => {
+    const transport = new TransportManager(midiBus, { clockTimeoutPulses: 0 });
+    const loop = new LiveLoop(midiBus, {
+      pattern: {
+        getNotes: (step) =>
+          step === 0 ? [{ note: "C4", durationSteps: 4 }] : [],
+        getLength: () => 8,
+      },
+    });
+    transport.addLiveLoop(loop);
+
+    loop.tick(0, 0);
+    transport.panic({ channels: [1] });
+    expect(loop.activeNotes).toEqual([]);
+
+    events = [];
+    loop.tick(4, 0);
+    expect(events).toEqual([]);
+  });
+
+  it("fires from a MIDI input trigger", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    midiBus.setPanicTrigger({ channel: 16, cc: 119 });
+    const panicSpy = jest.spyOn(midiBus, "panic");
+
+    midiBus.emit("midiMessage", { data: [0xbf, 119, 0] }); // released
+    midiBus.emit("midiMessage", { data: [0xb0, 119, 127] }); // other channel
+    expect(panicSpy).not.toHaveBeenCalled();
+    midiBus.emit("midiMessage", { data: [0xbf, 119, 127] });
+    expect(panicSpy).toHaveBeenCalledTimes(1);
+
+    midiBus.setPanicTrigger({ channel: 10, note: 49 });
+    midiBus.emit("midiMessage", { data: [0xbf, 119, 127] });
+    midiBus.emit("midiMessage", { data: [0x99, 49, 100] });
+    expect(panicSpy).toHaveBeenCalledTimes(2);
+
+    midiBus.setPanicTrigger({ channel: 17, cc: 1 });
+    expect(warnSpy).toHaveBeenCalled();
+    midiBus.emit("midiMessage", { data: [0x99, 49, 100] });
+    expect(panicSpy).toHaveBeenCalledTimes(2);
+    warnSpy.mockRestore();
+  });
+});
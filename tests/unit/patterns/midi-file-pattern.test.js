@@ -0,0 +1,181 @@
+/**
+ * tests/unit/patterns/midi-file-pattern.test.js
+ *
+ * Unit tests for MidiFilePattern, verifying that it
+ * 1) Quantizes a parsed .mid track to steps at the chosen resolution
+ * 2) Loops over a configurable region, clipping notes at the loop end
+ * 3) Plays clock-synced in a LiveLoop with transpose and mute applied
+ * 4) Publishes detected chords when acting as chord provider
+ */
+
+import { jest } from "@jest/globals";
+import tonejsMidi from "@tonejs/midi";
+import { MidiFilePattern } from "../../../src/patterns/midi-file-pattern.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { ChordManager } from "../../../src/chord-manager.js";
+import { GlobalContext } from "../../../src/global-context.js";
+
+const { Midi } = tonejsMidi;
+
+// 480 ppq => 120 ticks per 16th
+function buildMidi(notes) {
+  const midi = new Midi();
+  const track = midi.addTrack();
+  track.name = "Keys";
+  notes.forEach((n) => track.addNote(n));
+  // Round-trip through bytes, as if loaded from a file
+  return new Midi(midi.toArray());
+}
+
+describe("MidiFilePattern", () => {
+  it("quantizes notes to 16th-note steps", () => {
+    const midi = buildMidi([
+      { midi: 60, ticks: 0, durationTicks: 240, velocity: 100 / 127 },
+      { midi: 64, ticks: 125, durationTicks: 110, velocity: 1 }, // slightly late
+      { midi: 67, ticks: 470, durationTicks: 10, velocity: 0.5 },
+    ]);
+    const pattern = MidiFilePattern.fromMidi(midi);
+
+    expect(pattern.options.name).toBe("Keys");
+    expect(pattern.getLength()).toBe(16); // rounded up to one bar
+    expect(pattern.getNotes(0)).toEqual([
+      { note: "C4", velocity: 100, durationSteps: 2 },
+    ]);
+    expect(pattern.getNotes(1)).toEqual([
+      { note: "E4", velocity: 127, durationSteps: 1 },
+    ]);
+    // @tonejs/midi floors 0.5 * 127 when writing the file
+    expect(pattern.getNotes(4)).toEqual([
+      { note: "G4", velocity: 63, durationSteps: 1 },
+    ]);
+    expect(pattern.getNotes(2)).toEqual([]);
+    // wraps
+    expect(pattern.getNotes(16)).toEqual(pattern.getNotes(0));
+  });
+
+  it("supports other resolutions", () => {
+    const midi = buildMidi([
+      { midi: 60, ticks: 0, durationTicks: 480 },
+      { midi: 62, ticks: 240, durationTicks: 240 },
+    ]);
+    const pattern = MidiFilePattern.fromMidi(midi, 0, { stepsPerBeat: 2 });
+
+    expect(pattern.getLength()).toBe(8);
+    expect(pattern.getNotes(0)[0].durationSteps).toBe(2);
+    expect(pattern.getNotes(1)[0].note).toBe("D4");
+  });
+
+  it("loops over a region and clips notes at the loop end", () => {
+    const midi = buildMidi([
+      { midi: 60, ticks: 0, durationTicks: 120 },
+      { midi: 62, ticks: 480, durationTicks: 960 }, // step 4, 8 steps long
+      { midi: 64, ticks: 960, durationTicks: 120 }, // step 8
+    ]);
+    const pattern = MidiFilePattern.fromMidi(midi, 0, {
+      loopStartStep: 4,
+      loopEndStep: 8,
+    });
+
+    expect(pattern.getLength()).toBe(4);
+    expect(pattern.getNotes(0)).toEqual([
+      { note: "D4", velocity: expect.any(Number), durationSteps: 4 },
+    ]);
+    expect(pattern.getNotes(4)).toEqual(pattern.getNotes(0));
+    expect(pattern.getNotes(1)).toEqual([]);
+  });
+
+  it("rounds the loop up to a bar of the file's time signature", () => {
+    const source = new Midi();
+    source.header.timeSignatures.push({ ticks: 0, timeSignature: [3, 4] });
+    source.addTrack().addNote({ midi: 60, ticks: 1440, durationTicks: 240 });
+    const midi = new Midi(source.toArray());
+
+    const pattern = MidiFilePattern.fromMidi(midi);
+    expect(pattern.timeSignature.toString()).toBe("3/4");
+    expect(pattern.getLength()).toBe(24); // step 12-14 => two 3/4 bars
+  });
+
+  it("warns and falls back to one step for an empty region", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const pattern = new MidiFilePattern({
+      track: { notes: [] },
+      loopStartStep: 8,
+      loopEndStep: 8,
+    });
+    expect(pattern.getLength()).toBe(1);
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  it("plays in a LiveLoop with transpose and mute", () => {
+    const midiBus = {
+      noteOn: jest.fn(),
+      noteOff: jest.fn(),
+      controlChange: jest.fn(),
+    };
+    const midi = buildMidi([{ midi: 60, ticks: 0, durationTicks: 120 }]);
+    const loop = new LiveLoop(midiBus, {
+      pattern: MidiFilePattern.fromMidi(midi),
+      midiChannel: 3,
+      transpose: 12,
+    });
+
+    loop.tick(0, 0);
+    expect(midiBus.noteOn).toHaveBeenCalledWith({
+      outputId: null,
+      channel: 3,
+      note: 72,
+      velocity: expect.any(Number),
+    });
+
+    loop.setMuted(true);
+    loop.tick(16, 0);
+    expect(midiBus.noteOn).toHaveBeenCalledTimes(1);
+  });
+
+  it("publishes detected chords when it is the chord provider", () => {
+    const chordManager = new ChordManager();
+    chordManager.authorizeProvider("MidiFilePattern");
+    const midiBus = { noteOn: jest.fn(), noteOff: jest.fn() };
+
+    // Am (A3 C4 E4) for two beats, then F (F3 A3 C4)
+    const midi = buildMidi([
+      { midi: 57, ticks: 0, durationTicks: 960 },
+      { midi: 60, ticks: 0, durationTicks: 960 },
+      { midi: 64, ticks: 0, durationTicks: 960 },
+      { midi: 53, ticks: 960, durationTicks: 960 },
+      { midi: 57, ticks: 960, durationTicks: 960 },
+      { midi: 60, ticks: 960, durationTicks: 960 },
+    ]);
+    const loop = new LiveLoop(midiBus, {
+      pattern: MidiFilePattern.fromMidi(midi),
+      globalContext: new GlobalContext({ chordManager }),
+      role: "chordProvider",
+      transpose: 2,
+    });
+
+    loop.tick(0, 0);
+    expect(chordManager.getCurrentRootNote()).toBe("B3");
+    expect(chordManager.getCurrentChordNotes()).toEqual(["B3", "D4", "F#4"]);
+
+    loop.tick(8, 0);
+    expect(chordManager.getCurrentRootNote()).toBe("G3");
+    expect(chordManager.getCurrentChordNotes()).toEqual(["G3", "B3", "D4"]);
+  });
+
+  it("does not publish chords without the chordProvider role", () => {
+    const chordManager = { setCurrentChord: jest.fn() };
+    const midi = buildMidi([{ midi: 60, ticks: 0, durationTicks: 120 }]);
+    const pattern = MidiFilePattern.fromMidi(midi);
+
+    pattern.getNotes(0, { chordManager });
+    expect(chordManager.setCurrentChord).not.toHaveBeenCalled();
+
+    pattern.getNotes(0, { chordManager, role: "chordProvider" });
+    expect(chordManager.setCurrentChord).toHaveBeenCalledWith(
+      "MidiFilePattern",
+      "C4",
+      ["C4"]
+    );
+  });
+});
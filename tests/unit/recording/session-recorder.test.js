@@ -0,0 +1,196 @@
+/**
+ * tests/unit/recording/session-recorder.test.js
+ *
+ * SessionRecorder:
+ * 1) Captures bus events while recording, positioned on the transport's beat grid.
+ * 2) Exports a multi-track .mid with tracks per channel/outputId, named after LiveLoops.
+ * 3) Embeds tempo (incl. tempo changes) and time signature.
+ * 4) Closes held notes at the end and exports rendered event lists.
+ * 5) Continues the timeline when the transport restarts.
+ */
+
+import { jest } from "@jest/globals";
+import tonejsMidi from "@tonejs/midi";
+import { SessionRecorder } from "../../../src/recording/session-recorder.js";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { ExplicitNotePattern } from "../../../src/patterns/explicit-note-pattern.js";
+
+const { Midi } = tonejsMidi;
+
+describe("SessionRecorder", () => {
+  let midiBus;
+  let transport;
+
+  function send(data) {
+    transport._handleIncomingClock({ data });
+  }
+
+  function pulses(n) {
+    for (let i = 0; i < n; i++) send([0xf8]);
+  }
+
+  // Round-trip through the binary format, like a DAW would read it
+  function parse(recorder) {
+    return new Midi(recorder.toArray());
+  }
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    transport = new TransportManager(midiBus, { clockTimeoutPulses: 0 });
+  });
+
+  it("records notes on the beat grid", () => {
+    const recorder = new SessionRecorder(midiBus, { transport });
+    recorder.start();
+
+    send([0xfa]);
+    midiBus.noteOn({ channel: 1, note: 60, velocity: 100 });
+    pulses(12); // half a beat
+    midiBus.noteOff({ channel: 1, note: 60 });
+    recorder.stop();
+
+    midiBus.noteOn({ channel: 1, note: 62, velocity: 100 }); // not recorded
+    expect(recorder.events.map((e) => [e.type, e.beat])).toEqual([
+      ["noteOn", 0],
+      ["noteOff", expect.closeTo(0.5, 5)],
+    ]);
+
+    const midi = parse(recorder);
+    expect(midi.tracks).toHaveLength(1);
+    const [note] = midi.tracks[0].notes;
+    expect(note.midi).toBe(60);
+    expect(note.ticks).toBe(0);
+    expect(note.durationTicks).toBe(midi.header.ppq / 2);
+    expect(Math.round(note.velocity * 127)).toBe(100);
+  });
+
+  it("splits tracks per channel/output and names them after LiveLoops", () => {
+    transport.addLiveLoop(
+      new LiveLoop(midiBus, {
+        pattern: new ExplicitNotePattern(["C4"]),
+        midiChannel: 1,
+        name: "Lead",
+      })
+    );
+    transport.addLiveLoop(
+      new LiveLoop(midiBus, {
+        pattern: new ExplicitNotePattern(["C2"]),
+        midiChannel: 2,
+        midiOutputId: "opxy",
+        name: "Bass",
+      })
+    );
+    const recorder = new SessionRecorder(midiBus, { transport });
+    recorder.start();
+    send([0xfa]);
+    pulses(24);
+    midiBus.noteOn({ channel: 10, note: 36, velocity: 90 });
+    send([0xfc]);
+    recorder.stop();
+
+    const midi = parse(recorder);
+    expect(midi.tracks.map((t) => [t.name, t.channel])).toEqual([
+      ["Lead", 0],
+      ["Bass", 1],
+      ["Ch 10", 9],
+    ]);
+    expect(midi.tracks[0].notes).toHaveLength(5); // steps 0..4
+    expect(midi.tracks[1].notes.every((n) => n.midi === 36)).toBe(true);
+  });
+
+  it("records CC, pitch bend and program change", () => {
+    const recorder = new SessionRecorder(midiBus, { transport });
+    recorder.start();
+    send([0xfa]);
+    midiBus.programChange({ channel: 3, program: 12 });
+    midiBus.controlChange({ channel: 3, cc: 74, value: 64 });
+    pulses(6);
+    midiBus.pitchBend({ channel: 3, value: -4096 });
+    recorder.stop();
+
+    const [track] = parse(recorder).tracks;
+    expect(track.instrument.number).toBe(12);
+    expect(Math.round(track.controlChanges[74][0].value * 127)).toBe(64);
+    // @tonejs/midi reads bends back normalized to -1..1
+    expect(track.pitchBends[0].value).toBeCloseTo(-0.5, 5);
+    expect(track.pitchBends[0].ticks).toBe(120); // one step = 1/4 beat at 480 ppq
+  });
+
+  it("embeds tempo, tempo changes and time signature", () => {
+    transport = new TransportManager(midiBus, {
+      clockSource: "internal",
+      bpm: 100,
+    });
+    const recorder = new SessionRecorder(midiBus, {
+      transport,
+      timeSignature: [7, 8],
+    });
+    recorder.start();
+    transport.setTempo(140);
+    recorder.stop();
+
+    const { header } = parse(recorder);
+    expect(header.tempos.map((t) => Math.round(t.bpm))).toEqual([100, 140]);
+    expect(header.timeSignatures[0].timeSignature).toEqual([7, 8]);
+  });
+
+  it("closes notes still held when recording stops", () => {
+    const recorder = new SessionRecorder(midiBus, { transport });
+    recorder.start();
+    send([0xfa]);
+    midiBus.noteOn({ channel: 1, note: 64, velocity: 80 });
+    pulses(48);
+    recorder.stop();
+
+    const [note] = parse(recorder).tracks[0].notes;
+    expect(note.durationTicks).toBe(960);
+  });
+
+  it("carries on where the transport was when it restarts", () => {
+    const recorder = new SessionRecorder(midiBus, { transport });
+    recorder.start();
+    send([0xfa]);
+    midiBus.noteOn({ channel: 1, note: 60, velocity: 100 });
+    pulses(48);
+    send([0xfc]); // releases the note
+    send([0xfa]); // back to beat 0
+    pulses(24);
+    midiBus.noteOn({ channel: 1, note: 62, velocity: 100 });
+    recorder.stop();
+
+    expect(recorder.events.map((e) => [e.type, e.beat])).toEqual([
+      ["noteOn", 0],
+      ["noteOff", expect.closeTo(2, 5)],
+      ["noteOn", expect.closeTo(3, 5)],
+    ]);
+  });
+
+  it("falls back to the wall clock without a transport", () => {
+    jest.useFakeTimers();
+    const recorder = new SessionRecorder(midiBus, { bpm: 60 });
+    recorder.start();
+    jest.advanceTimersByTime(1500);
+    midiBus.noteOn({ channel: 1, note: 60, velocity: 100 });
+    recorder.stop();
+    jest.useRealTimers();
+
+    expect(recorder.events[0].beat).toBeCloseTo(1.5, 5);
+  });
+
+  it("exports event lists from an offline render", () => {
+    transport.addLiveLoop(
+      new LiveLoop(midiBus, {
+        pattern: new ExplicitNotePattern(["C4", "E4"]),
+        name: "Arp",
+      })
+    );
+    const recorder = new SessionRecorder(midiBus, { transport });
+    const midi = new Midi(recorder.toArray(transport.renderBars(1)));
+
+    expect(midi.tracks[0].name).toBe("Arp");
+    expect(midi.tracks[0].notes).toHaveLength(16);
+    expect(midi.tracks[0].notes[1].ticks).toBe(120);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * tests/unit/rhythm/time-signature.test.js
+ *
+ * Meters beyond 4/4:
+ * 1) TimeSignature parses meters and derives beat groupings (6/8 => 3+3, 7/8 => 2+2+3).
+ * 2) RhythmManager bar/beat queries and accents follow the meter, and 4/4
+ *    behaves exactly like the plain grid.
+ * 3) Built-in patterns (DrumPattern, PhraseContourMelody) respect it.
+ */
+
+import { jest } from "@jest/globals";
+import { TimeSignature } from "../../../src/time-signature.js";
+import { RhythmManager } from "../../../src/rhythm-manager.js";
+import { DrumPattern } from "../../../src/patterns/drum-pattern.js";
+import { PhraseContourMelody } from "../../../src/patterns/phrase-contour-melody.js";
+
+describe("TimeSignature", () => {
+  it("derives bar lengths and default groupings", () => {
+    expect(new TimeSignature().getStepsPerBar()).toBe(16);
+    expect(new TimeSignature(3, 4).getBeatLengths()).toEqual([4, 4, 4]);
+    expect(new TimeSignature(5, 4).getStepsPerBar()).toBe(20);
+
+    const sixEight = new TimeSignature(6, 8);
+    expect(sixEight.isCompound()).toBe(true);
+    expect(sixEight.getBeatLengths()).toEqual([6, 6]);
+    expect(sixEight.getQuarterNotesPerBar()).toBe(3);
+
+    const sevenEight = TimeSignature.from("7/8");
+    expect(sevenEight.grouping).toEqual([2, 2, 3]);
+    expect(sevenEight.getBeatLengths()).toEqual([4, 4, 6]);
+    expect(sevenEight.toString()).toBe("7/8 (2+2+3)");
+    expect(sevenEight.toArray()).toEqual([7, 8]);
+  });
+
+  it("accepts custom groupings and other input forms", () => {
+    expect(TimeSignature.from([7, 8], { grouping: "3+2+2" }).grouping).toEqual([
+      3, 2, 2,
+    ]);
+    expect(
+      TimeSignature.from({ numerator: 5, denominator: 4, grouping: [3, 2] })
+        .getBeatLengths()
+    ).toEqual([12, 8]);
+
+    const ts = new TimeSignature(3, 4);
+    expect(TimeSignature.from(ts)).toBe(ts);
+  });
+
+  it("warns and falls back on invalid input", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(TimeSignature.from("waltz").toString()).toBe("4/4");
+    expect(new TimeSignature(3, 5).denominator).toBe(4);
+    expect(
+      new TimeSignature(7, 8, { grouping: [2, 2, 2] }).grouping
+    ).toEqual([2, 2, 3]);
+    expect(warnSpy).toHaveBeenCalledTimes(3);
+
+    warnSpy.mockRestore();
+  });
+});
+
+describe("RhythmManager with a time signature", () => {
+  it("behaves exactly like the plain grid in 4/4", () => {
+    const plain = new RhythmManager();
+    const meter = new RhythmManager({ timeSignature: "4/4" });
+
+    for (let step = 0; step < 40; step++) {
+      expect(meter.isDownbeat(step)).toBe(plain.isDownbeat(step));
+      expect(meter.isBeat(step)).toBe(plain.isBeat(step));
+      expect(meter.isOffbeat(step)).toBe(plain.isOffbeat(step));
+      expect(meter.getBeatNumber(step)).toBe(plain.getBeatNumber(step));
+      expect(meter.getSubdivision(step)).toBe(plain.getSubdivision(step));
+    }
+    expect(meter.getAccentPattern()).toEqual(plain.getAccentPattern());
+    expect(meter.stepsPerBar).toBe(16);
+    expect(meter.stepsPerBeat).toBe(4);
+  });
+
+  it("counts 3/4 bars and beats", () => {
+    const rm = new RhythmManager({ timeSignature: "3/4" });
+
+    expect(rm.stepsPerBar).toBe(12);
+    expect(rm.isDownbeat(12)).toBe(true);
+    expect(rm.isDownbeat(16)).toBe(false);
+    expect(rm.getBeatNumber(11)).toBe(3);
+    expect(rm.getBeatNumber(12)).toBe(1);
+    expect(rm.getBarIndex(25)).toBe(2);
+    expect(rm.getAccentPattern()).toEqual([
+      120, 0, 70, 0, 90, 0, 70, 0, 90, 0, 70, 0,
+    ]);
+  });
+
+  it("follows irregular groupings like 7/8 (2+2+3)", () => {
+    const rm = new RhythmManager({ timeSignature: "7/8" });
+
+    expect(rm.stepsPerBar).toBe(14);
+    expect(rm.getBeatStarts()).toEqual([0, 4, 8]);
+    expect([0, 4, 8, 14].map((s) => rm.isBeat(s))).toEqual([
+      true, true, true, true,
+    ]);
+    expect(rm.isBeat(12)).toBe(false);
+    // The other eighths of each group are offbeats
+    expect([2, 6, 10, 12].every((s) => rm.isOffbeat(s))).toBe(true);
+    expect(rm.getBeatNumber(13)).toBe(3);
+    expect(rm.getAccentPattern()).toEqual([
+      120, 0, 70, 0, 90, 0, 70, 0, 90, 0, 70, 0, 70, 0,
+    ]);
+  });
+
+  it("treats compound meters as dotted beats and scales with subdivision", () => {
+    const rm = new RhythmManager({ timeSignature: "6/8" });
+
+    expect(rm.getBeatStarts()).toEqual([0, 6]);
+    expect(rm.isOffbeat(2)).toBe(true);
+    expect(rm.isOffbeat(3)).toBe(false);
+    expect(rm.getAccentPattern()[6]).toBe(100);
+
+    rm.setSubdivision("doubleTime");
+    expect(rm.stepsPerBar).toBe(24);
+    expect(rm.getBeatStarts()).toEqual([0, 12]);
+  });
+
+  it("counts bars from an anchor step and can return to the plain grid", () => {
+    const rm = new RhythmManager();
+    rm.setTimeSignature("3/4", { anchorStep: 32 });
+
+    expect(rm.isDownbeat(32)).toBe(true);
+    expect(rm.isDownbeat(44)).toBe(true);
+    expect(rm.getBarIndex(44)).toBe(1);
+    expect(rm.getTimeSignature().toString()).toBe("3/4");
+
+    rm.setTimeSignature(null);
+    expect(rm.getTimeSignature()).toBeNull();
+    expect(rm.stepsPerBar).toBe(16);
+  });
+
+  it("restores the constructor's grid when the meter is cleared", () => {
+    const rm = new RhythmManager({ stepsPerBar: 12 });
+    rm.setTimeSignature("7/8");
+    rm.setTimeSignature(null);
+
+    expect(rm.stepsPerBar).toBe(12);
+    expect(rm.getBeatStarts()).toEqual([0, 4, 8]);
+    expect(rm.isBeat(12)).toBe(true);
+    expect(rm.isDownbeat(12)).toBe(true);
+    expect(rm.isDownbeat(16)).toBe(false);
+    expect(rm.getBeatNumber(12)).toBe(1);
+  });
+});
+
+describe("Built-in patterns with a time signature", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("DrumPattern keeps the meter's strong beats in the low variant", () => {
+    // Never keep the optional hits
+    jest.spyOn(Math, "random").mockReturnValue(0.99);
+    const hits = new Array(14).fill(1);
+
+    const straight = new DrumPattern({
+      mediumPattern: { kick: hits },
+      patternLength: 14,
+    });
+    const odd = new DrumPattern({
+      mediumPattern: { kick: hits },
+      patternLength: 14,
+      timeSignature: "7/8",
+    });
+
+    const strongSteps = (pattern) =>
+      pattern.patterns.low.kick
+        .map((hit, idx) => (hit ? idx : null))
+        .filter((idx) => idx !== null);
+    expect(strongSteps(straight)).toEqual([0, 4, 8, 12]);
+    expect(strongSteps(odd)).toEqual([0, 4, 8]);
+  });
+
+  it("PhraseContourMelody sizes phrases from the meter", () => {
+    const waltz = new PhraseContourMelody({
+      phraseBars: 4,
+      timeSignature: "3/4",
+    });
+    expect(waltz.getLength()).toBe(48);
+    expect(waltz.stepsPerBeat).toBe(4);
+
+    const legacy = new PhraseContourMelody({ phraseBars: 2, stepsPerBar: 12 });
+    expect(legacy.getLength()).toBe(24);
+    expect(legacy.stepsPerBeat).toBe(3);
+  });
+});
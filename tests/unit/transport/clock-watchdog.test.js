@@ -0,0 +1,168 @@
+/**
+ * tests/unit/transport/clock-watchdog.test.js
+ *
+ * Clock-dropout watchdog for external clock:
+ * 1) No pulses for clockTimeoutPulses intervals => notes released, "clockLost".
+ * 2) Without free-run the transport halts; pulses coming back resume it.
+ * 3) With freeRunOnClockLoss, playback continues at the measured tempo
+ *    until the external clock returns.
+ * 4) Stop, or clockTimeoutPulses=0 (the default), keeps the watchdog quiet.
+ */
+
+import { jest } from "@jest/globals";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+describe("TransportManager clock watchdog", () => {
+  let midiBusMock;
+  let liveLoop;
+  let transport;
+
+  function send(data) {
+    transport._handleIncomingClock({ data, timeStamp: performance.now() });
+  }
+
+  // External pulses every 20ms (125 BPM), advancing fake time between them
+  function pulses(n) {
+    for (let i = 0; i < n; i++) {
+      jest.advanceTimersByTime(20);
+      send([0xf8]);
+    }
+  }
+
+  function create(options = {}) {
+    transport = new TransportManager(midiBusMock, {
+      liveLoops: [liveLoop],
+      clockTimeoutPulses: 12,
+      ...options,
+    });
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    midiBusMock = {
+      on: jest.fn(),
+      stopAllNotes: jest.fn(),
+      sendRealtime: jest.fn(),
+    };
+    liveLoop = { tick: jest.fn(), releaseAllNotes: jest.fn() };
+  });
+
+  afterEach(() => {
+    send([0xfc]);
+    jest.useRealTimers();
+  });
+
+  it("releases notes and emits clockLost when pulses stop", () => {
+    create();
+    const onLost = jest.fn();
+    transport.on("clockLost", onLost);
+
+    send([0xfa]);
+    pulses(24);
+
+    // 12 intervals at the measured 20ms
+    jest.advanceTimersByTime(239);
+    expect(onLost).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+
+    expect(onLost).toHaveBeenCalledWith({
+      stepIndex: 4,
+      timeInBeats: expect.any(Number),
+      freeRunning: false,
+    });
+    expect(transport.clockLost).toBe(true);
+    expect(transport.isRunning).toBe(false);
+    expect(liveLoop.releaseAllNotes).toHaveBeenCalledTimes(1);
+    expect(midiBusMock.stopAllNotes).toHaveBeenCalledTimes(1);
+  });
+
+  it("resumes from the same position when the clock comes back", () => {
+    create();
+    const onRestored = jest.fn();
+    transport.on("clockRestored", onRestored);
+
+    send([0xfa]);
+    pulses(24);
+    jest.advanceTimersByTime(1000);
+    expect(transport.isRunning).toBe(false);
+
+    pulses(6);
+    expect(onRestored).toHaveBeenCalledTimes(1);
+    expect(onRestored.mock.calls[0][0].wasFreeRunning).toBe(false);
+    expect(transport.clockLost).toBe(false);
+    expect(transport.isRunning).toBe(true);
+    expect(transport.stepIndex).toBe(5);
+  });
+
+  it("free-runs at the measured tempo while the clock is lost", () => {
+    create({ freeRunOnClockLoss: true });
+    const onLost = jest.fn();
+    transport.on("clockLost", onLost);
+
+    send([0xfa]);
+    pulses(24); // step 4
+    jest.advanceTimersByTime(240);
+    expect(onLost.mock.calls[0][0].freeRunning).toBe(true);
+    expect(transport.isRunning).toBe(true);
+    // One pulse fires right away on loss
+    expect(transport.pulseCounter).toBe(1);
+
+    // Keeps stepping at 20ms per pulse without sending clock out
+    jest.advanceTimersByTime(100);
+    expect(transport.stepIndex).toBe(5);
+    expect(midiBusMock.sendRealtime).not.toHaveBeenCalled();
+
+    // External clock wins again as soon as it returns
+    pulses(1);
+    expect(transport.clockLost).toBe(false);
+    const step = transport.stepIndex;
+    const counter = transport.pulseCounter;
+    jest.advanceTimersByTime(15);
+    expect(transport.stepIndex).toBe(step);
+    expect(transport.pulseCounter).toBe(counter);
+  });
+
+  it("stays quiet after Stop", () => {
+    create();
+    const onLost = jest.fn();
+    transport.on("clockLost", onLost);
+
+    send([0xfa]);
+    pulses(6);
+    send([0xfc]);
+    jest.advanceTimersByTime(5000);
+    expect(onLost).not.toHaveBeenCalled();
+  });
+
+  it("fires even if no pulse follows Start, using the configured bpm", () => {
+    create({ bpm: 120 }); // ~20.8ms per pulse => 250ms timeout
+    const onLost = jest.fn();
+    transport.on("clockLost", onLost);
+
+    send([0xfa]);
+    jest.advanceTimersByTime(249);
+    expect(onLost).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(onLost).toHaveBeenCalledTimes(1);
+  });
+
+  it("is off by default and with clockTimeoutPulses=0", () => {
+    create({ clockTimeoutPulses: undefined });
+    expect(transport.clockTimeoutPulses).toBe(0);
+    send([0xfa]);
+    pulses(6);
+    jest.advanceTimersByTime(5000);
+    expect(transport.isRunning).toBe(true);
+    send([0xfc]);
+
+    create({ clockTimeoutPulses: 0 });
+    const onLost = jest.fn();
+    transport.on("clockLost", onLost);
+
+    send([0xfa]);
+    pulses(6);
+    jest.advanceTimersByTime(5000);
+    expect(onLost).not.toHaveBeenCalled();
+    expect(transport.isRunning).toBe(true);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * tests/unit/transport/continue-spp.test.js
+ *
+ * Pause/resume via Stop + Song Position Pointer (0xF2) + Continue (0xFB):
+ * 1) Continue resumes without resetting the position.
+ * 2) SPP + Continue plays the new step immediately, exactly once.
+ * 3) LiveLoops are re-synced: chain item, cycle count, queued changes, LFO phase.
+ */
+
+import { jest } from "@jest/globals";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { LFO } from "../../../src/lfo.js";
+
+describe("TransportManager Continue + Song Position Pointer", () => {
+  let midiBusMock;
+  let transport;
+
+  function send(data) {
+    transport._handleIncomingClock({ data });
+  }
+
+  function pulses(n) {
+    for (let i = 0; i < n; i++) send([0xf8]);
+  }
+
+  // SPP is counted in 16ths (6 clocks), which equals one step at pulsesPerStep=6
+  function songPosition(sixteenths) {
+    send([0xf2, sixteenths & 0x7f, (sixteenths >> 7) & 0x7f]);
+  }
+
+  function makePattern(note, length = 4) {
+    return {
+      getNotes: jest.fn().mockReturnValue([{ note }]),
+      getLength: jest.fn().mockReturnValue(length),
+    };
+  }
+
+  beforeEach(() => {
+    midiBusMock = {
+      on: jest.fn(),
+      noteOn: jest.fn(),
+      noteOff: jest.fn(),
+      controlChange: jest.fn(),
+      stopAllNotes: jest.fn(),
+    };
+  });
+
+  it("Continue resumes from the stopped position without re-playing the step", () => {
+    const loop = { tick: jest.fn(), seek: jest.fn() };
+    transport = new TransportManager(midiBusMock, { liveLoops: [loop] });
+
+    send([0xfa]);
+    pulses(12); // step 2
+    send([0xfc]);
+    expect(loop.tick).toHaveBeenCalledTimes(3);
+
+    send([0xfb]);
+    expect(transport.isRunning).toBe(true);
+    expect(transport.stepIndex).toBe(2);
+    expect(loop.seek).toHaveBeenCalledWith(2, expect.any(Number));
+    expect(loop.seek.mock.calls[0][1]).toBeCloseTo(0.5, 5);
+    // step 2 was already played before Stop
+    expect(loop.tick).toHaveBeenCalledTimes(3);
+
+    pulses(6);
+    expect(loop.tick).toHaveBeenLastCalledWith(3, 0, expect.any(Number));
+    expect(transport.timeInBeats).toBeCloseTo(0.75, 5);
+  });
+
+  it("SPP + Continue plays the new position right away", () => {
+    const loop = { tick: jest.fn(), seek: jest.fn() };
+    transport = new TransportManager(midiBusMock, { liveLoops: [loop] });
+
+    send([0xfa]);
+    pulses(6);
+    send([0xfc]);
+    loop.tick.mockClear();
+
+    songPosition(32); // bar 3
+    expect(loop.seek).toHaveBeenLastCalledWith(32, 8);
+    expect(loop.tick).not.toHaveBeenCalled();
+
+    send([0xfb]);
+    expect(loop.tick).toHaveBeenCalledTimes(1);
+    expect(loop.tick).toHaveBeenCalledWith(32, 0, 8);
+
+    pulses(6);
+    expect(loop.tick).toHaveBeenLastCalledWith(33, 0, expect.any(Number));
+  });
+
+  it("re-syncs a chained LiveLoop to the right chain item and cycle", () => {
+    const patA = makePattern("C4");
+    const patB = makePattern("E4");
+    const loop = new LiveLoop(midiBusMock, { pattern: patA, cycles: 2 })
+      .chainLiveLoop({ pattern: patB, cycles: 2 });
+    transport = new TransportManager(midiBusMock, { liveLoops: [loop] });
+
+    // A occupies steps 0..7, B occupies 8..15
+    songPosition(13);
+    expect(loop.pattern).toBe(patB);
+    expect(loop._cyclesSoFar).toBe(1);
+
+    send([0xfb]);
+    pulses(12); // steps 14, 15 => chain complete
+    expect(loop.muted).toBe(true);
+
+    // Scrubbing back into the chain brings the loop back
+    send([0xfc]);
+    songPosition(2);
+    expect(loop.muted).toBe(false);
+    expect(loop.pattern).toBe(patA);
+    expect(loop._cyclesSoFar).toBe(0);
+  });
+
+  it("applies queued changes and releases held notes on a jump", () => {
+    const patA = makePattern("C4", 16);
+    const patB = makePattern("E4", 16);
+    patA.getNotes.mockReturnValue([{ note: "C4", durationSteps: 8 }]);
+    const loop = new LiveLoop(midiBusMock, { pattern: patA });
+    transport = new TransportManager(midiBusMock, { liveLoops: [loop] });
+
+    send([0xfa]);
+    expect(loop.activeNotes).toHaveLength(1);
+    loop.setPattern(patB); // queued for next boundary
+
+    send([0xfc]);
+    songPosition(5);
+    expect(loop.activeNotes).toHaveLength(0);
+    expect(midiBusMock.noteOff).toHaveBeenCalledWith({
+      outputId: null,
+      channel: 1,
+      note: 60,
+    });
+    expect(loop.pattern).toBe(patB);
+  });
+
+  it("re-derives LFO phase from the song position", () => {
+    const lfo = new LFO({ frequency: 0.25, useRadians: false, shape: "sawUp" });
+    const loop = new LiveLoop(midiBusMock, {
+      pattern: makePattern("C4"),
+      lfos: [lfo],
+    });
+    transport = new TransportManager(midiBusMock, { liveLoops: [loop] });
+
+    // 1 MIDI beat (16th) = 0.25 quarter notes; 6 beats = 1.5 quarter notes
+    songPosition(6);
+    expect(lfo.getPhase()).toBeCloseTo(0.375, 5);
+
+    send([0xfb]);
+    pulses(6); // +0.25 beats
+    expect(lfo.getPhase()).toBeCloseTo(0.4375, 5);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * tests/unit/transport/groove.test.js
+ *
+ * Swing / groove templates:
+ * 1) Groove.swing() builds MPC-style templates; custom templates are validated.
+ * 2) The TransportManager delays grooved steps by whole pulses...
+ * 3) ...and by the sub-pulse remainder in ms when lookahead scheduling is on.
+ * 4) Loops can opt out or bring their own groove.
+ * 5) The RhythmManager exposes the active groove to patterns.
+ */
+
+import { jest } from "@jest/globals";
+import { Groove, MPC_SWING_AMOUNTS } from "../../../src/transport/groove.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { RhythmManager } from "../../../src/rhythm-manager.js";
+import { GlobalContext } from "../../../src/global-context.js";
+import { ExplicitNotePattern } from "../../../src/patterns/explicit-note-pattern.js";
+
+describe("Groove", () => {
+  it("builds MPC-style swing templates", () => {
+    expect(MPC_SWING_AMOUNTS).toEqual([50, 54, 58, 62, 66, 71]);
+
+    const straight = Groove.swing(50);
+    expect(straight.offsets).toEqual([0, 0]);
+
+    const swing16 = Groove.swing(66);
+    expect(swing16.offsets[0]).toBe(0);
+    expect(swing16.offsets[1]).toBeCloseTo(1.92, 9);
+    expect(swing16.getOffset(5)).toBeCloseTo(1.92, 9);
+
+    const swing8 = Groove.swing(75, { resolution: 8 });
+    expect(swing8.offsets).toEqual([0, 0, 6, 0]);
+  });
+
+  it("validates swing amounts and templates", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(Groove.swing(90).name).toBe("Swing 75% (16ths)");
+    const groove = new Groove({ offsets: [0, -3, "x"], unit: "beats" });
+    expect(groove.offsets).toEqual([0, 0, 0]);
+    expect(groove.unit).toBe("pulses");
+    expect(warnSpy).toHaveBeenCalledTimes(4);
+
+    warnSpy.mockRestore();
+  });
+
+  it("converts ms offsets to pulses", () => {
+    const groove = new Groove({ offsets: [0, 10], unit: "ms" });
+    expect(groove.getDelayPulses(1, 20)).toBe(0.5);
+    expect(groove.getDelayPulses(2, 20)).toBe(0);
+  });
+});
+
+describe("TransportManager groove", () => {
+  let midiBus;
+  let transport;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    midiBus = new MidiBus();
+    transport = new TransportManager(midiBus, { clockTimeoutPulses: 0 });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  function noteOnBeats(events, channel = 1) {
+    return events
+      .filter((e) => e.type === "noteOn" && e.data.channel === channel)
+      .map((e) => e.beat);
+  }
+
+  function addLoop(options = {}) {
+    const loop = new LiveLoop(midiBus, {
+      pattern: new ExplicitNotePattern(["C4"]),
+      ...options,
+    });
+    transport.addLiveLoop(loop);
+    return loop;
+  }
+
+  it("delays swung steps by whole pulses", () => {
+    addLoop();
+    transport.setGroove(Groove.swing(66));
+
+    const beats = noteOnBeats(transport.renderSteps(4));
+
+    // 1.92 pulses rounds to 2 without lookahead
+    const expected = [0, 6 + 2, 12, 18 + 2].map((p) => p / 24);
+    beats.forEach((beat, i) => expect(beat).toBeCloseTo(expected[i], 9));
+    expect(beats).toHaveLength(4);
+  });
+
+  it("lets loops opt out or use their own groove", () => {
+    transport.setGroove(Groove.swing(66));
+    addLoop({ midiChannel: 1, groove: false });
+    addLoop({ midiChannel: 2, groove: Groove.swing(75) });
+
+    const events = transport.renderSteps(2);
+
+    expect(noteOnBeats(events, 1)[1]).toBeCloseTo(6 / 24, 9);
+    expect(noteOnBeats(events, 2)[1]).toBeCloseTo(9 / 24, 9);
+  });
+
+  it("schedules the sub-pulse remainder with lookahead", () => {
+    transport = new TransportManager(midiBus, {
+      clockTimeoutPulses: 0,
+      lookaheadMs: 25,
+      groove: Groove.swing(66),
+    });
+    addLoop();
+    const times = [];
+    midiBus.on("noteOn", (data) => times.push(data.time));
+
+    transport._handleIncomingClock({ data: [0xfa], timeStamp: 0 });
+    for (let i = 1; i <= 12; i++) {
+      transport._handleIncomingClock({ data: [0xf8], timeStamp: i * 20 });
+    }
+
+    // Step 1 is due at 120 ms; swung by 1.92 pulses of 20 ms = 38.4 ms
+    expect(times).toHaveLength(3);
+    expect(times[0]).toBe(25);
+    expect(times[1]).toBeCloseTo(120 + 38.4 + 25, 9);
+    expect(times[2]).toBe(240 + 25);
+  });
+
+  it("drops held-back steps on Stop", () => {
+    addLoop();
+    transport.setGroove(Groove.swing(66));
+    const noteOn = jest.fn();
+    midiBus.on("noteOn", noteOn);
+
+    transport._handleIncomingClock({ data: [0xfa] });
+    for (let i = 0; i < 7; i++) {
+      transport._handleIncomingClock({ data: [0xf8] });
+    }
+    transport._handleIncomingClock({ data: [0xfc] });
+    transport._handleIncomingClock({ data: [0xf8] });
+
+    expect(noteOn).toHaveBeenCalledTimes(1);
+  });
+
+  it("exposes the active groove through the RhythmManager", () => {
+    const rhythmManager = new RhythmManager();
+    transport = new TransportManager(midiBus, { rhythmManager });
+    const seen = [];
+    addLoop({
+      pattern: {
+        getNotes: (step, context) => {
+          seen.push(context.rhythmManager.getGroove()?.getOffset(step) ?? 0);
+          return [];
+        },
+        getLength: () => 2,
+      },
+      globalContext: new GlobalContext({ rhythmManager }),
+    });
+
+    const swing = Groove.swing(75);
+    transport.setGroove(swing);
+    expect(rhythmManager.getGroove()).toBe(swing);
+    transport.renderSteps(2);
+    expect(seen).toEqual([0, 3]);
+
+    transport.setGroove(null);
+    expect(rhythmManager.getGroove()).toBeNull();
+  });
+
+  it("ignores invalid grooves", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    transport.setGroove({ offsets: [0, 2] });
+    expect(transport.getGroove()).toBeNull();
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * tests/unit/transport/internal-clock.test.js
+ *
+ * Unit tests for TransportManager in internal clock (master) mode:
+ * 1) start() sends Start + first Clock and ticks step 0.
+ * 2) Pulses are generated at the configured BPM and advance steps.
+ * 3) Pulse timing is drift-corrected (late timers don't accumulate).
+ * 4) stop() sends Stop, releases notes and halts the clock.
+ * 5) setTempo() and tapTempo() change the pulse interval.
+ * 6) Incoming external clock is ignored while we are the master.
+ */
+
+import { jest } from "@jest/globals";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+describe("TransportManager (internal clock)", () => {
+  let midiBusMock;
+  let liveLoop;
+  let transport;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    midiBusMock = {
+      on: jest.fn(),
+      stopAllNotes: jest.fn(),
+      sendRealtime: jest.fn(),
+    };
+    liveLoop = { tick: jest.fn(), updateLFOsOnly: jest.fn() };
+
+    // 125 BPM => 20ms per pulse, 120ms per step (6 pulses)
+    transport = new TransportManager(midiBusMock, {
+      liveLoops: [liveLoop],
+      pulsesPerStep: 6,
+      clockSource: "internal",
+      bpm: 125,
+    });
+  });
+
+  afterEach(() => {
+    transport.stop();
+    jest.useRealTimers();
+  });
+
+  function realtimeBytes() {
+    return midiBusMock.sendRealtime.mock.calls.map(([arg]) => arg.status);
+  }
+
+  it("start() sends Start + Clock and ticks step 0 immediately", () => {
+    transport.start();
+
+    expect(transport.isRunning).toBe(true);
+    expect(realtimeBytes()).toEqual([0xfa, 0xf8]);
+    expect(liveLoop.tick).toHaveBeenCalledTimes(1);
+    expect(liveLoop.tick).toHaveBeenCalledWith(0, 0, 0);
+  });
+
+  it("generates pulses at the configured tempo", () => {
+    transport.start();
+
+    // 6 more pulses at 20ms => step 1
+    jest.advanceTimersByTime(120);
+    expect(transport.stepIndex).toBe(1);
+    expect(liveLoop.tick).toHaveBeenCalledTimes(2);
+    expect(realtimeBytes().filter((b) => b === 0xf8)).toHaveLength(7);
+
+    // One beat later => 4 more steps
+    jest.advanceTimersByTime(480);
+    expect(transport.stepIndex).toBe(5);
+    expect(transport.timeInBeats).toBeCloseTo(1.25, 5);
+  });
+
+  it("keeps pulses on the absolute grid however time is advanced", () => {
+    transport.start();
+
+    // 50ms covers pulses at 20ms and 40ms; the next one is still due at 60ms
+    jest.advanceTimersByTime(50);
+    expect(transport.pulseCounter).toBe(2);
+    jest.advanceTimersByTime(70);
+    expect(transport.stepIndex).toBe(1);
+    expect(transport.pulseCounter).toBe(0);
+  });
+
+  it("stop() sends Stop, releases notes and halts pulses", () => {
+    transport.start();
+    jest.advanceTimersByTime(120);
+
+    transport.stop();
+    expect(transport.isRunning).toBe(false);
+    expect(realtimeBytes()[realtimeBytes().length - 1]).toBe(0xfc);
+    expect(midiBusMock.stopAllNotes).toHaveBeenCalledTimes(1);
+
+    const ticks = liveLoop.tick.mock.calls.length;
+    jest.advanceTimersByTime(1000);
+    expect(liveLoop.tick).toHaveBeenCalledTimes(ticks);
+  });
+
+  it("setTempo() changes the pulse interval while running", () => {
+    transport.start();
+    transport.setTempo(250); // 10ms per pulse
+
+    jest.advanceTimersByTime(60);
+    expect(transport.stepIndex).toBe(1);
+  });
+
+  it("ignores invalid tempos", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    transport.setTempo(0);
+    transport.setTempo(NaN);
+    expect(transport.bpm).toBe(125);
+    warnSpy.mockRestore();
+  });
+
+  it("tapTempo() averages tap intervals into a new tempo", () => {
+    expect(transport.tapTempo(1000)).toBeNull();
+    transport.tapTempo(1500);
+    transport.tapTempo(2000);
+    expect(transport.tapTempo(2500)).toBeCloseTo(120, 5);
+    expect(transport.bpm).toBeCloseTo(120, 5);
+
+    // A long pause starts a fresh measurement
+    expect(transport.tapTempo(10000)).toBeNull();
+  });
+
+  it("ignores incoming external clock while acting as master", () => {
+    transport._handleIncomingClock({ data: [0xfa] });
+    expect(transport.isRunning).toBe(false);
+
+    transport.start();
+    transport._handleIncomingClock({ data: [0xf8] });
+    expect(transport.pulseCounter).toBe(0);
+  });
+
+  it("does not send realtime bytes when sendClock=false", () => {
+    transport = new TransportManager(midiBusMock, {
+      liveLoops: [liveLoop],
+      clockSource: "internal",
+      bpm: 125,
+      sendClock: false,
+    });
+    transport.start();
+    jest.advanceTimersByTime(120);
+    expect(midiBusMock.sendRealtime).not.toHaveBeenCalled();
+    expect(transport.stepIndex).toBe(1);
+  });
+});
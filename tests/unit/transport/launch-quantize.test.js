@@ -0,0 +1,162 @@
+/**
+ * tests/unit/transport/launch-quantize.test.js
+ *
+ * Quantized launching on the TransportManager:
+ * 1) Changes wait for the next step / beat / bar / phrase / N-bar line.
+ * 2) Adding, removing, muting, pattern and context swaps can be quantized.
+ * 3) Stopped transport, "immediate" and Stop apply changes right away.
+ */
+
+import { jest } from "@jest/globals";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { ExplicitNotePattern } from "../../../src/patterns/explicit-note-pattern.js";
+
+describe("TransportManager launch quantization", () => {
+  let midiBus;
+  let transport;
+
+  function clock(pulseCount) {
+    for (let i = 0; i < pulseCount; i++) {
+      transport._handleIncomingClock({ data: [0xf8] });
+    }
+  }
+
+  function start(options = {}) {
+    transport = new TransportManager(midiBus, {
+      clockTimeoutPulses: 0,
+      ...options,
+    });
+    transport._handleIncomingClock({ data: [0xfa] });
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    midiBus = new MidiBus();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("computes the next boundary for each quantization", () => {
+    start();
+    clock(6 * 5); // step 5, bar 0
+
+    const noop = () => {};
+    expect(transport.launch(noop, { quantize: "step" })).toBe(6);
+    expect(transport.launch(noop, { quantize: "beat" })).toBe(8);
+    expect(transport.launch(noop, { quantize: "bar" })).toBe(16);
+    expect(transport.launch(noop, { quantize: "phrase" })).toBe(64);
+    expect(transport.launch(noop, { quantize: 2 })).toBe(32);
+    expect(transport.launch(noop, { quantize: "immediate" })).toBeNull();
+  });
+
+  it("follows the meter", () => {
+    start({ timeSignature: "7/8" });
+    clock(6 * 5);
+
+    const noop = () => {};
+    expect(transport.launch(noop, { quantize: "beat" })).toBe(8);
+    expect(transport.launch(noop, { quantize: "bar" })).toBe(14);
+  });
+
+  it("runs a change right before its step is played", () => {
+    start();
+    clock(6 * 3);
+    const order = [];
+    transport.on("bar", () => order.push("bar"));
+
+    transport.launch(() => order.push("launch"), { quantize: "bar" });
+    clock(6 * 12); // step 15
+    expect(order).toEqual([]);
+
+    clock(6); // step 16
+    expect(order).toEqual(["launch", "bar"]);
+  });
+
+  it("quantizes adding, muting, pattern swaps and removing loops", () => {
+    start({ launchQuantize: "bar" });
+    const noteOn = jest.fn();
+    midiBus.on("noteOn", noteOn);
+    const loop = new LiveLoop(midiBus, {
+      pattern: new ExplicitNotePattern(["C4"]),
+    });
+
+    clock(6 * 2); // step 2
+    expect(transport.addLiveLoop(loop)).toBe(16);
+    clock(6 * 13); // step 15
+    expect(noteOn).not.toHaveBeenCalled();
+    clock(6); // step 16
+    expect(noteOn).toHaveBeenCalledTimes(1);
+    expect(noteOn.mock.calls[0][0].step).toBe(16);
+
+    transport.setLoopPattern(loop, new ExplicitNotePattern(["D4"]), {
+      quantize: "beat",
+    });
+    clock(6 * 3); // step 19, still C4
+    expect(noteOn.mock.calls.at(-1)[0].note).toBe(60);
+    clock(6); // step 20
+    expect(noteOn.mock.calls.at(-1)[0].note).toBe(62);
+
+    transport.setLoopMuted(loop, true, { quantize: "step" });
+    expect(loop.muted).toBe(false);
+    clock(6);
+    expect(loop.muted).toBe(true);
+
+    transport.setLoopContext(loop, { density: 2 });
+    transport.removeLiveLoop(loop);
+    clock(6 * 10); // step 31
+    expect(loop.context).toEqual({});
+    expect(transport.liveLoops).toContain(loop);
+    clock(6); // step 32
+    expect(loop.context).toEqual({ density: 2 });
+    expect(transport.liveLoops).not.toContain(loop);
+  });
+
+  it("applies right away while stopped, and on Stop", () => {
+    transport = new TransportManager(midiBus, { launchQuantize: "bar" });
+    const loop = { tick: jest.fn(), setMuted: jest.fn() };
+
+    expect(transport.addLiveLoop(loop)).toBeNull();
+    expect(transport.liveLoops).toEqual([loop]);
+
+    transport._handleIncomingClock({ data: [0xfa] });
+    clock(6);
+    transport.setLoopMuted(loop, true);
+    expect(loop.setMuted).not.toHaveBeenCalled();
+
+    transport._handleIncomingClock({ data: [0xfc] });
+    expect(loop.setMuted).toHaveBeenCalledWith(true);
+  });
+
+  it("launches a second provider of a role to hand off", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const first = { role: "kickProvider", tick: jest.fn() };
+    const second = { role: "kickProvider", tick: jest.fn() };
+    start({ launchQuantize: "bar" });
+    transport.addLiveLoop(first);
+    transport.addLiveLoop(second);
+    expect(transport.liveLoops).toEqual([]);
+
+    clock(6 * 16);
+    expect(transport.liveLoops).toEqual([first, second]);
+    expect(transport.getDependencyIssues().conflicts).toEqual([
+      { resource: "kick", loops: [first, second] },
+    ]);
+    warnSpy.mockRestore();
+  });
+
+  it("warns about invalid quantization values", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    start({ launchQuantize: "bar" });
+
+    transport.setLaunchQuantize("sometime");
+    expect(transport.getLaunchQuantize()).toBe("bar");
+
+    clock(6);
+    expect(transport.launch(() => {}, { quantize: 0 })).toBe(16);
+    expect(warnSpy).toHaveBeenCalledTimes(2);
+  });
+});
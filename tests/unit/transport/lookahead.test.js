@@ -0,0 +1,83 @@
+/**
+ * tests/unit/transport/lookahead.test.js
+ *
+ * Lookahead scheduling: events emitted while handling a pulse carry
+ * time = pulse time + lookaheadMs, for external clock (message timeStamp)
+ * and for the internal clock (its tempo grid, not the late timer).
+ */
+
+import { jest } from "@jest/globals";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+import { MidiBus } from "../../../src/midi-bus.js";
+
+describe("TransportManager lookahead scheduling", () => {
+  let midiBus;
+  let events;
+  let loop;
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    events = [];
+    ["noteOn", "noteOff", "realtime"].forEach((type) =>
+      midiBus.on(type, (data) => events.push({ type, ...data }))
+    );
+    // Plays a short note on every step
+    loop = {
+      tick: jest.fn((step) => {
+        midiBus.noteOn({ channel: 1, note: 60 + (step % 12) });
+      }),
+    };
+  });
+
+  it("stamps external-clock events with timeStamp + lookahead", () => {
+    const transport = new TransportManager(midiBus, {
+      liveLoops: [loop],
+      lookaheadMs: 30,
+      clockTimeoutPulses: 0,
+    });
+
+    transport._handleIncomingClock({ data: [0xfa], timeStamp: 1000 });
+    for (let i = 1; i <= 6; i++) {
+      transport._handleIncomingClock({ data: [0xf8], timeStamp: 1000 + i * 20 });
+    }
+    transport._handleIncomingClock({ data: [0xfc], timeStamp: 1130 });
+
+    const ons = events.filter((e) => e.type === "noteOn");
+    expect(ons.map((e) => e.time)).toEqual([1030, 1150]);
+    // Stop's note-offs land after everything already scheduled
+    const offs = events.filter((e) => e.type === "noteOff");
+    expect(offs.every((e) => e.time === 1160)).toBe(true);
+    expect(midiBus.scheduledTime).toBeNull();
+  });
+
+  it("stamps internal-clock events on the tempo grid", () => {
+    jest.useFakeTimers();
+    const transport = new TransportManager(midiBus, {
+      liveLoops: [loop],
+      clockSource: "internal",
+      bpm: 125, // 20ms per pulse
+      lookaheadMs: 50,
+    });
+
+    const t0 = performance.now();
+    transport.start();
+    jest.advanceTimersByTime(125);
+
+    const clocks = events.filter((e) => e.type === "realtime" && e.status === 0xf8);
+    expect(clocks.map((e) => e.time - t0)).toEqual([50, 70, 90, 110, 130, 150, 170]);
+    const ons = events.filter((e) => e.type === "noteOn");
+    expect(ons.map((e) => e.time - t0)).toEqual([50, 170]);
+
+    transport.stop();
+    jest.useRealTimers();
+  });
+
+  it("leaves events unstamped without lookahead", () => {
+    const transport = new TransportManager(midiBus, {
+      liveLoops: [loop],
+      clockTimeoutPulses: 0,
+    });
+    transport._handleIncomingClock({ data: [0xfa], timeStamp: 1000 });
+    expect(events[0]).not.toHaveProperty("time");
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * tests/unit/transport/meter.test.js
+ *
+ * TransportManager bar counting with time signatures:
+ * 1) getPosition() / renderBars() follow the active meter.
+ * 2) A change while running waits for the next bar line.
+ * 3) The RhythmManager and SessionRecorder pick the meter up.
+ */
+
+import { jest } from "@jest/globals";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { RhythmManager } from "../../../src/rhythm-manager.js";
+import { SessionRecorder } from "../../../src/recording/session-recorder.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { ExplicitNotePattern } from "../../../src/patterns/explicit-note-pattern.js";
+
+describe("TransportManager time signature", () => {
+  let midiBus;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    midiBus = new MidiBus();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  function runSteps(transport, steps) {
+    transport._handleIncomingClock({ data: [0xfa] });
+    for (let i = 0; i < steps * transport.pulsesPerStep; i++) {
+      transport._handleIncomingClock({ data: [0xf8] });
+    }
+  }
+
+  it("counts bars and beats in the meter", () => {
+    const transport = new TransportManager(midiBus, { timeSignature: "7/8" });
+
+    expect(transport.getStepsPerBar()).toBe(14);
+    expect(transport.getPosition(0)).toEqual({ bar: 0, beat: 0, stepInBar: 0 });
+    expect(transport.getPosition(9)).toEqual({ bar: 0, beat: 2, stepInBar: 9 });
+    expect(transport.getPosition(15)).toEqual({
+      bar: 1,
+      beat: 0,
+      stepInBar: 1,
+    });
+  });
+
+  it("renders whole bars of the meter", () => {
+    const transport = new TransportManager(midiBus, { timeSignature: "3/4" });
+    transport.addLiveLoop(
+      new LiveLoop(midiBus, { pattern: new ExplicitNotePattern(["C4"]) })
+    );
+
+    const noteOns = transport
+      .renderBars(2)
+      .filter((e) => e.type === "noteOn");
+    expect(noteOns).toHaveLength(24);
+  });
+
+  it("applies a change while running at the next bar line", () => {
+    const rhythmManager = new RhythmManager();
+    const transport = new TransportManager(midiBus, {
+      rhythmManager,
+      clockTimeoutPulses: 0,
+    });
+
+    runSteps(transport, 5); // bar 0, step 5
+    transport.setTimeSignature("3/4");
+    expect(transport.getTimeSignature().toString()).toBe("4/4");
+    expect(rhythmManager.getTimeSignature()).toBeNull();
+
+    for (let i = 0; i < 11 * 6; i++) {
+      transport._handleIncomingClock({ data: [0xf8] });
+    }
+    // Step 16 is the first 3/4 bar
+    expect(transport.stepIndex).toBe(16);
+    expect(transport.getTimeSignature().toString()).toBe("3/4");
+    expect(transport.getPosition()).toEqual({ bar: 1, beat: 0, stepInBar: 0 });
+    expect(transport.getPosition(28)).toEqual({
+      bar: 2,
+      beat: 0,
+      stepInBar: 0,
+    });
+    expect(rhythmManager.isDownbeat(16)).toBe(true);
+    expect(rhythmManager.isDownbeat(28)).toBe(true);
+
+    // A new Start counts bars from the top again
+    transport._handleIncomingClock({ data: [0xfa] });
+    expect(rhythmManager.isDownbeat(12)).toBe(true);
+  });
+
+  it("applies right away while stopped and feeds the SessionRecorder", () => {
+    const rhythmManager = new RhythmManager();
+    const transport = new TransportManager(midiBus, { rhythmManager });
+    transport.setTimeSignature("7/8", { grouping: "3+2+2" });
+
+    expect(rhythmManager.getBeatStarts()).toEqual([0, 6, 10]);
+    expect(new SessionRecorder(midiBus, { transport }).timeSignature).toEqual([
+      7, 8,
+    ]);
+  });
+});
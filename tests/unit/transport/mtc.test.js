@@ -0,0 +1,259 @@
+/**
+ * tests/unit/transport/mtc.test.js
+ *
+ * MIDI Time Code:
+ * 1) MtcDecoder locks onto quarter frames and reads full-frame SysEx at
+ *    24/25/29.97df/30 fps.
+ * 2) TransportManager in "mtc" mode maps timecode to steps at the set tempo,
+ *    honours mtcStartTime, chases jumps and stops when MTC stops.
+ */
+
+import { jest } from "@jest/globals";
+import { MtcDecoder } from "../../../src/transport/mtc-decoder.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+// Rate codes: 0 = 24, 1 = 25, 2 = 29.97df, 3 = 30
+function nibbles({ hours = 0, minutes = 0, seconds = 0, frames = 0 }, rate) {
+  const hoursByte = hours | (rate << 5);
+  return [frames, seconds, minutes, hoursByte].flatMap((value) => [
+    value & 0x0f,
+    value >> 4,
+  ]);
+}
+
+// Quarter-frame data bytes for `count` pieces starting at frame `startFrame`
+// (non-drop rates). Each run of 8 pieces carries the timecode of its first frame.
+function quarterFrames(startFrame, count, fps, rate) {
+  const bytes = [];
+  for (let i = 0; i < count; i++) {
+    const frame = startFrame + Math.floor(i / 8) * 2;
+    const totalSeconds = Math.floor(frame / fps);
+    const values = nibbles(
+      {
+        hours: Math.floor(totalSeconds / 3600),
+        minutes: Math.floor(totalSeconds / 60) % 60,
+        seconds: totalSeconds % 60,
+        frames: frame % fps,
+      },
+      rate
+    );
+    const piece = i % 8;
+    bytes.push((piece << 4) | values[piece]);
+  }
+  return bytes;
+}
+
+function fullFrame({ hours = 0, minutes = 0, seconds = 0, frames = 0 }, rate) {
+  return [
+    0xf0,
+    0x7f,
+    0x7f,
+    0x01,
+    0x01,
+    hours | (rate << 5),
+    minutes,
+    seconds,
+    frames,
+    0xf7,
+  ];
+}
+
+describe("MtcDecoder", () => {
+  it("locks after a full run of quarter frames", () => {
+    const decoder = new MtcDecoder();
+    const bytes = quarterFrames(25 * 3723 + 4, 9, 25, 1); // 01:02:03:04
+
+    bytes.slice(0, 7).forEach((byte) => {
+      expect(decoder.quarterFrame(byte)).toBeNull();
+    });
+    const base = 3723 + 4 / 25;
+    expect(decoder.quarterFrame(bytes[7])).toBeCloseTo(base + 0.07, 9);
+    expect(decoder.getTimecode()).toEqual({
+      hours: 1,
+      minutes: 2,
+      seconds: 3,
+      frames: 4,
+      frameRate: 25,
+      dropFrame: false,
+    });
+    // Every further quarter frame advances a quarter frame
+    expect(decoder.quarterFrame(bytes[8])).toBeCloseTo(base + 0.08, 9);
+  });
+
+  it("unlocks on out-of-order quarter frames", () => {
+    const decoder = new MtcDecoder();
+    quarterFrames(0, 8, 30, 3).forEach((byte) => decoder.quarterFrame(byte));
+    expect(decoder.getPosition()).not.toBeNull();
+
+    decoder.quarterFrame(0x30); // piece 3 instead of 0
+    expect(decoder.getPosition()).toBeNull();
+  });
+
+  it("locates on full-frame SysEx", () => {
+    const decoder = new MtcDecoder();
+    expect(decoder.fullFrame(fullFrame({ seconds: 2, frames: 12 }, 0))).toBe(
+      2.5
+    );
+    expect(decoder.getTimecode().frameRate).toBe(24);
+    expect(decoder.fullFrame([0xf0, 0x7e, 0x7f, 0x06, 0x01, 0xf7])).toBeNull();
+  });
+
+  it("converts drop-frame timecode to real time", () => {
+    const dropFrame = { frameRate: 29.97 };
+    // 00:01:00;02 is the first frame of minute 1 (;00 and ;01 are skipped)
+    expect(
+      MtcDecoder.timecodeToSeconds({
+        hours: 0,
+        minutes: 1,
+        seconds: 0,
+        frames: 2,
+        ...dropFrame,
+      })
+    ).toBeCloseTo((1800 * 1001) / 30000, 9);
+    // Ten minutes of drop-frame is almost exactly ten minutes
+    expect(
+      MtcDecoder.timecodeToSeconds({
+        hours: 0,
+        minutes: 10,
+        seconds: 0,
+        frames: 0,
+        ...dropFrame,
+      })
+    ).toBeCloseTo(599.9994, 4);
+
+    const decoder = new MtcDecoder();
+    decoder.fullFrame(fullFrame({ minutes: 10 }, 2));
+    expect(decoder.getTimecode().dropFrame).toBe(true);
+    expect(decoder.getPosition()).toBeCloseTo(599.9994, 4);
+  });
+
+  it("parses timecode strings", () => {
+    expect(MtcDecoder.parseTimecode("01:00:00:00")).toEqual({
+      hours: 1,
+      minutes: 0,
+      seconds: 0,
+      frames: 0,
+    });
+    expect(MtcDecoder.parseTimecode("00:10:00;02").frames).toBe(2);
+    expect(MtcDecoder.parseTimecode("soon")).toBeNull();
+  });
+});
+
+describe("TransportManager MTC mode", () => {
+  let midiBusMock;
+  let loop;
+
+  function createTransport(options = {}) {
+    return new TransportManager(midiBusMock, {
+      clockSource: "mtc",
+      bpm: 120,
+      mtcTimeoutMs: 0,
+      liveLoops: [loop],
+      ...options,
+    });
+  }
+
+  function send(transport, bytes) {
+    bytes.forEach((byte) =>
+      transport._handleIncomingClock({ data: [0xf1, byte] })
+    );
+  }
+
+  function tickedSteps() {
+    return loop.tick.mock.calls.map(([stepIndex]) => stepIndex);
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    midiBusMock = { on: jest.fn(), stopAllNotes: jest.fn() };
+    loop = { tick: jest.fn(), seek: jest.fn(), releaseAllNotes: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("plays steps from timecode at the configured tempo", () => {
+    const transport = createTransport();
+    const onStart = jest.fn();
+    transport.on("start", onStart);
+
+    // 2 seconds at 25 fps; 120 BPM => 8 steps per second
+    send(transport, quarterFrames(0, 200, 25, 1));
+
+    expect(onStart).toHaveBeenCalledTimes(1);
+    expect(transport.isRunning).toBe(true);
+    expect(transport.getBpm()).toBe(120);
+    expect(transport.stepIndex).toBe(15);
+    expect(tickedSteps()).toEqual([...Array(16).keys()]);
+    expect(transport.getTimecode().frameRate).toBe(25);
+  });
+
+  it("waits for mtcStartTime during pre-roll", () => {
+    const transport = createTransport({ mtcStartTime: "00:00:10:00" });
+
+    // From 00:00:09:00 for 2 seconds at 30 fps
+    send(transport, quarterFrames(270, 240, 30, 3));
+
+    expect(transport.isRunning).toBe(true);
+    expect(tickedSteps()[0]).toBe(0);
+    expect(transport.stepIndex).toBeGreaterThanOrEqual(6);
+    expect(transport.stepIndex).toBeLessThanOrEqual(8);
+  });
+
+  it("joins mid-song at the timecode position", () => {
+    const transport = createTransport();
+
+    send(transport, quarterFrames(25 * 60, 8, 25, 1)); // 00:01:00:00
+
+    // Locked at 60.07 s; at 120 BPM that's 120.14 beats = step 480
+    expect(transport.isRunning).toBe(true);
+    expect(transport.stepIndex).toBe(480);
+    expect(transport.timeInBeats).toBeCloseTo(120.125, 9);
+    expect(loop.seek).toHaveBeenCalledWith(480, transport.timeInBeats);
+    expect(loop.tick).not.toHaveBeenCalled();
+  });
+
+  it("chases jumps", () => {
+    const transport = createTransport();
+    send(transport, quarterFrames(0, 40, 25, 1));
+    loop.tick.mockClear();
+
+    transport._handleIncomingClock({ data: fullFrame({ seconds: 30 }, 1) });
+
+    expect(loop.releaseAllNotes).toHaveBeenCalled();
+    expect(transport.stepIndex).toBe(240);
+    expect(tickedSteps()).toEqual([240]);
+    expect(transport.isRunning).toBe(true);
+  });
+
+  it("locates while stopped and stops when quarter frames stop", () => {
+    jest.useFakeTimers();
+    const transport = createTransport({ mtcTimeoutMs: 200 });
+    const onStop = jest.fn();
+    transport.on("stop", onStop);
+
+    transport._handleIncomingClock({ data: fullFrame({ seconds: 4 }, 3) });
+    expect(transport.isRunning).toBe(false);
+    expect(transport.stepIndex).toBe(32);
+
+    send(transport, quarterFrames(120, 16, 30, 3));
+    expect(transport.isRunning).toBe(true);
+
+    jest.advanceTimersByTime(250);
+    expect(transport.isRunning).toBe(false);
+    expect(onStop).toHaveBeenCalledTimes(1);
+    expect(midiBusMock.stopAllNotes).toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+
+  it("ignores MIDI clock and can be selected with setClockSource()", () => {
+    const transport = createTransport({ clockSource: "external" });
+    transport.setClockSource("mtc");
+    transport._handleIncomingClock({ data: [0xfa] });
+    transport._handleIncomingClock({ data: [0xf8] });
+
+    expect(transport.isRunning).toBe(false);
+    expect(loop.tick).not.toHaveBeenCalled();
+  });
+});
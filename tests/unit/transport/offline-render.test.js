@@ -0,0 +1,168 @@
+/**
+ * tests/unit/transport/offline-render.test.js
+ *
+ * Offline rendering (renderSteps / renderBars):
+ * 1) Runs the pulse path synchronously and returns timestamped bus events.
+ * 2) Held notes are released at the end of the render.
+ * 3) LFO CCs are captured per pulse, and so are 14-bit CCs, NRPN/RPN and
+ *    SysEx.
+ * 4) The result is deterministic and the transport is left stopped.
+ * 5) Nothing reaches the playback engines or transport listeners, but the
+ *    loops' own state moves on.
+ */
+
+import { jest } from "@jest/globals";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+import { MidiBus } from "../../../src/midi-bus.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { ExplicitNotePattern } from "../../../src/patterns/explicit-note-pattern.js";
+import { LFO } from "../../../src/lfo.js";
+import { MockPlaybackEngine } from "../../../src/engines/mock-playback-engine.js";
+
+describe("TransportManager offline render", () => {
+  let midiBus;
+  let transport;
+
+  beforeEach(() => {
+    midiBus = new MidiBus();
+    transport = new TransportManager(midiBus);
+  });
+
+  function onlyNotes(events) {
+    return events.filter((e) => e.type === "noteOn" || e.type === "noteOff");
+  }
+
+  it("renders steps with beat and time positions", () => {
+    const pattern = new ExplicitNotePattern(["C4", "E4", "G4", "B4"]);
+    transport.addLiveLoop(new LiveLoop(midiBus, { pattern }));
+
+    const events = onlyNotes(transport.renderSteps(4, { bpm: 120 }));
+
+    // LiveLoop plays the new step before expiring the previous note
+    expect(events.map((e) => [e.type, e.data.note, e.step])).toEqual([
+      ["noteOn", 60, 0],
+      ["noteOn", 64, 1],
+      ["noteOff", 60, 1],
+      ["noteOn", 67, 2],
+      ["noteOff", 64, 2],
+      ["noteOn", 71, 3],
+      ["noteOff", 67, 3],
+      ["noteOff", 71, 3],
+    ]);
+
+    const secondOn = events[1];
+    expect(secondOn.beat).toBeCloseTo(0.25, 5);
+    expect(secondOn.timeMs).toBeCloseTo(125, 5); // 500ms per beat at 120 BPM
+    expect(secondOn.data).toEqual({
+      channel: 1,
+      note: 64,
+      velocity: 100,
+      step: 1,
+    });
+
+    // The last note is released at the very end of the render
+    expect(events[7].beat).toBeCloseTo(1, 5);
+    expect(transport.isRunning).toBe(false);
+  });
+
+  it("releases notes that outlast the render", () => {
+    const pattern = new ExplicitNotePattern([{ note: "C4", durationSteps: 32 }]);
+    const loop = new LiveLoop(midiBus, { pattern });
+    transport.addLiveLoop(loop);
+
+    const events = onlyNotes(transport.renderSteps(1));
+    expect(events.map((e) => e.type)).toEqual(["noteOn", "noteOff"]);
+    expect(loop.activeNotes).toHaveLength(0);
+    expect(midiBus.activeNotes.size).toBe(0);
+  });
+
+  it("captures LFO control changes on every pulse", () => {
+    const lfo = new LFO({ frequency: 1, amplitude: 63, offset: 64 });
+    transport.addLiveLoop(
+      new LiveLoop(midiBus, {
+        pattern: new ExplicitNotePattern([[]]),
+        lfos: [lfo],
+      })
+    );
+
+    const ccs = transport
+      .renderBars(1)
+      .filter((e) => e.type === "controlChange");
+    // 95 pulses after Start, plus the step ticks
+    expect(ccs.length).toBeGreaterThanOrEqual(95);
+    expect(ccs[ccs.length - 1].beat).toBeLessThan(4);
+  });
+
+  it("captures 14-bit CCs, NRPN/RPN and SysEx", () => {
+    transport.addLiveLoop({
+      tick: (step) => {
+        if (step !== 0) return;
+        midiBus.controlChange14({ channel: 1, cc: 16, value: 12000 });
+        midiBus.nrpn({ channel: 1, param: 130, value: 8192 });
+        midiBus.rpn({ channel: 1, param: 0, value: 12, highRes: false });
+        midiBus.sysex({ data: [0x43, 0x10, 0x4c] });
+      },
+    });
+
+    const events = transport.renderSteps(1);
+    expect(events.map(({ type }) => type)).toEqual([
+      "controlChange14",
+      "nrpn",
+      "rpn",
+      "sysex",
+    ]);
+    expect(events[0].data).toEqual({ channel: 1, cc: 16, value: 12000 });
+    expect(events[3]).toMatchObject({ step: 0, beat: 0 });
+  });
+
+  it("renderBars renders 16 steps per bar and is repeatable", () => {
+    const pattern = new ExplicitNotePattern(["C4", "D4"]);
+    transport.addLiveLoop(new LiveLoop(midiBus, { pattern }));
+
+    const first = transport.renderBars(2);
+    const ons = first.filter((e) => e.type === "noteOn");
+    expect(ons).toHaveLength(32);
+    expect(ons[31].step).toBe(31);
+
+    expect(transport.renderBars(2)).toEqual(first);
+  });
+
+  it("refuses to render while running", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    transport._handleIncomingClock({ data: [0xfa] });
+    expect(transport.renderSteps(4)).toEqual([]);
+    expect(transport.renderSteps(-1)).toEqual([]);
+    expect(warnSpy).toHaveBeenCalledTimes(2);
+    warnSpy.mockRestore();
+    transport._handleIncomingClock({ data: [0xfc] });
+  });
+
+  it("keeps the render away from engines and transport listeners", () => {
+    const engine = new MockPlaybackEngine(midiBus);
+    const heard = jest.fn();
+    ["start", "stop", "pulse", "step", "beat", "bar", "phrase"].forEach(
+      (eventName) => transport.on(eventName, heard)
+    );
+    const pattern = new ExplicitNotePattern(["C4", "D4"]);
+    transport.addLiveLoop(new LiveLoop(midiBus, { pattern }));
+
+    expect(onlyNotes(transport.renderSteps(8))).toHaveLength(16);
+    expect(engine.events).toEqual([]);
+    expect(heard).not.toHaveBeenCalled();
+
+    // The bus delivers again afterwards
+    midiBus.noteOn({ channel: 1, note: 60, velocity: 100 });
+    expect(engine.events).toHaveLength(1);
+  });
+
+  it("leaves chained loops where the render ended", () => {
+    const chorus = new ExplicitNotePattern(["G4"]);
+    const loop = new LiveLoop(midiBus, {
+      pattern: new ExplicitNotePattern(["C4"]),
+    }).chainLiveLoop({ pattern: chorus });
+    transport.addLiveLoop(loop);
+
+    transport.renderSteps(1);
+    expect(loop.pattern).toBe(chorus);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * tests/unit/transport/tempo-detection.test.js
+ *
+ * Tempo estimation from incoming MIDI clock:
+ * 1) getBpm() converges on the incoming pulse rate (timestamps from the message).
+ * 2) Jitter is smoothed; single late pulses don't yank the tempo.
+ * 3) "tempoChange" fires on real changes with the musical position.
+ * 4) "clockDropout" fires on long gaps without poisoning the estimate.
+ * 5) Tempo is tracked while the transport is stopped.
+ */
+
+import { jest } from "@jest/globals";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+describe("TransportManager tempo detection", () => {
+  let midiBusMock;
+  let transport;
+  let now;
+
+  // Sends n clock pulses spaced intervalMs apart (optionally with jitter)
+  function pulses(n, intervalMs, jitter = () => 0) {
+    for (let i = 0; i < n; i++) {
+      now += intervalMs;
+      transport._handleIncomingClock({ data: [0xf8], timeStamp: now + jitter(i) });
+    }
+  }
+
+  beforeEach(() => {
+    midiBusMock = { on: jest.fn(), stopAllNotes: jest.fn() };
+    transport = new TransportManager(midiBusMock, {
+      liveLoops: [{ tick: jest.fn() }],
+    });
+    now = 1000;
+  });
+
+  it("returns null until the tempo is known", () => {
+    expect(transport.getBpm()).toBeNull();
+    expect(transport.getStepDurationMs()).toBeNull();
+    pulses(1, 20);
+    expect(transport.getBpm()).toBeNull();
+  });
+
+  it("estimates BPM and step duration from pulse timestamps", () => {
+    pulses(48, 20); // 20ms per pulse => 125 BPM
+    expect(transport.getBpm()).toBeCloseTo(125, 5);
+    // 6 pulses per step
+    expect(transport.getStepDurationMs()).toBeCloseTo(120, 5);
+  });
+
+  it("smooths jitter into a stable estimate", () => {
+    pulses(24, 20);
+    // +/- 1ms alternating jitter on every pulse (USB-MIDI typical)
+    pulses(96, 20, (i) => (i % 2 === 0 ? 1 : -1));
+    expect(transport.getBpm()).toBeGreaterThan(124);
+    expect(transport.getBpm()).toBeLessThan(126);
+  });
+
+  it("emits tempoChange with the musical position", () => {
+    const onTempo = jest.fn();
+    transport.on("tempoChange", onTempo);
+
+    transport._handleIncomingClock({ data: [0xfa] });
+    pulses(48, 20);
+    expect(onTempo).toHaveBeenCalled();
+    const first = onTempo.mock.calls[0][0];
+    expect(first.previousBpm).toBeNull();
+    expect(first.bpm).toBeCloseTo(125, 5);
+    expect(typeof first.stepIndex).toBe("number");
+    expect(typeof first.timeInBeats).toBe("number");
+
+    // A steady clock doesn't keep firing
+    onTempo.mockClear();
+    pulses(48, 20);
+    expect(onTempo).not.toHaveBeenCalled();
+
+    // Follows a real change (25ms per pulse => 100 BPM)
+    pulses(200, 25);
+    expect(onTempo).toHaveBeenCalled();
+    expect(transport.getBpm()).toBeCloseTo(100, 0);
+
+    transport.off("tempoChange", onTempo);
+    onTempo.mockClear();
+    pulses(200, 20);
+    expect(onTempo).not.toHaveBeenCalled();
+  });
+
+  it("emits clockDropout on a long gap and keeps the old estimate", () => {
+    const onDropout = jest.fn();
+    transport.on("clockDropout", onDropout);
+
+    pulses(48, 20);
+    pulses(1, 500);
+    expect(onDropout).toHaveBeenCalledTimes(1);
+    expect(onDropout.mock.calls[0][0].gapMs).toBe(500);
+    expect(onDropout.mock.calls[0][0].expectedMs).toBeCloseTo(20, 5);
+    expect(transport.getBpm()).toBeCloseTo(125, 5);
+  });
+
+  it("tracks tempo while stopped", () => {
+    expect(transport.isRunning).toBe(false);
+    pulses(48, 20);
+    expect(transport.getBpm()).toBeCloseTo(125, 5);
+    expect(transport.stepIndex).toBe(0);
+  });
+
+  it("reports the configured tempo in internal mode", () => {
+    transport.setClockSource("internal");
+    transport.setTempo(90);
+    expect(transport.getBpm()).toBe(90);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * tests/unit/transport/tick-order.test.js
+ *
+ * Provider/consumer tick ordering:
+ * 1) Undeclared loops keep the old order (kick provider, chord provider, rest).
+ * 2) Declared providers tick before their consumers, e.g. a bass loop
+ *    publishing its root for a melody loop in the same step.
+ * 3) Cycles and conflicting providers are reported once; muting hands off.
+ */
+
+import { jest } from "@jest/globals";
+import {
+  getLoopDependencies,
+  resolveTickOrder,
+} from "../../../src/transport/tick-order.js";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+import { LiveLoop } from "../../../src/live-loop.js";
+import { GlobalContext } from "../../../src/global-context.js";
+
+describe("resolveTickOrder", () => {
+  it("derives dependencies from roles and declarations", () => {
+    expect(getLoopDependencies({ role: "kickProvider" })).toEqual({
+      provides: ["kick"],
+      consumes: [],
+    });
+    expect(getLoopDependencies({ role: "chordProvider" })).toEqual({
+      provides: ["chord"],
+      consumes: ["kick"],
+    });
+    expect(getLoopDependencies({ provides: ["root"] })).toEqual({
+      provides: ["root"],
+      consumes: ["kick", "chord"],
+    });
+    expect(getLoopDependencies({ consumes: ["root"] })).toEqual({
+      provides: [],
+      consumes: ["root"],
+    });
+  });
+
+  it("keeps the kick, chord, rest order for undeclared loops", () => {
+    const pad = { name: "pad" };
+    const chords = { name: "chords", role: "chordProvider" };
+    const hats = { name: "hats" };
+    const kick = { name: "kick", role: "kickProvider" };
+
+    const { order, cycles, conflicts } = resolveTickOrder([
+      pad,
+      chords,
+      hats,
+      kick,
+    ]);
+    expect(order).toEqual([kick, chords, pad, hats]);
+    expect(cycles).toEqual([]);
+    expect(conflicts).toEqual([]);
+  });
+
+  it("orders declared providers before their consumers", () => {
+    const lead = { name: "lead", consumes: ["chord", "root", "contour"] };
+    const counter = { name: "counter", consumes: ["contour"] };
+    const bass = { name: "bass", provides: ["root"] };
+    const melody = { name: "melody", provides: ["contour"], consumes: ["root"] };
+
+    expect(resolveTickOrder([lead, counter, bass, melody]).order).toEqual([
+      bass,
+      melody,
+      lead,
+      counter,
+    ]);
+  });
+
+  it("reports cycles and conflicts", () => {
+    const a = { name: "a", provides: ["x"], consumes: ["y"] };
+    const b = { name: "b", provides: ["y"], consumes: ["x"] };
+    const c = { name: "c" };
+    const cycle = resolveTickOrder([a, b, c]);
+    expect(cycle.order).toEqual([c, a, b]);
+    expect(cycle.cycles).toEqual([[a, b]]);
+
+    const first = { name: "first", provides: ["root"] };
+    const second = { name: "second", provides: ["root"] };
+    expect(resolveTickOrder([first, second]).conflicts).toEqual([
+      { resource: "root", loops: [first, second] },
+    ]);
+    second.muted = true;
+    expect(resolveTickOrder([first, second]).conflicts).toEqual([]);
+  });
+});
+
+describe("TransportManager tick order", () => {
+  let midiBus;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    midiBus = {
+      on: jest.fn(),
+      noteOn: jest.fn(),
+      noteOff: jest.fn(),
+      stopAllNotes: jest.fn(),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lets a bass loop publish its root for a melody loop", () => {
+    const globalContext = new GlobalContext();
+    const heard = [];
+    const melody = new LiveLoop(midiBus, {
+      name: "melody",
+      globalContext,
+      consumes: ["chord", "root"],
+      pattern: {
+        getLength: () => 4,
+        getNotes: (step, context) => {
+          heard.push(context.shared.get("root"));
+          return [];
+        },
+      },
+    });
+    const roots = ["C2", "F2", "G2", "C2"];
+    const bass = new LiveLoop(midiBus, {
+      name: "bass",
+      globalContext,
+      provides: ["root"],
+      pattern: {
+        getLength: () => 4,
+        getNotes: (step, context) => {
+          context.shared.set("root", roots[step % 4]);
+          return [];
+        },
+      },
+    });
+
+    const transport = new TransportManager(midiBus, {
+      liveLoops: [melody, bass],
+      clockTimeoutPulses: 0,
+    });
+    expect(transport.getTickOrder()).toEqual([bass, melody]);
+
+    transport._handleIncomingClock({ data: [0xfa] });
+    for (let i = 0; i < 18; i++) {
+      transport._handleIncomingClock({ data: [0xf8] });
+    }
+    expect(heard).toEqual(["C2", "F2", "G2", "C2"]);
+  });
+
+  it("warns once about a cycle and emits dependencyIssue", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const a = { name: "a", provides: ["x"], consumes: ["y"], tick: jest.fn() };
+    const b = { name: "b", provides: ["y"], consumes: ["x"], tick: jest.fn() };
+    const transport = new TransportManager(midiBus, {
+      liveLoops: [a, b],
+      clockTimeoutPulses: 0,
+    });
+    const onIssue = jest.fn();
+    transport.on("dependencyIssue", onIssue);
+
+    transport._handleIncomingClock({ data: [0xfa] });
+    for (let i = 0; i < 12; i++) {
+      transport._handleIncomingClock({ data: [0xf8] });
+    }
+
+    expect(a.tick).toHaveBeenCalledTimes(3);
+    expect(b.tick).toHaveBeenCalledTimes(3);
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+    expect(warnSpy.mock.calls[0][0]).toMatch(/cycle between a, b/);
+    expect(onIssue).toHaveBeenCalledTimes(1);
+    expect(transport.getDependencyIssues().cycles).toEqual([[a, b]]);
+  });
+
+  it("reports several chordProvider roles as a conflict", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const first = { role: "chordProvider", tick: jest.fn() };
+    const second = { role: "chordProvider", tick: jest.fn() };
+    const transport = new TransportManager(midiBus, { liveLoops: [first] });
+    transport.addLiveLoop(second);
+
+    expect(transport.liveLoops).toEqual([first, second]);
+    expect(transport.getDependencyIssues().conflicts).toEqual([
+      { resource: "chord", loops: [first, second] },
+    ]);
+    warnSpy.mockRestore();
+  });
+});
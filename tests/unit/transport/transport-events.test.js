@@ -0,0 +1,157 @@
+/**
+ * tests/unit/transport/transport-events.test.js
+ *
+ * Musical time events on the TransportManager:
+ * 1) "start", "continue" and "stop" follow the transport state.
+ * 2) "step", "beat", "bar" and "phrase" fire with the position, coarsest first,
+ *    before the LiveLoops play the step.
+ * 3) Beats and bars follow the meter; phrases follow phraseBars.
+ */
+
+import { jest } from "@jest/globals";
+import { TransportManager } from "../../../src/transport/transport-manager.js";
+
+describe("TransportManager events", () => {
+  let midiBusMock;
+  let loop;
+  let transport;
+
+  function clock(pulseCount) {
+    for (let i = 0; i < pulseCount; i++) {
+      transport._handleIncomingClock({ data: [0xf8] });
+    }
+  }
+
+  function record(eventNames) {
+    const calls = [];
+    eventNames.forEach((eventName) =>
+      transport.on(eventName, (data) => calls.push([eventName, data]))
+    );
+    return calls;
+  }
+
+  beforeEach(() => {
+    midiBusMock = { on: jest.fn(), stopAllNotes: jest.fn() };
+    loop = { tick: jest.fn() };
+    transport = new TransportManager(midiBusMock, {
+      liveLoops: [loop],
+      clockTimeoutPulses: 0,
+    });
+  });
+
+  it("emits start, continue and stop", () => {
+    const calls = record(["start", "continue", "stop"]);
+
+    transport._handleIncomingClock({ data: [0xfa] });
+    clock(12);
+    transport._handleIncomingClock({ data: [0xfc] });
+    transport._handleIncomingClock({ data: [0xfb] });
+
+    expect(calls).toEqual([
+      ["start", { stepIndex: 0, timeInBeats: 0 }],
+      ["stop", { stepIndex: 2, timeInBeats: 0.5 }],
+      ["continue", { stepIndex: 2, timeInBeats: 0.5 }],
+    ]);
+  });
+
+  it("emits step, beat, bar and phrase with the position", () => {
+    const calls = record(["step", "beat", "bar", "phrase"]);
+
+    transport._handleIncomingClock({ data: [0xfa] });
+    expect(calls).toEqual([
+      [
+        "phrase",
+        {
+          stepIndex: 0,
+          timeInBeats: 0,
+          bar: 0,
+          beat: 0,
+          stepInBar: 0,
+          phrase: 0,
+          phraseBars: 4,
+        },
+      ],
+      [
+        "bar",
+        { stepIndex: 0, timeInBeats: 0, bar: 0, beat: 0, stepInBar: 0 },
+      ],
+      [
+        "beat",
+        { stepIndex: 0, timeInBeats: 0, bar: 0, beat: 0, stepInBar: 0 },
+      ],
+      [
+        "step",
+        { stepIndex: 0, timeInBeats: 0, bar: 0, beat: 0, stepInBar: 0 },
+      ],
+    ]);
+
+    calls.length = 0;
+    clock(6 * 5); // steps 1..5
+    expect(calls.map(([eventName]) => eventName)).toEqual([
+      "step",
+      "step",
+      "step",
+      "beat",
+      "step",
+      "step",
+    ]);
+    expect(calls[3][1]).toEqual({
+      stepIndex: 4,
+      timeInBeats: expect.closeTo(1, 9),
+      bar: 0,
+      beat: 1,
+      stepInBar: 4,
+    });
+  });
+
+  it("fires before the LiveLoops play the step", () => {
+    const order = [];
+    loop.tick.mockImplementation((stepIndex) => order.push(`tick ${stepIndex}`));
+    transport.on("bar", ({ stepIndex }) => order.push(`bar ${stepIndex}`));
+
+    transport._handleIncomingClock({ data: [0xfa] });
+    clock(6 * 16);
+
+    expect(order[0]).toBe("bar 0");
+    expect(order.slice(-2)).toEqual(["bar 16", "tick 16"]);
+  });
+
+  it("counts bars, beats and phrases in the meter", () => {
+    transport.setTimeSignature("7/8");
+    transport.setPhraseBars(2);
+    const bars = [];
+    const beats = [];
+    const phrases = [];
+    transport.on("bar", ({ stepIndex }) => bars.push(stepIndex));
+    transport.on("beat", ({ stepIndex }) => beats.push(stepIndex));
+    transport.on("phrase", ({ stepIndex, phrase }) =>
+      phrases.push([stepIndex, phrase])
+    );
+
+    transport._handleIncomingClock({ data: [0xfa] });
+    clock(6 * 42); // three bars of 7/8
+
+    expect(bars).toEqual([0, 14, 28, 42]);
+    expect(beats.slice(0, 4)).toEqual([0, 4, 8, 14]);
+    expect(phrases).toEqual([
+      [0, 0],
+      [28, 1],
+    ]);
+  });
+
+  it("stops emitting after off() and ignores invalid phrase lengths", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const onStep = jest.fn();
+    transport.on("step", onStep);
+    transport._handleIncomingClock({ data: [0xfa] });
+    transport.off("step", onStep);
+    clock(6);
+
+    expect(onStep).toHaveBeenCalledTimes(1);
+
+    transport.setPhraseBars(0);
+    expect(transport.phraseBars).toBe(4);
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+});